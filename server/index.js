@@ -0,0 +1,116 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Local Mock Municipal Backend
+ *
+ * Zero-dependency Node server for development and testing.
+ *   npm run server                 → in-memory, port 8787
+ *   DATA_FILE=server/data/db.json  → persist across restarts
+ *   NOTIFY_SMS=file                → SMS to server/data/outbox.jsonl
+ *                                    (see notifications.js)
+ *   PROVISIONING_TOKEN=...         → lets kiosks register signing keys
+ *
+ * Point the kiosk at it with VITE_API_BASE_URL=http://localhost:8787/api
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { createStore } from './store.js';
+import { createRoutes, HttpError } from './routes.js';
+import { createNotifier, createOtpService } from './notifications.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, X-Kiosk-Id, X-Provisioning-Token',
+};
+
+function compile(pattern) {
+    const keys = [];
+    const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, k) => { keys.push(k); return '([^/]+)'; })}$`);
+    return { regex, keys };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) return resolve(undefined);
+            try {
+                resolve(JSON.parse(text));
+            } catch {
+                reject(new HttpError(400, 'Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...CORS_HEADERS });
+    res.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ * @param {object} [options]
+ * @param {object} [options.store] - Store instance (defaults to in-memory)
+ * @param {object} [options.notifier] - Notification queue (defaults to the channels in the environment)
+ * @param {string} [options.provisioningToken] - Token that registers kiosk signing keys (defaults to PROVISIONING_TOKEN)
+ * @returns {http.Server}
+ */
+export function createServer({ store = createStore(), notifier = createNotifier({ store }), provisioningToken = process.env.PROVISIONING_TOKEN } = {}) {
+    const otp = createOtpService({ store, notifier });
+    const routes = createRoutes(store, { notifier, otp, provisioningToken }).map(([method, pattern, handler]) => ({ method, handler, ...compile(pattern) }));
+
+    return http.createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') return send(res, 204);
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        let matchedPath = false;
+
+        for (const route of routes) {
+            const match = pathname.match(route.regex);
+            if (!match) continue;
+            matchedPath = true;
+            if (route.method !== req.method) continue;
+
+            try {
+                const params = Object.fromEntries(route.keys.map((k, i) => [k, decodeURIComponent(match[i + 1])]));
+                const body = ['POST', 'PATCH'].includes(req.method) ? await readBody(req) : undefined;
+                const credentials = { provisioningToken: req.headers['x-provisioning-token'] || null };
+                const result = await route.handler({ params, body, kioskId: req.headers['x-kiosk-id'] || null, credentials });
+                return result === null ? send(res, 404, { error: 'Not found' }) : send(res, 200, result);
+            } catch (err) {
+                const status = err instanceof HttpError ? err.status : 500;
+                if (status === 500) console.error(err);
+                return send(res, status, { error: err.message });
+            }
+        }
+
+        send(res, matchedPath ? 405 : 404, { error: matchedPath ? 'Method not allowed' : 'Not found' });
+    });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.PORT) || 8787;
+    const store = createStore({ file: process.env.DATA_FILE });
+    const notifier = createNotifier({ store });
+    notifier.start();
+    createServer({ store, notifier }).listen(port, () => {
+        console.log(`SUVIDHA mock backend listening on http://localhost:${port}/api`);
+    });
+}
@@ -0,0 +1,253 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Notification Gateway & OTP
+ *
+ * Citizen messages are queued in the store and delivered through a
+ * channel adapter per channel (SMS, WhatsApp, email):
+ *
+ *   send({ channel, to, subject, text }) → Promise   throws on failure
+ *
+ * Adapters: 'console' logs each message, 'file' appends it to a
+ * JSON-lines outbox, and 'webhook' POSTs it to a provider gateway.
+ * Each channel picks its adapter from the environment:
+ *
+ *   NOTIFY_SMS=webhook NOTIFY_SMS_URL=https://...   (default console)
+ *
+ * A failed send is retried with exponential backoff until
+ * maxAttempts, then marked failed. A notification with an expiry
+ * (an OTP) is never sent, or retried, past it: it is marked
+ * expired instead. start() runs the retry timer.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+    NOTIFICATION_CHANNELS, NotificationError, maskRecipient, normaliseRecipient, renderNotification, validateNotification,
+} from '../src/utils/notificationTemplates.js';
+
+/** Adapter that prints each message to the server log */
+export function createConsoleAdapter() {
+    return {
+        async send({ channel, to, subject, text }) {
+            console.log(`[notify ${channel} → ${to}] ${channel === 'email' ? `${subject} | ` : ''}${text}`);
+        },
+    };
+}
+
+/**
+ * Adapter that appends each message to a JSON-lines outbox file
+ * @param {object} options
+ * @param {string} options.file
+ */
+export function createFileAdapter({ file }) {
+    return {
+        async send(message) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.appendFile(file, `${JSON.stringify({ ...message, at: new Date().toISOString() })}\n`);
+        },
+    };
+}
+
+/**
+ * Adapter that POSTs each message as JSON to a provider's gateway
+ * @param {object} options
+ * @param {string} options.url
+ * @param {string} [options.token] - Sent as a bearer token
+ * @param {number} [options.timeoutMs]
+ */
+export function createWebhookAdapter({ url, token, timeoutMs = 10000 }) {
+    if (!url) throw new Error('The webhook notification adapter needs a URL');
+    return {
+        async send(message) {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+                body: JSON.stringify(message),
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+            if (!res.ok) throw new Error(`Gateway answered ${res.status} ${res.statusText}`);
+        },
+    };
+}
+
+/** Adapter name (NOTIFY_<CHANNEL>) → factory; other providers register here */
+const ADAPTERS = {
+    console: () => createConsoleAdapter(),
+    file: ({ outbox }) => createFileAdapter({ file: outbox }),
+    webhook: ({ url, token }) => createWebhookAdapter({ url, token }),
+};
+
+/**
+ * Channel adapters as configured in the environment
+ * @param {object} [env] - NOTIFY_SMS / NOTIFY_WHATSAPP / NOTIFY_EMAIL name an adapter;
+ *   NOTIFY_<CHANNEL>_URL and NOTIFY_<CHANNEL>_TOKEN configure webhooks;
+ *   NOTIFY_OUTBOX is the file adapter's outbox
+ * @returns {object} Channel → adapter
+ */
+export function channelsFromEnv(env = process.env) {
+    const outbox = env.NOTIFY_OUTBOX || 'server/data/outbox.jsonl';
+    return Object.fromEntries(NOTIFICATION_CHANNELS.map((channel) => {
+        const prefix = `NOTIFY_${channel.toUpperCase()}`;
+        const name = env[prefix] || 'console';
+        const factory = ADAPTERS[name];
+        if (!factory) throw new Error(`Unknown notification adapter for ${channel}: ${name}`);
+        return [channel, factory({ outbox, url: env[`${prefix}_URL`], token: env[`${prefix}_TOKEN`] })];
+    }));
+}
+
+/** Exponential backoff with full jitter, as on the kiosk's sync queue */
+function retryDelay(attempt, baseMs, maxMs) {
+    return Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+/**
+ * Create the notification queue
+ * @param {object} options
+ * @param {object} options.store - Backend store
+ * @param {object} [options.channels] - Channel → adapter
+ * @param {number} [options.maxAttempts] - Sends tried before a notification fails
+ * @param {number} [options.baseDelayMs] - Delay before the first retry
+ * @param {number} [options.maxDelayMs] - Upper bound on any retry delay
+ * @returns {object} Notifier
+ */
+export function createNotifier({ store, channels = channelsFromEnv(), maxAttempts = 6, baseDelayMs = 2000, maxDelayMs = 5 * 60 * 1000 }) {
+    let running = null;
+    let timer = null;
+
+    async function deliver(notification) {
+        const expiresAt = notification.expiresAt ? Date.parse(notification.expiresAt) : Infinity;
+        if (Date.now() >= expiresAt) {
+            store.updateNotification(notification.id, { status: 'expired', expiredAt: new Date().toISOString() });
+            return;
+        }
+        const { subject, text } = renderNotification(notification.template, notification);
+        try {
+            await channels[notification.channel].send({ channel: notification.channel, to: notification.to, subject, text });
+            store.updateNotification(notification.id, { status: 'sent', attempts: notification.attempts + 1, sentAt: new Date().toISOString() });
+        } catch (err) {
+            const attempts = notification.attempts + 1;
+            const nextAttemptAt = Date.now() + retryDelay(attempts - 1, baseDelayMs, maxDelayMs);
+            const failed = attempts >= maxAttempts || nextAttemptAt >= expiresAt;
+            console.error(`Notification ${notification.id} (${notification.channel}) failed, attempt ${attempts}:`, err.message);
+            store.updateNotification(notification.id, {
+                attempts,
+                lastError: err.message,
+                ...(failed
+                    ? { status: 'failed', failedAt: new Date().toISOString() }
+                    : { nextAttemptAt: new Date(nextAttemptAt).toISOString() }),
+            });
+        }
+    }
+
+    /** Send every queued notification that is due; concurrent calls share a run */
+    function processDue() {
+        if (!running) {
+            running = (async () => {
+                for (const notification of store.dueNotifications()) await deliver(notification);
+            })().finally(() => { running = null; });
+        }
+        return running;
+    }
+
+    return {
+        processDue,
+
+        /**
+         * Queue a notification and try it straight away. Queuing the
+         * same id again returns the notification already queued.
+         * @param {object} request - { template, channel, to, lang?, params }
+         * @param {object} [options]
+         * @param {string} [options.id] - Idempotency key, e.g. the kiosk's
+         * @param {string} [options.kioskId]
+         * @param {string} [options.expiresAt] - Not sent after this time (ISO)
+         * @returns {object} The stored notification
+         * @throws {NotificationError}
+         */
+        enqueue(request, { id = crypto.randomUUID(), kioskId = null, expiresAt = null } = {}) {
+            const { template, channel, to, lang = 'en', params } = validateNotification(request);
+            const now = new Date().toISOString();
+            const notification = store.addNotification({
+                id, template, channel, to, lang, params, kioskId,
+                status: 'queued', attempts: 0, createdAt: now, nextAttemptAt: now,
+                ...(expiresAt ? { expiresAt } : {}),
+            });
+            processDue().catch(err => console.error('Notification run failed:', err));
+            return notification;
+        },
+
+        /** Retry due notifications every intervalMs */
+        start({ intervalMs = 5000 } = {}) {
+            if (timer) return;
+            timer = setInterval(() => processDue().catch(err => console.error('Notification run failed:', err)), intervalMs);
+            timer.unref?.();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+    };
+}
+
+/** What a kiosk may see of a notification */
+export function notificationStatus({ id, template, channel, to, status, attempts, createdAt, sentAt, lastError }) {
+    return { id, template, channel, to: maskRecipient(channel, to), status, attempts, createdAt, sentAt, lastError };
+}
+
+/** OTP policy */
+const OTP_TTL_MS = 5 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+
+function hashOtp(requestId, code) {
+    return crypto.createHash('sha256').update(`${requestId}:${code}`).digest('hex');
+}
+
+/**
+ * One-time passwords, sent through the notifier. Only a hash of the
+ * code is stored; a request allows OTP_MAX_ATTEMPTS wrong codes.
+ * @param {object} options
+ * @param {object} options.store
+ * @param {object} options.notifier
+ * @returns {object} { request, verify }
+ */
+export function createOtpService({ store, notifier }) {
+    return {
+        /**
+         * @param {object} request - { to, channel = 'sms', lang = 'en' }
+         * @returns {{ requestId: string, to: string, expiresAt: string }} to is masked
+         * @throws {NotificationError} On an invalid recipient
+         */
+        request({ to, channel = 'sms', lang = 'en' } = {}) {
+            const recipient = normaliseRecipient(channel, to);
+            if (!recipient) throw new NotificationError('Not a valid recipient for an OTP');
+            const requestId = crypto.randomUUID();
+            const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+            const expiresAt = new Date(Date.now() + OTP_TTL_MS).toISOString();
+            store.saveOtp({ requestId, hash: hashOtp(requestId, code), expiresAt, attempts: 0 });
+            notifier.enqueue({ template: 'otp', channel, to: recipient, lang, params: { code, minutes: OTP_TTL_MS / 60000 } }, { id: `otp-${requestId}`, expiresAt });
+            return { requestId, to: maskRecipient(channel, recipient), expiresAt };
+        },
+
+        /**
+         * @returns {{ status: 'verified'|'invalid'|'expired'|'locked', attemptsLeft?: number }|null}
+         *   null for an unknown requestId
+         */
+        verify({ requestId, code } = {}) {
+            const otp = store.getOtp(requestId);
+            if (!otp) return null;
+            if (otp.verifiedAt || Date.now() > Date.parse(otp.expiresAt)) return { status: 'expired' };
+            if (otp.attempts >= OTP_MAX_ATTEMPTS) return { status: 'locked' };
+            const given = Buffer.from(hashOtp(requestId, String(code ?? '')));
+            if (crypto.timingSafeEqual(given, Buffer.from(otp.hash))) {
+                store.updateOtp(requestId, { verifiedAt: new Date().toISOString() });
+                return { status: 'verified' };
+            }
+            const attempts = otp.attempts + 1;
+            store.updateOtp(requestId, { attempts });
+            const attemptsLeft = OTP_MAX_ATTEMPTS - attempts;
+            return attemptsLeft > 0 ? { status: 'invalid', attemptsLeft } : { status: 'locked' };
+        },
+    };
+}
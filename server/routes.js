@@ -0,0 +1,337 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Mock Backend Routes
+ * The API contract the kiosk's HTTP adapters are written against
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { adminMockData } from '../src/utils/mockData.js';
+import { amountCharged } from '../src/utils/fees.js';
+import { validateConsumerId } from '../src/utils/consumerIds.js';
+import { t } from '../src/utils/i18n.js';
+import { verifyReceiptCode } from '../src/utils/receiptSignature.js';
+import { NotificationError } from '../src/utils/notificationTemplates.js';
+import { COMPLAINT_STATUSES, canMoveComplaint } from '../src/utils/complaintStatus.js';
+import { timingSafeEqual } from 'node:crypto';
+import { UTILITY_SERVICES } from './store.js';
+import { notificationStatus } from './notifications.js';
+
+const RESOLUTION_ACTIONS = ['refund', 'reconcile'];
+const UPI_CALLBACK_STATUSES = ['processing', 'success', 'failed'];
+
+const SERVICE_COLORS = { electricity: '#FBBF24', water: '#3B82F6', gas: '#F97316', complaints: '#8B5CF6' };
+
+/** Error that maps straight to an HTTP status */
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function formatRupees(amount) {
+    return `₹${Math.round(amount).toLocaleString('en-IN')}`;
+}
+
+/** Only a holder of the backend's provisioning token may register or rotate kiosk keys */
+function requireProvisioning(expected, given) {
+    if (!expected) throw new HttpError(403, 'Kiosk key registration is disabled: PROVISIONING_TOKEN is not set');
+    const a = Buffer.from(String(given ?? ''));
+    const b = Buffer.from(expected);
+    if (a.length !== b.length || !timingSafeEqual(a, b)) throw new HttpError(401, 'A valid X-Provisioning-Token is required');
+}
+
+/** A JWK the verifier will be able to use later */
+async function requireUsableKey(publicKey) {
+    try {
+        await globalThis.crypto.subtle.importKey('jwk', publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    } catch {
+        throw new HttpError(400, 'publicKey must be an EC P-256 public key (JWK)');
+    }
+}
+
+function requireUtility(code) {
+    const service = UTILITY_SERVICES[code];
+    if (!service) throw new HttpError(404, `Unknown utility: ${code}`);
+    return service;
+}
+
+/**
+ * Aggregate admin dashboard figures in the same shape as adminMockData
+ * @param {object} state - Store snapshot
+ */
+function adminStats(state) {
+    const today = new Date().toISOString().slice(0, 10);
+    const payments = state.payments.filter(p => (p.receivedAt || '').startsWith(today));
+    const complaints = Object.values(state.complaints);
+    const hourAgo = Date.now() - 60 * 60 * 1000;
+    const kiosks = Object.values(state.kiosks);
+
+    const hourlyData = Array.from({ length: 24 }, (_, h) => ({
+        hour: `${h % 12 || 12} ${h < 12 ? 'AM' : 'PM'}`,
+        transactions: 0,
+        revenue: 0,
+    }));
+    for (const p of payments) {
+        const bucket = hourlyData[new Date(p.receivedAt).getHours()];
+        bucket.transactions++;
+        bucket.revenue += amountCharged(p);
+    }
+
+    const counts = { electricity: 0, water: 0, gas: 0 };
+    for (const p of payments) if (p.service in counts) counts[p.service]++;
+
+    const activity = [
+        ...payments.map(p => ({ at: p.receivedAt, kioskId: p.kioskId || '-', action: 'Bill Payment', amount: formatRupees(amountCharged(p)), type: 'payment' })),
+        ...complaints.map(c => ({ at: c.createdAt, kioskId: c.kioskId || '-', action: 'Complaint Filed', amount: '-', type: 'complaint' })),
+    ].sort((a, b) => b.at.localeCompare(a.at)).slice(0, 10);
+
+    return {
+        totalTransactions: payments.length,
+        activeKiosks: `${kiosks.filter(k => Date.parse(k.lastSeen) > hourAgo).length}/${kiosks.length}`,
+        pendingComplaints: complaints.filter(c => c.status !== 'resolved').length,
+        revenueCollected: formatRupees(payments.reduce((sum, p) => sum + amountCharged(p), 0)),
+        activityLog: activity.map(({ at, ...rest }) => ({
+            ...rest,
+            time: new Date(at).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }),
+        })),
+        hourlyData: hourlyData.filter(h => h.transactions > 0),
+        heatmapPoints: adminMockData.heatmapPoints,
+        serviceBreakdown: [
+            { name: 'Electricity', value: counts.electricity, color: SERVICE_COLORS.electricity },
+            { name: 'Water', value: counts.water, color: SERVICE_COLORS.water },
+            { name: 'Gas', value: counts.gas, color: SERVICE_COLORS.gas },
+            { name: 'Complaints', value: complaints.length, color: SERVICE_COLORS.complaints },
+        ],
+    };
+}
+
+/** A complaint as kiosks see it, without the contacts it notifies */
+function publicComplaint(record) {
+    if (!record) return null;
+    const complaint = { ...record };
+    delete complaint.contacts;
+    return complaint;
+}
+
+/**
+ * Queue a citizen notification. The contact on a complaint ticket is
+ * also told about the complaint's later status changes.
+ * @returns {object} The stored notification
+ * @throws {NotificationError}
+ */
+function queueNotification(store, notifier, request, options) {
+    const notification = notifier.enqueue(request, options);
+    if (notification.template === 'complaintRegistered') {
+        const { channel, to, lang } = notification;
+        store.addComplaintContact(notification.params.ticketId, { channel, to, lang });
+    }
+    return notification;
+}
+
+/** Tell a complaint's contacts about its new status */
+function notifyStatusChange(notifier, complaint) {
+    for (const { channel, to, lang } of complaint.contacts || []) {
+        try {
+            notifier.enqueue({ template: 'complaintStatus', channel, to, lang, params: { ticketId: complaint.ticketId, status: complaint.status } });
+        } catch (err) {
+            console.error(`Status notification for ${complaint.ticketId} not queued:`, err.message);
+        }
+    }
+}
+
+/**
+ * Process one record of a sync batch, honouring its idempotency key
+ * @returns {{ idempotencyKey: string, status: string, reason?: string, retryable?: boolean }}
+ */
+function syncRecord(store, notifier, record, kioskId) {
+    const key = record?.idempotencyKey;
+    if (!key) return { idempotencyKey: key, status: 'rejected', reason: 'Missing idempotencyKey', retryable: false };
+
+    // A replayed conflict is reported again so the kiosk still flags it
+    const previous = store.getIdempotentResult(key);
+    if (previous?.status === 'conflict') return { idempotencyKey: key, ...previous };
+    if (previous) return { idempotencyKey: key, status: 'duplicate' };
+
+    let result;
+    if (record.kind === 'transaction') result = store.addPayment(record.data, kioskId);
+    else if (record.kind === 'complaint') result = store.addComplaint(record.data, kioskId);
+    else if (record.kind === 'notification') result = syncNotification(store, notifier, record, kioskId);
+    else result = { status: 'rejected', reason: `Unknown record kind: ${record.kind}` };
+
+    if (result.status === 'conflict') {
+        const conflict = { status: 'conflict', conflictWith: result.conflictWith, reason: result.reason };
+        store.rememberIdempotentResult(key, conflict);
+        return { idempotencyKey: key, ...conflict };
+    }
+    if (result.status !== 'rejected') store.rememberIdempotentResult(key, { status: result.status });
+    return {
+        idempotencyKey: key,
+        status: result.status,
+        ...(result.reason ? { reason: result.reason, retryable: false } : {}),
+    };
+}
+
+/** Queue a notification from a kiosk's sync batch, keyed by its idempotency key */
+function syncNotification(store, notifier, record, kioskId) {
+    try {
+        queueNotification(store, notifier, record.data, { id: record.idempotencyKey, kioskId });
+        return { status: 'accepted' };
+    } catch (err) {
+        if (err instanceof NotificationError) return { status: 'rejected', reason: err.message };
+        throw err;
+    }
+}
+
+/**
+ * Route table: [method, pattern, handler(ctx)]. Patterns use :params.
+ * Handlers return a JSON-serialisable value; null means 404.
+ * @param {object} store
+ * @param {object} services
+ * @param {object} services.notifier - Notification queue (notifications.js)
+ * @param {object} services.otp - OTP service (notifications.js)
+ * @param {string} [services.provisioningToken] - Required to register kiosk signing keys; unset disables it
+ */
+export function createRoutes(store, { notifier, otp, provisioningToken = '' }) {
+    return [
+        ['GET', '/api/health', () => ({ ok: true })],
+
+        ['GET', '/api/utilities/:utility/bills/:consumerId', ({ params }) => {
+            const service = requireUtility(params.utility);
+            const invalid = validateConsumerId(service, params.consumerId);
+            if (invalid) throw new HttpError(400, t('en', invalid.error, invalid.params));
+            const bill = store.getBill(params.consumerId);
+            return bill && bill.service === service ? bill : null;
+        }],
+
+        ['GET', '/api/utilities/:utility/bills/:consumerId/history', ({ params }) => {
+            requireUtility(params.utility);
+            return store.getHistory(params.consumerId);
+        }],
+
+        ['POST', '/api/utilities/:utility/payments', ({ params, body, kioskId }) => {
+            const service = requireUtility(params.utility);
+            const result = store.addPayment({ ...body, service }, kioskId);
+            if (result.status === 'rejected') throw new HttpError(400, result.reason);
+            return result;
+        }],
+
+        // The payment, or the per-bill payments of a cart payment; for receipt reprints
+        ['GET', '/api/transactions/:txnId', ({ params }) => {
+            const payments = store.getPaymentsFor(params.txnId);
+            return payments.length > 0 ? payments : null;
+        }],
+
+        ['POST', '/api/complaints', ({ body, kioskId }) => {
+            const result = store.addComplaint(body, kioskId);
+            if (result.status === 'rejected') throw new HttpError(400, result.reason);
+            return publicComplaint(result.complaint);
+        }],
+
+        ['GET', '/api/complaints/:ticketId', ({ params }) => publicComplaint(store.getComplaint(params.ticketId))],
+
+        // Officer update: a new status { status, remark?, officer? }, or a remark alone
+        ['PATCH', '/api/complaints/:ticketId', ({ params, body }) => {
+            const before = store.getComplaint(params.ticketId)?.status;
+            if (!before) return null;
+            const status = body?.status;
+            if (status && status !== before) {
+                if (!COMPLAINT_STATUSES.includes(status)) throw new HttpError(400, `status must be one of: ${COMPLAINT_STATUSES.join(', ')}`);
+                if (!canMoveComplaint(before, status)) throw new HttpError(409, `A ${before} complaint cannot move to ${status}`);
+            }
+            const complaint = store.updateComplaint(params.ticketId, body || {});
+            if (complaint.status !== before) notifyStatusChange(notifier, complaint);
+            return publicComplaint(complaint);
+        }],
+
+        ['GET', '/api/citizens/:citizenId/complaints', ({ params }) => store.complaintsFor(params.citizenId).map(publicComplaint)],
+
+        ['POST', '/api/sync', ({ body, kioskId }) => {
+            if (!Array.isArray(body?.records)) throw new HttpError(400, 'records must be an array');
+            const from = body.kioskId || kioskId;
+            store.touchKiosk(from);
+            return { results: body.records.map(record => syncRecord(store, notifier, record, from)) };
+        }],
+
+        ['POST', '/api/upi/intents', ({ body, kioskId }) => {
+            const result = store.createUpiIntent(body, kioskId);
+            if (result.status === 'rejected') throw new HttpError(400, result.reason);
+            return result;
+        }],
+
+        ['GET', '/api/upi/intents/:txnId', ({ params }) => store.getUpiIntent(params.txnId)],
+
+        ['POST', '/api/upi/intents/:txnId/cancel', ({ params }) => store.cancelUpiIntent(params.txnId)],
+
+        // What the PSP calls on payment events; POST here by hand to simulate the payer
+        ['POST', '/api/upi/callback', ({ body }) => {
+            if (!body?.tr || !UPI_CALLBACK_STATUSES.includes(body.status)) {
+                throw new HttpError(400, `tr and a status of ${UPI_CALLBACK_STATUSES.join(', ')} are required`);
+            }
+            return store.applyUpiCallback(body);
+        }],
+
+        ['POST', '/api/kiosks/:kioskId/signing-key', async ({ params, body, credentials }) => {
+            requireProvisioning(provisioningToken, credentials.provisioningToken);
+            await requireUsableKey(body?.publicKey);
+            const result = store.registerSigningKey(params.kioskId, body.publicKey);
+            if (result.status === 'rejected') throw new HttpError(400, result.reason);
+            return result;
+        }],
+
+        // Receipt QR check for utility offices; shows only what a verifier needs
+        ['POST', '/api/receipts/verify', async ({ body }) => {
+            if (typeof body?.code !== 'string') throw new HttpError(400, 'code is required');
+            const result = await verifyReceiptCode(body.code, {
+                getPublicKey: async kioskId => store.getSigningKeys(kioskId),
+                getTransactions: async txnId => store.getPaymentsFor(txnId),
+            });
+            if (result.status === 'malformed') throw new HttpError(400, 'Not a receipt verification code');
+            return {
+                ...result,
+                transactions: result.transactions?.map(({ txnId, consumerId, service, amount, total, receivedAt }) => (
+                    { txnId, consumerId, service, amount, total, receivedAt }
+                )),
+            };
+        }],
+
+        ['POST', '/api/notifications', ({ body, kioskId }) => {
+            try {
+                return notificationStatus(queueNotification(store, notifier, body, { kioskId }));
+            } catch (err) {
+                if (err instanceof NotificationError) throw new HttpError(400, err.message);
+                throw err;
+            }
+        }],
+
+        ['GET', '/api/notifications/:id', ({ params }) => {
+            const notification = store.getNotification(params.id);
+            return notification && notificationStatus(notification);
+        }],
+
+        ['POST', '/api/otp', ({ body }) => {
+            try {
+                return otp.request(body);
+            } catch (err) {
+                if (err instanceof NotificationError) throw new HttpError(400, err.message);
+                throw err;
+            }
+        }],
+
+        ['POST', '/api/otp/verify', ({ body }) => {
+            if (!body?.requestId || !body.code) throw new HttpError(400, 'requestId and code are required');
+            return otp.verify(body);
+        }],
+
+        ['GET', '/api/admin/stats', () => adminStats(store.snapshot())],
+
+        ['GET', '/api/admin/conflicts', () => store.getConflicts()],
+
+        ['POST', '/api/admin/conflicts/:txnId/resolve', ({ params, body }) => {
+            if (!RESOLUTION_ACTIONS.includes(body?.action)) {
+                throw new HttpError(400, `action must be one of: ${RESOLUTION_ACTIONS.join(', ')}`);
+            }
+            return store.resolveConflict(params.txnId, body);
+        }],
+    ];
+}
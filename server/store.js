@@ -0,0 +1,398 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Mock Backend Store
+ * In-memory municipal data, optionally persisted to a JSON file
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { mockBills, mockComplaints } from '../src/utils/mockData.js';
+import { balanceAfterPayment } from '../src/utils/paymentRules.js';
+
+/** Utility code (as used in URLs) → service type */
+export const UTILITY_SERVICES = {
+    pseb: 'electricity',
+    phed: 'water',
+    gpl: 'gas',
+};
+
+/**
+ * Same consumer, bill period and amount → the same bill paid twice.
+ * Tolerates malformed fields on payments stored before intake was
+ * validated, so one bad record cannot break every later payment.
+ */
+function isSamePayment(a, b) {
+    return String(a.consumerId ?? '').toUpperCase() === String(b.consumerId ?? '').toUpperCase()
+        && String(a.billPeriod ?? '') === String(b.billPeriod ?? '')
+        && Number(a.amount) === Number(b.amount);
+}
+
+/**
+ * Why a payment cannot be stored, checked before anything is changed
+ * @returns {string|null} null when the payment is well formed
+ */
+function invalidPayment(payment) {
+    if (typeof payment?.txnId !== 'string' || !payment.txnId) return 'txnId must be a non-empty string';
+    if (typeof payment.consumerId !== 'string' || !payment.consumerId) return 'consumerId must be a non-empty string';
+    if (!(Number.isFinite(payment.amount) && payment.amount > 0)) return 'amount must be a positive number';
+    if (payment.billPeriod != null && typeof payment.billPeriod !== 'string') return 'billPeriod must be a string';
+    return null;
+}
+
+function seedState() {
+    return {
+        bills: Object.fromEntries(mockBills.map(b => [b.id.toUpperCase(), { ...b }])),
+        payments: [],
+        complaints: Object.fromEntries(mockComplaints.map(c => [c.ticketId, structuredClone(c)])),
+        idempotency: {},
+        upiIntents: {},
+        kiosks: {},
+        signingKeys: {},
+        retiredSigningKeys: {},
+        notifications: {},
+        otps: {},
+        complaintSeq: 1000,
+    };
+}
+
+/**
+ * Create the backend store
+ * @param {object} [options]
+ * @param {string} [options.file] - JSON file to load from and persist to
+ * @returns {object} Store API
+ */
+export function createStore({ file } = {}) {
+    let state = seedState();
+
+    if (file && fs.existsSync(file)) {
+        state = { ...state, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    }
+
+    function persist() {
+        if (!file) return;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+        fs.renameSync(tmp, file);
+    }
+
+    function touchKiosk(kioskId) {
+        if (kioskId) state.kiosks[kioskId] = { lastSeen: new Date().toISOString() };
+    }
+
+    /** Pending UPI intents past their expiry become expired */
+    function expireIntent(intent) {
+        if (intent?.status === 'pending' && Date.now() > Date.parse(intent.expiresAt)) {
+            intent.status = 'expired';
+            persist();
+        }
+        return intent || null;
+    }
+
+    return {
+        touchKiosk,
+
+        getBill(consumerId) {
+            return state.bills[consumerId.toUpperCase()] || null;
+        },
+
+        getHistory(consumerId) {
+            const id = consumerId.toUpperCase();
+            return state.payments.filter(p => String(p.consumerId ?? '').toUpperCase() === id);
+        },
+
+        /**
+         * Record a payment. Replays of the same txnId are reported as duplicates.
+         * A different txnId for a bill period already paid with the same amount
+         * is stored (the money was collected) but flagged as a conflict.
+         * @returns {{ status: 'accepted'|'duplicate'|'conflict'|'rejected', reason?: string,
+         *   receiptNo?: string, conflictWith?: string }}
+         */
+        addPayment(payment, kioskId) {
+            const reason = invalidPayment(payment);
+            if (reason) return { status: 'rejected', reason };
+            if (state.payments.some(p => p.txnId === payment.txnId)) {
+                return { status: 'duplicate', receiptNo: payment.txnId };
+            }
+
+            const record = { ...payment, kioskId, receivedAt: new Date().toISOString() };
+            const earlier = record.billPeriod
+                ? state.payments.find(p => isSamePayment(p, record) && p.conflict?.resolution?.action !== 'refund')
+                : null;
+            if (earlier) {
+                record.conflict = { with: earlier.txnId, flaggedAt: record.receivedAt, resolution: null };
+            }
+            state.payments.push(record);
+
+            const bill = state.bills[payment.consumerId.toUpperCase()];
+            if (bill) {
+                const { balance, advance } = balanceAfterPayment(bill.amount, record.amount);
+                bill.billedAmount ??= bill.amount;
+                bill.amount = balance;
+                record.balance = balance;
+                // Advance payments, and cash overpaid without change available, are held as account credit
+                const credit = advance + (Number(record.credit) || 0);
+                if (credit > 0) bill.credit = (bill.credit || 0) + credit;
+                bill.lastPaymentDate = record.receivedAt.slice(0, 10);
+            }
+            touchKiosk(kioskId);
+            persist();
+            if (earlier) {
+                return {
+                    status: 'conflict',
+                    receiptNo: record.txnId,
+                    conflictWith: earlier.txnId,
+                    reason: `Bill ${record.billPeriod} already paid with the same amount (${earlier.txnId})`,
+                };
+            }
+            return { status: 'accepted', receiptNo: record.txnId };
+        },
+
+        /** The payment with this txnId, or the per-bill payments of the cart payment with it */
+        getPaymentsFor(txnId) {
+            return state.payments.filter(p => p.txnId === txnId || p.cartTxnId === txnId);
+        },
+
+        /** Payments flagged as possible duplicates and not yet resolved */
+        getConflicts() {
+            return state.payments
+                .filter(p => p.conflict && !p.conflict.resolution)
+                .map(p => ({
+                    txnId: p.txnId,
+                    conflictWith: p.conflict.with,
+                    consumerId: p.consumerId,
+                    billPeriod: p.billPeriod,
+                    amount: p.amount,
+                    kioskId: p.kioskId,
+                    flaggedAt: p.conflict.flaggedAt,
+                }));
+        },
+
+        /**
+         * Close a conflict by marking the payment for refund or reconciliation
+         * @returns {object|null} The payment, or null if it is not a conflict
+         */
+        resolveConflict(txnId, { action, note, officer }) {
+            const payment = state.payments.find(p => p.txnId === txnId && p.conflict);
+            if (!payment) return null;
+            payment.conflict.resolution = { action, note: note || '', officer: officer || null, at: new Date().toISOString() };
+            persist();
+            return payment;
+        },
+
+        /**
+         * File a complaint. An existing ticketId is kept (offline-generated tickets).
+         * @returns {{ status: 'accepted'|'duplicate'|'rejected', reason?: string, complaint?: object }}
+         */
+        addComplaint(complaint, kioskId) {
+            if (!complaint?.description && !complaint?.category) {
+                return { status: 'rejected', reason: 'A category or description is required' };
+            }
+            const ticketId = complaint.ticketId || `COMP-${new Date().getFullYear()}-${String(++state.complaintSeq).padStart(5, '0')}`;
+            if (state.complaints[ticketId]) {
+                return { status: 'duplicate', complaint: state.complaints[ticketId] };
+            }
+
+            const now = new Date().toISOString();
+            const record = {
+                ...complaint,
+                ticketId,
+                kioskId,
+                status: 'submitted',
+                createdAt: complaint.timestamp || now,
+                history: [{ status: 'submitted', at: complaint.timestamp || now, remark: 'Complaint registered at kiosk', officer: null }],
+            };
+            state.complaints[ticketId] = record;
+            touchKiosk(kioskId);
+            persist();
+            return { status: 'accepted', complaint: record };
+        },
+
+        /**
+         * Register a kiosk's receipt signing key (public JWK). A different
+         * key rotates it: the earlier key is retired, and still verifies
+         * the receipts signed with it. The caller checks who may do this.
+         * @returns {{ status: 'accepted'|'unchanged'|'rotated'|'rejected', reason?: string }}
+         */
+        registerSigningKey(kioskId, publicKey) {
+            if (publicKey?.kty !== 'EC' || publicKey.crv !== 'P-256' || !publicKey.x || !publicKey.y) {
+                return { status: 'rejected', reason: 'publicKey must be an EC P-256 public key (JWK)' };
+            }
+            const existing = state.signingKeys[kioskId];
+            if (existing?.x === publicKey.x && existing.y === publicKey.y) return { status: 'unchanged' };
+            if (existing) (state.retiredSigningKeys[kioskId] ??= []).unshift(existing);
+            const { kty, crv, x, y } = publicKey;
+            state.signingKeys[kioskId] = { kty, crv, x, y };
+            touchKiosk(kioskId);
+            persist();
+            return { status: existing ? 'rotated' : 'accepted' };
+        },
+
+        /** A kiosk's signing keys, current first; empty when it has none */
+        getSigningKeys(kioskId) {
+            const current = state.signingKeys[kioskId];
+            return current ? [current, ...(state.retiredSigningKeys[kioskId] || [])] : [];
+        },
+
+        /**
+         * Remember a contact to tell when a complaint's status changes
+         * @param {string} ticketId
+         * @param {object} contact - { channel, to, lang }
+         * @returns {boolean} false when the complaint is unknown
+         */
+        addComplaintContact(ticketId, contact) {
+            const record = state.complaints[ticketId.toUpperCase()];
+            if (!record) return false;
+            record.contacts ??= [];
+            if (!record.contacts.some(c => c.channel === contact.channel && c.to === contact.to)) {
+                record.contacts.push(contact);
+                persist();
+            }
+            return true;
+        },
+
+        getComplaint(ticketId) {
+            return state.complaints[ticketId.toUpperCase()] || null;
+        },
+
+        /** A citizen's complaints, newest first */
+        complaintsFor(citizenId) {
+            return Object.values(state.complaints)
+                .filter(c => c.citizenId === citizenId)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        },
+
+        /** Move a complaint to a new status (or add a remark), appending to its history */
+        updateComplaint(ticketId, { status, remark, officer }) {
+            const record = state.complaints[ticketId.toUpperCase()];
+            if (!record) return null;
+            record.status = status || record.status;
+            if (officer) record.officer = officer;
+            record.history.push({ status: record.status, at: new Date().toISOString(), remark: remark || '', officer: officer || record.officer || null });
+            persist();
+            return record;
+        },
+
+        /**
+         * Register a UPI QR intent. Re-registering the same txnId returns the existing intent.
+         * @returns {{ status: string, expiresAt: string }|{ status: 'rejected', reason: string }}
+         */
+        createUpiIntent(intent, kioskId) {
+            if (!intent?.txnId || !intent.tr || !(Number(intent.amount) > 0) || !intent.expiresAt) {
+                return { status: 'rejected', reason: 'txnId, tr, a positive amount and expiresAt are required' };
+            }
+            const existing = state.upiIntents[intent.txnId];
+            if (existing) return existing;
+            const record = {
+                txnId: intent.txnId,
+                tr: intent.tr,
+                amount: Number(intent.amount),
+                consumerId: intent.consumerId || null,
+                kioskId,
+                status: 'pending',
+                createdAt: new Date().toISOString(),
+                expiresAt: intent.expiresAt,
+            };
+            state.upiIntents[intent.txnId] = record;
+            persist();
+            return record;
+        },
+
+        /** Current state of a UPI intent */
+        getUpiIntent(txnId) {
+            return expireIntent(state.upiIntents[txnId]);
+        },
+
+        /** Withdraw a pending intent (citizen cancelled or the kiosk gave up) */
+        cancelUpiIntent(txnId) {
+            const intent = expireIntent(state.upiIntents[txnId]);
+            if (!intent) return null;
+            if (intent.status === 'pending') {
+                intent.status = 'cancelled';
+                persist();
+            }
+            return intent;
+        },
+
+        /**
+         * Apply a PSP callback. Money arriving for an intent that is no longer
+         * pending (cancelled or expired) is kept as a late payment for refund.
+         * @param {object} callback - { tr, status: 'processing'|'success'|'failed', utr?, payerVpa?, reason? }
+         */
+        applyUpiCallback({ tr, status, utr, payerVpa, reason }) {
+            const intent = expireIntent(Object.values(state.upiIntents).find(i => i.tr === tr));
+            if (!intent) return null;
+            const open = intent.status === 'pending' || intent.status === 'processing';
+            if (open) {
+                Object.assign(intent, { status, utr, payerVpa, reason, updatedAt: new Date().toISOString() });
+            } else if (status === 'success') {
+                intent.latePayment = { utr, payerVpa, at: new Date().toISOString() };
+            }
+            persist();
+            return intent;
+        },
+
+        /** Queue a notification (notifications.js); an id already queued returns that one */
+        addNotification(notification) {
+            if (state.notifications[notification.id]) return state.notifications[notification.id];
+            state.notifications[notification.id] = notification;
+            persist();
+            return notification;
+        },
+
+        getNotification(id) {
+            return state.notifications[id] || null;
+        },
+
+        /** Queued notifications whose next attempt is due, oldest first */
+        dueNotifications(now = Date.now()) {
+            return Object.values(state.notifications)
+                .filter(n => n.status === 'queued' && Date.parse(n.nextAttemptAt) <= now)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        },
+
+        updateNotification(id, changes) {
+            const notification = state.notifications[id];
+            if (!notification) return null;
+            Object.assign(notification, changes);
+            persist();
+            return notification;
+        },
+
+        /** Store an OTP request (its code hashed), dropping expired ones */
+        saveOtp(otp) {
+            for (const [requestId, old] of Object.entries(state.otps)) {
+                if (Date.now() > Date.parse(old.expiresAt)) delete state.otps[requestId];
+            }
+            state.otps[otp.requestId] = otp;
+            persist();
+        },
+
+        getOtp(requestId) {
+            return state.otps[requestId] || null;
+        },
+
+        updateOtp(requestId, changes) {
+            const otp = state.otps[requestId];
+            if (!otp) return null;
+            Object.assign(otp, changes);
+            persist();
+            return otp;
+        },
+
+        /** Previously stored result for an idempotency key, if any */
+        getIdempotentResult(key) {
+            return state.idempotency[key] || null;
+        },
+
+        rememberIdempotentResult(key, result) {
+            state.idempotency[key] = result;
+            persist();
+        },
+
+        snapshot() {
+            return state;
+        },
+    };
+}
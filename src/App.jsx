@@ -10,6 +10,10 @@
 import { useState, useEffect, useCallback, useRef, lazy, Suspense } from 'react';
 import { BrowserRouter, Routes, Route, useNavigate, useLocation } from 'react-router-dom';
 import { t } from './utils/i18n';
+import { DEMO_MODE } from './utils/config';
+import { addCartItem, removeCartItem } from './utils/cart';
+
+const TICKER_TEXT = `🔧 PROTOTYPE DEMONSTRATION — This is a UI prototype.${DEMO_MODE ? ' All data is simulated. Enter any number as Consumer ID.' : ''}`;
 
 /* ── Lazy-loaded screens ──────────────────────── */
 const IdleScreen = lazy(() => import('./components/IdleScreen'));
@@ -18,7 +22,11 @@ const AuthScreen = lazy(() => import('./components/AuthScreen'));
 const CitizenDashboard = lazy(() => import('./components/CitizenDashboard'));
 const HomeScreen = lazy(() => import('./components/HomeScreen'));
 const BillPayment = lazy(() => import('./components/BillPayment'));
+const CartCheckout = lazy(() => import('./components/CartCheckout'));
 const ComplaintForm = lazy(() => import('./components/ComplaintForm'));
+const ReceiptVerifier = lazy(() => import('./components/ReceiptVerifier'));
+const ReceiptReprint = lazy(() => import('./components/ReceiptReprint'));
+const ComplaintTracker = lazy(() => import('./components/ComplaintTracker'));
 const AdminDashboard = lazy(() => import('./components/AdminDashboard'));
 const OfflineIndicator = lazy(() => import('./components/OfflineIndicator'));
 
@@ -35,6 +43,7 @@ function AppContent() {
   const [lang, setLang] = useState('en');
   const [isOnline, setIsOnline] = useState(navigator.onLine);
   const [citizen, setCitizen] = useState(null);
+  const [cart, setCart] = useState([]);
   const [showDevPanel, setShowDevPanel] = useState(false);
   const [devLogs, setDevLogs] = useState([]);
   const [showSOS, setShowSOS] = useState(false);
@@ -51,7 +60,7 @@ function AppContent() {
     if (idleTimerRef.current) clearTimeout(idleTimerRef.current);
     idleTimerRef.current = setTimeout(() => {
       if (screen !== 'idle' && location.pathname !== '/admin') {
-        setScreen('idle'); setCitizen(null); navigate('/'); addLog('Idle reset');
+        setScreen('idle'); setCitizen(null); setCart([]); navigate('/'); addLog('Idle reset');
       }
     }, 120000);
   }, [screen, location.pathname, navigate, addLog]);
@@ -72,6 +81,14 @@ function AppContent() {
     return () => window.removeEventListener('keydown', h);
   }, []);
 
+  /* Multi-bill cart; throws when the cart is full */
+  const addToCart = useCallback((...items) => {
+    setCart(items.reduce(addCartItem, cart)); addLog(`Cart: +${items.map(i => i.consumerId).join(', ')}`);
+  }, [cart, addLog]);
+
+  const removeFromCart = useCallback((consumerId) => setCart(c => removeCartItem(c, consumerId)), []);
+  const clearCart = useCallback(() => setCart([]), []);
+
   const handlePath = useCallback((path) => {
     if (path === 'guest') { setScreen('guest'); navigate('/'); addLog('Guest'); }
     else { setScreen('citizen-auth'); addLog('Citizen login'); }
@@ -83,7 +100,7 @@ function AppContent() {
 
   const goHome = useCallback(() => {
     if (screen === 'citizen-dashboard' || screen === 'guest') navigate('/');
-    else { setScreen('idle'); setCitizen(null); navigate('/'); }
+    else { setScreen('idle'); setCitizen(null); setCart([]); navigate('/'); }
   }, [screen, navigate]);
 
   const showPersistent = screen === 'guest' || screen === 'citizen-dashboard';
@@ -95,8 +112,8 @@ function AppContent() {
       {screen !== 'idle' && (
         <div className="proto-ticker">
           <div className="proto-ticker-inner">
-            <span>🔧 PROTOTYPE DEMONSTRATION — This is a UI prototype. All data is simulated. Enter any number as Consumer ID.&nbsp;&nbsp;&nbsp;•&nbsp;&nbsp;&nbsp;</span>
-            <span>🔧 PROTOTYPE DEMONSTRATION — This is a UI prototype. All data is simulated. Enter any number as Consumer ID.&nbsp;&nbsp;&nbsp;•&nbsp;&nbsp;&nbsp;</span>
+            <span>{TICKER_TEXT}&nbsp;&nbsp;&nbsp;•&nbsp;&nbsp;&nbsp;</span>
+            <span>{TICKER_TEXT}&nbsp;&nbsp;&nbsp;•&nbsp;&nbsp;&nbsp;</span>
           </div>
         </div>
       )}
@@ -131,6 +148,12 @@ function AppContent() {
                   </div>
                 </button>
                 <div className="flex items-center gap-2">
+                  {cart.length > 0 && (
+                    <button onClick={() => navigate('/cart')}
+                      className="px-2 py-0.5 rounded-full text-xs font-bold bg-green-500/15 text-green-400 border border-green-500/20 cursor-pointer">
+                      🛒 {cart.length}
+                    </button>
+                  )}
                   <span className={`px-2 py-0.5 rounded-full text-xs font-bold ${screen === 'citizen-dashboard'
                       ? 'bg-green-500/15 text-green-400 border border-green-500/20'
                       : 'bg-blue-500/15 text-blue-400 border border-blue-500/20'
@@ -154,11 +177,15 @@ function AppContent() {
               <Routes location={location}>
                 <Route path="/" element={
                   screen === 'citizen-dashboard'
-                    ? <CitizenDashboard lang={lang} citizen={citizen} onLogout={() => { setCitizen(null); setScreen('gateway'); }} isOnline={isOnline} />
+                    ? <CitizenDashboard lang={lang} citizen={citizen} onLogout={() => { setCitizen(null); setCart([]); setScreen('gateway'); }} isOnline={isOnline} onAddToCart={addToCart} />
                     : <HomeScreen lang={lang} setLang={setLang} onBack={() => setScreen('gateway')} />
                 } />
-                <Route path="/bill/:serviceType" element={<BillPayment lang={lang} isOnline={isOnline} />} />
-                <Route path="/complaint" element={<ComplaintForm lang={lang} isOnline={isOnline} />} />
+                <Route path="/bill/:serviceType" element={<BillPayment lang={lang} isOnline={isOnline} cart={cart} onAddToCart={addToCart} />} />
+                <Route path="/cart" element={<CartCheckout lang={lang} isOnline={isOnline} cart={cart} onRemove={removeFromCart} onClear={clearCart} />} />
+                <Route path="/complaint" element={<ComplaintForm lang={lang} isOnline={isOnline} citizen={citizen} />} />
+                <Route path="/verify" element={<ReceiptVerifier lang={lang} />} />
+                <Route path="/reprint" element={<ReceiptReprint lang={lang} isOnline={isOnline} />} />
+                <Route path="/track/:ticketId?" element={<ComplaintTracker lang={lang} isOnline={isOnline} />} />
                 <Route path="/admin" element={<AdminDashboard lang={lang} />} />
               </Routes>
             </main>
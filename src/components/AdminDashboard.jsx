@@ -5,10 +5,15 @@
  * ═══════════════════════════════════════════════════════════
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 import { t } from '../utils/i18n';
 import { adminMockData } from '../utils/mockData';
+import { apiRequest } from '../utils/api';
+import { isBackendConfigured } from '../utils/config';
+import { getConflictQueue, resolveConflict } from '../utils/duplicatePayments';
+import { getInterruptedSessions, settleInterruptedSession } from '../utils/paymentMachine';
+import { publishSigningKey } from '../utils/receiptVerification';
 
 const ADMIN_CREDS = { username: 'admin', password: 'password123' };
 
@@ -17,6 +22,97 @@ export default function AdminDashboard({ lang }) {
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
+    const [data, setData] = useState(adminMockData);
+    const [conflicts, setConflicts] = useState([]);
+    const [conflictError, setConflictError] = useState('');
+    const [resolvingTxn, setResolvingTxn] = useState(null);
+    const [interrupted, setInterrupted] = useState([]);
+    const [recoveryError, setRecoveryError] = useState('');
+    const [provisioningToken, setProvisioningToken] = useState('');
+    const [keyStatus, setKeyStatus] = useState(null);
+    const [keyError, setKeyError] = useState('');
+    const [registeringKey, setRegisteringKey] = useState(false);
+
+    /** Live aggregates from the backend; mock figures otherwise */
+    useEffect(() => {
+        if (!isLoggedIn || !isBackendConfigured()) return;
+        let cancelled = false;
+        apiRequest('/admin/stats')
+            .then((stats) => { if (!cancelled && stats) setData(stats); })
+            .catch((err) => console.error('Failed to load admin stats:', err));
+        return () => { cancelled = true; };
+    }, [isLoggedIn]);
+
+    /** Duplicate payments awaiting a refund/reconcile decision */
+    useEffect(() => {
+        if (!isLoggedIn) return;
+        let cancelled = false;
+        getConflictQueue()
+            .then((queue) => { if (!cancelled) setConflicts(queue); })
+            .catch((err) => {
+                console.error('Failed to load conflict queue:', err);
+                if (!cancelled) setConflictError(err.message);
+            });
+        return () => { cancelled = true; };
+    }, [isLoggedIn]);
+
+    /** Payments a crash or reload left unfinished, for the operator to settle */
+    useEffect(() => {
+        if (!isLoggedIn) return;
+        let cancelled = false;
+        getInterruptedSessions()
+            .then((sessions) => { if (!cancelled) setInterrupted(sessions); })
+            .catch((err) => {
+                console.error('Failed to load interrupted payments:', err);
+                if (!cancelled) setRecoveryError(err.message);
+            });
+        return () => { cancelled = true; };
+    }, [isLoggedIn]);
+
+    const handleSettle = async (session, outcome) => {
+        setResolvingTxn(session.txnId);
+        setRecoveryError('');
+        try {
+            await settleInterruptedSession(session.txnId, outcome, { isOnline: navigator.onLine });
+            setInterrupted(list => list.filter(s => s.txnId !== session.txnId));
+        } catch (err) {
+            console.error('Failed to settle payment:', err);
+            setRecoveryError(err.message);
+        } finally {
+            setResolvingTxn(null);
+        }
+    };
+
+    /** The token is typed by the operator setting the kiosk up; it is not kept */
+    const handleRegisterKey = async () => {
+        setRegisteringKey(true);
+        setKeyError('');
+        setKeyStatus(null);
+        try {
+            const result = await publishSigningKey(provisioningToken);
+            setKeyStatus(result?.status || 'accepted');
+            setProvisioningToken('');
+        } catch (err) {
+            console.error('Failed to register the signing key:', err);
+            setKeyError(err.message);
+        } finally {
+            setRegisteringKey(false);
+        }
+    };
+
+    const handleResolve = async (item, action) => {
+        setResolvingTxn(item.txnId);
+        setConflictError('');
+        try {
+            await resolveConflict(item, action);
+            setConflicts(list => list.filter(c => c.txnId !== item.txnId));
+        } catch (err) {
+            console.error('Failed to resolve conflict:', err);
+            setConflictError(err.message);
+        } finally {
+            setResolvingTxn(null);
+        }
+    };
 
     const handleLogin = () => {
         if (username === ADMIN_CREDS.username && password === ADMIN_CREDS.password) {
@@ -77,10 +173,10 @@ export default function AdminDashboard({ lang }) {
 
     /** Dashboard */
     const stats = [
-        { label: t(lang, 'totalTransactions'), value: adminMockData.totalTransactions, icon: '💳', color: '#3B82F6' },
-        { label: t(lang, 'activeKiosks'), value: adminMockData.activeKiosks, icon: '📟', color: '#10B981' },
-        { label: t(lang, 'pendingComplaints'), value: adminMockData.pendingComplaints, icon: '📋', color: '#F59E0B' },
-        { label: t(lang, 'revenueCollected'), value: adminMockData.revenueCollected, icon: '💰', color: '#8B5CF6' },
+        { label: t(lang, 'totalTransactions'), value: data.totalTransactions, icon: '💳', color: '#3B82F6' },
+        { label: t(lang, 'activeKiosks'), value: data.activeKiosks, icon: '📟', color: '#10B981' },
+        { label: t(lang, 'pendingComplaints'), value: data.pendingComplaints, icon: '📋', color: '#F59E0B' },
+        { label: t(lang, 'revenueCollected'), value: data.revenueCollected, icon: '💰', color: '#8B5CF6' },
     ];
 
     return (
@@ -121,7 +217,7 @@ export default function AdminDashboard({ lang }) {
                 <div className="glass-card rounded-2xl p-5 fast-fade-in" style={{ animationDelay: '0.2s' }}>
                     <h3 className="text-white font-bold mb-4">{lang === 'hi' ? 'प्रति घंटा लेनदेन' : 'Hourly Transactions'}</h3>
                     <ResponsiveContainer width="100%" height={250}>
-                        <BarChart data={adminMockData.hourlyData}>
+                        <BarChart data={data.hourlyData}>
                             <XAxis dataKey="hour" tick={{ fill: '#6B7280', fontSize: 10 }} axisLine={false} tickLine={false} />
                             <YAxis tick={{ fill: '#6B7280', fontSize: 10 }} axisLine={false} tickLine={false} />
                             <Tooltip
@@ -139,14 +235,14 @@ export default function AdminDashboard({ lang }) {
                     <ResponsiveContainer width="100%" height={250}>
                         <PieChart>
                             <Pie
-                                data={adminMockData.serviceBreakdown}
+                                data={data.serviceBreakdown}
                                 cx="50%" cy="50%"
                                 innerRadius={55} outerRadius={90}
                                 dataKey="value"
                                 label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
                                 labelLine={false}
                             >
-                                {adminMockData.serviceBreakdown.map((entry, i) => (
+                                {data.serviceBreakdown.map((entry, i) => (
                                     <Cell key={i} fill={entry.color} />
                                 ))}
                             </Pie>
@@ -172,7 +268,7 @@ export default function AdminDashboard({ lang }) {
                             fill="rgba(255,255,255,0.15)" stroke="rgba(255,255,255,0.2)" strokeWidth="1"
                         />
                     </svg>
-                    {adminMockData.heatmapPoints.map((point) => (
+                    {data.heatmapPoints.map((point) => (
                         <div
                             key={point.name}
                             className="absolute group cursor-pointer"
@@ -196,6 +292,113 @@ export default function AdminDashboard({ lang }) {
                 </div>
             </div>
 
+            {/* Interrupted Payments */}
+            <div className="glass-card rounded-2xl p-5 fast-fade-in" style={{ animationDelay: '0.45s' }}>
+                <h3 className="text-white font-bold mb-4">⏸️ {t(lang, 'interruptedPayments')}</h3>
+                {recoveryError && <p className="text-red-400 text-sm mb-3">{recoveryError}</p>}
+                {interrupted.length === 0 ? (
+                    <p className="text-white/40 text-sm">{t(lang, 'noInterruptedPayments')}</p>
+                ) : (
+                    <div className="space-y-2">
+                        {interrupted.map(s => (
+                            <div key={s.txnId} className="flex flex-wrap items-center gap-3 border-b border-white/3 py-2">
+                                <div className="flex-1 min-w-[200px]">
+                                    <p className="text-white/70 font-mono text-xs">{s.txnId}</p>
+                                    <p className="text-white/30 text-xs">
+                                        <span className="capitalize">{s.method}</span> · {s.state} · {new Date(s.updatedAt).toLocaleString('en-IN')}
+                                    </p>
+                                    {s.details?.cashInserted > 0 && (
+                                        <p className="text-amber-400 text-xs">💵 ₹{s.details.cashInserted.toLocaleString('en-IN')} inserted</p>
+                                    )}
+                                    {s.details?.unrecorded && (
+                                        <p className="text-red-400 text-xs" title={s.details.unrecorded}>🧾 {t(lang, 'paidNotRecorded')}</p>
+                                    )}
+                                </div>
+                                <span className="text-white font-mono font-bold">₹{Number(s.amount).toLocaleString('en-IN')}</span>
+                                <button onClick={() => handleSettle(s, 'success')} disabled={resolvingTxn === s.txnId}
+                                    className="px-3 py-1 rounded-lg bg-green-500/15 text-green-400 text-xs font-bold cursor-pointer border border-green-500/20 disabled:opacity-30">
+                                    {t(lang, 'settleReceived')}
+                                </button>
+                                <button onClick={() => handleSettle(s, 'cancelled')} disabled={resolvingTxn === s.txnId}
+                                    className="px-3 py-1 rounded-lg bg-white/5 text-white/60 text-xs font-bold cursor-pointer border border-white/10 disabled:opacity-30">
+                                    {t(lang, 'settleNotReceived')}
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {/* Receipt Signing Key */}
+            {isBackendConfigured() && (
+                <div className="glass-card rounded-2xl p-5 fast-fade-in" style={{ animationDelay: '0.45s' }}>
+                    <h3 className="text-white font-bold mb-2">🔏 {t(lang, 'signingKey')}</h3>
+                    <p className="text-white/40 text-sm mb-4">{t(lang, 'signingKeyHelp')}</p>
+                    <div className="flex flex-wrap gap-3">
+                        <input
+                            type="password"
+                            value={provisioningToken}
+                            onChange={(e) => setProvisioningToken(e.target.value)}
+                            placeholder={t(lang, 'provisioningToken')}
+                            autoComplete="off"
+                            className="flex-1 min-w-[200px] p-3 rounded-xl bg-white/5 border border-white/10 text-white text-sm focus:border-indigo-500 outline-none"
+                        />
+                        <button onClick={handleRegisterKey} disabled={!provisioningToken || registeringKey}
+                            className="px-4 py-2 rounded-xl gradient-primary text-white font-bold text-sm cursor-pointer border-0 disabled:opacity-30">
+                            {t(lang, 'registerSigningKey')}
+                        </button>
+                    </div>
+                    {keyStatus && <p className="text-green-400 text-sm mt-3">✅ {t(lang, 'signingKeyRegistered')}</p>}
+                    {keyError && <p className="text-red-400 text-sm mt-3">{keyError}</p>}
+                </div>
+            )}
+
+            {/* Duplicate Payment Resolution Queue */}
+            <div className="glass-card rounded-2xl p-5 fast-fade-in" style={{ animationDelay: '0.45s' }}>
+                <h3 className="text-white font-bold mb-4">⚠️ {t(lang, 'conflictQueue')}</h3>
+                {conflictError && <p className="text-red-400 text-sm mb-3">{conflictError}</p>}
+                {conflicts.length === 0 ? (
+                    <p className="text-white/40 text-sm">{t(lang, 'noConflicts')}</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-white/30 text-left border-b border-white/5">
+                                    <th className="pb-3 font-semibold">{t(lang, 'transactionId')}</th>
+                                    <th className="pb-3 font-semibold">{t(lang, 'duplicateOf')}</th>
+                                    <th className="pb-3 font-semibold">{t(lang, 'kioskId')}</th>
+                                    <th className="pb-3 font-semibold text-right">{t(lang, 'amount')}</th>
+                                    <th className="pb-3" />
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {conflicts.map(c => (
+                                    <tr key={c.txnId} className="border-b border-white/3">
+                                        <td className="py-3 text-white/70 font-mono text-xs">
+                                            {c.txnId}
+                                            {c.consumerId && <span className="block text-white/30">{c.consumerId} · {c.billPeriod}</span>}
+                                        </td>
+                                        <td className="py-3 text-white/50 font-mono text-xs">{c.conflictWith || '-'}</td>
+                                        <td className="py-3 text-white/70 font-semibold">{c.kioskId || '-'}</td>
+                                        <td className="py-3 text-white text-right font-mono font-bold">{c.amount != null ? `₹${c.amount.toLocaleString('en-IN')}` : '-'}</td>
+                                        <td className="py-3 text-right whitespace-nowrap">
+                                            <button onClick={() => handleResolve(c, 'refund')} disabled={resolvingTxn === c.txnId}
+                                                className="px-3 py-1 ml-2 rounded-lg bg-red-500/15 text-red-400 text-xs font-bold cursor-pointer border border-red-500/20 disabled:opacity-30">
+                                                {t(lang, 'markRefund')}
+                                            </button>
+                                            <button onClick={() => handleResolve(c, 'reconcile')} disabled={resolvingTxn === c.txnId}
+                                                className="px-3 py-1 ml-2 rounded-lg bg-green-500/15 text-green-400 text-xs font-bold cursor-pointer border border-green-500/20 disabled:opacity-30">
+                                                {t(lang, 'markReconcile')}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
             {/* Activity Log */}
             <div className="glass-card rounded-2xl p-5 fast-fade-in" style={{ animationDelay: '0.5s' }}>
                 <h3 className="text-white font-bold mb-4">📋 {t(lang, 'activityLog')}</h3>
@@ -210,7 +413,7 @@ export default function AdminDashboard({ lang }) {
                             </tr>
                         </thead>
                         <tbody>
-                            {adminMockData.activityLog.map((log, i) => (
+                            {data.activityLog.map((log, i) => (
                                 <tr key={i} className="border-b border-white/3 hover:bg-white/3 transition">
                                     <td className="py-3 text-white/50 font-mono text-xs">{log.time}</td>
                                     <td className="py-3 text-white/70 font-semibold">{log.kioskId}</td>
@@ -2,18 +2,21 @@
  * ═══════════════════════════════════════════════════════════
  * AuthScreen - e-Pramaan Auth v3.0 (Zero Framer-Motion)
  * CSS animations for biometric scanning and transitions.
+ * OTPs are sent and checked by the backend (notifications.js).
  * ═══════════════════════════════════════════════════════════
  */
 
 import { useState, useEffect } from 'react';
 import { t } from '../utils/i18n';
 import { speak } from '../utils/voiceCommands';
+import { requestOtp, verifyOtp as checkOtp } from '../utils/notifications';
 
 const MOCK_CITIZEN = {
+    id: 'CIT-4829',
     aadhaar: 'XXXX-XXXX-4829',
     name: 'Vivek Kumar',
     phone: '+91 98XXX XX890',
-    otp: '482916',
+    mobile: '9876512890',
     photo: null,
     address: 'H.No 234, Sector 5, Ludhiana, Punjab',
 };
@@ -23,7 +26,8 @@ export default function AuthScreen({ lang, onAuthenticated, onBack }) {
     const [isScanning, setIsScanning] = useState(false);
     const [scanProgress, setScanProgress] = useState(0);
     const [otpInput, setOtpInput] = useState('');
-    const [otpSent, setOtpSent] = useState(false);
+    const [otpSent, setOtpSent] = useState(null);
+    const [sendingOtp, setSendingOtp] = useState(false);
     const [error, setError] = useState('');
     const [authenticated, setAuthenticated] = useState(false);
 
@@ -56,23 +60,50 @@ export default function AuthScreen({ lang, onAuthenticated, onBack }) {
             lang);
     };
 
-    const sendOtp = () => {
+    /** Send an OTP to the citizen's registered mobile through the notification gateway */
+    const sendOtp = async () => {
         setAuthMode('otp');
-        setOtpSent(true);
+        setOtpInput('');
         setError('');
-        speak(lang === 'hi' ? 'ओ.टी.पी. भेजा गया' : 'OTP has been sent to your phone', lang);
+        setSendingOtp(true);
+        try {
+            setOtpSent(await requestOtp({ to: MOCK_CITIZEN.mobile, lang }));
+            speak(lang === 'hi' ? 'ओ.टी.पी. भेजा गया' : 'OTP has been sent to your phone', lang);
+        } catch (err) {
+            console.error('OTP request failed:', err);
+            setOtpSent(null);
+            setError(t(lang, 'otpSendFailed'));
+        } finally {
+            setSendingOtp(false);
+        }
     };
 
-    const verifyOtp = () => {
-        if (otpInput === MOCK_CITIZEN.otp) {
-            setAuthenticated(true);
-            speak(lang === 'hi' ? 'ओ.टी.पी. सत्यापित' : 'OTP verified successfully', lang);
-            setTimeout(() => onAuthenticated(MOCK_CITIZEN), 1000);
-        } else {
-            setError(lang === 'hi' ? 'गलत OTP — नीचे सही OTP देखें' : 'Wrong OTP — see correct OTP below');
+    const verifyOtp = async () => {
+        setError('');
+        try {
+            const result = await checkOtp(otpSent.requestId, otpInput);
+            if (result.status === 'verified') {
+                setAuthenticated(true);
+                speak(lang === 'hi' ? 'ओ.टी.पी. सत्यापित' : 'OTP verified successfully', lang);
+                setTimeout(() => onAuthenticated(MOCK_CITIZEN), 1000);
+            } else if (result.status === 'invalid') {
+                setError(t(lang, 'otpWrong', { left: result.attemptsLeft }));
+            } else {
+                setError(t(lang, result.status === 'locked' ? 'otpLocked' : 'otpExpired'));
+            }
+        } catch (err) {
+            console.error('OTP check failed:', err);
+            setError(t(lang, 'otpSendFailed'));
         }
     };
 
+    const backToOptions = () => {
+        setAuthMode(null);
+        setOtpSent(null);
+        setOtpInput('');
+        setError('');
+    };
+
     return (
         <div className="min-h-[calc(100vh-160px)] flex flex-col items-center justify-center px-6 py-10 fast-slide-left">
             <div className="w-full max-w-lg">
@@ -137,7 +168,6 @@ export default function AuthScreen({ lang, onAuthenticated, onBack }) {
                                 <span className="text-white/40">Aadhaar:</span> <span className="text-amber-300">{MOCK_CITIZEN.aadhaar}</span>
                                 <span className="text-white/40">Name:</span>    <span className="text-amber-300">{MOCK_CITIZEN.name}</span>
                                 <span className="text-white/40">Phone:</span>   <span className="text-amber-300">{MOCK_CITIZEN.phone}</span>
-                                <span className="text-white/40">OTP Code:</span><span className="text-amber-300 text-base font-black">{MOCK_CITIZEN.otp}</span>
                             </div>
                         </div>
                     </div>
@@ -170,12 +200,30 @@ export default function AuthScreen({ lang, onAuthenticated, onBack }) {
                     </div>
                 )}
 
+                {/* ── OTP Sending / Failed ─────────────── */}
+                {authMode === 'otp' && !otpSent && !authenticated && (
+                    <div className="flex flex-col items-center gap-5 fast-fade-in">
+                        {sendingOtp
+                            ? <p className="text-white/60 text-sm">📱 {t(lang, 'notifySending')}</p>
+                            : (
+                                <>
+                                    <p className="text-red-400 text-sm font-semibold text-center">{error}</p>
+                                    <button onClick={sendOtp} className="px-6 py-3 rounded-xl gradient-primary text-white font-semibold cursor-pointer border-0">
+                                        {t(lang, 'otpResend')}
+                                    </button>
+                                </>
+                            )}
+                        <button onClick={backToOptions} className="text-white/40 hover:text-white text-sm cursor-pointer bg-transparent border-0">
+                            ← {lang === 'hi' ? 'वापस जाएँ' : 'Back to options'}
+                        </button>
+                    </div>
+                )}
+
                 {/* ── OTP Input ─────────────────────────── */}
                 {authMode === 'otp' && otpSent && !authenticated && (
                     <div className="flex flex-col items-center gap-5 fast-fade-in">
                         <div className="glass-card rounded-2xl p-6 w-full max-w-sm text-center">
-                            <p className="text-white/60 text-sm mb-1">{lang === 'hi' ? 'OTP भेजा गया' : 'OTP sent to'}</p>
-                            <p className="text-white font-bold mb-4">{MOCK_CITIZEN.phone}</p>
+                            <p className="text-white font-bold mb-4">{t(lang, 'otpSentTo', { to: otpSent.to })}</p>
 
                             <input
                                 type="text"
@@ -199,12 +247,19 @@ export default function AuthScreen({ lang, onAuthenticated, onBack }) {
                             </button>
                         </div>
 
-                        <div className="bg-amber-500/10 border border-amber-500/20 rounded-xl p-3 text-center">
-                            <p className="text-amber-400 text-xs font-bold">🔧 PROTOTYPE — Use OTP: <span className="text-lg font-black">{MOCK_CITIZEN.otp}</span></p>
-                        </div>
+                        <button onClick={sendOtp} disabled={sendingOtp}
+                            className="text-indigo-300 hover:text-indigo-200 text-sm font-semibold cursor-pointer bg-transparent border-0 disabled:opacity-40">
+                            🔄 {t(lang, 'otpResend')}
+                        </button>
+
+                        {otpSent.demoCode && (
+                            <div className="bg-amber-500/10 border border-amber-500/20 rounded-xl p-3 text-center">
+                                <p className="text-amber-400 text-xs font-bold">🔧 PROTOTYPE — Use OTP: <span className="text-lg font-black">{otpSent.demoCode}</span></p>
+                            </div>
+                        )}
 
                         <button
-                            onClick={() => { setAuthMode(null); setOtpSent(false); setOtpInput(''); setError(''); }}
+                            onClick={backToOptions}
                             className="text-white/40 hover:text-white text-sm cursor-pointer bg-transparent border-0"
                         >
                             ← {lang === 'hi' ? 'वापस जाएँ' : 'Back to options'}
@@ -2,22 +2,44 @@
  * ═══════════════════════════════════════════════════════════
  * BillPayment — Multi-step bill payment v3.0 (zero framer-motion)
  *
- * ★ PROTOTYPE MODE:
- *   - Accepts ANY consumer number
+ * Bills come from the per-utility BillProvider (billProviders.js).
+ * The consumer ID is typed, spoken, or scanned off the printed
+ * bill with the webcam (BillScanner), and checked against the
+ * utility's ID rules (consumerIds.js) before lookup.
+ * The confirm step warns when the same bill and amount were
+ * already paid (duplicatePayments.js), checking again if the
+ * citizen changed the amount. The tender itself runs in
+ * PaymentPanel; a bill can instead be added to the multi-bill cart.
+ * The receipt is printed from the stored transaction (receiptSchema.js).
+ * ★ DEMO MODE (VITE_DEMO_MODE=true):
+ *   - Accepts ANY well-formed consumer number
  *   - Name masked for privacy
  *   - Global marquee ticker handles prototype notice
  * ═══════════════════════════════════════════════════════════
  */
 
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { QRCodeSVG } from 'qrcode.react';
 import { t } from '../utils/i18n';
-import { lookupBill, generateTxnId } from '../utils/mockData';
-import { saveOfflineTransaction } from '../utils/offlineSync';
+import { fetchBill as fetchProviderBill } from '../utils/billProviders';
+import { DEMO_MODE } from '../utils/config';
+import { recordCompletedPayment } from '../utils/paymentMachine';
+import { findDuplicatePayments } from '../utils/duplicatePayments';
+import { balanceAfterPayment, paymentLimits, roundPayment, validatePaymentAmount } from '../utils/paymentRules';
+import { CART_MAX_ITEMS, createCartItem } from '../utils/cart';
+import { computeBill, verifyBillAmount } from '../utils/tariffs';
+import { amountCharged, lateFee, withFees } from '../utils/fees';
+import { formatConsumerId, getIdRules, idDigits, validateConsumerId } from '../utils/consumerIds';
+import { readBackId } from '../utils/spokenNumbers';
+import { getTransactionRecord } from '../utils/offlineSync';
+import { isPendingRecord, paymentReceipt } from '../utils/receiptSchema';
 import { generatePaymentReceipt, downloadReceipt } from '../utils/pdfGenerator';
+import { printReceipt } from '../utils/receiptPrinter';
 import { speak, extractConsumerId } from '../utils/voiceCommands';
 import VoiceButton from './VoiceButton';
+import BillScanner from './BillScanner';
+import PaymentPanel, { TenderDetails } from './PaymentPanel';
+import SendCopy from './SendCopy';
 
 const SERVICE_META = {
     electricity: { icon: '⚡', label: 'Electricity Bill', color: '#FBBF24' },
@@ -30,99 +52,195 @@ function maskName(name) {
     return name.split(' ').map(w => w.length <= 1 ? w : w[0] + '*'.repeat(w.length - 1)).join(' ');
 }
 
-function getOrGenerateBill(consumerId, serviceType) {
-    const real = lookupBill(consumerId);
-    if (real) return { ...real, name: maskName(real.fullName || real.name) };
-
-    const fakeNames = ['Vivek Kumar', 'Anjali Sharma', 'Ramesh Patel', 'Priya Singh', 'Sunil Verma'];
-    const fakeName = fakeNames[Math.floor(Math.random() * fakeNames.length)];
-    const amount = Math.floor(Math.random() * 2000) + 200;
-    const units = Math.floor(Math.random() * 200) + 10;
-    const unitLabels = { electricity: 'kWh', water: 'KL', gas: 'Cylinders' };
-
-    return {
-        id: consumerId, service: serviceType, name: maskName(fakeName), fullName: fakeName, amount, units,
-        unitLabel: unitLabels[serviceType] || 'Units', dueDate: '2026-03-15', lastPaymentDate: '2026-01-20',
-        meterNo: `MTR-${Math.floor(Math.random() * 9000000) + 1000000}`,
-    };
+/** Earlier payments of this bill for an amount; if the check fails, the payment is not held up */
+function earlierPayments(consumerId, bill, amount, isOnline) {
+    return findDuplicatePayments(
+        { consumerId, billPeriod: bill.billPeriod, amount, service: bill.service },
+        { isOnline },
+    ).catch((err) => {
+        console.error('Duplicate check failed:', err);
+        return [];
+    });
 }
 
-export default function BillPayment({ lang, isOnline }) {
+export default function BillPayment({ lang, isOnline, cart = [], onAddToCart }) {
     const { serviceType } = useParams();
     const navigate = useNavigate();
     const meta = SERVICE_META[serviceType] || SERVICE_META.electricity;
+    const idRules = getIdRules(serviceType);
 
     const [step, setStep] = useState('input');
     const [consumerId, setConsumerId] = useState('');
     const [bill, setBill] = useState(null);
-    const [payMethod, setPayMethod] = useState(null);
-    const [txnId, setTxnId] = useState('');
-    const [cashCount, setCashCount] = useState(0);
+    const [payAmount, setPayAmount] = useState(0);
+    const [paid, setPaid] = useState(null);
+    const [receiptError, setReceiptError] = useState('');
+    const [printed, setPrinted] = useState(false);
+    const [isFetching, setIsFetching] = useState(false);
+    const [lookupError, setLookupError] = useState('');
+    const [duplicates, setDuplicates] = useState([]);
+    const [duplicateAck, setDuplicateAck] = useState(false);
+    const [checkedAmount, setCheckedAmount] = useState(null);
+    const [checkingDuplicates, setCheckingDuplicates] = useState(false);
+    const [payState, setPayState] = useState(null);
+    const [scanning, setScanning] = useState(false);
+    const [scanned, setScanned] = useState(null);
 
-    const fetchBill = useCallback(() => {
-        if (consumerId.trim().length < 1) return;
-        const found = getOrGenerateBill(consumerId.trim(), serviceType);
-        setBill(found);
-        setStep('bill');
-        speak(`Bill found. Amount due: ${found.amount} rupees.`, lang);
-    }, [consumerId, serviceType, lang]);
+    const fetchBill = useCallback(async (id = consumerId.trim()) => {
+        if (id.length < 1) return;
+        setIsFetching(true);
+        setLookupError('');
+        try {
+            const found = await fetchProviderBill(id, serviceType);
+            if (!found) {
+                setLookupError(t(lang, 'billNotFound'));
+                speak(t(lang, 'billNotFound'), lang);
+                return;
+            }
+            const earlier = await earlierPayments(id, found, found.amount, isOnline);
+            setBill({ ...found, name: maskName(found.fullName) });
+            setPayAmount(found.amount);
+            setDuplicates(earlier);
+            setCheckedAmount(found.amount);
+            setDuplicateAck(false);
+            setStep('bill');
+            speak(earlier.length ? t(lang, 'duplicatePaymentWarning') : `Bill found. Amount due: ${found.amount} rupees.`, lang);
+        } catch (err) {
+            console.error('Bill lookup failed:', err);
+            setLookupError(t(lang, 'billLookupFailed'));
+        } finally {
+            setIsFetching(false);
+        }
+    }, [consumerId, serviceType, lang, isOnline]);
 
     const handleNumpad = (key) => {
-        if (key === '⌫') setConsumerId(p => p.slice(0, -1));
-        else if (key === 'C') setConsumerId('');
-        else setConsumerId(p => p + key);
+        setLookupError('');
+        setScanned(null);
+        const digits = idDigits(consumerId);
+        if (key === 'C') return setConsumerId('');
+        if (key === '⌫') return setConsumerId(digits.length > 1 ? formatConsumerId(serviceType, digits.slice(0, -1)) : '');
+        // The mask supplies the prefix and hyphen; digits past the ID length are refused
+        if (idRules && digits.length >= idRules.digits) return;
+        setConsumerId(formatConsumerId(serviceType, digits + key));
     };
 
     const handleVoiceId = useCallback((transcript) => {
-        const id = extractConsumerId(transcript);
-        if (id) { setConsumerId(id); speak(`Consumer ID: ${id}`, lang); }
-        else { const c = transcript.replace(/\s+/g, '-').toUpperCase(); setConsumerId(c); speak(`ID: ${c}`, lang); }
-    }, [lang]);
-
-    const simulateQR = () => {
-        const ids = { electricity: 'PSEB-123456', water: 'PHED-789012', gas: 'GPL-345678' };
-        const id = ids[serviceType] || 'PSEB-123456';
+        setLookupError('');
+        setScanned(null);
+        const id = extractConsumerId(transcript, serviceType, lang);
+        if (!id) return speak(t(lang, 'idNotHeard'), lang);
         setConsumerId(id);
-        speak(`QR: ${id}`, lang);
+        const invalid = validateConsumerId(serviceType, id);
+        // Read the number back digit by digit so the citizen can confirm it
+        speak(invalid ? t(lang, invalid.error, invalid.params) : t(lang, 'confirmConsumerId', { id: readBackId(id, lang) }), lang);
+    }, [lang, serviceType]);
+
+    /** A printed bill code was read: look the bill up straight away */
+    const handleScan = useCallback((code) => {
+        setScanning(false);
+        setConsumerId(code.consumerId);
+        if (code.service !== serviceType) {
+            setScanned(null);
+            setLookupError(t(lang, 'scannedOtherService', { id: code.consumerId }));
+            return;
+        }
+        setScanned(code);
+        speak(`Consumer ID: ${code.consumerId}`, lang);
+        fetchBill(code.consumerId);
+    }, [serviceType, lang, fetchBill]);
+
+    const handleScanCancel = useCallback(() => setScanning(false), []);
+
+    /** Record the payment; a failure is left to PaymentPanel to show, and success is shown only once stored */
+    const completePayment = async (payment) => {
+        await recordCompletedPayment({ ...payment, timestamp: new Date().toISOString() }, { isOnline });
+        setPaid(payment);
+        setStep('success');
+        speak(`Payment successful! Transaction: ${payment.txnId}`, lang);
     };
 
-    const processPayment = async (method) => {
-        setPayMethod(method);
-        if (method === 'cash') setCashCount(0);
-        const id = generateTxnId();
-        setTxnId(id);
-        setTimeout(async () => {
-            setStep('success');
-            speak(`Payment successful! Transaction: ${id}`, lang);
-            await saveOfflineTransaction({
-                txnId: id, consumerId, amount: bill.amount, service: serviceType, method, timestamp: new Date().toISOString(), synced: isOnline,
-            });
-        }, method === 'cash' ? 3000 : 2000);
+    /**
+     * Check the amount actually confirmed for earlier payments, if the
+     * lookup checked another. New matches are shown for acknowledging.
+     * @returns {Promise<boolean>} Whether the payment may go ahead
+     */
+    const confirmAmount = async () => {
+        if (payAmount === checkedAmount) return true;
+        setCheckingDuplicates(true);
+        const earlier = await earlierPayments(consumerId, bill, payAmount, isOnline);
+        setCheckingDuplicates(false);
+        setDuplicates(earlier);
+        setCheckedAmount(payAmount);
+        setDuplicateAck(false);
+        if (earlier.length) speak(t(lang, 'duplicatePaymentWarning'), lang);
+        return earlier.length === 0;
     };
 
-    useEffect(() => {
-        if (payMethod === 'cash' && step === 'pay') {
-            const t = setInterval(() => setCashCount(c => { if (c >= 3) { clearInterval(t); return c; } return c + 1; }), 900);
-            return () => clearInterval(t);
-        }
-    }, [payMethod, step]);
+    const handlePay = async () => {
+        if (await confirmAmount()) setStep('pay');
+    };
+
+    const handleAddToCart = async () => {
+        if (!await confirmAmount()) return;
+        onAddToCart(createCartItem(bill, { amount: payAmount, ...afterPayment }, { duplicateChecked: true }));
+        speak(t(lang, 'addedToCart'), lang);
+        navigate('/cart');
+    };
 
-    const handleDownload = () => {
-        const doc = generatePaymentReceipt({
-            txnId, consumerId, amount: bill.amount, name: bill.name, service: serviceType, method: payMethod, date: new Date().toLocaleString('en-IN'),
-        }, !isOnline);
-        downloadReceipt(doc, `receipt-${txnId}.pdf`);
+    const handleBack = () => {
+        if (step === 'input' && scanning) return setScanning(false);
+        if (step === 'input') return navigate(-1);
+        // Leaving the pay step unmounts PaymentPanel, which cancels the attempt
+        setPayState(null);
+        setStep('input');
+    };
+
+    /** Print the stored transaction's receipt on the thermal printer ('print') or as a PDF ('pdf') */
+    const handleReceipt = async (output) => {
+        setReceiptError('');
+        setPrinted(false);
+        try {
+            const record = await getTransactionRecord(paid.txnId);
+            if (!record) throw new Error(`Transaction ${paid.txnId} is not stored`);
+            if (output === 'print') {
+                await printReceipt('payment', paymentReceipt(record), { isPending: isPendingRecord(record) });
+                setPrinted(true);
+            } else {
+                const doc = await generatePaymentReceipt(paymentReceipt(record), isPendingRecord(record), { lang });
+                downloadReceipt(doc, `receipt-${paid.txnId}.pdf`);
+            }
+        } catch (err) {
+            console.error('Receipt failed:', err);
+            setReceiptError(t(lang, 'receiptUnavailable'));
+        }
     };
 
     const numpadKeys = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'C', '0', '⌫'];
 
+    const idError = consumerId ? validateConsumerId(serviceType, consumerId) : null;
+    const limits = bill ? paymentLimits(bill) : null;
+    const amountError = bill ? validatePaymentAmount(bill, payAmount) : null;
+    const afterPayment = bill ? balanceAfterPayment(bill.amount, payAmount) : null;
+    const breakdown = bill ? computeBill(bill) : null;
+    const tariffCheck = bill ? verifyBillAmount(bill) : null;
+    const late = bill ? lateFee(bill) : null;
+    const scanDiffers = scanned && bill && scanned.consumerId === bill.id
+        && ((scanned.billPeriod && scanned.billPeriod !== bill.billPeriod) || (scanned.amount != null && scanned.amount !== bill.billedAmount));
+    const duplicatesShown = payAmount === checkedAmount ? duplicates : [];
+    const canConfirm = !amountError && !checkingDuplicates && (duplicatesShown.length === 0 || duplicateAck);
+    const cartFull = cart.length >= CART_MAX_ITEMS && !cart.some(item => item.consumerId === bill?.id);
+    const payment = bill && withFees({
+        consumerId, name: bill.name, amount: payAmount, billAmount: bill.amount, ...afterPayment,
+        billPeriod: bill.billPeriod, service: bill.service, breakdown,
+    }, late ? [late] : []);
+
     return (
         <div className="min-h-[calc(100vh-160px)] flex flex-col items-center px-4 py-6 fast-fade-in">
             <div className="w-full max-w-xl">
                 {/* Header */}
                 <div className="flex items-center gap-3 mb-6">
-                    <button onClick={() => step === 'input' ? navigate(-1) : setStep('input')}
-                        className="w-10 h-10 rounded-xl bg-white/5 border border-white/10 flex items-center justify-center text-white/60 hover:text-white cursor-pointer text-lg">←</button>
+                    <button onClick={handleBack} disabled={payState === 'authorising'}
+                        className="w-10 h-10 rounded-xl bg-white/5 border border-white/10 flex items-center justify-center text-white/60 hover:text-white cursor-pointer text-lg disabled:opacity-30">←</button>
                     <div className="flex items-center gap-3 flex-1">
                         <span className="text-3xl">{meta.icon}</span>
                         <div>
@@ -147,16 +265,23 @@ export default function BillPayment({ lang, isOnline }) {
                 </div>
 
                 {/* ── STEP 1: INPUT ───────────────── */}
-                {step === 'input' && (
+                {step === 'input' && scanning && (
+                    <BillScanner lang={lang} serviceType={serviceType} onScan={handleScan} onCancel={handleScanCancel} />
+                )}
+                {step === 'input' && !scanning && (
                     <div className="space-y-4 fast-fade-in">
                         <div className="glass-card rounded-2xl p-5">
                             <label className="text-white/50 text-sm font-semibold block mb-2">Consumer Number</label>
-                            <input readOnly value={consumerId} placeholder="Enter any number..."
+                            <input readOnly value={consumerId} placeholder={idRules ? idRules.mask.replace(/#/g, '_') : 'e.g. PSEB-123456'}
                                 className="w-full bg-white/5 border border-white/10 rounded-xl text-white text-xl font-mono p-3 focus:border-indigo-500 outline-none" />
-                            <p className="text-white/20 text-xs mt-2">✨ Prototype: any number accepted</p>
+                            {lookupError
+                                ? <p className="text-red-400 text-sm font-semibold mt-2">{lookupError}</p>
+                                : idError
+                                    ? <p className={`text-sm mt-2 ${idError.error === 'idTooShort' ? 'text-white/40' : 'text-red-400 font-semibold'}`}>{t(lang, idError.error, idError.params)}</p>
+                                    : DEMO_MODE && <p className="text-white/20 text-xs mt-2">✨ Demo mode: any valid consumer number works</p>}
                         </div>
                         <div className="flex gap-3">
-                            <button onClick={simulateQR} className="flex-1 py-3 px-4 rounded-xl bg-white/5 border border-white/10 text-white/70 text-sm font-semibold hover:bg-white/10 cursor-pointer">📷 Scan QR</button>
+                            <button onClick={() => { setLookupError(''); setScanning(true); }} className="flex-1 py-3 px-4 rounded-xl bg-white/5 border border-white/10 text-white/70 text-sm font-semibold hover:bg-white/10 cursor-pointer">📷 {t(lang, 'scanBill')}</button>
                             <div className="flex-1 flex justify-center">
                                 <VoiceButton lang={lang} size={48} showLabel={false} onResult={handleVoiceId} onError={() => { }} />
                             </div>
@@ -166,9 +291,9 @@ export default function BillPayment({ lang, isOnline }) {
                                 <button key={key} onClick={() => handleNumpad(key)} className="numpad-key">{key}</button>
                             ))}
                         </div>
-                        <button onClick={fetchBill} disabled={consumerId.length < 1}
+                        <button onClick={() => fetchBill()} disabled={consumerId.length < 1 || !!idError || isFetching}
                             className="w-full py-3 rounded-xl gradient-primary text-white font-bold text-lg cursor-pointer disabled:opacity-30 border-0">
-                            {t(lang, 'fetchBill')}
+                            {isFetching ? t(lang, 'loading') : t(lang, 'fetchBill')}
                         </button>
                     </div>
                 )}
@@ -176,6 +301,11 @@ export default function BillPayment({ lang, isOnline }) {
                 {/* ── STEP 2: BILL DETAILS ───────── */}
                 {step === 'bill' && bill && (
                     <div className="space-y-4 fast-fade-in">
+                        {scanDiffers && (
+                            <div className="rounded-2xl p-3 bg-blue-500/10 border border-blue-500/30 text-sm text-white/70">
+                                ℹ️ {t(lang, 'scannedBillDiffers', { period: scanned.billPeriod || '-', amount: (scanned.amount ?? 0).toLocaleString() })}
+                            </div>
+                        )}
                         <div className="glass-card rounded-2xl p-5">
                             <div className="flex justify-between mb-3 pb-3 border-b border-white/5">
                                 <span className="text-white/40 text-sm">Bill ID</span>
@@ -200,98 +330,140 @@ export default function BillPayment({ lang, isOnline }) {
                                 <span className="text-white/40 text-sm">Due</span>
                                 <span className="text-white">{bill.dueDate}</span>
                             </div>
+                            {bill.credit > 0 && (
+                                <div className="flex justify-between mb-3">
+                                    <span className="text-white/40 text-sm">{t(lang, 'advanceCredit')}</span>
+                                    <span className="text-green-400">₹{bill.credit.toLocaleString()}</span>
+                                </div>
+                            )}
                             <div className="border-t border-white/10 pt-3 flex justify-between">
                                 <span className="text-white font-bold">Amount</span>
                                 <span className="text-2xl font-black" style={{ color: meta.color }}>₹{bill.amount.toLocaleString()}</span>
                             </div>
                         </div>
-                        <button onClick={() => setStep('pay')}
-                            className="w-full py-3 rounded-xl gradient-success text-white font-bold text-lg cursor-pointer border-0">
-                            ✓ Pay ₹{bill.amount.toLocaleString()}
-                        </button>
-                    </div>
-                )}
-
-                {/* ── STEP 3: PAY ────────────────── */}
-                {step === 'pay' && (
-                    <div className="space-y-4 fast-fade-in">
-                        {!payMethod && (
-                            <div className="grid grid-cols-3 gap-3">
-                                {[
-                                    { m: 'upi', icon: '📱', label: 'UPI/QR', c: 'blue' },
-                                    { m: 'cash', icon: '💵', label: 'Cash', c: 'green' },
-                                    { m: 'card', icon: '💳', label: 'Card', c: 'purple' },
-                                ].map(({ m, icon, label, c }) => (
-                                    <button key={m} onClick={() => processPayment(m)}
-                                        className={`glass-card rounded-2xl p-4 cursor-pointer border border-transparent hover:border-${c}-500/30 flex flex-col items-center gap-2`}>
-                                        <span className="text-3xl">{icon}</span>
-                                        <span className="text-white font-bold text-sm">{label}</span>
-                                    </button>
-                                ))}
-                            </div>
-                        )}
-                        {payMethod === 'upi' && (
-                            <div className="flex flex-col items-center gap-4 glass-card rounded-2xl p-5 fast-fade-in">
-                                <p className="text-white/60 text-sm">Scan with any UPI app</p>
-                                <div className="bg-white p-4 rounded-xl">
-                                    <QRCodeSVG value={`upi://pay?pa=suvidha@sbi&am=${bill?.amount}&tn=BillPay-${consumerId}`} size={180} />
-                                </div>
-                                <div className="flex items-center gap-2">
-                                    <div className="w-2 h-2 rounded-full bg-blue-400 animate-pulse" />
-                                    <p className="text-white/60 text-sm">Waiting for payment...</p>
-                                </div>
-                            </div>
-                        )}
-                        {payMethod === 'cash' && (
-                            <div className="flex flex-col items-center gap-4 fast-fade-in">
-                                <div className="w-48 h-48 glass-card rounded-2xl flex flex-col items-center justify-center overflow-hidden relative">
-                                    <p className="text-green-400 text-sm font-bold">₹{bill?.amount?.toLocaleString()}</p>
-                                    {[...Array(cashCount)].map((_, i) => (
-                                        <span key={i} className="text-4xl fast-fade-in" style={{ position: 'absolute', top: `${30 + i * 40}px` }}>💵</span>
+                        {breakdown && (
+                            <details className="glass-card rounded-2xl p-4 text-sm">
+                                <summary className="flex justify-between items-center cursor-pointer text-white/60 font-semibold">
+                                    <span>{t(lang, 'billBreakdown')}</span>
+                                    {tariffCheck.status === 'match'
+                                        ? <span className="px-2 py-0.5 rounded bg-green-500/15 text-green-400 text-xs font-bold">✓ {t(lang, 'tariffMatch')}</span>
+                                        : <span className="px-2 py-0.5 rounded bg-amber-500/15 text-amber-400 text-xs font-bold">⚠️ {t(lang, 'tariffMismatch', { amount: breakdown.total.toLocaleString() })}</span>}
+                                </summary>
+                                <p className="text-white/30 text-xs mt-3 mb-2">{breakdown.tariff}</p>
+                                <div className="space-y-1">
+                                    {breakdown.lines.map(line => (
+                                        <div key={line.label} className="flex justify-between gap-4">
+                                            <span className="text-white/50">{line.label}</span>
+                                            <span className={line.amount < 0 ? 'text-green-400' : 'text-white/80'}>₹{line.amount.toFixed(2)}</span>
+                                        </div>
                                     ))}
-                                    <p className="text-white/20 text-xs mt-auto mb-2">↓ Insert notes</p>
-                                </div>
-                                <div className="flex items-center gap-2">
-                                    <div className="w-2 h-2 rounded-full bg-green-400 animate-pulse" />
-                                    <p className="text-white/60 text-sm">Accepting cash...</p>
+                                    <div className="flex justify-between border-t border-white/10 pt-1 font-bold">
+                                        <span className="text-white/70">{t(lang, 'billedAmount')}</span>
+                                        <span className="text-white">₹{breakdown.total.toLocaleString()}</span>
+                                    </div>
                                 </div>
-                            </div>
+                            </details>
                         )}
-                        {payMethod === 'card' && (
-                            <div className="flex flex-col items-center gap-4 fast-fade-in">
-                                <div className="w-48 h-32 glass-card rounded-2xl flex items-center justify-center text-6xl">💳</div>
-                                <div className="flex items-center gap-2">
-                                    <div className="w-2 h-2 rounded-full bg-indigo-400 animate-pulse" />
-                                    <p className="text-white/60 text-sm">Tap, insert, or swipe...</p>
+                        <div className="glass-card rounded-2xl p-5 space-y-3">
+                            <label className="text-white/50 text-sm font-semibold block">{t(lang, 'amountToPay')}</label>
+                            <div className="flex items-center gap-2">
+                                <span className="text-white/40 text-xl">₹</span>
+                                <input type="number" inputMode="numeric" min={limits.min} max={limits.max} step={limits.roundTo}
+                                    value={payAmount || ''}
+                                    onChange={(e) => setPayAmount(Number(e.target.value))}
+                                    onBlur={() => setPayAmount(roundPayment(bill, payAmount))}
+                                    className="flex-1 bg-white/5 border border-white/10 rounded-xl text-white text-xl font-mono p-3 focus:border-indigo-500 outline-none" />
+                                {payAmount !== bill.amount && bill.amount > 0 && (
+                                    <button onClick={() => setPayAmount(bill.amount)}
+                                        className="px-3 py-3 rounded-xl bg-white/5 border border-white/10 text-white/70 text-sm font-semibold cursor-pointer">{t(lang, 'payFullAmount')}</button>
+                                )}
+                            </div>
+                            <p className="text-white/20 text-xs">₹{limits.min.toLocaleString()} – ₹{limits.max.toLocaleString()}{limits.roundTo > 1 ? ` · ×₹${limits.roundTo}` : ''}</p>
+                            {amountError
+                                ? <p className="text-red-400 text-sm font-semibold">{t(lang, amountError.error, { amount: amountError.limit.toLocaleString() })}</p>
+                                : (
+                                    <div className="flex justify-between text-sm">
+                                        <span className="text-white/40">{afterPayment.advance > 0 ? t(lang, 'advanceCredit') : t(lang, 'balanceAfterPayment')}</span>
+                                        <span className={afterPayment.advance > 0 ? 'text-green-400 font-bold' : 'text-white'}>₹{(afterPayment.advance || afterPayment.balance).toLocaleString()}</span>
+                                    </div>
+                                )}
+                            {late && (
+                                <div className="flex justify-between text-sm">
+                                    <span className="text-white/40">{t(lang, 'lateFee')} · {t(lang, 'daysPastDue', { days: late.daysLate })}</span>
+                                    <span className="text-amber-400 font-bold">₹{late.amount.toLocaleString()}</span>
                                 </div>
+                            )}
+                        </div>
+                        {duplicatesShown.length > 0 && (
+                            <div className="rounded-2xl p-4 bg-amber-500/10 border border-amber-500/30">
+                                <p className="text-amber-400 font-bold text-sm mb-2">⚠️ {t(lang, 'duplicatePaymentWarning')}</p>
+                                {duplicatesShown.map(d => (
+                                    <p key={d.txnId} className="text-white/60 text-xs font-mono">
+                                        {d.txnId}{d.at ? ` · ${new Date(d.at).toLocaleString('en-IN')}` : ''}
+                                    </p>
+                                ))}
+                                <label className="flex items-center gap-2 mt-3 text-white/80 text-sm cursor-pointer">
+                                    <input type="checkbox" checked={duplicateAck} onChange={(e) => setDuplicateAck(e.target.checked)} className="w-5 h-5" />
+                                    {t(lang, 'duplicatePaymentConfirm')}
+                                </label>
                             </div>
                         )}
+                        <div className="flex gap-3">
+                            {onAddToCart && (
+                                <button onClick={handleAddToCart} disabled={!canConfirm || cartFull}
+                                    className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white font-bold cursor-pointer disabled:opacity-30">
+                                    🛒 {t(lang, 'addToCart')}
+                                </button>
+                            )}
+                            <button onClick={handlePay} disabled={!canConfirm}
+                                className="flex-[2] py-3 rounded-xl gradient-success text-white font-bold text-lg cursor-pointer border-0 disabled:opacity-30">
+                                ✓ Pay ₹{amountCharged(payment).toLocaleString()}
+                            </button>
+                        </div>
                     </div>
                 )}
 
+                {/* ── STEP 3: PAY ────────────────── */}
+                {step === 'pay' && (
+                    <PaymentPanel lang={lang} payment={payment} onPaid={completePayment} onStateChange={setPayState} />
+                )}
+
                 {/* ── STEP 4: SUCCESS ────────────── */}
-                {step === 'success' && (
+                {step === 'success' && paid && (
                     <div className="flex flex-col items-center gap-5 py-4 fast-scale-in">
                         <div className="w-24 h-24 rounded-full gradient-success flex items-center justify-center">
                             <span className="text-white text-4xl">✓</span>
                         </div>
                         <div className="text-center">
                             <h3 className="text-2xl font-black text-green-400 mb-1">Payment Successful!</h3>
-                            <p className="text-white/50 font-mono text-sm">TXN: {txnId}</p>
+                            <p className="text-white/50 font-mono text-sm">TXN: {paid.txnId}</p>
                         </div>
                         <div className="glass-card rounded-2xl p-4 w-full max-w-sm text-sm space-y-1.5">
                             <div className="flex justify-between"><span className="text-white/40">ID</span><span className="text-white font-mono">{consumerId}</span></div>
                             <div className="flex justify-between"><span className="text-white/40">Name</span><span className="text-white">{bill?.name}</span></div>
-                            <div className="flex justify-between"><span className="text-white/40">Amount</span><span className="text-green-400 font-bold">₹{bill?.amount?.toLocaleString()}</span></div>
-                            <div className="flex justify-between"><span className="text-white/40">Method</span><span className="text-white capitalize">{payMethod}</span></div>
+                            <div className="flex justify-between"><span className="text-white/40">Amount</span><span className="text-green-400 font-bold">₹{amountCharged(paid).toLocaleString()}</span></div>
+                            {afterPayment?.balance > 0 && (
+                                <div className="flex justify-between"><span className="text-white/40">{t(lang, 'balanceOutstanding')}</span><span className="text-amber-400 font-bold">₹{afterPayment.balance.toLocaleString()}</span></div>
+                            )}
+                            {afterPayment?.advance > 0 && (
+                                <div className="flex justify-between"><span className="text-white/40">{t(lang, 'advanceCredit')}</span><span className="text-white">₹{afterPayment.advance.toLocaleString()}</span></div>
+                            )}
+                            <TenderDetails payment={paid} />
                         </div>
                         {!isOnline && (
                             <div className="bg-amber-500/10 border border-amber-500/20 rounded-xl px-4 py-2 text-center">
                                 <p className="text-amber-400 text-sm font-semibold">📡 Saved offline — syncs later</p>
                             </div>
                         )}
+                        {printed && <p className="text-emerald-400 text-sm font-semibold text-center">{t(lang, 'receiptPrinted')}</p>}
+                        {receiptError && <p className="text-red-400 text-sm font-semibold text-center">{receiptError}</p>}
+                        <SendCopy lang={lang} isOnline={isOnline} template="paymentReceipt"
+                            params={{ txnId: paid.txnId, amount: amountCharged(paid).toLocaleString('en-IN'), consumerId }} />
                         <div className="flex gap-3 w-full max-w-sm">
-                            <button onClick={handleDownload} className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white font-semibold cursor-pointer">📥 Receipt</button>
+                            <button onClick={() => handleReceipt('print')}
+                                className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white font-semibold cursor-pointer disabled:opacity-30">🖨️ Print</button>
+                            <button onClick={() => handleReceipt('pdf')}
+                                className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white font-semibold cursor-pointer disabled:opacity-30">📥 PDF</button>
                             <button onClick={() => navigate('/')} className="flex-1 py-3 rounded-xl gradient-primary text-white font-semibold cursor-pointer border-0">🏠 Home</button>
                         </div>
                     </div>
@@ -0,0 +1,98 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * BillScanner — Read the QR / barcode printed on a bill
+ *
+ * Shows the webcam preview while billScanner.js decodes. If the
+ * camera cannot start, or nothing readable turns up within
+ * BILL_SCAN_TIMEOUT_MS, the citizen is offered manual entry.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { t } from '../utils/i18n';
+import { BILL_SCAN_TIMEOUT_MS, DEMO_MODE } from '../utils/config';
+import { parseBillCode, SAMPLE_BILL_CODES, startBillScanner } from '../utils/billScanner';
+
+/**
+ * @param {object} props
+ * @param {string} props.lang
+ * @param {string} props.serviceType - Utility being paid; picks the demo sample code
+ * @param {function} props.onScan - Receives the parsed bill code (billScanner.js)
+ * @param {function} props.onCancel - Back to manual entry
+ */
+export default function BillScanner({ lang, serviceType, onScan, onCancel }) {
+    const videoRef = useRef(null);
+    const [status, setStatus] = useState('starting');
+    const [failure, setFailure] = useState('');
+    const [unknown, setUnknown] = useState(false);
+    const [attempt, setAttempt] = useState(0);
+
+    useEffect(() => {
+        const stop = startBillScanner(videoRef.current, {
+            onScan,
+            onUnknown: () => setUnknown(true),
+            onReady: () => setStatus('scanning'),
+            onError: (err) => {
+                console.error('Bill scanner failed to start:', err);
+                setFailure('cameraUnavailable');
+                setStatus('failed');
+            },
+        });
+        const timer = setTimeout(() => {
+            stop();
+            setFailure('scanTimedOut');
+            setStatus('failed');
+        }, BILL_SCAN_TIMEOUT_MS);
+        return () => {
+            clearTimeout(timer);
+            stop();
+        };
+    }, [onScan, attempt]);
+
+    const retry = () => {
+        setStatus('starting');
+        setFailure('');
+        setUnknown(false);
+        setAttempt(n => n + 1);
+    };
+
+    return (
+        <div className="space-y-4 fast-fade-in">
+            <div className="glass-card rounded-2xl p-4 flex flex-col items-center gap-3">
+                <div className="relative w-full aspect-[4/3] rounded-xl overflow-hidden bg-black/40">
+                    <video ref={videoRef} muted playsInline className={`w-full h-full object-cover ${status === 'failed' ? 'hidden' : ''}`} />
+                    {status === 'scanning' && (
+                        <div className="absolute inset-[15%] border-2 border-indigo-400/70 rounded-xl pointer-events-none" />
+                    )}
+                    {status === 'starting' && (
+                        <div className="absolute inset-0 flex items-center justify-center text-white/50 text-sm">{t(lang, 'scanStarting')}</div>
+                    )}
+                    {status === 'failed' && (
+                        <div className="absolute inset-0 flex flex-col items-center justify-center gap-2 p-4 text-center">
+                            <span className="text-4xl">📷</span>
+                            <p className="text-white font-bold">{t(lang, failure)}</p>
+                        </div>
+                    )}
+                </div>
+                {status !== 'failed' && <p className="text-white/60 text-sm text-center">{t(lang, 'scanBillHint')}</p>}
+                {unknown && status === 'scanning' && (
+                    <p className="text-amber-400 text-sm font-semibold">⚠️ {t(lang, 'scanUnrecognised')}</p>
+                )}
+            </div>
+            <div className="flex gap-3">
+                {status === 'failed' && (
+                    <button onClick={retry}
+                        className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white/70 font-semibold cursor-pointer">{t(lang, 'tryAgain')}</button>
+                )}
+                <button onClick={onCancel}
+                    className="flex-1 py-3 rounded-xl gradient-primary text-white font-bold cursor-pointer border-0">⌨️ {t(lang, 'enterManually')}</button>
+            </div>
+            {DEMO_MODE && SAMPLE_BILL_CODES[serviceType] && (
+                <button onClick={() => onScan(parseBillCode(SAMPLE_BILL_CODES[serviceType]))}
+                    className="w-full py-2 rounded-xl bg-white/5 border border-white/10 text-white/40 text-xs cursor-pointer">
+                    ✨ Demo: use a sample printed bill
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,247 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * CartCheckout — Pay several utility bills in one session
+ *
+ * Bills are added from BillPayment and the citizen dashboard.
+ * The whole cart is paid with a single tender (PaymentPanel), then
+ * recorded as one transaction per bill (cart.js) and summarised on
+ * one consolidated receipt with the split per utility, rebuilt from
+ * those stored transactions (receiptSchema.js).
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { t } from '../utils/i18n';
+import { CART_MAX_ITEMS, cartFees, cartTotal, settlementSplit } from '../utils/cart';
+import { amountCharged, withFees } from '../utils/fees';
+import { recordCompletedPayment } from '../utils/paymentMachine';
+import { findDuplicatePayments } from '../utils/duplicatePayments';
+import { getCartTransactionRecords } from '../utils/offlineSync';
+import { cartReceipt, isPendingRecord } from '../utils/receiptSchema';
+import { generateCartReceipt, downloadReceipt } from '../utils/pdfGenerator';
+import { printReceipt } from '../utils/receiptPrinter';
+import { speak } from '../utils/voiceCommands';
+import PaymentPanel, { TenderDetails } from './PaymentPanel';
+import SendCopy from './SendCopy';
+
+const SERVICE_META = {
+    electricity: { icon: '⚡', label: 'Electricity' },
+    water: { icon: '💧', label: 'Water' },
+    gas: { icon: '🔥', label: 'Gas' },
+};
+
+/**
+ * @param {object} props
+ * @param {string} props.lang
+ * @param {boolean} props.isOnline
+ * @param {Array<object>} props.cart - Cart items (cart.js)
+ * @param {function} props.onRemove - Receives the consumer ID to drop
+ * @param {function} props.onClear - Empties the cart
+ */
+export default function CartCheckout({ lang, isOnline, cart, onRemove, onClear }) {
+    const navigate = useNavigate();
+    const [step, setStep] = useState('review');
+    const [duplicates, setDuplicates] = useState({});
+    const [duplicateAck, setDuplicateAck] = useState(false);
+    const [payState, setPayState] = useState(null);
+    const [paid, setPaid] = useState(null);
+    const [receiptError, setReceiptError] = useState('');
+    const [printed, setPrinted] = useState(false);
+
+    /** Bills added without the duplicate check (e.g. from the dashboard) are checked here */
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all(cart.filter(item => !item.duplicateChecked).map(async item => [
+            item.consumerId,
+            await findDuplicatePayments(item, { isOnline }).catch((err) => {
+                console.error('Duplicate check failed:', err);
+                return [];
+            }),
+        ])).then((found) => {
+            if (!cancelled) setDuplicates(Object.fromEntries(found.filter(([, list]) => list.length > 0)));
+        });
+        return () => { cancelled = true; };
+    }, [cart, isOnline]);
+
+    const total = cartTotal(cart);
+    const split = settlementSplit(cart);
+    const hasDuplicates = Object.keys(duplicates).length > 0;
+
+    const payment = withFees({
+        amount: total,
+        items: cart,
+        settlement: split,
+        note: `${cart.length} utility bills`,
+    }, cartFees(cart));
+
+    /** Record the payment; a failure is left to PaymentPanel to show, and success is shown only once stored */
+    const completePayment = async (result) => {
+        await recordCompletedPayment({ ...result, timestamp: new Date().toISOString() }, { isOnline });
+        setPaid(result);
+        setStep('success');
+        onClear();
+        speak(`Payment successful! Transaction: ${result.txnId}`, lang);
+    };
+
+    const handleBack = () => {
+        if (step !== 'pay') return navigate(-1);
+        setPayState(null);
+        setStep('review');
+    };
+
+    /** Print the cart's receipt on the thermal printer ('print') or as a PDF ('pdf') */
+    const handleReceipt = async (output) => {
+        setReceiptError('');
+        setPrinted(false);
+        try {
+            const records = await getCartTransactionRecords(paid.txnId);
+            if (records.length !== paid.items.length) throw new Error(`Cart ${paid.txnId} has ${records.length} of ${paid.items.length} transactions stored`);
+            if (output === 'print') {
+                await printReceipt('cart', cartReceipt(records), { isPending: records.some(isPendingRecord) });
+                setPrinted(true);
+            } else {
+                const doc = await generateCartReceipt(cartReceipt(records), records.some(isPendingRecord), { lang });
+                downloadReceipt(doc, `receipt-${paid.txnId}.pdf`);
+            }
+        } catch (err) {
+            console.error('Receipt failed:', err);
+            setReceiptError(t(lang, 'receiptUnavailable'));
+        }
+    };
+
+    return (
+        <div className="min-h-[calc(100vh-160px)] flex flex-col items-center px-4 py-6 fast-fade-in">
+            <div className="w-full max-w-xl">
+                {/* Header */}
+                <div className="flex items-center gap-3 mb-6">
+                    <button onClick={handleBack} disabled={payState === 'authorising' || step === 'success'}
+                        className="w-10 h-10 rounded-xl bg-white/5 border border-white/10 flex items-center justify-center text-white/60 hover:text-white cursor-pointer text-lg disabled:opacity-30">←</button>
+                    <div className="flex items-center gap-3 flex-1">
+                        <span className="text-3xl">🛒</span>
+                        <div>
+                            <h2 className="text-xl font-bold text-white">{t(lang, 'cart')}</h2>
+                            <p className="text-white/40 text-sm">
+                                {step === 'review' ? t(lang, 'cartBills', { count: cart.length }) : step === 'pay' ? 'Complete payment' : 'Done!'}
+                            </p>
+                        </div>
+                    </div>
+                </div>
+
+                {/* ── REVIEW ─────────────────────── */}
+                {step === 'review' && (
+                    <div className="space-y-4 fast-fade-in">
+                        {cart.length === 0 && (
+                            <div className="glass-card rounded-2xl p-6 text-center">
+                                <p className="text-white/50">{t(lang, 'cartEmpty')}</p>
+                            </div>
+                        )}
+                        {cart.map(item => (
+                            <div key={item.consumerId} className="glass-card rounded-2xl p-4 flex items-center gap-4">
+                                <span className="text-2xl">{SERVICE_META[item.service]?.icon || '🧾'}</span>
+                                <div className="flex-1 min-w-0">
+                                    <p className="text-white font-mono font-bold">{item.consumerId}</p>
+                                    <p className="text-white/40 text-xs">
+                                        {item.name}{item.billPeriod ? ` · ${item.billPeriod}` : ''}
+                                        {item.balance > 0 && ` · ${t(lang, 'balanceOutstanding')} ₹${item.balance.toLocaleString()}`}
+                                        {item.advance > 0 && ` · ${t(lang, 'advanceCredit')} ₹${item.advance.toLocaleString()}`}
+                                        {item.fees?.map(fee => ` · ${t(lang, fee.type)} ₹${fee.amount.toLocaleString()}`)}
+                                    </p>
+                                    {duplicates[item.consumerId] && (
+                                        <p className="text-amber-400 text-xs font-semibold mt-1">⚠️ {t(lang, 'duplicatePaymentWarning')}</p>
+                                    )}
+                                </div>
+                                <span className="text-white font-black">₹{item.amount.toLocaleString()}</span>
+                                <button onClick={() => onRemove(item.consumerId)} aria-label={t(lang, 'removeFromCart')}
+                                    className="w-8 h-8 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400 text-sm cursor-pointer">✕</button>
+                            </div>
+                        ))}
+
+                        <div className="flex gap-2">
+                            {Object.entries(SERVICE_META).map(([service, { icon, label }]) => (
+                                <button key={service} onClick={() => navigate(`/bill/${service}`)} disabled={cart.length >= CART_MAX_ITEMS}
+                                    className="flex-1 py-2.5 rounded-xl bg-white/5 border border-white/10 text-white/70 text-sm font-semibold cursor-pointer disabled:opacity-30">
+                                    + {icon} {label}
+                                </button>
+                            ))}
+                        </div>
+
+                        {cart.length > 0 && (
+                            <div className="glass-card rounded-2xl p-5 space-y-2">
+                                <p className="text-white/50 text-sm font-semibold">{t(lang, 'settlementSplit')}</p>
+                                {split.map(s => (
+                                    <div key={s.provider} className="flex justify-between text-sm">
+                                        <span className="text-white/60">{s.name} ({s.bills})</span>
+                                        <span className="text-white">₹{s.amount.toLocaleString()}</span>
+                                    </div>
+                                ))}
+                                <div className="border-t border-white/10 pt-3 flex justify-between">
+                                    <span className="text-white font-bold">{t(lang, 'cartTotal')}</span>
+                                    <span className="text-2xl font-black text-green-400">₹{amountCharged(payment).toLocaleString()}</span>
+                                </div>
+                            </div>
+                        )}
+
+                        {hasDuplicates && (
+                            <div className="rounded-2xl p-4 bg-amber-500/10 border border-amber-500/30">
+                                <label className="flex items-center gap-2 text-white/80 text-sm cursor-pointer">
+                                    <input type="checkbox" checked={duplicateAck} onChange={(e) => setDuplicateAck(e.target.checked)} className="w-5 h-5" />
+                                    {t(lang, 'duplicatePaymentConfirm')}
+                                </label>
+                            </div>
+                        )}
+
+                        <button onClick={() => setStep('pay')} disabled={cart.length === 0 || (hasDuplicates && !duplicateAck)}
+                            className="w-full py-3 rounded-xl gradient-success text-white font-bold text-lg cursor-pointer border-0 disabled:opacity-30">
+                            ✓ Pay ₹{amountCharged(payment).toLocaleString()}
+                        </button>
+                    </div>
+                )}
+
+                {/* ── PAY ────────────────────────── */}
+                {step === 'pay' && (
+                    <PaymentPanel lang={lang} payment={payment} onPaid={completePayment} onStateChange={setPayState} />
+                )}
+
+                {/* ── SUCCESS ────────────────────── */}
+                {step === 'success' && paid && (
+                    <div className="flex flex-col items-center gap-5 py-4 fast-scale-in">
+                        <div className="w-24 h-24 rounded-full gradient-success flex items-center justify-center">
+                            <span className="text-white text-4xl">✓</span>
+                        </div>
+                        <div className="text-center">
+                            <h3 className="text-2xl font-black text-green-400 mb-1">Payment Successful!</h3>
+                            <p className="text-white/50 font-mono text-sm">TXN: {paid.txnId}</p>
+                        </div>
+                        <div className="glass-card rounded-2xl p-4 w-full max-w-sm text-sm space-y-1.5">
+                            {paid.items.map(item => (
+                                <div key={item.consumerId} className="flex justify-between">
+                                    <span className="text-white/40">{SERVICE_META[item.service]?.icon} <span className="font-mono">{item.consumerId}</span></span>
+                                    <span className="text-white">₹{item.amount.toLocaleString()}</span>
+                                </div>
+                            ))}
+                            <div className="flex justify-between border-t border-white/10 pt-1.5"><span className="text-white/40">{t(lang, 'cartTotal')}</span><span className="text-white font-bold">₹{paid.amount.toLocaleString()}</span></div>
+                            <TenderDetails payment={paid} />
+                        </div>
+                        {!isOnline && (
+                            <div className="bg-amber-500/10 border border-amber-500/20 rounded-xl px-4 py-2 text-center">
+                                <p className="text-amber-400 text-sm font-semibold">📡 Saved offline — syncs later</p>
+                            </div>
+                        )}
+                        {printed && <p className="text-emerald-400 text-sm font-semibold text-center">{t(lang, 'receiptPrinted')}</p>}
+                        {receiptError && <p className="text-red-400 text-sm font-semibold text-center">{receiptError}</p>}
+                        <SendCopy lang={lang} isOnline={isOnline} template="paymentReceipt"
+                            params={{ txnId: paid.txnId, amount: amountCharged(paid).toLocaleString('en-IN'), consumerId: paid.items.map(item => item.consumerId).join(', ') }} />
+                        <div className="flex gap-3 w-full max-w-sm">
+                            <button onClick={() => handleReceipt('print')}
+                                className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white font-semibold cursor-pointer disabled:opacity-30">🖨️ Print</button>
+                            <button onClick={() => handleReceipt('pdf')}
+                                className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white font-semibold cursor-pointer disabled:opacity-30">📥 PDF</button>
+                            <button onClick={() => navigate('/')} className="flex-1 py-3 rounded-xl gradient-primary text-white font-semibold cursor-pointer border-0">🏠 Home</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -5,22 +5,21 @@
  * ═══════════════════════════════════════════════════════════
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { t } from '../utils/i18n';
 import { speak } from '../utils/voiceCommands';
 import VoiceButton from './VoiceButton';
 import { processVoiceCommand } from '../utils/voiceCommands';
+import { fetchBill } from '../utils/billProviders';
+import { createCartItem } from '../utils/cart';
+import { COMPLAINT_STATUS_KEYS } from '../utils/complaintStatus';
+import { getCitizenComplaints } from '../utils/complaintTracking';
 
 const myBills = [
-    { service: 'Electricity', icon: '⚡', id: 'PSEB-123456', amount: 1200, due: '2026-02-28', status: 'due', route: '/bill/electricity' },
-    { service: 'Water', icon: '💧', id: 'PHED-789012', amount: 280, due: '2026-03-05', status: 'paid', route: '/bill/water' },
-    { service: 'Gas', icon: '🔥', id: 'GPL-345678', amount: 620, due: '2026-03-10', status: 'due', route: '/bill/gas' },
-];
-
-const myComplaints = [
-    { ticketId: 'COMP-2026-00909', category: 'Broken Streetlight', status: 'resolved', date: '2026-01-28' },
-    { ticketId: 'COMP-2026-00915', category: 'Water Supply', status: 'in-progress', date: '2026-02-10' },
+    { service: 'Electricity', serviceType: 'electricity', icon: '⚡', id: 'PSEB-123456', amount: 1200, due: '2026-02-28', status: 'due', route: '/bill/electricity' },
+    { service: 'Water', serviceType: 'water', icon: '💧', id: 'PHED-789012', amount: 280, due: '2026-03-05', status: 'paid', route: '/bill/water' },
+    { service: 'Gas', serviceType: 'gas', icon: '🔥', id: 'GPL-345678', amount: 620, due: '2026-03-10', status: 'due', route: '/bill/gas' },
 ];
 
 const availableServices = [
@@ -28,6 +27,8 @@ const availableServices = [
     { label: 'Name Change', icon: '✏️', route: '/complaint' },
     { label: 'Print Certificate', icon: '📜', route: '/complaint' },
     { label: 'Report Issue', icon: '📝', route: '/complaint' },
+    { label: 'Reprint Receipt', icon: '🧾', route: '/reprint' },
+    { label: 'Track Complaint', icon: '📍', route: '/track' },
     { label: 'Property Tax', icon: '🏠', route: '/bill/electricity' },
     { label: 'View History', icon: '📊', route: '/admin' },
 ];
@@ -37,11 +38,52 @@ const statusColors = {
     'paid': { bg: 'rgba(16,185,129,0.15)', text: '#34D399', label: 'Paid' },
     'resolved': { bg: 'rgba(16,185,129,0.15)', text: '#34D399', label: 'Resolved' },
     'in-progress': { bg: 'rgba(245,158,11,0.15)', text: '#FBBF24', label: 'In Progress' },
+    'submitted': { bg: 'rgba(99,102,241,0.15)', text: '#A5B4FC', label: 'Submitted' },
+    'assigned': { bg: 'rgba(14,165,233,0.15)', text: '#7DD3FC', label: 'Assigned' },
+    'rejected': { bg: 'rgba(239,68,68,0.15)', text: '#F87171', label: 'Rejected' },
+    'reopened': { bg: 'rgba(168,85,247,0.15)', text: '#D8B4FE', label: 'Reopened' },
 };
 
-export default function CitizenDashboard({ lang, citizen, onLogout, isOnline }) {
+export default function CitizenDashboard({ lang, citizen, onLogout, isOnline, onAddToCart }) {
     const navigate = useNavigate();
     const [activeTab, setActiveTab] = useState('bills');
+    const [addingDue, setAddingDue] = useState(false);
+    const [cartError, setCartError] = useState('');
+    const [myComplaints, setMyComplaints] = useState(null);
+
+    /** The citizen's complaints: the backend's, and any not yet synced from this kiosk */
+    useEffect(() => {
+        if (!citizen?.id) return undefined;
+        let cancelled = false;
+        getCitizenComplaints(citizen.id, { isOnline })
+            .catch((err) => {
+                console.error('Could not load complaints:', err);
+                return [];
+            })
+            .then((complaints) => {
+                if (!cancelled) setMyComplaints(complaints);
+            });
+        return () => { cancelled = true; };
+    }, [citizen?.id, isOnline]);
+
+    /** Put every due bill in the cart, at the amount the provider reports now */
+    const payAllDue = async () => {
+        setAddingDue(true);
+        setCartError('');
+        try {
+            const bills = await Promise.all(myBills.filter(b => b.status === 'due').map(b => fetchBill(b.id, b.serviceType)));
+            const items = bills
+                .filter(bill => bill?.amount > 0)
+                .map(bill => createCartItem({ ...bill, name: bill.fullName }, { amount: bill.amount, balance: 0, advance: 0 }));
+            onAddToCart(...items);
+            navigate('/cart');
+        } catch (err) {
+            console.error('Could not add due bills to cart:', err);
+            setCartError(err.message);
+        } finally {
+            setAddingDue(false);
+        }
+    };
 
     const handleVoice = (transcript) => {
         const result = processVoiceCommand(transcript);
@@ -103,6 +145,11 @@ export default function CitizenDashboard({ lang, citizen, onLogout, isOnline })
                 {/* Bills */}
                 {activeTab === 'bills' && (
                     <div className="space-y-3 fast-fade-in">
+                        <button onClick={payAllDue} disabled={addingDue}
+                            className="w-full py-3 rounded-xl gradient-success text-white font-bold cursor-pointer border-0 disabled:opacity-30">
+                            🛒 {addingDue ? t(lang, 'loading') : t(lang, 'payAllDue')}
+                        </button>
+                        {cartError && <p className="text-red-400 text-sm font-semibold">{cartError}</p>}
                         {myBills.map((bill, i) => {
                             const sc = statusColors[bill.status];
                             return (
@@ -139,18 +186,28 @@ export default function CitizenDashboard({ lang, citizen, onLogout, isOnline })
                 {/* Complaints */}
                 {activeTab === 'complaints' && (
                     <div className="space-y-3 fast-fade-in">
-                        {myComplaints.map((comp, i) => {
-                            const sc = statusColors[comp.status];
+                        {!isOnline && <p className="text-amber-400 text-xs font-semibold">📴 {t(lang, 'myComplaintsOffline')}</p>}
+                        {myComplaints === null && <p className="text-white/40 text-sm text-center py-4">{t(lang, 'loading')}</p>}
+                        {myComplaints?.length === 0 && <p className="text-white/40 text-sm text-center py-4">{t(lang, 'myComplaintsEmpty')}</p>}
+                        {myComplaints?.map((comp, i) => {
+                            const sc = statusColors[comp.status] || statusColors.submitted;
                             return (
-                                <div key={comp.ticketId} className="glass-card rounded-2xl p-5 flex items-center justify-between fast-scale-in" style={{ animationDelay: `${i * 0.05}s` }}>
+                                <button
+                                    key={comp.ticketId}
+                                    onClick={() => navigate(`/track/${comp.ticketId}`)}
+                                    className="w-full glass-card rounded-2xl p-5 flex items-center justify-between gap-4 cursor-pointer border border-transparent hover:border-indigo-500/20 text-left hover:scale-[1.01] transition-transform fast-scale-in"
+                                    style={{ animationDelay: `${i * 0.05}s` }}
+                                >
                                     <div>
                                         <p className="text-white font-bold">{comp.category}</p>
-                                        <p className="text-white/30 text-xs font-mono">{comp.ticketId} · {comp.date}</p>
+                                        <p className="text-white/30 text-xs font-mono">
+                                            {comp.ticketId} · {comp.createdAt.slice(0, 10)}{comp.isPending && ` · ⏳ ${t(lang, 'pendingSync')}`}
+                                        </p>
                                     </div>
-                                    <span className="px-3 py-1.5 rounded-full text-xs font-bold" style={{ background: sc.bg, color: sc.text }}>
-                                        {sc.label}
+                                    <span className="px-3 py-1.5 rounded-full text-xs font-bold whitespace-nowrap" style={{ background: sc.bg, color: sc.text }}>
+                                        {COMPLAINT_STATUS_KEYS[comp.status] ? t(lang, COMPLAINT_STATUS_KEYS[comp.status]) : sc.label}
                                     </span>
-                                </div>
+                                </button>
                             );
                         })}
                         <button
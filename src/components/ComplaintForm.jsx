@@ -9,12 +9,15 @@ import { useState, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { t } from '../utils/i18n';
 import { complaintCategories, generateComplaintId } from '../utils/mockData';
-import { saveOfflineComplaint } from '../utils/offlineSync';
+import { getComplaintRecord, saveOfflineComplaint, syncPendingData } from '../utils/offlineSync';
+import { complaintReceipt, isPendingRecord } from '../utils/receiptSchema';
 import { generateComplaintReceipt, downloadReceipt } from '../utils/pdfGenerator';
+import { printReceipt } from '../utils/receiptPrinter';
 import { speak } from '../utils/voiceCommands';
 import VoiceButton from './VoiceButton';
+import SendCopy from './SendCopy';
 
-export default function ComplaintForm({ lang, isOnline }) {
+export default function ComplaintForm({ lang, isOnline, citizen = null }) {
     const navigate = useNavigate();
     const photoRef = useRef(null);
 
@@ -25,6 +28,10 @@ export default function ComplaintForm({ lang, isOnline }) {
     const [photo, setPhoto] = useState(null);
     const [location, setLocation] = useState(null);
     const [ticketId, setTicketId] = useState('');
+    const [complaint, setComplaint] = useState(null);
+    const [saveState, setSaveState] = useState(null);  // saving | saved | failed
+    const [receiptError, setReceiptError] = useState('');
+    const [printed, setPrinted] = useState(false);
     const [isLocating, setIsLocating] = useState(false);
 
     const detectLocation = useCallback(() => {
@@ -74,22 +81,48 @@ export default function ComplaintForm({ lang, isOnline }) {
         }
     };
 
-    const submitComplaint = async () => {
-        const id = generateComplaintId();
-        setTicketId(id);
-        setStep('done');
-        speak(`Complaint registered. Ticket ID: ${id}`, lang);
+    /** Store the complaint; the ticket is only confirmed once it is saved */
+    const saveComplaint = async (data) => {
+        setSaveState('saving');
+        const saved = await saveOfflineComplaint(data);
+        setSaveState(saved ? 'saved' : 'failed');
+        if (!saved) {
+            speak(t(lang, 'complaintUnsaved'), lang);
+            return;
+        }
+        speak(`Complaint registered. Ticket ID: ${data.ticketId}`, lang);
+        if (isOnline) syncPendingData().catch(err => console.error('Complaint sync failed:', err));
+    };
 
-        await saveOfflineComplaint({
-            ticketId: id, category: category?.label, description, hasPhoto: !!photo, location, timestamp: new Date().toISOString(), synced: isOnline,
-        });
+    const submitComplaint = () => {
+        const data = {
+            ticketId: generateComplaintId(), category: category?.label, description, hasPhoto: !!photo, location, timestamp: new Date().toISOString(),
+            ...(citizen ? { citizenId: citizen.id } : {}),
+        };
+        setTicketId(data.ticketId);
+        setComplaint(data);
+        setStep('done');
+        return saveComplaint(data);
     };
 
-    const handleDownload = () => {
-        const doc = generateComplaintReceipt({
-            ticketId, category: category?.label, description, location, date: new Date().toLocaleString('en-IN'),
-        }, !isOnline);
-        downloadReceipt(doc, `complaint-${ticketId}.pdf`);
+    /** The slip is printed from the stored complaint, not from the form: thermal ('print') or PDF ('pdf') */
+    const handleReceipt = async (output) => {
+        setReceiptError('');
+        setPrinted(false);
+        try {
+            const record = await getComplaintRecord(ticketId);
+            if (!record) throw new Error(`Complaint ${ticketId} is not stored`);
+            if (output === 'print') {
+                await printReceipt('complaint', complaintReceipt(record), { isPending: isPendingRecord(record) });
+                setPrinted(true);
+            } else {
+                const doc = await generateComplaintReceipt(complaintReceipt(record), isPendingRecord(record), { lang });
+                downloadReceipt(doc, `complaint-${ticketId}.pdf`);
+            }
+        } catch (err) {
+            console.error('Complaint slip failed:', err);
+            setReceiptError(t(lang, 'receiptUnavailable'));
+        }
     };
 
     return (
@@ -106,7 +139,7 @@ export default function ComplaintForm({ lang, isOnline }) {
                     <div>
                         <h2 className="text-2xl font-bold text-white">📝 {lang === 'hi' ? 'शिकायत दर्ज करें' : 'File Complaint'}</h2>
                         <p className="text-white/40 text-sm">
-                            {step === 'category' ? 'Select a category' : step === 'details' ? 'Describe your issue' : 'Complaint registered'}
+                            {step === 'category' ? 'Select a category' : step === 'details' ? 'Describe your issue' : saveState === 'failed' ? 'Complaint not saved' : 'Complaint registered'}
                         </p>
                     </div>
                 </div>
@@ -228,7 +261,20 @@ export default function ComplaintForm({ lang, isOnline }) {
                 )}
 
                 {/* ── STEP 3: Done ──────────────────────── */}
-                {step === 'done' && (
+                {step === 'done' && saveState === 'failed' && (
+                    <div className="flex flex-col items-center gap-4 glass-card rounded-2xl p-5 border border-red-500/30 fast-fade-in">
+                        <span className="text-4xl">⚠️</span>
+                        <p className="text-white font-bold text-center">{t(lang, 'complaintUnsaved')}</p>
+                        <button onClick={() => saveComplaint(complaint)}
+                            className="w-full py-3 rounded-xl gradient-primary text-white font-bold cursor-pointer border-0">
+                            {t(lang, 'recordAgain')}
+                        </button>
+                        <button onClick={() => navigate('/')} className="w-full py-3 rounded-xl bg-white/5 border border-white/10 text-white font-semibold cursor-pointer hover:bg-white/10">
+                            🏠 Home
+                        </button>
+                    </div>
+                )}
+                {step === 'done' && saveState !== 'failed' && (
                     <div className="flex flex-col items-center gap-6 py-8 fast-scale-in">
                         <div className="w-28 h-28 rounded-full gradient-primary flex items-center justify-center shadow-2xl shadow-indigo-500/20">
                             <span className="text-white text-5xl">📋</span>
@@ -246,15 +292,24 @@ export default function ComplaintForm({ lang, isOnline }) {
                         {!isOnline && (
                             <div className="bg-amber-500/10 border border-amber-500/20 rounded-xl px-5 py-3 text-center">
                                 <p className="text-amber-400 text-sm font-semibold">
-                                    📡 Your complaint is saved. You will receive an SMS once internet returns.
+                                    📡 Your complaint is saved. Leave a mobile number below to get an SMS once internet returns.
                                 </p>
                             </div>
                         )}
 
+                        {printed && <p className="text-emerald-400 text-sm font-semibold text-center">{t(lang, 'receiptPrinted')}</p>}
+                        {receiptError && <p className="text-red-400 text-sm font-semibold text-center">{receiptError}</p>}
+                        <SendCopy lang={lang} isOnline={isOnline} template="complaintRegistered" disabled={saveState !== 'saved'}
+                            params={{ ticketId, category: category?.label }} />
                         <div className="flex gap-3 w-full max-w-sm">
-                            <button onClick={handleDownload} className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white font-semibold cursor-pointer hover:bg-white/10">
+                            <button onClick={() => handleReceipt('print')} disabled={saveState !== 'saved'}
+                                className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white font-semibold cursor-pointer hover:bg-white/10 disabled:opacity-30">
                                 🖨️ Print Slip
                             </button>
+                            <button onClick={() => handleReceipt('pdf')} disabled={saveState !== 'saved'}
+                                className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white font-semibold cursor-pointer hover:bg-white/10 disabled:opacity-30">
+                                📥 PDF
+                            </button>
                             <button onClick={() => navigate('/')} className="flex-1 py-3 rounded-xl gradient-primary text-white font-semibold cursor-pointer border-0">
                                 🏠 Home
                             </button>
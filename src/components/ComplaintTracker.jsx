@@ -0,0 +1,205 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * ComplaintTracker — Status and history of a complaint
+ *
+ * The citizen types the ticket number or scans the QR on the
+ * complaint slip (/track, /track/:ticketId). The complaint's
+ * lifecycle is shown as a timeline with officer remarks
+ * (complaintTracking.js), and its status is read aloud.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { t } from '../utils/i18n';
+import { startCodeScanner } from '../utils/billScanner';
+import { COMPLAINT_STATUS_KEYS, parseTicketId } from '../utils/complaintStatus';
+import { trackComplaint } from '../utils/complaintTracking';
+import { speak } from '../utils/voiceCommands';
+
+/** Timeline dot and badge colours of each status */
+const STATUS_STYLES = {
+    submitted: { dot: 'bg-indigo-400', badge: 'bg-indigo-500/15 text-indigo-300' },
+    assigned: { dot: 'bg-sky-400', badge: 'bg-sky-500/15 text-sky-300' },
+    'in-progress': { dot: 'bg-amber-400', badge: 'bg-amber-500/15 text-amber-300' },
+    resolved: { dot: 'bg-emerald-400', badge: 'bg-emerald-500/15 text-emerald-300' },
+    rejected: { dot: 'bg-red-400', badge: 'bg-red-500/15 text-red-300' },
+    reopened: { dot: 'bg-purple-400', badge: 'bg-purple-500/15 text-purple-300' },
+};
+
+const statusLabel = (lang, status) => (COMPLAINT_STATUS_KEYS[status] ? t(lang, COMPLAINT_STATUS_KEYS[status]) : status);
+
+export default function ComplaintTracker({ lang, isOnline }) {
+    const navigate = useNavigate();
+    const { ticketId: routeId } = useParams();
+    const ticketId = parseTicketId(routeId);
+    const videoRef = useRef(null);
+    const [input, setInput] = useState(routeId?.toUpperCase() || '');
+    const [scanning, setScanning] = useState(false);
+    const [unknownCode, setUnknownCode] = useState(false);
+    const [error, setError] = useState('');
+    const [lookup, setLookup] = useState(null);
+
+    /** Look up the ticket in the route, and say where it stands */
+    useEffect(() => {
+        if (!ticketId) return undefined;
+        let cancelled = false;
+        trackComplaint(ticketId, { isOnline })
+            .then(found => ({ ticketId, found }), (err) => {
+                console.error('Complaint lookup failed:', err);
+                return { ticketId, error: 'trackFailed' };
+            })
+            .then((result) => {
+                if (cancelled) return;
+                setLookup(result);
+                const status = result.found?.complaint.status;
+                if (status) speak(t(lang, 'trackSpeakStatus', { ticketId, status: statusLabel(lang, status) }), lang);
+            });
+        return () => { cancelled = true; };
+    }, [ticketId, isOnline, lang]);
+
+    useEffect(() => {
+        if (!scanning) return undefined;
+        return startCodeScanner(videoRef.current, {
+            parse: parseTicketId,
+            onMatch: (id) => {
+                setScanning(false);
+                setInput(id);
+                navigate(`/track/${id}`);
+            },
+            onUnknown: () => setUnknownCode(true),
+            onError: (err) => {
+                console.error('Ticket scanner failed to start:', err);
+                setScanning(false);
+                setError('cameraUnavailable');
+            },
+        });
+    }, [scanning, navigate]);
+
+    const search = () => {
+        const id = parseTicketId(input);
+        if (!id) {
+            setError('trackMalformed');
+            return;
+        }
+        setError('');
+        navigate(`/track/${id}`);
+    };
+
+    const startScan = () => {
+        setError('');
+        setUnknownCode(false);
+        setScanning(true);
+    };
+
+    const current = lookup?.ticketId === ticketId ? lookup : null;
+    const searching = Boolean(ticketId) && !current;
+    const complaint = current?.found?.complaint;
+    const shownError = error || (routeId && !ticketId ? 'trackMalformed' : current?.error);
+
+    return (
+        <div className="min-h-[calc(100vh-160px)] flex flex-col items-center px-4 py-6 fast-fade-in">
+            <div className="w-full max-w-xl">
+                {/* Header */}
+                <div className="flex items-center gap-3 mb-6">
+                    <button
+                        onClick={() => navigate(-1)}
+                        className="w-12 h-12 rounded-xl bg-white/5 border border-white/10 flex items-center justify-center text-white/60 hover:text-white cursor-pointer text-lg hover:bg-white/10 transition-colors"
+                    >
+                        ←
+                    </button>
+                    <div>
+                        <h2 className="text-2xl font-bold text-white">📍 {t(lang, 'trackComplaint')}</h2>
+                        <p className="text-white/40 text-sm">{t(lang, 'trackSubtitle')}</p>
+                    </div>
+                </div>
+
+                <div className="space-y-4">
+                    {scanning ? (
+                        <div className="glass-card rounded-2xl p-4 flex flex-col items-center gap-3">
+                            <div className="relative w-full aspect-[4/3] rounded-xl overflow-hidden bg-black/40">
+                                <video ref={videoRef} muted playsInline className="w-full h-full object-cover" />
+                                <div className="absolute inset-[15%] border-2 border-indigo-400/70 rounded-xl pointer-events-none" />
+                            </div>
+                            {unknownCode && <p className="text-amber-400 text-sm font-semibold">⚠️ {t(lang, 'trackMalformed')}</p>}
+                            <button onClick={() => setScanning(false)}
+                                className="w-full py-3 rounded-xl bg-white/5 border border-white/10 text-white/70 font-semibold cursor-pointer">⌨️ {t(lang, 'enterManually')}</button>
+                        </div>
+                    ) : (
+                        <form
+                            onSubmit={(e) => { e.preventDefault(); search(); }}
+                            className="glass-card rounded-2xl p-5 space-y-3"
+                        >
+                            <p className="text-white/60 text-sm">{t(lang, 'trackHint')}</p>
+                            <label className="block text-white/50 text-xs font-semibold uppercase tracking-wider" htmlFor="track-id">{t(lang, 'trackTicketId')}</label>
+                            <input
+                                id="track-id"
+                                value={input}
+                                onChange={(e) => { setInput(e.target.value.toUpperCase()); setError(''); }}
+                                autoComplete="off"
+                                spellCheck={false}
+                                placeholder="COMP-2026-00124"
+                                className="w-full rounded-xl bg-white/5 border border-white/10 text-white font-mono text-lg p-3 focus:outline-none focus:border-indigo-500/50"
+                            />
+                            {!isOnline && <p className="text-amber-400 text-xs font-semibold">📴 {t(lang, 'trackOffline')}</p>}
+                            <div className="flex gap-3">
+                                <button type="button" onClick={startScan}
+                                    className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white font-semibold cursor-pointer hover:bg-white/10">📷 {t(lang, 'trackScan')}</button>
+                                <button type="submit" disabled={!input.trim() || searching}
+                                    className="flex-1 py-3 rounded-xl gradient-primary text-white font-bold cursor-pointer border-0 disabled:opacity-40">
+                                    🔍 {searching ? t(lang, 'trackSearching') : t(lang, 'trackFind')}
+                                </button>
+                            </div>
+                        </form>
+                    )}
+
+                    {shownError && <p className="text-red-400 text-sm font-semibold text-center">{t(lang, shownError)}</p>}
+                    {current && !current.error && !complaint && (
+                        <p className="text-amber-400 text-sm font-semibold text-center">{t(lang, 'trackNotFound', { id: ticketId })}</p>
+                    )}
+
+                    {complaint && (
+                        <div className="glass-card rounded-2xl p-5 space-y-4 fast-scale-in">
+                            <div className="flex items-start justify-between gap-3">
+                                <div>
+                                    <p className="text-white font-bold">{complaint.category || t(lang, 'receiptNotAvailable')}</p>
+                                    <p className="text-white/40 text-xs font-mono">{complaint.ticketId}</p>
+                                </div>
+                                <div className="text-right">
+                                    <p className="text-white/40 text-xs">{t(lang, 'trackCurrentStatus')}</p>
+                                    <span className={`inline-block mt-1 px-3 py-1.5 rounded-full text-xs font-bold ${STATUS_STYLES[complaint.status]?.badge || 'bg-white/10 text-white'}`}>
+                                        {statusLabel(lang, complaint.status)}
+                                    </span>
+                                </div>
+                            </div>
+                            <div className="space-y-1 text-sm">
+                                <div className="flex justify-between"><span className="text-white/50">{t(lang, 'trackFiledOn')}</span><span className="text-white">{new Date(complaint.createdAt).toLocaleString('en-IN')}</span></div>
+                                {complaint.officer && <div className="flex justify-between"><span className="text-white/50">{t(lang, 'trackOfficer')}</span><span className="text-white">{complaint.officer}</span></div>}
+                            </div>
+                            {current.found.isPending && <p className="text-amber-400 text-xs font-semibold">⏳ {t(lang, 'trackPendingNote')}</p>}
+                            {!current.found.isPending && current.found.source === 'kiosk' && <p className="text-white/40 text-xs">📴 {t(lang, 'trackKioskOnly')}</p>}
+
+                            {/* Timeline */}
+                            <div>
+                                <p className="text-white/50 text-xs font-semibold uppercase tracking-wider mb-3">{t(lang, 'trackTimeline')}</p>
+                                <ol className="relative border-l border-white/10 ml-2 space-y-4">
+                                    {complaint.history.map((entry, i) => (
+                                        <li key={`${entry.at}-${i}`} className="pl-5 relative">
+                                            <span className={`absolute -left-[7px] top-1 w-3 h-3 rounded-full ${STATUS_STYLES[entry.status]?.dot || 'bg-white/40'} ${i === complaint.history.length - 1 ? 'ring-4 ring-white/10' : ''}`} />
+                                            <p className="text-white text-sm font-semibold">{statusLabel(lang, entry.status)}</p>
+                                            <p className="text-white/40 text-xs">
+                                                {new Date(entry.at).toLocaleString('en-IN')}
+                                                {entry.officer && ` · ${entry.officer}`}
+                                            </p>
+                                            {entry.remark && <p className="text-white/70 text-sm mt-1">{entry.remark}</p>}
+                                        </li>
+                                    ))}
+                                </ol>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -95,6 +95,22 @@ export default function HomeScreen({ lang, setLang, onBack }) {
                 ))}
             </div>
 
+            {/* Receipt reprint & complaint tracking */}
+            <div className="flex gap-3 w-full max-w-xl">
+                <button
+                    onClick={() => navigate('/reprint')}
+                    className="flex-1 py-4 rounded-2xl bg-white/5 border border-white/10 text-white/70 hover:text-white font-semibold cursor-pointer hover:bg-white/10 transition-colors"
+                >
+                    🧾 {t(lang, 'reprintReceipt')}
+                </button>
+                <button
+                    onClick={() => navigate('/track')}
+                    className="flex-1 py-4 rounded-2xl bg-white/5 border border-white/10 text-white/70 hover:text-white font-semibold cursor-pointer hover:bg-white/10 transition-colors"
+                >
+                    📍 {t(lang, 'trackComplaint')}
+                </button>
+            </div>
+
             {/* Hints */}
             <p className="text-white/20 text-sm text-center mt-2">
                 💡 Say "Pay electricity bill" or "Bijli ka bill"
@@ -6,45 +6,7 @@
  */
 
 import { useState, useEffect, useRef } from 'react';
-
-/** Government ad slides with public video URLs */
-const GOV_ADS = [
-    {
-        title: 'Jal Jeevan Mission 💧',
-        subtitle: 'Har Ghar Nal Se Jal — Clean water for every household',
-        source: 'Government of India — Ministry of Jal Shakti',
-        gradient: 'linear-gradient(160deg, #064E3B, #065F46, #0D9488)',
-        video: 'https://cdn.pixabay.com/video/2020/05/25/39831-423375657_large.mp4',
-    },
-    {
-        title: 'Digital India 🇮🇳',
-        subtitle: 'Connecting 1.4 billion citizens to government services',
-        source: 'Government of India — Ministry of Electronics & IT',
-        gradient: 'linear-gradient(160deg, #1E3A5F, #1E40AF, #6366F1)',
-        video: 'https://cdn.pixabay.com/video/2021/04/04/69623-534500128_large.mp4',
-    },
-    {
-        title: 'Swachh Bharat Abhiyan 🌿',
-        subtitle: 'Clean India, Green India — A movement by every citizen',
-        source: 'Government of India — Ministry of Housing & Urban Affairs',
-        gradient: 'linear-gradient(160deg, #14532D, #15803D, #22C55E)',
-        video: 'https://cdn.pixabay.com/video/2019/11/08/28697-372261598_large.mp4',
-    },
-    {
-        title: 'Ayushman Bharat Yojana 🏥',
-        subtitle: 'Free healthcare for 50 crore citizens — PM-JAY',
-        source: 'Government of India — National Health Authority',
-        gradient: 'linear-gradient(160deg, #4C1D95, #6D28D9, #8B5CF6)',
-        video: null,
-    },
-    {
-        title: 'PM-KISAN Samman Nidhi 🌾',
-        subtitle: '₹6,000/year direct income support for farmers',
-        source: 'Government of India — Ministry of Agriculture',
-        gradient: 'linear-gradient(160deg, #78350F, #92400E, #D97706)',
-        video: null,
-    },
-];
+import { govAds as GOV_ADS } from '../utils/mockData';
 
 export default function IdleScreen({ onStart }) {
     const [currentSlide, setCurrentSlide] = useState(0);
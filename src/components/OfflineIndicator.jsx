@@ -7,6 +7,7 @@
 
 import { useState, useEffect } from 'react';
 import { getPendingCount, syncPendingData } from '../utils/offlineSync';
+import { onBackgroundSync } from '../utils/serviceWorker';
 
 export default function OfflineIndicator({ lang, onOnline, onOffline }) {
     const [isOnline, setIsOnline] = useState(navigator.onLine);
@@ -20,9 +21,12 @@ export default function OfflineIndicator({ lang, onOnline, onOffline }) {
             const count = await getPendingCount();
             if (count > 0) {
                 setIsSyncing(true);
-                await syncPendingData((p) => setPendingCount(Math.max(0, count - Math.floor(p * count))));
-                setIsSyncing(false);
-                setPendingCount(0);
+                try {
+                    await syncPendingData((p) => setPendingCount(Math.max(0, count - p.synced)));
+                } finally {
+                    setIsSyncing(false);
+                    setPendingCount(await getPendingCount());
+                }
             }
         };
 
@@ -34,9 +38,13 @@ export default function OfflineIndicator({ lang, onOnline, onOffline }) {
         // Check pending on mount
         getPendingCount().then(setPendingCount);
 
+        // The service worker may flush the queue in the background
+        const unsubscribe = onBackgroundSync(() => getPendingCount().then(setPendingCount));
+
         window.addEventListener('online', handleOnline);
         window.addEventListener('offline', handleOffline);
         return () => {
+            unsubscribe();
             window.removeEventListener('online', handleOnline);
             window.removeEventListener('offline', handleOffline);
         };
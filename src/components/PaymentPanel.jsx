@@ -0,0 +1,340 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * PaymentPanel — Tender step shared by single bills and the cart
+ *
+ * Lets the citizen pick UPI, cash or card (each with its own
+ * convenience fee, fees.js), runs the tender as a
+ * persisted payment session (paymentMachine.js) and reports the
+ * paid payment back. Recording it is left to the caller, which
+ * knows whether it covers one bill or several; until that succeeds
+ * the citizen is told not to pay again and to call the operator.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { t } from '../utils/i18n';
+import { generateTxnId } from '../utils/mockData';
+import { CASH_MAX_TENDER, DEMO_MODE, UPI_PAYEE } from '../utils/config';
+import { createPaymentSession, tenderOutcome } from '../utils/paymentMachine';
+import { amountCharged, convenienceFee, withFees } from '../utils/fees';
+import { ACCEPTED_DENOMINATIONS, getCashAcceptor, startCashTender } from '../utils/cashAcceptor';
+import { startUpiTender, UPI_TENDER_TIMEOUT_MS } from '../utils/upi';
+import { getPosTerminal, POS_SIMULATOR_MODES, startCardTender } from '../utils/posTerminal';
+import { speak } from '../utils/voiceCommands';
+
+/** Messages for attempts that ended without payment */
+const UNPAID_MESSAGES = {
+    'failed': 'paymentFailed',
+    'cancelled': 'paymentCancelled',
+    'timed-out': 'paymentTimedOut',
+};
+
+/** Seconds left as m:ss */
+function formatCountdown(ms) {
+    const secs = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+}
+
+/** Fee, method and tender outcome rows for a success screen */
+export function TenderDetails({ payment }) {
+    return (
+        <>
+            {payment.fees?.map((fee, i) => (
+                <div key={i} className="flex justify-between"><span className="text-white/40">{fee.label}</span><span className="text-white">₹{fee.amount.toLocaleString()}</span></div>
+            ))}
+            {payment.fees?.length > 0 && (
+                <div className="flex justify-between"><span className="text-white/40">Total charged</span><span className="text-green-400 font-bold">₹{payment.total.toLocaleString()}</span></div>
+            )}
+            <div className="flex justify-between"><span className="text-white/40">Method</span><span className="text-white capitalize">{payment.method}</span></div>
+            {payment.maskedPan && (
+                <div className="flex justify-between"><span className="text-white/40">Card</span><span className="text-white font-mono">{payment.cardScheme} {payment.maskedPan}</span></div>
+            )}
+            {payment.authCode && (
+                <div className="flex justify-between"><span className="text-white/40">Auth code</span><span className="text-white font-mono">{payment.authCode}</span></div>
+            )}
+            {payment.cashTendered > 0 && (
+                <div className="flex justify-between"><span className="text-white/40">Cash tendered</span><span className="text-white">₹{payment.cashTendered.toLocaleString()}</span></div>
+            )}
+            {payment.changeDispensed > 0 && (
+                <div className="flex justify-between"><span className="text-white/40">Change returned</span><span className="text-white">₹{payment.changeDispensed.toLocaleString()}</span></div>
+            )}
+            {payment.credit > 0 && (
+                <div className="flex justify-between"><span className="text-white/40">Credited to account</span><span className="text-amber-400 font-bold">₹{payment.credit.toLocaleString()}</span></div>
+            )}
+        </>
+    );
+}
+
+/**
+ * @param {object} props
+ * @param {string} props.lang
+ * @param {object} props.payment - Payment to collect ({ amount, fees?, total?, consumerId, ... }); txnId, method and the convenience fee are added here
+ * @param {function} props.onPaid - Records the payment (with txnId, method, fees and tender outcome) once paid; may be async, and throw when it cannot
+ * @param {function} [props.onStateChange] - Receives each payment session state
+ */
+export default function PaymentPanel({ lang, payment, onPaid, onStateChange }) {
+    const baseCharge = amountCharged(payment);
+    const [payMethod, setPayMethod] = useState(null);
+    const [txnId, setTxnId] = useState('');
+    const [payState, setPayState] = useState(null);
+    const [upiIntent, setUpiIntent] = useState(null);
+    const [now, setNow] = useState(() => Date.now());
+    const [cashTender, setCashTender] = useState(null);
+    const [cardPrompt, setCardPrompt] = useState(null);
+    const [posMode, setPosMode] = useState(() => getPosTerminal()?.mode);
+    const [unrecorded, setUnrecorded] = useState(false);
+    const [recording, setRecording] = useState(false);
+    const sessionRef = useRef(null);
+    const stopTenderRef = useRef(null);
+
+    /** The payment as charged with a method's convenience fee */
+    const chargeFor = (method) => {
+        const fee = convenienceFee(method, baseCharge);
+        return withFees(payment, [...(payment.fees || []), ...(fee ? [fee] : [])]);
+    };
+    const amount = amountCharged(payMethod ? chargeFor(payMethod) : payment);
+
+    const updateState = (state) => {
+        setPayState(state);
+        onStateChange?.(state);
+    };
+
+    const processPayment = async (method) => {
+        setPayMethod(method);
+        setCashTender(null);
+        const id = generateTxnId();
+        setTxnId(id);
+        const attempt = { ...chargeFor(method), txnId: id, method };
+        try {
+            const session = await createPaymentSession(attempt, {
+                onChange: ({ state, details }) => {
+                    updateState(state);
+                    setUnrecorded(Boolean(details.unrecorded));
+                    if (details.unrecorded) {
+                        speak(t(lang, 'paymentUnrecorded'), lang);
+                    } else if (UNPAID_MESSAGES[state]) {
+                        stopTenderRef.current?.();
+                        speak(t(lang, UNPAID_MESSAGES[state]), lang);
+                    }
+                },
+                onSuccess: details => onPaid({ ...attempt, ...tenderOutcome(details) }),
+                timeouts: method === 'upi' ? { 'awaiting-tender': UPI_TENDER_TIMEOUT_MS } : undefined,
+            });
+            sessionRef.current = session;
+            await session.transition('awaiting-tender');
+            stopTenderRef.current = startTender(session, method);
+        } catch (err) {
+            console.error('Could not start payment:', err);
+            updateState('failed');
+        }
+    };
+
+    const startTender = (session, method) => {
+        if (method === 'upi') return startUpiTender(session, { onIntent: setUpiIntent });
+        if (method === 'card') return startCardTender(session, { terminal: getPosTerminal(), onPrompt: setCardPrompt });
+
+        const acceptor = getCashAcceptor();
+        const amountDue = amountCharged(session.payment);
+        const stopTender = startCashTender(session, { acceptor, amountDue, onUpdate: setCashTender });
+        const stopFeed = DEMO_MODE && acceptor.simulated ? acceptor.autoFeed(amountDue) : null;
+        return () => {
+            stopFeed?.();
+            stopTender();
+        };
+    };
+
+    const cancelPayment = () => sessionRef.current?.cancel();
+
+    /** Try recording a payment that went through but could not be saved */
+    const recordAgain = () => {
+        setRecording(true);
+        sessionRef.current.transition('success')
+            .catch(err => console.error('Recording the payment failed again:', err))
+            .finally(() => setRecording(false));
+    };
+
+    const changePosMode = (mode) => {
+        getPosTerminal().setMode(mode);
+        setPosMode(mode);
+    };
+
+    const retryPayment = () => {
+        stopTenderRef.current?.();
+        stopTenderRef.current = null;
+        sessionRef.current?.dispose();
+        sessionRef.current = null;
+        setPayMethod(null);
+        updateState(null);
+        setUpiIntent(null);
+        setCashTender(null);
+        setCardPrompt(null);
+    };
+
+    /** Leaving mid-payment cancels it; an attempt already authorising is left for recovery */
+    useEffect(() => () => {
+        const session = sessionRef.current;
+        if (session && session.state !== 'authorising') session.cancel('Left the payment screen');
+        stopTenderRef.current?.();
+        session?.dispose();
+    }, []);
+
+    /** Tick the UPI QR expiry countdown */
+    useEffect(() => {
+        if (!upiIntent || payState !== 'awaiting-tender') return;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [upiIntent, payState]);
+
+    return (
+        <>
+            {UNPAID_MESSAGES[payState] && (
+                <div className="flex flex-col items-center gap-4 glass-card rounded-2xl p-5 fast-fade-in">
+                    <span className="text-4xl">{payState === 'cancelled' ? '↩️' : '⚠️'}</span>
+                    <p className="text-white font-bold text-center">{t(lang, UNPAID_MESSAGES[payState])}</p>
+                    <p className="text-white/40 font-mono text-xs">TXN: {txnId}</p>
+                    <button onClick={retryPayment}
+                        className="w-full py-3 rounded-xl gradient-primary text-white font-bold cursor-pointer border-0">
+                        {t(lang, 'tryAgain')}
+                    </button>
+                </div>
+            )}
+            {unrecorded && (
+                <div className="flex flex-col items-center gap-4 glass-card rounded-2xl p-5 border border-red-500/30 fast-fade-in">
+                    <span className="text-4xl">🧾</span>
+                    <p className="text-white font-bold text-center">{t(lang, 'paymentUnrecorded')}</p>
+                    <p className="text-white/40 font-mono text-xs">TXN: {txnId}</p>
+                    <button onClick={recordAgain} disabled={recording}
+                        className="w-full py-3 rounded-xl gradient-primary text-white font-bold cursor-pointer border-0 disabled:opacity-40">
+                        {t(lang, 'recordAgain')}
+                    </button>
+                </div>
+            )}
+            {!UNPAID_MESSAGES[payState] && !unrecorded && (
+                <div className="space-y-4 fast-fade-in">
+                    {!payMethod && payment.fees?.length > 0 && (
+                        <div className="glass-card rounded-2xl p-4 text-sm space-y-1.5">
+                            <div className="flex justify-between"><span className="text-white/40">{t(lang, 'billAmountPaid')}</span><span className="text-white">₹{payment.amount.toLocaleString()}</span></div>
+                            {payment.fees.map((fee, i) => (
+                                <div key={i} className="flex justify-between">
+                                    <span className="text-white/40">{t(lang, fee.type)}{fee.daysLate ? ` · ${t(lang, 'daysPastDue', { days: fee.daysLate })}` : ''}</span>
+                                    <span className="text-amber-400">₹{fee.amount.toLocaleString()}</span>
+                                </div>
+                            ))}
+                            <div className="flex justify-between border-t border-white/10 pt-1.5"><span className="text-white font-bold">{t(lang, 'totalPayable')}</span><span className="text-white font-bold">₹{baseCharge.toLocaleString()}</span></div>
+                        </div>
+                    )}
+                    {!payMethod && (
+                        <div className="grid grid-cols-3 gap-3">
+                            {[
+                                { m: 'upi', icon: '📱', label: 'UPI/QR', c: 'blue' },
+                                {
+                                    m: 'cash', icon: '💵', label: 'Cash', c: 'green',
+                                    unavailable: (!getCashAcceptor() && t(lang, 'tenderUnavailable'))
+                                        || (amountCharged(chargeFor('cash')) > CASH_MAX_TENDER && `Up to ₹${CASH_MAX_TENDER.toLocaleString('en-IN')}`),
+                                },
+                                { m: 'card', icon: '💳', label: 'Card', c: 'purple', unavailable: !getPosTerminal() && t(lang, 'tenderUnavailable') },
+                            ].map(({ m, icon, label, c, unavailable }) => {
+                                const fee = convenienceFee(m, baseCharge);
+                                return (
+                                    <button key={m} onClick={() => processPayment(m)} disabled={!!unavailable}
+                                        className={`glass-card rounded-2xl p-4 cursor-pointer border border-transparent hover:border-${c}-500/30 flex flex-col items-center gap-2 disabled:opacity-30`}>
+                                        <span className="text-3xl">{icon}</span>
+                                        <span className="text-white font-bold text-sm">{label}</span>
+                                        <span className={`text-xs ${fee ? 'text-amber-400' : 'text-white/40'}`}>
+                                            {fee ? `+₹${fee.amount.toLocaleString()} ${t(lang, 'convenienceFee')}` : t(lang, 'noFee')}
+                                        </span>
+                                        {unavailable && <span className="text-white/40 text-xs">{unavailable}</span>}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    )}
+                    {payMethod === 'upi' && (
+                        <div className="flex flex-col items-center gap-4 glass-card rounded-2xl p-5 fast-fade-in">
+                            <p className="text-white/60 text-sm">Scan with any UPI app</p>
+                            {upiIntent ? (
+                                <>
+                                    <div className="bg-white p-4 rounded-xl">
+                                        <QRCodeSVG value={upiIntent.uri} size={180} />
+                                    </div>
+                                    <p className="text-white font-bold">{UPI_PAYEE.name} · ₹{upiIntent.amount.toLocaleString()}</p>
+                                    <p className="text-white/40 text-xs font-mono">Ref: {upiIntent.tr}</p>
+                                    {payState === 'awaiting-tender' && (
+                                        <p className="text-white/60 text-sm">
+                                            {t(lang, 'qrExpiresIn', { time: formatCountdown(Date.parse(upiIntent.expiresAt) - now) })}
+                                        </p>
+                                    )}
+                                </>
+                            ) : (
+                                <div className="w-[212px] h-[212px] rounded-xl bg-white/5 animate-pulse" />
+                            )}
+                            <div className="flex items-center gap-2">
+                                <div className="w-2 h-2 rounded-full bg-blue-400 animate-pulse" />
+                                <p className="text-white/60 text-sm">Waiting for payment...</p>
+                            </div>
+                        </div>
+                    )}
+                    {payMethod === 'cash' && (
+                        <div className="flex flex-col items-center gap-4 fast-fade-in">
+                            <div className="w-full glass-card rounded-2xl p-5 space-y-2">
+                                <div className="flex justify-between"><span className="text-white/40 text-sm">Amount due</span><span className="text-white font-bold">₹{amount.toLocaleString()}</span></div>
+                                <div className="flex justify-between"><span className="text-white/40 text-sm">Inserted</span><span className="text-green-400 font-bold">₹{(cashTender?.total || 0).toLocaleString()}</span></div>
+                                <div className="flex justify-between"><span className="text-white/40 text-sm">Remaining</span><span className="text-white">₹{(cashTender?.remaining ?? amount).toLocaleString()}</span></div>
+                                {cashTender?.notes.length > 0 && (
+                                    <div className="flex flex-wrap gap-2 pt-2 border-t border-white/5">
+                                        {cashTender.notes.map((note, i) => (
+                                            <span key={i} className="px-2 py-1 rounded-lg bg-green-500/15 text-green-400 text-xs font-bold fast-fade-in">💵 ₹{note}</span>
+                                        ))}
+                                    </div>
+                                )}
+                                {cashTender?.rejected && <p className="text-amber-400 text-sm font-semibold">⚠️ {cashTender.rejected}</p>}
+                            </div>
+                            <p className="text-white/20 text-xs">↓ Insert notes · ₹{ACCEPTED_DENOMINATIONS[0]}–₹{ACCEPTED_DENOMINATIONS.at(-1)} · up to ₹{CASH_MAX_TENDER.toLocaleString('en-IN')}</p>
+                            {DEMO_MODE && getCashAcceptor()?.simulated && payState === 'awaiting-tender' && (
+                                <div className="flex flex-wrap justify-center gap-2">
+                                    {ACCEPTED_DENOMINATIONS.map(d => (
+                                        <button key={d} onClick={() => getCashAcceptor().insertNote(d)}
+                                            className="px-3 py-1.5 rounded-lg bg-white/5 border border-white/10 text-white/70 text-xs font-bold cursor-pointer">₹{d}</button>
+                                    ))}
+                                    <button onClick={() => getCashAcceptor().insertNote(100, { genuine: false })}
+                                        className="px-3 py-1.5 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400 text-xs font-bold cursor-pointer">✕ Fake note</button>
+                                </div>
+                            )}
+                            <div className="flex items-center gap-2">
+                                <div className="w-2 h-2 rounded-full bg-green-400 animate-pulse" />
+                                <p className="text-white/60 text-sm">Accepting cash...</p>
+                            </div>
+                        </div>
+                    )}
+                    {payMethod === 'card' && (
+                        <div className="flex flex-col items-center gap-4 fast-fade-in">
+                            <div className="w-48 h-32 glass-card rounded-2xl flex items-center justify-center text-6xl">{cardPrompt?.step === 'enter-pin' ? '🔢' : '💳'}</div>
+                            <div className="flex items-center gap-2">
+                                <div className="w-2 h-2 rounded-full bg-indigo-400 animate-pulse" />
+                                <p className="text-white/60 text-sm">{cardPrompt?.message || 'Tap, insert, or swipe...'}</p>
+                            </div>
+                            {DEMO_MODE && getPosTerminal()?.simulated && payState === 'awaiting-tender' && (
+                                <div className="flex justify-center gap-2">
+                                    {POS_SIMULATOR_MODES.map(mode => (
+                                        <button key={mode} onClick={() => changePosMode(mode)}
+                                            className={`px-3 py-1.5 rounded-lg border text-xs font-bold cursor-pointer capitalize ${posMode === mode ? 'bg-indigo-500/20 border-indigo-500/40 text-indigo-300' : 'bg-white/5 border-white/10 text-white/70'}`}>{mode}</button>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    {payState === 'awaiting-tender' && (
+                        <button onClick={cancelPayment}
+                            className="w-full py-3 rounded-xl bg-white/5 border border-white/10 text-white/70 font-semibold cursor-pointer">
+                            {t(lang, 'cancel')}
+                        </button>
+                    )}
+                    {payState === 'authorising' && (
+                        <p className="text-white/50 text-sm text-center">{t(lang, 'paymentAuthorising')}</p>
+                    )}
+                </div>
+            )}
+        </>
+    );
+}
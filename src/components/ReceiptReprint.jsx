@@ -0,0 +1,159 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * ReceiptReprint — Print a lost or jammed receipt again
+ *
+ * The citizen types the transaction or complaint ticket ID; the
+ * receipt is rebuilt from the stored record (receiptLookup.js) and
+ * printed or downloaded marked DUPLICATE COPY.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { t } from '../utils/i18n';
+import { amountCharged } from '../utils/fees';
+import { findReceipt } from '../utils/receiptLookup';
+import { generatePaymentReceipt, generateCartReceipt, generateComplaintReceipt, downloadReceipt } from '../utils/pdfGenerator';
+import { printReceipt } from '../utils/receiptPrinter';
+
+/** PDF generator, title and file name of each kind of receipt */
+const KINDS = {
+    payment: { generate: generatePaymentReceipt, title: 'receiptPaymentTitle', file: data => `receipt-${data.txnId}-duplicate.pdf` },
+    cart: { generate: generateCartReceipt, title: 'receiptCartTitle', file: data => `receipt-${data.txnId}-duplicate.pdf` },
+    complaint: { generate: generateComplaintReceipt, title: 'receiptComplaintTitle', file: data => `complaint-${data.ticketId}-duplicate.pdf` },
+};
+
+export default function ReceiptReprint({ lang, isOnline }) {
+    const navigate = useNavigate();
+    const [id, setId] = useState('');
+    const [searching, setSearching] = useState(false);
+    const [found, setFound] = useState(null);
+    const [notFound, setNotFound] = useState('');
+    const [error, setError] = useState('');
+    const [printed, setPrinted] = useState(false);
+
+    const clearResult = () => {
+        setFound(null);
+        setNotFound('');
+        setError('');
+        setPrinted(false);
+    };
+
+    const search = async () => {
+        const query = id.trim().toUpperCase();
+        clearResult();
+        setSearching(true);
+        try {
+            const receipt = await findReceipt(query, { isOnline });
+            if (receipt) setFound(receipt);
+            else setNotFound(query);
+        } catch (err) {
+            console.error('Receipt lookup failed:', err);
+            setError('reprintFailed');
+        } finally {
+            setSearching(false);
+        }
+    };
+
+    /** Reprint on the thermal printer ('print') or as a PDF ('pdf'), marked DUPLICATE COPY */
+    const handleReprint = async (output) => {
+        const { kind, data, isPending } = found;
+        setError('');
+        setPrinted(false);
+        try {
+            if (output === 'print') {
+                await printReceipt(kind, data, { isPending, duplicate: true });
+                setPrinted(true);
+            } else {
+                const doc = await KINDS[kind].generate(data, isPending, { lang, duplicate: true });
+                downloadReceipt(doc, KINDS[kind].file(data));
+            }
+        } catch (err) {
+            console.error('Receipt reprint failed:', err);
+            setError('receiptUnavailable');
+        }
+    };
+
+    const data = found?.data;
+
+    return (
+        <div className="min-h-[calc(100vh-160px)] flex flex-col items-center px-4 py-6 fast-fade-in">
+            <div className="w-full max-w-xl">
+                {/* Header */}
+                <div className="flex items-center gap-3 mb-6">
+                    <button
+                        onClick={() => navigate(-1)}
+                        className="w-12 h-12 rounded-xl bg-white/5 border border-white/10 flex items-center justify-center text-white/60 hover:text-white cursor-pointer text-lg hover:bg-white/10 transition-colors"
+                    >
+                        ←
+                    </button>
+                    <div>
+                        <h2 className="text-2xl font-bold text-white">🧾 {t(lang, 'reprintReceipt')}</h2>
+                        <p className="text-white/40 text-sm">{t(lang, 'reprintSubtitle')}</p>
+                    </div>
+                </div>
+
+                <div className="space-y-4">
+                    <form
+                        onSubmit={(e) => { e.preventDefault(); search(); }}
+                        className="glass-card rounded-2xl p-5 space-y-3"
+                    >
+                        <p className="text-white/60 text-sm">{t(lang, 'reprintHint')}</p>
+                        <label className="block text-white/50 text-xs font-semibold uppercase tracking-wider" htmlFor="reprint-id">{t(lang, 'reprintId')}</label>
+                        <input
+                            id="reprint-id"
+                            value={id}
+                            onChange={(e) => { setId(e.target.value.toUpperCase()); clearResult(); }}
+                            autoComplete="off"
+                            spellCheck={false}
+                            placeholder="TXN-20260218-12345 / COMP-2026-00124"
+                            className="w-full rounded-xl bg-white/5 border border-white/10 text-white font-mono text-lg p-3 focus:outline-none focus:border-indigo-500/50"
+                        />
+                        {!isOnline && <p className="text-amber-400 text-xs font-semibold">📴 {t(lang, 'reprintOffline')}</p>}
+                        <button type="submit" disabled={!id.trim() || searching}
+                            className="w-full py-3 rounded-xl gradient-primary text-white font-bold cursor-pointer border-0 disabled:opacity-40">
+                            🔍 {searching ? t(lang, 'reprintSearching') : t(lang, 'reprintFind')}
+                        </button>
+                    </form>
+
+                    {notFound && <p className="text-amber-400 text-sm font-semibold text-center">{t(lang, 'reprintNotFound', { id: notFound })}</p>}
+
+                    {found && (
+                        <div className="glass-card rounded-2xl p-5 space-y-3 fast-scale-in">
+                            <p className="text-white font-bold">{t(lang, KINDS[found.kind].title)}</p>
+                            <div className="space-y-1 text-sm">
+                                {found.kind === 'complaint' ? (
+                                    <>
+                                        <div className="flex justify-between"><span className="text-white/50">{t(lang, 'ticketId')}</span><span className="text-white font-mono">{data.ticketId}</span></div>
+                                        {data.category && <div className="flex justify-between"><span className="text-white/50">{t(lang, 'complaintCategory')}</span><span className="text-white">{data.category}</span></div>}
+                                    </>
+                                ) : (
+                                    <>
+                                        <div className="flex justify-between"><span className="text-white/50">{t(lang, 'transactionId')}</span><span className="text-white font-mono">{data.txnId}</span></div>
+                                        {(found.kind === 'cart' ? data.items : [data]).map(item => (
+                                            <div key={item.txnId} className="flex justify-between"><span className="text-white/50">{t(lang, 'consumerId')}</span><span className="text-white font-mono">{item.consumerId}</span></div>
+                                        ))}
+                                        <div className="flex justify-between"><span className="text-white/50">{t(lang, 'receiptAmountPaid')}</span><span className="text-white font-bold">₹{amountCharged(data)}</span></div>
+                                    </>
+                                )}
+                                <div className="flex justify-between"><span className="text-white/50">{t(lang, 'receiptDateTime')}</span><span className="text-white">{new Date(data.timestamp).toLocaleString('en-IN')}</span></div>
+                            </div>
+                            {found.source === 'backend' && <p className="text-white/40 text-xs">☁️ {t(lang, 'reprintFromBackend')}</p>}
+                            {found.isPending && <p className="text-amber-400 text-xs font-semibold">⏳ {t(lang, 'pendingSync')}</p>}
+                            <p className="text-white/40 text-xs">{t(lang, 'reprintDuplicateNote')}</p>
+                            <div className="flex gap-3">
+                                <button onClick={() => handleReprint('print')}
+                                    className="flex-1 py-3 rounded-xl gradient-primary text-white font-semibold cursor-pointer border-0">🖨️ Print</button>
+                                <button onClick={() => handleReprint('pdf')}
+                                    className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white font-semibold cursor-pointer">📥 PDF</button>
+                            </div>
+                            {printed && <p className="text-emerald-400 text-sm font-semibold text-center">{t(lang, 'receiptPrinted')}</p>}
+                        </div>
+                    )}
+
+                    {error && <p className="text-red-400 text-sm font-semibold text-center">{t(lang, error)}</p>}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,175 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * ReceiptVerifier — Check the signed QR on a receipt
+ *
+ * Utility office staff (or the citizen) scan the QR printed on a
+ * receipt, or paste its text, and see whether the receipt is
+ * genuine and matches the recorded payment (receiptVerification.js).
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { t } from '../utils/i18n';
+import { startCodeScanner } from '../utils/billScanner';
+import { parseReceiptCode } from '../utils/receiptSignature';
+import { verifyReceipt } from '../utils/receiptVerification';
+
+const GOOD = 'bg-emerald-500/10 border-emerald-500/30 text-emerald-400';
+const WARN = 'bg-amber-500/10 border-amber-500/30 text-amber-400';
+const BAD = 'bg-red-500/10 border-red-500/30 text-red-400';
+
+/** How each verification status (receiptSignature.verifyReceiptCode) is shown */
+const OUTCOMES = {
+    authentic: { icon: '✅', key: 'verifyAuthentic', style: GOOD },
+    notFound: { icon: '⏳', key: 'verifyNotFound', style: WARN },
+    unknownKiosk: { icon: '❓', key: 'verifyUnknownKiosk', style: WARN },
+    malformed: { icon: '❓', key: 'verifyMalformed', style: WARN },
+    mismatch: { icon: '⚠️', key: 'verifyMismatch', style: BAD },
+    forged: { icon: '❌', key: 'verifyForged', style: BAD },
+};
+
+/** Keep only receipt codes from the camera */
+const receiptCodeText = text => (parseReceiptCode(text) ? text : null);
+
+export default function ReceiptVerifier({ lang }) {
+    const navigate = useNavigate();
+    const videoRef = useRef(null);
+    const [code, setCode] = useState('');
+    const [scanning, setScanning] = useState(false);
+    const [unknownCode, setUnknownCode] = useState(false);
+    const [checking, setChecking] = useState(false);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+
+    const check = useCallback(async (text) => {
+        setError('');
+        setResult(null);
+        setChecking(true);
+        try {
+            setResult(await verifyReceipt(text));
+        } catch (err) {
+            console.error('Receipt verification failed:', err);
+            setError('verifyFailed');
+        } finally {
+            setChecking(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!scanning) return undefined;
+        return startCodeScanner(videoRef.current, {
+            parse: receiptCodeText,
+            onMatch: (text) => {
+                setScanning(false);
+                setCode(text);
+                check(text);
+            },
+            onUnknown: () => setUnknownCode(true),
+            onError: (err) => {
+                console.error('Receipt scanner failed to start:', err);
+                setScanning(false);
+                setError('cameraUnavailable');
+            },
+        });
+    }, [scanning, check]);
+
+    const reset = () => {
+        setCode('');
+        setResult(null);
+        setError('');
+    };
+
+    const startScan = () => {
+        reset();
+        setUnknownCode(false);
+        setScanning(true);
+    };
+
+    const outcome = result && OUTCOMES[result.status];
+    const params = result && {
+        kioskId: result.kioskId,
+        txnId: result.txnId,
+        amount: result.amount,
+        recorded: result.recordedAmount,
+    };
+
+    return (
+        <div className="min-h-[calc(100vh-160px)] flex flex-col items-center px-4 py-6 fast-fade-in">
+            <div className="w-full max-w-xl">
+                {/* Header */}
+                <div className="flex items-center gap-3 mb-6">
+                    <button
+                        onClick={() => navigate(-1)}
+                        className="w-12 h-12 rounded-xl bg-white/5 border border-white/10 flex items-center justify-center text-white/60 hover:text-white cursor-pointer text-lg hover:bg-white/10 transition-colors"
+                    >
+                        ←
+                    </button>
+                    <div>
+                        <h2 className="text-2xl font-bold text-white">🔏 {t(lang, 'verifyTitle')}</h2>
+                        <p className="text-white/40 text-sm">{t(lang, 'verifySubtitle')}</p>
+                    </div>
+                </div>
+
+                <div className="space-y-4">
+                    {scanning ? (
+                        <div className="glass-card rounded-2xl p-4 flex flex-col items-center gap-3">
+                            <div className="relative w-full aspect-[4/3] rounded-xl overflow-hidden bg-black/40">
+                                <video ref={videoRef} muted playsInline className="w-full h-full object-cover" />
+                                <div className="absolute inset-[15%] border-2 border-indigo-400/70 rounded-xl pointer-events-none" />
+                            </div>
+                            {unknownCode && <p className="text-amber-400 text-sm font-semibold">⚠️ {t(lang, 'verifyMalformed')}</p>}
+                            <button onClick={() => setScanning(false)}
+                                className="w-full py-3 rounded-xl bg-white/5 border border-white/10 text-white/70 font-semibold cursor-pointer">⌨️ {t(lang, 'enterManually')}</button>
+                        </div>
+                    ) : (
+                        <div className="glass-card rounded-2xl p-5 space-y-3">
+                            <p className="text-white/60 text-sm">{t(lang, 'verifyHint')}</p>
+                            <label className="block text-white/50 text-xs font-semibold uppercase tracking-wider" htmlFor="verify-code">{t(lang, 'verifyCode')}</label>
+                            <textarea
+                                id="verify-code"
+                                value={code}
+                                onChange={(e) => { setCode(e.target.value); setResult(null); setError(''); }}
+                                rows={3}
+                                spellCheck={false}
+                                placeholder="SVR1|K-001|TXN...|...|..."
+                                className="w-full rounded-xl bg-white/5 border border-white/10 text-white font-mono text-sm p-3 focus:outline-none focus:border-indigo-500/50 resize-none"
+                            />
+                            <div className="flex gap-3">
+                                <button onClick={startScan}
+                                    className="flex-1 py-3 rounded-xl bg-white/5 border border-white/10 text-white font-semibold cursor-pointer hover:bg-white/10">📷 {t(lang, 'verifyScan')}</button>
+                                <button onClick={() => check(code.trim())} disabled={!code.trim() || checking}
+                                    className="flex-1 py-3 rounded-xl gradient-primary text-white font-bold cursor-pointer border-0 disabled:opacity-40">
+                                    {checking ? t(lang, 'verifyChecking') : t(lang, 'verifySubmit')}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {error && <p className="text-red-400 text-sm font-semibold text-center">{t(lang, error)}</p>}
+
+                    {outcome && (
+                        <div className={`rounded-2xl border p-5 space-y-3 fast-scale-in ${outcome.style}`}>
+                            <p className="font-bold flex items-start gap-2">
+                                <span className="text-2xl leading-none">{outcome.icon}</span>
+                                <span>{t(lang, outcome.key, params)}</span>
+                            </p>
+                            {result.txnId && (
+                                <div className="space-y-1 text-sm">
+                                    <div className="flex justify-between"><span className="text-white/50">{t(lang, 'transactionId')}</span><span className="text-white font-mono">{result.txnId}</span></div>
+                                    {result.transactions?.map(txn => (
+                                        <div key={txn.txnId} className="flex justify-between"><span className="text-white/50">{t(lang, 'consumerId')}</span><span className="text-white font-mono">{txn.consumerId}</span></div>
+                                    ))}
+                                    <div className="flex justify-between"><span className="text-white/50">{t(lang, 'receiptAmountPaid')}</span><span className="text-white font-bold">₹{result.amount}</span></div>
+                                    <div className="flex justify-between"><span className="text-white/50">{t(lang, 'verifyKiosk')}</span><span className="text-white font-mono">{result.kioskId}</span></div>
+                                </div>
+                            )}
+                            <button onClick={reset}
+                                className="w-full py-2 rounded-xl bg-white/5 border border-white/10 text-white/70 text-sm font-semibold cursor-pointer">{t(lang, 'verifyAnother')}</button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
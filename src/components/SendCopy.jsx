@@ -0,0 +1,94 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SendCopy — Receipt or ticket by SMS, WhatsApp or email
+ *
+ * Sits on the success screens. The message is queued through
+ * notifications.js, so a copy asked for offline is sent on
+ * reconnect. Hidden when the kiosk has no gateway to send through.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { useState } from 'react';
+import { t } from '../utils/i18n';
+import { canSendNotifications, sendNotification } from '../utils/notifications';
+import { NotificationError } from '../utils/notificationTemplates';
+
+const CHANNELS = [
+    { key: 'sms', icon: '📱', label: 'notifySms' },
+    { key: 'whatsapp', icon: '💬', label: 'notifyWhatsapp' },
+    { key: 'email', icon: '✉️', label: 'notifyEmail' },
+];
+
+/** Screen message for each outcome of sendNotification */
+const SENT_MESSAGES = { queued: 'notifyQueued', logged: 'notifyLogged', queuedOffline: 'notifyQueuedOffline' };
+
+export default function SendCopy({ lang, isOnline, template, params, disabled = false }) {
+    const [channel, setChannel] = useState('sms');
+    const [to, setTo] = useState('');
+    const [sending, setSending] = useState(false);
+    const [sent, setSent] = useState(null);
+    const [error, setError] = useState('');
+
+    const send = async () => {
+        setError('');
+        setSending(true);
+        try {
+            setSent(await sendNotification({ template, channel, to, lang, params }, { isOnline }));
+        } catch (err) {
+            if (err instanceof NotificationError) {
+                setError(channel === 'email' ? 'notifyInvalidEmail' : 'notifyInvalidMobile');
+            } else {
+                console.error('Sending the copy failed:', err);
+                setError('notifyFailed');
+            }
+        } finally {
+            setSending(false);
+        }
+    };
+
+    if (!canSendNotifications()) return null;
+
+    if (sent) {
+        return (
+            <p className="w-full max-w-sm text-emerald-400 text-sm font-semibold text-center">
+                ✓ {t(lang, SENT_MESSAGES[sent.status], { to: sent.to })}
+            </p>
+        );
+    }
+
+    return (
+        <div className="glass-card rounded-2xl p-4 w-full max-w-sm space-y-3">
+            <p className="text-white/60 text-sm font-semibold">{t(lang, 'notifySendCopy')}</p>
+            <div className="flex gap-2">
+                {CHANNELS.map(c => (
+                    <button
+                        key={c.key}
+                        onClick={() => { setChannel(c.key); setError(''); }}
+                        className={`flex-1 py-2 rounded-xl text-sm font-semibold cursor-pointer border transition-colors ${channel === c.key
+                            ? 'bg-indigo-600/20 border-indigo-500/40 text-indigo-300'
+                            : 'bg-white/5 border-white/10 text-white/50 hover:text-white/70'}`}
+                    >
+                        {c.icon} {t(lang, c.label)}
+                    </button>
+                ))}
+            </div>
+            <form onSubmit={(e) => { e.preventDefault(); send(); }} className="flex gap-2">
+                <input
+                    type={channel === 'email' ? 'email' : 'tel'}
+                    inputMode={channel === 'email' ? 'email' : 'numeric'}
+                    value={to}
+                    onChange={(e) => { setTo(e.target.value); setError(''); }}
+                    placeholder={t(lang, channel === 'email' ? 'notifyEmailAddress' : 'notifyMobile')}
+                    aria-label={t(lang, channel === 'email' ? 'notifyEmailAddress' : 'notifyMobile')}
+                    autoComplete="off"
+                    className="flex-1 min-w-0 rounded-xl bg-white/5 border border-white/10 text-white p-3 focus:outline-none focus:border-indigo-500/50"
+                />
+                <button type="submit" disabled={disabled || sending || !to.trim()}
+                    className="px-4 rounded-xl gradient-primary text-white font-semibold cursor-pointer border-0 disabled:opacity-30">
+                    {sending ? t(lang, 'notifySending') : t(lang, 'notifySend')}
+                </button>
+            </form>
+            {error && <p className="text-red-400 text-xs font-semibold">{t(lang, error)}</p>}
+        </div>
+    );
+}
@@ -0,0 +1,110 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Service Worker
+ *
+ * Keeps the kiosk usable after a reboot without network:
+ *   - Precaches the Vite build (app shell, lazy chunks, CSS and the
+ *     bundled language packs). The list and cache version are injected
+ *     at build time, so every deploy gets a fresh cache.
+ *   - Caches IdleScreen media and web fonts for offline playback.
+ *   - Flushes the offline queue via Background Sync, even when no
+ *     kiosk page is focused.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { syncPendingData } from './utils/offlineSync';
+import { govAds } from './utils/mockData';
+import { SYNC_TAG } from './utils/serviceWorker';
+
+/** Injected by the build: { version, urls } */
+const PRECACHE = self.__SUVIDHA_PRECACHE__;
+
+const SHELL_CACHE = `suvidha-shell-${PRECACHE.version}`;
+const MEDIA_CACHE = 'suvidha-media-v1';
+const FONT_CACHE = 'suvidha-fonts-v1';
+
+const MEDIA_URLS = govAds.map(ad => ad.video).filter(Boolean);
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(PRECACHE.urls);
+
+        // Media is best-effort: the shell must install even if the CDN is down
+        const media = await caches.open(MEDIA_CACHE);
+        await Promise.all(MEDIA_URLS.map(async (url) => {
+            if (await media.match(url)) return;
+            try {
+                await media.put(url, await fetch(url, { mode: 'no-cors' }));
+            } catch (err) {
+                console.warn('Could not precache media:', url, err);
+            }
+        }));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('suvidha-shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+/** Cache-first, falling back to the network and storing the result */
+async function cacheFirst(cacheName, request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
+
+/** Network-first for page loads so deploys show up, cached shell when offline */
+async function navigate(request) {
+    try {
+        return await fetch(request);
+    } catch {
+        const shell = await caches.open(SHELL_CACHE);
+        return (await shell.match('/index.html')) || Response.error();
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        event.respondWith(navigate(request));
+    } else if (url.origin === self.location.origin && PRECACHE.urls.includes(url.pathname)) {
+        event.respondWith(cacheFirst(SHELL_CACHE, request));
+    } else if (MEDIA_URLS.includes(request.url)) {
+        event.respondWith(cacheFirst(MEDIA_CACHE, new Request(request.url, { mode: 'no-cors' })));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(FONT_CACHE, request));
+    }
+});
+
+/** Tell open kiosk pages that queued data changed */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    for (const client of clients) client.postMessage(message);
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== SYNC_TAG) return;
+    event.waitUntil((async () => {
+        const summary = await syncPendingData();
+        await notifyClients({ type: 'sync-complete', summary });
+        // Rejecting asks the browser to retry the sync later
+        if (summary.remaining > 0) throw new Error(`${summary.remaining} records still pending`);
+    })());
+});
@@ -0,0 +1,76 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Backend HTTP Client
+ * Thin fetch wrapper with timeouts and JSON error handling
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { API_BASE_URL, API_TIMEOUT_MS, KIOSK_ID } from './config';
+
+/** Error raised for failed backend calls (network, timeout or non-2xx) */
+export class ApiError extends Error {
+    constructor(message, { status = 0, body = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.body = body;
+    }
+
+    /** Network failures, timeouts, 408, 429 and 5xx are worth retrying */
+    get retryable() {
+        return this.status === 0 || this.status === 408 || this.status === 429 || this.status >= 500;
+    }
+}
+
+/**
+ * Perform a JSON request against a backend
+ * @param {string} path - Path relative to baseUrl (leading slash)
+ * @param {object} options
+ * @param {string} [options.method='GET']
+ * @param {object} [options.body] - JSON-serialisable request body
+ * @param {object} [options.headers] - Extra request headers
+ * @param {string} [options.baseUrl] - Overrides the configured API base URL
+ * @param {number} [options.timeoutMs] - Abort after this many ms
+ * @returns {Promise<any>} Parsed JSON body, or null for 404
+ */
+export async function apiRequest(path, { method = 'GET', body, headers = {}, baseUrl = API_BASE_URL, timeoutMs = API_TIMEOUT_MS } = {}) {
+    if (!baseUrl) throw new ApiError('No backend configured');
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let res;
+    try {
+        res = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                'X-Kiosk-Id': KIOSK_ID,
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...headers,
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal: controller.signal,
+        });
+    } catch (err) {
+        const reason = err.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : err.message;
+        throw new ApiError(`${method} ${path} failed: ${reason}`);
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (res.status === 404) return null;
+
+    const text = await res.text();
+    let data = null;
+    try {
+        data = text ? JSON.parse(text) : null;
+    } catch {
+        data = text;
+    }
+
+    if (!res.ok) {
+        throw new ApiError(`${method} ${path} failed: ${data?.error || res.statusText}`, { status: res.status, body: data });
+    }
+    return data;
+}
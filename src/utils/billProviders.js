@@ -0,0 +1,198 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Bill Provider Adapters
+ *
+ * Every utility is reached through the same BillProvider shape:
+ *
+ *   fetchBill(consumerId)    → Promise<Bill|null>
+ *   postPayment(payment)     → Promise<{ status, receiptNo?, conflictWith? }>
+ *   fetchHistory(consumerId) → Promise<Array<Payment>>
+ *
+ * With VITE_API_BASE_URL set, each utility talks to the billing
+ * backend over HTTP. Without it, the sample bills in mockData are
+ * served locally, and only in VITE_DEMO_MODE are bills fabricated
+ * for unknown consumer IDs.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { apiRequest } from './api';
+import { API_BASE_URL, DEMO_MODE, isBackendConfigured } from './config';
+import { lookupBill } from './mockData';
+import { computeBill } from './tariffs';
+import { normaliseConsumerId } from './consumerIds';
+
+/** Utilities served by the kiosk, keyed by serviceType */
+export const UTILITIES = {
+    electricity: { code: 'PSEB', name: 'Punjab State Electricity Board', unitLabel: 'kWh', state: 'PB' },
+    water: { code: 'PHED', name: 'Public Health Engineering Dept.', unitLabel: 'KL', state: 'PB' },
+    gas: { code: 'GPL', name: 'Gas Pipelines Ltd.', unitLabel: 'Cylinders', state: 'PB' },
+};
+
+/**
+ * Normalise a raw bill from any source into the shape the UI expects
+ * @param {object} raw - Bill as returned by a backend or mockData
+ * @param {string} serviceType - Utility the bill belongs to
+ * @returns {object}
+ */
+function normaliseBill(raw, serviceType) {
+    const utility = UTILITIES[serviceType];
+    return {
+        id: raw.id || raw.consumerId,
+        service: raw.service || serviceType,
+        provider: utility.code,
+        fullName: raw.fullName || raw.name || '',
+        amount: Number(raw.amount) || 0,
+        // Amount originally billed; amount drops as part payments come in
+        billedAmount: Number(raw.billedAmount ?? raw.amount) || 0,
+        credit: Number(raw.credit) || 0,
+        units: raw.units ?? null,
+        unitLabel: raw.unitLabel || utility.unitLabel,
+        state: raw.state || utility.state,
+        category: raw.category || 'domestic',
+        subsidyEligible: Boolean(raw.subsidyEligible),
+        billPeriod: raw.billPeriod || null,
+        dueDate: raw.dueDate || null,
+        lastPaymentDate: raw.lastPaymentDate || null,
+        address: raw.address || '',
+        meterNo: raw.meterNo || '',
+    };
+}
+
+/**
+ * Create an adapter that talks to a billing backend over HTTP.
+ * The backend contract is implemented by server/ for local development.
+ * @param {object} options
+ * @param {string} options.serviceType - electricity | water | gas
+ * @param {string} [options.baseUrl] - Backend base URL (defaults to VITE_API_BASE_URL)
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @returns {object} BillProvider
+ */
+export function createHttpAdapter({ serviceType, baseUrl = API_BASE_URL, timeoutMs }) {
+    const utility = UTILITIES[serviceType];
+    const root = `/utilities/${utility.code.toLowerCase()}`;
+    const request = (path, opts = {}) => apiRequest(`${root}${path}`, { baseUrl, timeoutMs, ...opts });
+
+    return {
+        id: `${utility.code}-http`,
+        utility: utility.code,
+
+        async fetchBill(consumerId) {
+            const raw = await request(`/bills/${encodeURIComponent(consumerId)}`);
+            return raw ? normaliseBill(raw, serviceType) : null;
+        },
+
+        async postPayment(payment) {
+            return request('/payments', { method: 'POST', body: payment });
+        },
+
+        async fetchHistory(consumerId) {
+            return (await request(`/bills/${encodeURIComponent(consumerId)}/history`)) || [];
+        },
+    };
+}
+
+/** Random bill for an unknown consumer ID — demo mode only */
+function fabricateBill(consumerId, serviceType) {
+    const fakeNames = ['Vivek Kumar', 'Anjali Sharma', 'Ramesh Patel', 'Priya Singh', 'Sunil Verma'];
+    const units = Math.floor(Math.random() * 200) + 10;
+    // Priced by the tariff where one exists, so the breakdown adds up
+    const priced = computeBill({ state: UTILITIES[serviceType].state, service: serviceType, units, unitLabel: UTILITIES[serviceType].unitLabel });
+    return {
+        id: consumerId,
+        service: serviceType,
+        fullName: fakeNames[Math.floor(Math.random() * fakeNames.length)],
+        amount: priced?.total ?? Math.floor(Math.random() * 2000) + 200,
+        units,
+        billPeriod: '2026-02',
+        dueDate: '2026-03-15',
+        lastPaymentDate: '2026-01-20',
+        meterNo: `MTR-${Math.floor(Math.random() * 9000000) + 1000000}`,
+    };
+}
+
+/**
+ * Create an adapter backed by the sample bills in mockData.
+ * Payments are kept in memory for the session.
+ * @param {object} options
+ * @param {string} options.serviceType - electricity | water | gas
+ * @param {boolean} [options.demo] - Fabricate bills for unknown IDs
+ * @returns {object} BillProvider
+ */
+export function createMockAdapter({ serviceType, demo = DEMO_MODE }) {
+    const utility = UTILITIES[serviceType];
+    const payments = [];
+
+    return {
+        id: `${utility.code}-mock`,
+        utility: utility.code,
+
+        async fetchBill(consumerId) {
+            const sample = lookupBill(consumerId);
+            if (sample && sample.service === serviceType) return normaliseBill(sample, serviceType);
+            if (demo) return normaliseBill(fabricateBill(consumerId, serviceType), serviceType);
+            return null;
+        },
+
+        async postPayment(payment) {
+            const earlier = payments.find(p => p.consumerId === payment.consumerId
+                && p.billPeriod === payment.billPeriod && p.amount === payment.amount);
+            payments.push({ ...payment, postedAt: new Date().toISOString() });
+            if (earlier && payment.billPeriod) {
+                return { status: 'conflict', receiptNo: payment.txnId, conflictWith: earlier.txnId };
+            }
+            return { status: 'accepted', receiptNo: payment.txnId };
+        },
+
+        async fetchHistory(consumerId) {
+            return payments.filter(p => p.consumerId === consumerId);
+        },
+    };
+}
+
+const providerCache = new Map();
+
+/**
+ * Work out which utility a consumer ID belongs to.
+ * An explicit prefix (PSEB-, PHED-, GPL-) wins over the route's serviceType.
+ * @param {string} consumerId
+ * @param {string} [serviceType]
+ * @returns {string|null} serviceType key of UTILITIES
+ */
+export function resolveServiceType(consumerId, serviceType) {
+    const prefix = (consumerId || '').trim().toUpperCase().match(/^([A-Z]+)/)?.[1];
+    const byPrefix = Object.keys(UTILITIES).find(key => UTILITIES[key].code === prefix);
+    if (byPrefix) return byPrefix;
+    return UTILITIES[serviceType] ? serviceType : null;
+}
+
+/**
+ * Get the BillProvider for a consumer ID / service type
+ * @param {string} consumerId
+ * @param {string} [serviceType]
+ * @returns {object|null} BillProvider, or null for an unknown utility
+ */
+export function getBillProvider(consumerId, serviceType) {
+    const resolved = resolveServiceType(consumerId, serviceType);
+    if (!resolved) return null;
+
+    if (!providerCache.has(resolved)) {
+        providerCache.set(resolved, isBackendConfigured()
+            ? createHttpAdapter({ serviceType: resolved })
+            : createMockAdapter({ serviceType: resolved }));
+    }
+    return providerCache.get(resolved);
+}
+
+/**
+ * Fetch a bill through the matching provider. The ID is put in its
+ * canonical form first (consumerIds.js); an invalid ID finds nothing.
+ * @param {string} consumerId
+ * @param {string} [serviceType]
+ * @returns {Promise<object|null>} Normalised bill, or null if not found
+ */
+export async function fetchBill(consumerId, serviceType) {
+    const resolved = resolveServiceType(consumerId, serviceType);
+    const id = resolved && normaliseConsumerId(resolved, consumerId);
+    if (!id) return null;
+    return getBillProvider(id, resolved).fetchBill(id);
+}
@@ -0,0 +1,140 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Bill QR / Barcode Scanner
+ *
+ * Reads the code printed on a utility bill with the kiosk webcam
+ * and a pure-JS decoder (@zxing/library, loaded on first use).
+ * Printed formats understood by parseBillCode():
+ *
+ *   PSEB  QR       PSEB|<account>|<YYYY-MM>|<amount>
+ *   PHED  QR       PHED;CID=<account>;PRD=<YYYYMM>;AMT=<amount>
+ *   GPL   Code 128 GPL<account:6><YYMM><amount in paise:8>
+ *   any   Code 39  <CODE>-<account>  (meter card stickers; ID only)
+ *
+ * startCodeScanner() runs the same camera loop for other codes,
+ * such as receipt verification QRs (receiptSignature.js).
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { normaliseConsumerId, serviceForId } from './consumerIds';
+
+/** Barcode symbologies the decoder looks for (zxing BarcodeFormat names) */
+export const SCAN_FORMATS = ['QR_CODE', 'CODE_128', 'CODE_39'];
+
+/** Pause between decode attempts on the live video (ms) */
+const SCAN_INTERVAL_MS = 300;
+
+/** Printed sample codes, for trying the scanner without a paper bill (demo mode) */
+export const SAMPLE_BILL_CODES = {
+    electricity: 'PSEB|123456|2026-01|450.00',
+    water: 'PHED;CID=789012;PRD=202602;AMT=280.00',
+    gas: 'GPL345678260200062000',
+};
+
+/** Parsed code, provided the account number is valid for the utility */
+function scanned(code, account, billPeriod = null, amount = null) {
+    const service = serviceForId(code);
+    const consumerId = service && normaliseConsumerId(service, `${code}-${account}`);
+    if (!consumerId) return null;
+    return { consumerId, service, billPeriod, amount };
+}
+
+/**
+ * Parse the text of a scanned bill code
+ * @param {string} text - Decoded QR / barcode contents
+ * @returns {{ consumerId: string, service: string, billPeriod: string|null, amount: number|null }|null}
+ *   null when the code is not a supported bill format or the consumer ID is invalid
+ */
+export function parseBillCode(text) {
+    const value = String(text || '').trim();
+    let m;
+
+    if ((m = value.match(/^PSEB\|(\d{4,10})\|(\d{4})-?(\d{2})\|(\d+(?:\.\d{1,2})?)$/i))) {
+        return scanned('PSEB', m[1], `${m[2]}-${m[3]}`, Number(m[4]));
+    }
+
+    if (/^PHED;/i.test(value)) {
+        const fields = Object.fromEntries(value.split(';').slice(1).map(pair => pair.split('=').map(s => s.trim().toUpperCase())));
+        if (!/^\d{4,10}$/.test(fields.CID || '')) return null;
+        const period = /^(\d{4})(\d{2})$/.exec(fields.PRD || '');
+        const amount = Number(fields.AMT);
+        return scanned('PHED', fields.CID, period ? `${period[1]}-${period[2]}` : null, fields.AMT && amount >= 0 ? amount : null);
+    }
+
+    if ((m = value.match(/^GPL(\d{6})(\d{2})(\d{2})(\d{8})$/i))) {
+        return scanned('GPL', m[1], `20${m[2]}-${m[3]}`, Number(m[4]) / 100);
+    }
+
+    if ((m = value.match(/^([A-Z]{3,4})-?(\d{4,10})$/i))) {
+        return scanned(m[1], m[2]);
+    }
+
+    return null;
+}
+
+/**
+ * Decode codes from the webcam into a video element until one parses
+ * or the scanner is stopped
+ * @param {HTMLVideoElement} video - Element the camera preview is shown in
+ * @param {object} handlers
+ * @param {function} handlers.parse - Code text → parsed value, or null for a code to ignore
+ * @param {function} handlers.onMatch - Receives the first parsed value; scanning stops
+ * @param {function} [handlers.onUnknown] - Receives the text of each new code that did not parse
+ * @param {function} [handlers.onReady] - Called once the camera is streaming
+ * @param {function} [handlers.onError] - Receives an error when the camera or decoder cannot start
+ * @returns {function} Stop; releases the camera
+ */
+export function startCodeScanner(video, { parse, onMatch, onUnknown, onReady, onError }) {
+    let reader = null;
+    let stopped = false;
+    let lastUnknown = null;
+
+    import('@zxing/library')
+        .then(async ({ BarcodeFormat, BrowserMultiFormatReader, DecodeHintType }) => {
+            if (stopped) return;
+            const hints = new Map([
+                [DecodeHintType.POSSIBLE_FORMATS, SCAN_FORMATS.map(name => BarcodeFormat[name])],
+                [DecodeHintType.TRY_HARDER, true],
+            ]);
+            reader = new BrowserMultiFormatReader(hints, SCAN_INTERVAL_MS);
+            // Frames without a code report NotFoundException; only results matter here
+            await reader.decodeFromConstraints({ video: { facingMode: 'environment' } }, video, (result) => {
+                if (!result || stopped) return;
+                const text = result.getText();
+                const value = parse(text);
+                if (value) {
+                    stopped = true;
+                    reader.reset();
+                    onMatch(value);
+                } else if (text !== lastUnknown) {
+                    lastUnknown = text;
+                    onUnknown?.(text);
+                }
+            });
+            if (stopped) reader.reset();
+            else onReady?.();
+        })
+        .catch((err) => {
+            reader?.reset();
+            if (!stopped) onError?.(err);
+        });
+
+    return () => {
+        stopped = true;
+        reader?.reset();
+    };
+}
+
+/**
+ * Decode bill codes from the webcam into a video element until stopped
+ * @param {HTMLVideoElement} video - Element the camera preview is shown in
+ * @param {object} handlers
+ * @param {function} handlers.onScan - Receives parseBillCode() output for a supported bill code
+ * @param {function} [handlers.onUnknown] - Receives the text of a code that is not a bill
+ * @param {function} [handlers.onReady] - Called once the camera is streaming
+ * @param {function} [handlers.onError] - Receives an error when the camera or decoder cannot start
+ * @returns {function} Stop; releases the camera
+ */
+export function startBillScanner(video, { onScan, onUnknown, onReady, onError }) {
+    return startCodeScanner(video, { parse: parseBillCode, onMatch: onScan, onUnknown, onReady, onError });
+}
@@ -0,0 +1,122 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Multi-Bill Cart
+ *
+ * A citizen can collect several bills (one per consumer ID) and
+ * pay them with a single tender. The combined payment carries the
+ * bills as items; once paid it is split back into one transaction
+ * per bill, so each utility's provider receives and settles only
+ * its own share.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { UTILITIES } from './billProviders';
+import { feeTotal, lateFee } from './fees';
+
+/** Most bills one cart can hold */
+export const CART_MAX_ITEMS = 6;
+
+/**
+ * Cart entry for a bill about to be paid. A bill past its grace
+ * period carries its late fee (fees.js).
+ * @param {object} bill - Normalised bill (billProviders.js), name already masked
+ * @param {object} payment - { amount, balance, advance } chosen on the confirm step
+ * @param {object} [options]
+ * @param {boolean} [options.duplicateChecked] - Duplicate check already done (and any warning accepted)
+ * @returns {object}
+ */
+export function createCartItem(bill, { amount, balance, advance }, { duplicateChecked = false } = {}) {
+    const late = lateFee(bill);
+    return {
+        consumerId: bill.id,
+        service: bill.service,
+        provider: bill.provider,
+        name: bill.name,
+        billPeriod: bill.billPeriod,
+        billAmount: bill.amount,
+        amount,
+        balance,
+        advance,
+        fees: late ? [late] : [],
+        duplicateChecked,
+    };
+}
+
+/**
+ * Add an item, replacing any entry for the same consumer ID
+ * @param {Array<object>} items
+ * @param {object} item
+ * @returns {Array<object>} New cart
+ */
+export function addCartItem(items, item) {
+    const others = items.filter(i => i.consumerId.toUpperCase() !== item.consumerId.toUpperCase());
+    if (others.length >= CART_MAX_ITEMS) throw new Error(`A cart holds at most ${CART_MAX_ITEMS} bills`);
+    return [...others, item];
+}
+
+/** Cart without the given consumer ID */
+export function removeCartItem(items, consumerId) {
+    return items.filter(i => i.consumerId !== consumerId);
+}
+
+/** Total paid towards the cart's bills (₹), before fees */
+export function cartTotal(items) {
+    return items.reduce((sum, i) => sum + i.amount, 0);
+}
+
+/** Every bill's fees, for the combined payment */
+export function cartFees(items) {
+    return items.flatMap(i => i.fees || []);
+}
+
+/**
+ * Money owed to each utility, for settlement. Late fees go to the
+ * utility along with the bill amount.
+ * @param {Array<object>} items
+ * @returns {Array<{ provider: string, name: string, service: string, amount: number, bills: number }>}
+ */
+export function settlementSplit(items) {
+    const split = new Map();
+    for (const item of items) {
+        const entry = split.get(item.provider) || {
+            provider: item.provider,
+            name: UTILITIES[item.service]?.name || item.provider,
+            service: item.service,
+            amount: 0,
+            bills: 0,
+        };
+        entry.amount += item.amount + feeTotal(item.fees);
+        entry.bills += 1;
+        split.set(item.provider, entry);
+    }
+    return [...split.values()];
+}
+
+/** Fields describing the cart as a whole, not any one bill */
+const CART_FIELDS = ['items', 'settlement', 'amount', 'fees', 'total', 'consumerId', 'note', 'cashTendered', 'changeDispensed', 'credit'];
+
+/** Item fields only used by the cart itself; the rest are needed for each bill's receipt */
+const DISPLAY_FIELDS = ['duplicateChecked'];
+
+/**
+ * One transaction per bill from a paid cart payment. Each gets its
+ * own txnId (cart txnId plus a suffix) and keeps the cart txnId for
+ * reconciliation. Each keeps its own late fee; the convenience fee
+ * and any cash the dispenser could not return go on the first bill.
+ * @param {object} payment - Paid cart payment { txnId, method, items, ...tender outcome }
+ * @returns {Array<object>}
+ */
+export function splitCartPayment(payment) {
+    const shared = { ...payment };
+    for (const key of CART_FIELDS) delete shared[key];
+    return payment.items.map((item, index) => {
+        const txn = { ...shared, ...item, txnId: `${payment.txnId}-${index + 1}`, cartTxnId: payment.txnId };
+        for (const key of DISPLAY_FIELDS) delete txn[key];
+        if (index === 0) {
+            txn.fees = [...(item.fees || []), ...(payment.fees || []).filter(fee => fee.type === 'convenienceFee')];
+            if (payment.credit > 0) txn.credit = payment.credit;
+        }
+        txn.total = txn.amount + feeTotal(txn.fees);
+        return txn;
+    });
+}
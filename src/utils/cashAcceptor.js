@@ -0,0 +1,257 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Cash Acceptor
+ *
+ * Every note acceptor is driven through the same CashAcceptor shape:
+ *
+ *   enable()            → Promise        start taking notes
+ *   disable()           → Promise        stop taking notes
+ *   stack()             → Promise        keep the note held in escrow
+ *   returnNote()        → Promise        hand the escrowed note back
+ *   dispense(amount)    → Promise<{ dispensed }>  pay out change
+ *   canDispense         boolean          has a change dispenser
+ *   on(event, handler)  → unsubscribe
+ *
+ * Events: 'escrow' { denomination } when a valid note is held,
+ * 'rejected' { reason } when the device refuses a note, and
+ * 'error' { message } for jams and faults.
+ *
+ * startCashTender() runs a payment session against any driver. The
+ * simulator lets the whole flow run without hardware, in demo mode
+ * only; otherwise a kiosk with no acceptor driver takes no cash.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { CASH_ACCEPTOR, CASH_MAX_TENDER, DEMO_MODE } from './config';
+
+/** Notes in circulation the acceptor is configured for (₹) */
+export const ACCEPTED_DENOMINATIONS = [10, 20, 50, 100, 200, 500];
+
+/** Notes loaded into the simulator's change dispenser */
+const DEFAULT_CHANGE_FLOAT = { 10: 20, 20: 20, 50: 10, 100: 10 };
+
+/** Minimal event emitter for drivers */
+function createEmitter() {
+    const listeners = new Map();
+    return {
+        on(event, handler) {
+            if (!listeners.has(event)) listeners.set(event, new Set());
+            listeners.get(event).add(handler);
+            return () => listeners.get(event).delete(handler);
+        },
+        emit(event, data) {
+            for (const handler of listeners.get(event) || []) handler(data);
+        },
+    };
+}
+
+/**
+ * Software stand-in for a note acceptor with a change dispenser.
+ * Notes are fed in with insertNote(); autoFeed() pays a sum by itself.
+ * @param {object} [options]
+ * @param {number[]} [options.denominations] - Notes the device recognises
+ * @param {object} [options.changeFloat] - Denomination → count available as change
+ * @returns {object} CashAcceptor with insertNote/autoFeed added
+ */
+export function createCashSimulator({ denominations = ACCEPTED_DENOMINATIONS, changeFloat = DEFAULT_CHANGE_FLOAT } = {}) {
+    const { on, emit } = createEmitter();
+    const float = { ...changeFloat };
+    let enabled = false;
+    let escrow = null;
+
+    const acceptor = {
+        id: 'cash-simulator',
+        simulated: true,
+        canDispense: true,
+        on,
+
+        async enable() {
+            enabled = true;
+        },
+
+        async disable() {
+            enabled = false;
+        },
+
+        async stack() {
+            if (escrow === null) throw new Error('No note in escrow');
+            escrow = null;
+        },
+
+        async returnNote() {
+            escrow = null;
+        },
+
+        /** Pay out as much of amount as the float allows, largest notes first */
+        async dispense(amount) {
+            let left = amount;
+            for (const note of Object.keys(float).map(Number).sort((a, b) => b - a)) {
+                while (left >= note && float[note] > 0) {
+                    float[note]--;
+                    left -= note;
+                }
+            }
+            return { dispensed: amount - left };
+        },
+
+        /**
+         * Feed one note into the slot
+         * @param {number} denomination
+         * @param {object} [options]
+         * @param {boolean} [options.genuine] - false simulates a note failing validation
+         * @returns {boolean} Whether the note was taken into escrow
+         */
+        insertNote(denomination, { genuine = true } = {}) {
+            if (!enabled || escrow !== null) return false;
+            if (!genuine) {
+                emit('rejected', { denomination, reason: 'Note failed validation' });
+                return false;
+            }
+            if (!denominations.includes(denomination)) {
+                emit('rejected', { denomination, reason: `₹${denomination} notes are not accepted` });
+                return false;
+            }
+            escrow = denomination;
+            emit('escrow', { denomination });
+            return true;
+        },
+
+        /**
+         * Insert notes covering amount, one every intervalMs (demo mode)
+         * @returns {function} Stop feeding
+         */
+        autoFeed(amount, intervalMs = 900) {
+            const notes = [];
+            let left = amount;
+            for (const note of [...denominations].sort((a, b) => b - a)) {
+                while (left >= note) {
+                    notes.push(note);
+                    left -= note;
+                }
+            }
+            if (left > 0) notes.push(Math.min(...denominations.filter(d => d >= left)));
+            const timer = setInterval(() => {
+                if (notes.length === 0) return clearInterval(timer);
+                if (acceptor.insertNote(notes[0])) notes.shift();
+            }, intervalMs);
+            return () => clearInterval(timer);
+        },
+    };
+    return acceptor;
+}
+
+/** Driver name (VITE_CASH_ACCEPTOR) → factory; hardware drivers register here */
+const DRIVERS = {
+    simulator: createCashSimulator,
+};
+
+let acceptorInstance;
+
+function createAcceptor() {
+    // Simulated notes must never pay a real bill
+    if (CASH_ACCEPTOR === 'simulator' && !DEMO_MODE) return null;
+    const factory = DRIVERS[CASH_ACCEPTOR];
+    if (!factory) {
+        console.error(`Unknown cash acceptor driver: ${CASH_ACCEPTOR}; cash is disabled`);
+        return null;
+    }
+    return factory();
+}
+
+/**
+ * The kiosk's cash acceptor, created on first use
+ * @returns {object|null} CashAcceptor; null when the kiosk takes no cash
+ *   (no hardware driver configured, and not in demo mode)
+ */
+export function getCashAcceptor() {
+    if (acceptorInstance === undefined) acceptorInstance = createAcceptor();
+    return acceptorInstance;
+}
+
+/**
+ * Run the cash tender for a payment session. Notes are stacked until
+ * the amount due is covered; a note that would take the total past
+ * maxTender is handed back. Any excess is paid out as change, and
+ * whatever the dispenser cannot cover is recorded as credit.
+ * @param {object} session - Payment session (paymentMachine.js) in 'awaiting-tender'
+ * @param {object} options
+ * @param {object} options.acceptor - CashAcceptor driver
+ * @param {number} options.amountDue - ₹ to collect
+ * @param {number} [options.maxTender] - Most cash accepted for this payment
+ * @param {function} [options.onUpdate] - Receives { total, remaining, notes, rejected? }
+ * @returns {function} Stop; refunds inserted cash unless the payment completed
+ */
+export function startCashTender(session, { acceptor, amountDue, maxTender = CASH_MAX_TENDER, onUpdate }) {
+    let total = 0;
+    const notes = [];
+    let settling = false;
+    let stopped = false;
+
+    const update = (extra = {}) => onUpdate?.({ total, remaining: Math.max(0, amountDue - total), notes: [...notes], ...extra });
+
+    const settle = async () => {
+        settling = true;
+        await acceptor.disable();
+        await session.transition('authorising');
+        const excess = total - amountDue;
+        let changeDispensed = 0;
+        if (excess > 0 && acceptor.canDispense) {
+            try {
+                changeDispensed = (await acceptor.dispense(excess)).dispensed;
+            } catch (err) {
+                console.error('Change dispense failed:', err);
+            }
+        }
+        await session.transition('success', { cashTendered: total, changeDispensed, credit: excess - changeDispensed });
+    };
+
+    const unsubscribe = [
+        acceptor.on('escrow', async ({ denomination }) => {
+            try {
+                if (settling || stopped || session.state !== 'awaiting-tender') return await acceptor.returnNote();
+                if (total + denomination > maxTender) {
+                    await acceptor.returnNote();
+                    return update({ rejected: `Cash limit is ₹${maxTender.toLocaleString('en-IN')} per payment` });
+                }
+                await acceptor.stack();
+                total += denomination;
+                notes.push(denomination);
+                await session.annotate({ cashInserted: total });
+                update();
+                if (total >= amountDue) await settle();
+            } catch (err) {
+                console.error('Cash tender error:', err);
+                session.transition('failed', { reason: `Cash acceptor: ${err.message}` }).catch(() => { });
+            }
+        }),
+        acceptor.on('rejected', ({ reason }) => update({ rejected: reason })),
+        acceptor.on('error', ({ message }) => {
+            session.transition('failed', { reason: `Cash acceptor: ${message}` }).catch(() => { });
+        }),
+    ];
+
+    acceptor.enable()
+        .then(() => update())
+        .catch((err) => session.transition('failed', { reason: `Cash acceptor unavailable: ${err.message}` }).catch(() => { }));
+
+    return () => {
+        if (stopped) return;
+        stopped = true;
+        unsubscribe.forEach(off => off());
+        if (settling) return;
+        acceptor.disable().catch(err => console.warn('Could not disable cash acceptor:', err));
+        if (total === 0) return;
+
+        // Abandoned after cash went in: give it back, and record anything still owed
+        const inserted = total;
+        (async () => {
+            let refunded = 0;
+            try {
+                refunded = acceptor.canDispense ? (await acceptor.dispense(inserted)).dispensed : 0;
+            } catch (err) {
+                console.error('Cash refund failed:', err);
+            }
+            await session.annotate({ refunded, refundOwed: inserted - refunded });
+        })().catch(err => console.error('Could not record cash refund:', err));
+    };
+}
@@ -0,0 +1,62 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Complaint Lifecycle
+ *
+ *   submitted → assigned → in-progress → resolved
+ *                                 ↘ rejected
+ *   resolved / rejected → reopened → assigned → ...
+ *
+ * Every move is appended to the complaint's history with its time,
+ * the officer and a remark. The kiosk's tracker and the backend
+ * (server/routes.js) share this module.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/** Complaint tickets look like COMP-2026-00124 */
+export const TICKET_ID = /^COMP-\d{4}-\d+$/;
+
+/** Each status and the statuses a complaint may move to from it */
+export const COMPLAINT_TRANSITIONS = {
+    submitted: ['assigned', 'in-progress', 'resolved', 'rejected'],
+    assigned: ['in-progress', 'resolved', 'rejected'],
+    'in-progress': ['assigned', 'resolved', 'rejected'],
+    resolved: ['reopened'],
+    rejected: ['reopened'],
+    reopened: ['assigned', 'in-progress', 'resolved', 'rejected'],
+};
+
+export const COMPLAINT_STATUSES = Object.keys(COMPLAINT_TRANSITIONS);
+
+/** Statuses in which the complaint is closed */
+export const CLOSED_STATUSES = ['resolved', 'rejected'];
+
+/** Complaint status → i18n key of its wording */
+export const COMPLAINT_STATUS_KEYS = {
+    submitted: 'complaintStatusSubmitted',
+    assigned: 'complaintStatusAssigned',
+    'in-progress': 'complaintStatusInProgress',
+    resolved: 'complaintStatusResolved',
+    rejected: 'complaintStatusRejected',
+    reopened: 'complaintStatusReopened',
+};
+
+/**
+ * Whether a complaint may move from one status to another
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canMoveComplaint(from, to) {
+    return Boolean(COMPLAINT_TRANSITIONS[from]?.includes(to));
+}
+
+/**
+ * Ticket ID from typed or scanned text: the bare ID, or a tracking
+ * link ending in it (…/track/COMP-2026-00124)
+ * @param {string} text
+ * @returns {string|null} Upper-case ticket ID, or null
+ */
+export function parseTicketId(text) {
+    const id = String(text ?? '').trim().split('/').pop().toUpperCase();
+    return TICKET_ID.test(id) ? id : null;
+}
@@ -0,0 +1,93 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Complaint Tracking (kiosk side)
+ *
+ * The backend holds each complaint's status history, as officers
+ * assign, work on, resolve or reopen it (complaintStatus.js). A
+ * complaint this kiosk has not synced yet is known only from its
+ * stored record, as submitted. With no backend configured, the
+ * sample complaints are served locally, like the sample bills.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { apiRequest } from './api';
+import { isBackendConfigured } from './config';
+import { mockComplaints } from './mockData';
+import { getCitizenComplaintRecords, getComplaintRecord } from './offlineSync';
+import { isPendingRecord } from './receiptSchema';
+
+/** A complaint as this kiosk stored it: registered, nothing more known */
+function fromStored(record) {
+    return {
+        ticketId: record.ticketId,
+        citizenId: record.citizenId,
+        category: record.category,
+        description: record.description,
+        status: 'submitted',
+        createdAt: record.timestamp,
+        history: [{ status: 'submitted', at: record.timestamp, remark: '', officer: null }],
+    };
+}
+
+/** Complaints the backend holds; the sample complaints when there is none */
+async function fetchComplaints(path, sample) {
+    if (!isBackendConfigured()) return structuredClone(sample());
+    return apiRequest(path);
+}
+
+/**
+ * Track a complaint: the backend's record with its full history, or,
+ * when the backend cannot be asked, the kiosk's own record
+ * @param {string} ticketId
+ * @param {object} [options]
+ * @param {boolean} [options.isOnline]
+ * @returns {Promise<{ complaint: object, isPending: boolean, source: 'kiosk'|'backend' }|null>}
+ *   complaint has status and history [{ status, at, remark, officer }];
+ *   null when the ticket is unknown
+ * @throws {ApiError} When the backend cannot be reached and the kiosk has no record
+ */
+export async function trackComplaint(ticketId, { isOnline = true } = {}) {
+    let backendError = null;
+    if (isOnline || !isBackendConfigured()) {
+        try {
+            const complaint = await fetchComplaints(
+                `/complaints/${encodeURIComponent(ticketId)}`,
+                () => mockComplaints.find(c => c.ticketId === ticketId) || null,
+            );
+            if (complaint) return { complaint, isPending: false, source: 'backend' };
+        } catch (err) {
+            console.warn(`Complaint ${ticketId} lookup failed, trying the kiosk's records:`, err);
+            backendError = err;
+        }
+    }
+
+    const record = await getComplaintRecord(ticketId);
+    if (!record && backendError) throw backendError;
+    return record && { complaint: fromStored(record), isPending: isPendingRecord(record), source: 'kiosk' };
+}
+
+/**
+ * A citizen's complaints, newest first: the backend's, and those
+ * filed at this kiosk that have not reached it yet
+ * @param {string} citizenId
+ * @param {object} [options]
+ * @param {boolean} [options.isOnline]
+ * @returns {Promise<Array<object>>} Complaints, each with isPending
+ */
+export async function getCitizenComplaints(citizenId, { isOnline = true } = {}) {
+    const byTicket = new Map((await getCitizenComplaintRecords(citizenId))
+        .map(record => [record.ticketId, { ...fromStored(record), isPending: isPendingRecord(record) }]));
+
+    if (isOnline || !isBackendConfigured()) {
+        try {
+            const complaints = await fetchComplaints(
+                `/citizens/${encodeURIComponent(citizenId)}/complaints`,
+                () => mockComplaints.filter(c => c.citizenId === citizenId),
+            );
+            for (const complaint of complaints || []) byTicket.set(complaint.ticketId, { ...complaint, isPending: false });
+        } catch (err) {
+            console.warn('Could not fetch the citizen\'s complaints from the backend:', err);
+        }
+    }
+    return [...byTicket.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
@@ -0,0 +1,69 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Runtime Configuration
+ * Reads kiosk settings from Vite env variables (see .env.example)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const env = import.meta.env || {};
+
+/** Base URL of the municipal billing backend, e.g. http://localhost:8787/api */
+export const API_BASE_URL = (env.VITE_API_BASE_URL || '').replace(/\/+$/, '');
+
+/**
+ * Explicit demo mode. Only when this is on will the kiosk fabricate
+ * bills for unknown consumer IDs and pretend remote calls succeeded.
+ */
+export const DEMO_MODE = env.VITE_DEMO_MODE === 'true';
+
+/** Identifier this kiosk reports to the backend */
+export const KIOSK_ID = env.VITE_KIOSK_ID || 'K-001';
+
+/** Default timeout for backend requests (ms) */
+export const API_TIMEOUT_MS = Number(env.VITE_API_TIMEOUT_MS) || 10000;
+
+/** Offline-queue sync endpoint; defaults to <API_BASE_URL>/sync */
+export const SYNC_URL = (env.VITE_SYNC_URL || (API_BASE_URL ? `${API_BASE_URL}/sync` : '')).replace(/\/+$/, '');
+
+/** Records sent per sync request */
+export const SYNC_BATCH_SIZE = Number(env.VITE_SYNC_BATCH_SIZE) || 20;
+
+/** UPI payee (merchant) details encoded in every payment QR */
+export const UPI_PAYEE = {
+    vpa: env.VITE_UPI_VPA || 'suvidha@sbi',
+    name: env.VITE_UPI_PAYEE_NAME || 'SUVIDHA Setu',
+    // 9399: Government Services (not elsewhere classified)
+    mcc: env.VITE_UPI_MCC || '9399',
+};
+
+/** How long a UPI QR stays payable (ms) */
+export const UPI_QR_TTL_MS = (Number(env.VITE_UPI_QR_TTL_SECONDS) || 180) * 1000;
+
+/** Cash acceptor driver (see cashAcceptor.js); the simulator only runs in demo mode */
+export const CASH_ACCEPTOR = env.VITE_CASH_ACCEPTOR || 'simulator';
+
+/** Most cash a citizen may insert for one payment (₹) */
+export const CASH_MAX_TENDER = Number(env.VITE_CASH_MAX_TENDER) || 20000;
+
+/** Card terminal driver (see posTerminal.js); the simulator only runs in demo mode */
+export const POS_TERMINAL = env.VITE_POS_TERMINAL || 'simulator';
+
+/** Outcome the simulated terminal gives: approve | decline | timeout */
+export const POS_SIMULATOR_MODE = env.VITE_POS_SIMULATOR_MODE || 'approve';
+
+/** How long the camera looks for a bill code before offering manual entry (ms) */
+export const BILL_SCAN_TIMEOUT_MS = (Number(env.VITE_BILL_SCAN_TIMEOUT_SECONDS) || 30) * 1000;
+
+/** Print English next to Hindi / Punjabi on receipts (set false for the session language only) */
+export const RECEIPT_ENGLISH = env.VITE_RECEIPT_ENGLISH !== 'false';
+
+/** Thermal receipt printer driver (see receiptPrinter.js) */
+export const RECEIPT_PRINTER = env.VITE_RECEIPT_PRINTER || 'virtual';
+
+/** Thermal roll width in mm: 58 or 80 */
+export const RECEIPT_PAPER_MM = Number(env.VITE_RECEIPT_PAPER_MM) === 58 ? 58 : 80;
+
+/** Whether a backend has been configured at all */
+export function isBackendConfigured() {
+    return API_BASE_URL.length > 0;
+}
@@ -0,0 +1,115 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Consumer ID Rules
+ *
+ * Each utility's consumer numbers have a prefix, a fixed number of
+ * digits, an optional check digit and a display mask ('#' = digit).
+ * The rules drive the numpad (the prefix and hyphen are filled in,
+ * extra digits are refused), voice extraction, bill lookup and the
+ * local backend. Shared by the kiosk and server/.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/** Rules per serviceType */
+export const CONSUMER_ID_RULES = {
+    electricity: { prefix: 'PSEB', digits: 6, mask: 'PSEB-######', checksum: null },
+    water: { prefix: 'PHED', digits: 6, mask: 'PHED-######', checksum: null },
+    // Gas account numbers end in a Luhn check digit
+    gas: { prefix: 'GPL', digits: 6, mask: 'GPL-######', checksum: 'luhn' },
+};
+
+/** Check digit algorithms, keyed by the name used in CONSUMER_ID_RULES */
+const CHECKSUMS = {
+    luhn(digits) {
+        let sum = 0;
+        [...digits].reverse().forEach((d, i) => {
+            const n = Number(d) * (i % 2 ? 2 : 1);
+            sum += n > 9 ? n - 9 : n;
+        });
+        return sum % 10 === 0;
+    },
+};
+
+/**
+ * Consumer ID rules for a utility
+ * @param {string} service - serviceType
+ * @returns {object|null}
+ */
+export function getIdRules(service) {
+    return CONSUMER_ID_RULES[service] || null;
+}
+
+/**
+ * serviceType for an ID's prefix
+ * @param {string} input - e.g. "PHED-789012", "gpl 345678"
+ * @returns {string|null}
+ */
+export function serviceForId(input) {
+    const prefix = String(input || '').trim().toUpperCase().match(/^[A-Z]+/)?.[0];
+    return Object.keys(CONSUMER_ID_RULES).find(service => CONSUMER_ID_RULES[service].prefix === prefix) || null;
+}
+
+/**
+ * The digits of an ID, without the utility prefix and separators
+ * @param {string} input
+ * @returns {string}
+ */
+export function idDigits(input) {
+    return String(input || '').trim().toUpperCase().replace(/^[A-Z]+/, '').replace(/\D/g, '');
+}
+
+/**
+ * Lay digits out on the utility's mask. Partial input gives a
+ * partial ID, so the prefix and hyphen appear as soon as typing
+ * starts; digits beyond the mask are kept, for validation to report.
+ * @param {string} service
+ * @param {string} digits
+ * @returns {string} e.g. "PSEB-123" for "123"
+ */
+export function formatConsumerId(service, digits) {
+    const rules = getIdRules(service);
+    if (!rules) return digits;
+    let next = 0;
+    let out = '';
+    for (const ch of rules.mask) {
+        if (ch !== '#') out += ch;
+        else if (next < digits.length) out += digits[next++];
+        else break;
+    }
+    return out + digits.slice(next);
+}
+
+/**
+ * Check an ID against a utility's rules
+ * @param {string} service
+ * @param {string} input - As typed, spoken or scanned
+ * @returns {{ error: 'idWrongUtility'|'idInvalidCharacters'|'idTooShort'|'idTooLong'|'idChecksumFailed', params: object }|null}
+ *   null when valid; error doubles as an i18n key and params fill it in
+ */
+export function validateConsumerId(service, input) {
+    const rules = getIdRules(service);
+    if (!rules) return null;
+    const value = String(input || '').trim().toUpperCase();
+    const params = { utility: rules.prefix, digits: rules.digits };
+
+    const prefix = value.match(/^[A-Z]+/)?.[0];
+    if (prefix && prefix !== rules.prefix) return { error: 'idWrongUtility', params };
+    if (/[^\d\s-]/.test(value.slice(prefix?.length || 0))) return { error: 'idInvalidCharacters', params };
+
+    const digits = idDigits(value);
+    if (digits.length < rules.digits) return { error: 'idTooShort', params };
+    if (digits.length > rules.digits) return { error: 'idTooLong', params };
+    if (rules.checksum && !CHECKSUMS[rules.checksum](digits)) return { error: 'idChecksumFailed', params };
+    return null;
+}
+
+/**
+ * Canonical form of a valid ID ("pseb 123456" → "PSEB-123456")
+ * @param {string} service
+ * @param {string} input
+ * @returns {string|null} null when the ID is not valid for the utility
+ */
+export function normaliseConsumerId(service, input) {
+    if (!getIdRules(service) || validateConsumerId(service, input)) return null;
+    return formatConsumerId(service, idDigits(input));
+}
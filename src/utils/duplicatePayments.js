@@ -0,0 +1,130 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Duplicate Payment Detection
+ *
+ * A payment is a suspected duplicate when another one exists for
+ * the same consumer ID, bill period and amount. Before paying, the
+ * kiosk looks for one:
+ *   - locally, via a keyed fingerprint stored in the clear next to
+ *     each sealed transaction (dedupeKey index);
+ *   - at the provider, via the bill's payment history when online.
+ * The backend has the final say at sync time and answers 'conflict';
+ * such records wait in the admin resolution queue until they are
+ * marked for refund or reconciliation.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { apiRequest } from './api';
+import { isBackendConfigured } from './config';
+import { getBillProvider } from './billProviders';
+import { fingerprint } from './recordCrypto';
+import { getByIndex, updateRecord } from './recordStore';
+
+const TXN_STORE = 'transactions';
+
+/** What an admin can do with a conflicting payment */
+export const RESOLUTION_ACTIONS = ['refund', 'reconcile'];
+
+/**
+ * Fingerprint identifying "the same payment" on this kiosk
+ * @param {object} payment - { consumerId, billPeriod, amount }
+ * @returns {Promise<string>}
+ */
+export function paymentDedupeKey({ consumerId, billPeriod, amount }) {
+    return fingerprint([consumerId, billPeriod, Number(amount).toFixed(2)]);
+}
+
+/**
+ * Payments queued on this kiosk with the given fingerprint.
+ * Rejected and refunded payments do not count.
+ * @param {string} dedupeKey
+ * @param {string} [excludeTxnId] - The payment being checked
+ * @returns {Promise<Array<{txnId: string, at: string, source: 'kiosk'}>>}
+ */
+export async function findLocalDuplicates(dedupeKey, excludeTxnId) {
+    const records = await getByIndex(TXN_STORE, 'dedupeKey', dedupeKey);
+    return records
+        .filter(r => r.txnId !== excludeTxnId && r.syncStatus !== 'failed' && r.resolution?.action !== 'refund')
+        .map(r => ({ txnId: r.txnId, at: r.savedAt, source: 'kiosk' }));
+}
+
+/**
+ * Look for earlier payments of the same bill, locally and at the provider.
+ * A provider outage only skips the remote check.
+ * @param {object} payment - { consumerId, billPeriod, amount, service }
+ * @param {object} [options]
+ * @param {boolean} [options.isOnline] - Also check the provider's history
+ * @returns {Promise<Array<{txnId: string, at: string, source: 'kiosk'|'provider'}>>} Oldest first
+ */
+export async function findDuplicatePayments(payment, { isOnline = false } = {}) {
+    if (!payment.billPeriod) return [];
+    const matches = await findLocalDuplicates(await paymentDedupeKey(payment), payment.txnId);
+
+    if (isOnline) {
+        try {
+            const history = await getBillProvider(payment.consumerId, payment.service).fetchHistory(payment.consumerId);
+            for (const p of history) {
+                if (p.billPeriod !== payment.billPeriod || Number(p.amount) !== Number(payment.amount)) continue;
+                if (matches.some(m => m.txnId === p.txnId)) continue;
+                matches.push({ txnId: p.txnId, at: p.receivedAt || p.postedAt || p.timestamp, source: 'provider' });
+            }
+        } catch (err) {
+            console.warn('Provider history unavailable for duplicate check:', err);
+        }
+    }
+    return matches.sort((a, b) => (a.at || '').localeCompare(b.at || ''));
+}
+
+/* ── Admin resolution queue ──────────────────── */
+
+/**
+ * Unresolved conflicts: flagged on this kiosk, plus those the backend
+ * holds for every kiosk when one is configured. Local records are
+ * sealed, so only their identifiers are shown.
+ * @returns {Promise<Array<object>>} { txnId, conflictWith, flaggedAt, reason,
+ *   consumerId?, amount?, kioskId?, idempotencyKey?, onServer }
+ */
+export async function getConflictQueue() {
+    const byTxn = new Map();
+    for (const r of await getByIndex(TXN_STORE, 'syncStatus', 'conflict')) {
+        byTxn.set(r.txnId, {
+            txnId: r.txnId,
+            conflictWith: r.conflictWith || null,
+            flaggedAt: r.syncedAt || r.savedAt,
+            reason: r.conflictReason || '',
+            idempotencyKey: r.idempotencyKey,
+            onServer: false,
+        });
+    }
+
+    if (isBackendConfigured()) {
+        const remote = (await apiRequest('/admin/conflicts')) || [];
+        for (const c of remote) {
+            byTxn.set(c.txnId, { ...byTxn.get(c.txnId), ...c, onServer: true });
+        }
+    }
+    return [...byTxn.values()].sort((a, b) => (b.flaggedAt || '').localeCompare(a.flaggedAt || ''));
+}
+
+/**
+ * Mark a conflicting payment for refund or reconciliation
+ * @param {object} item - Entry from getConflictQueue
+ * @param {'refund'|'reconcile'} action
+ * @param {string} [note] - Free-text remark for the audit trail
+ * @returns {Promise<object>} The resolution that was recorded
+ */
+export async function resolveConflict(item, action, note = '') {
+    if (!RESOLUTION_ACTIONS.includes(action)) throw new Error(`Unknown resolution: ${action}`);
+    const resolution = { action, note, at: new Date().toISOString() };
+
+    if (item.onServer) {
+        await apiRequest(`/admin/conflicts/${encodeURIComponent(item.txnId)}/resolve`, { method: 'POST', body: { action, note } });
+    }
+    if (item.idempotencyKey) {
+        await updateRecord(TXN_STORE, item.idempotencyKey, (current) => {
+            current.syncStatus = 'resolved';
+            current.resolution = resolution;
+        });
+    }
+    return resolution;
+}
@@ -0,0 +1,336 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - ESC/POS Thermal Receipts
+ *
+ * Renders the receipt model (receiptSchema.js) as an ESC/POS byte
+ * stream for 58 mm and 80 mm roll printers: text, bold, double
+ * size, QR code and paper cut. Sending the bytes to a printer is
+ * left to receiptPrinter.js; previewEscPos() turns a stream back
+ * into text for the virtual printer.
+ *
+ * Thermal slips are printed in English in the printer's built-in
+ * font (code page PC437). Characters outside it print as "?"; the
+ * PDF receipt is the one to hand out for Hindi and Punjabi text.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { amountCharged } from './fees';
+import { t } from './i18n';
+import { validateReceipt } from './receiptSchema';
+
+/** Characters per line in Font A for each paper width (mm) */
+export const ESCPOS_PAPER = {
+    58: { columns: 32 },
+    80: { columns: 48 },
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+/** Printable form of text: ASCII only, ₹ as "Rs.", accents dropped */
+function printable(text) {
+    return String(text)
+        .replace(/\u20B9\s?/g, 'Rs. ')
+        .replace(/[\u2013\u2014]/g, '-')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036F]/g, '')
+        .replace(/[^\x20-\x7e]/g, '?');
+}
+
+/** Split text into lines of at most width characters, breaking at spaces where possible */
+function wrapText(text, width) {
+    const clean = printable(text);
+    if (clean.length <= width) return [clean]; // keeps padding and indents
+    const lines = [];
+    let line = '';
+    for (const word of clean.split(' ')) {
+        if (!line) line = word;
+        else if (line.length + 1 + word.length <= width) line += ` ${word}`;
+        else {
+            lines.push(line);
+            line = word;
+        }
+        while (line.length > width) {
+            lines.push(line.slice(0, width));
+            line = line.slice(width);
+        }
+    }
+    lines.push(line);
+    return lines;
+}
+
+/**
+ * ESC/POS command builder. Methods chain; bytes() returns the stream.
+ * @param {object} [options]
+ * @param {number} [options.columns] - Characters per line at normal size
+ * @returns {object}
+ */
+export function createEscPosBuilder({ columns = ESCPOS_PAPER[80].columns } = {}) {
+    const bytes = [];
+    const push = (...values) => values.forEach(v => bytes.push(v));
+    const pushText = text => push(...[...printable(text)].map(ch => ch.charCodeAt(0)));
+    let widthScale = 1;
+
+    const builder = {
+        columns,
+
+        /** Reset the printer and select code page PC437 */
+        init() {
+            push(ESC, 0x40, ESC, 0x74, 0);
+            widthScale = 1;
+            return builder;
+        },
+
+        /** Text followed by a line feed; long text wraps */
+        line(text = '') {
+            for (const part of wrapText(text, Math.floor(columns / widthScale))) {
+                pushText(part);
+                push(LF);
+            }
+            return builder;
+        },
+
+        bold(on = true) {
+            push(ESC, 0x45, on ? 1 : 0);
+            return builder;
+        },
+
+        /** @param {'left'|'center'|'right'} position */
+        align(position) {
+            push(ESC, 0x61, { left: 0, center: 1, right: 2 }[position] ?? 0);
+            return builder;
+        },
+
+        /** Character size multipliers, 1–8 each */
+        size(width = 1, height = 1) {
+            widthScale = width;
+            push(GS, 0x21, ((width - 1) << 4) | (height - 1));
+            return builder;
+        },
+
+        /** A full-width line of dashes */
+        rule(ch = '-') {
+            return builder.line(ch.repeat(Math.floor(columns / widthScale)));
+        },
+
+        /** Label on the left, value on the right; wraps the value onto its own line when both do not fit */
+        row(label, value) {
+            const left = printable(label);
+            const right = printable(value);
+            const width = Math.floor(columns / widthScale);
+            if (left.length + 1 + right.length <= width) {
+                return builder.line(left + ' '.repeat(width - left.length - right.length) + right);
+            }
+            builder.line(left);
+            for (const part of wrapText(right, width - 2)) builder.line(' '.repeat(width - part.length) + part);
+            return builder;
+        },
+
+        /** Feed n blank lines */
+        feed(lines = 1) {
+            push(ESC, 0x64, lines);
+            return builder;
+        },
+
+        /**
+         * QR code (GS ( k, model 2), centred
+         * @param {string} data
+         * @param {object} [options]
+         * @param {number} [options.moduleSize] - Dot size of one module, 1–16
+         * @param {'L'|'M'|'Q'|'H'} [options.errorCorrection]
+         */
+        qr(data, { moduleSize = 6, errorCorrection = 'M' } = {}) {
+            const payload = [...printable(data)].map(ch => ch.charCodeAt(0));
+            const length = payload.length + 3;
+            builder.align('center');
+            push(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0);                          // model 2
+            push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleSize);                       // module size
+            push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 48 + 'LMQH'.indexOf(errorCorrection)); // error correction
+            push(GS, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, 0x50, 0x30, ...payload); // store
+            push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30);                             // print
+            push(LF);
+            return builder.align('left');
+        },
+
+        /** Feed past the cutter and cut, leaving a hinge (partial cut) */
+        cut() {
+            push(GS, 0x56, 0x42, 3);
+            return builder;
+        },
+
+        /** @returns {Uint8Array} */
+        bytes() {
+            return Uint8Array.from(bytes);
+        },
+    };
+    return builder;
+}
+
+/** English receipt wording, capitalised as on the PDF */
+function label(key, params) {
+    const text = t('en', key, params);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/** Header shared by every slip, with the pending and duplicate marks */
+function header(out, titleKey, { isPending, duplicate }) {
+    out.init().align('center').bold().size(2, 2).line('SUVIDHA Setu').size(1, 1).bold(false)
+        .line(`${label('tagline')} - ${label(titleKey)}`);
+    if (isPending) out.bold().line(`*** ${label('pendingSync').toUpperCase()} ***`).bold(false);
+    if (duplicate) {
+        out.bold().line(`*** ${label('receiptDuplicate').toUpperCase()} ***`).bold(false)
+            .line(`${label('receiptReprinted')} ${printedDate(new Date().toISOString())}`);
+    }
+    out.align('left').rule();
+}
+
+/** QR code of the receipt's verification code (or reference), footer lines and cut */
+function footer(out, reference, keys) {
+    out.rule().qr(reference).align('center');
+    for (const key of keys) out.line(label(key));
+    out.align('left').feed(3).cut();
+}
+
+/** Section with a bold heading */
+function heading(out, key) {
+    out.bold().line(label(key)).bold(false);
+}
+
+/** Receipt timestamp (ISO) as printed; short enough for a 58 mm row */
+function printedDate(timestamp) {
+    return new Date(timestamp).toLocaleString('en-IN', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/** The slip for each kind of receipt; marks are { isPending, duplicate } */
+const RENDERERS = {
+    payment(out, data, marks) {
+        header(out, 'receiptPaymentTitle', marks);
+        out.row(label('transactionId'), data.txnId)
+            .row(label('receiptDateTime'), printedDate(data.timestamp))
+            .row(label('receiptService'), label(`${data.service}Bill`))
+            .row(label('consumerId'), data.consumerId);
+        if (data.name) out.row(label('consumerName'), data.name);
+        if (data.billPeriod) out.row(label('receiptBillPeriod'), data.billPeriod);
+        out.row(label('billAmount'), `Rs. ${data.billAmount ?? data.amount}`)
+            .row(label('receiptAmountPaid'), `Rs. ${data.amount}`);
+        if (data.balance > 0) out.row(label('balanceOutstanding'), `Rs. ${data.balance}`);
+        if (data.advance > 0) out.row(label('advanceCredit'), `Rs. ${data.advance}`);
+        for (const fee of data.fees || []) out.row(label(fee.type), `Rs. ${fee.amount}`);
+        if (data.fees?.length) out.row(label('receiptTotalCharged'), `Rs. ${amountCharged(data)}`);
+        out.row(label('receiptPaymentMethod'), label(data.method));
+        if (data.maskedPan) out.row(label('card'), `${data.cardScheme || ''} ${data.maskedPan}`.trim());
+        if (data.authCode) out.row(label('receiptAuthCode'), data.authCode);
+        if (data.utr) out.row(label('receiptUtr'), data.utr);
+        out.row(label('receiptStatus'), label(marks.isPending ? 'pendingSync' : 'receiptConfirmed'));
+
+        // Tariff breakdown (tariffs.js computeBill), when the bill has one
+        if (data.breakdown) {
+            out.rule();
+            heading(out, 'billBreakdown');
+            out.line(data.breakdown.tariff);
+            for (const line of data.breakdown.lines) out.row(line.label, `Rs. ${line.amount.toFixed(2)}`);
+            out.bold().row(label('billedAmount'), `Rs. ${data.breakdown.total}`).bold(false);
+        }
+
+        // With fees, the total charged is more than the amount paid to the bill
+        const totalLabel = data.fees?.length ? 'receiptTotalCharged' : 'receiptAmountPaid';
+        out.rule().bold().size(1, 2).row(label(totalLabel), `Rs. ${amountCharged(data)}`).size(1, 1).bold(false);
+        footer(out, data.verificationCode || data.txnId, [...(data.verificationCode ? ['receiptScanToVerify'] : []), 'receiptComputerGenerated', 'footerText', 'receiptHelpline']);
+    },
+
+    cart(out, data, marks) {
+        header(out, 'receiptCartTitle', marks);
+        out.row(label('transactionId'), data.txnId)
+            .row(label('receiptDateTime'), printedDate(data.timestamp))
+            .row(label('receiptPaymentMethod'), label(data.method));
+        if (data.maskedPan) out.row(label('card'), `${data.cardScheme || ''} ${data.maskedPan}`.trim());
+        if (data.authCode) out.row(label('receiptAuthCode'), data.authCode);
+        if (data.utr) out.row(label('receiptUtr'), data.utr);
+        out.row(label('receiptStatus'), label(marks.isPending ? 'pendingSync' : 'receiptConfirmed')).rule();
+
+        heading(out, 'receiptBillsPaid');
+        for (const item of data.items) {
+            out.bold().row(item.consumerId, `Rs. ${item.amount}`).bold(false)
+                .line(`  ${label(`${item.service}Bill`)}${item.billPeriod ? `, ${item.billPeriod}` : ''}`)
+                .line(`  ${label('receiptRef', { id: item.txnId })}`);
+            if (item.balance > 0) out.row(`  ${label('balanceOutstanding')}`, `Rs. ${item.balance}`);
+            if (item.advance > 0) out.row(`  ${label('advanceCredit')}`, `Rs. ${item.advance}`);
+            for (const fee of item.fees || []) out.row(`  ${label(fee.type)}`, `Rs. ${fee.amount}`);
+        }
+        out.rule();
+        heading(out, 'settlementSplit');
+        for (const share of data.settlement) out.row(`${share.name} (${share.provider})`, `Rs. ${share.amount}`);
+        // Convenience fees stay with the kiosk operator
+        for (const fee of (data.fees || []).filter(f => f.type === 'convenienceFee')) out.row(label(fee.type), `Rs. ${fee.amount}`);
+
+        out.rule().bold().size(1, 2).row(label('receiptTotalPaid'), `Rs. ${amountCharged(data)}`).size(1, 1).bold(false);
+        footer(out, data.verificationCode || data.txnId, [...(data.verificationCode ? ['receiptScanToVerify'] : []), 'receiptComputerGenerated', 'footerText']);
+    },
+
+    complaint(out, data, marks) {
+        header(out, 'receiptComplaintTitle', marks);
+        out.row(label('ticketId'), data.ticketId)
+            .row(label('receiptDateTime'), printedDate(data.timestamp))
+            .row(label('complaintCategory'), data.category || label('receiptNotAvailable'));
+        if (data.description) out.line(`${label('receiptDescription')}:`).line(data.description);
+        out.row(label('receiptLocation'), data.location ? `${data.location.lat}, ${data.location.lng}` : label('receiptNotAvailable'))
+            .row(label('receiptStatus'), label(marks.isPending ? 'pendingSync' : 'receiptSubmitted'));
+        footer(out, data.ticketId, ['receiptTrack', 'footerText']);
+    },
+};
+
+/**
+ * Render a receipt as an ESC/POS byte stream
+ * @param {'payment'|'cart'|'complaint'} kind
+ * @param {object} data - Receipt data (receiptSchema.js)
+ * @param {object} [options]
+ * @param {boolean} [options.isPending] - Whether the record is pending sync
+ * @param {boolean} [options.duplicate] - Reprint, marked DUPLICATE COPY
+ * @param {58|80} [options.paper] - Roll width in mm
+ * @returns {Uint8Array}
+ * @throws {ReceiptValidationError} When data does not match the schema
+ */
+export function renderEscPosReceipt(kind, data, { isPending = false, duplicate = false, paper = 80 } = {}) {
+    validateReceipt(kind, data);
+    const layout = ESCPOS_PAPER[paper];
+    if (!layout) throw new Error(`Unsupported paper width: ${paper} mm`);
+    const out = createEscPosBuilder(layout);
+    RENDERERS[kind](out, data, { isPending, duplicate });
+    return out.bytes();
+}
+
+/**
+ * Plain-text preview of an ESC/POS stream, for the virtual printer
+ * and for checking output without paper. QR codes show as [QR: data]
+ * and the cut as a line of scissors.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function previewEscPos(bytes) {
+    let text = '';
+    let qrData = '';
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+        if (byte === ESC) {
+            const command = bytes[i + 1];
+            if (command === 0x64) text += '\n'.repeat(bytes[i + 2]);
+            i += command === 0x40 ? 1 : 2; // ESC @ has no argument
+        } else if (byte === GS && bytes[i + 1] === 0x28) {
+            // GS ( k pL pH cn fn [data]
+            const length = bytes[i + 3] | (bytes[i + 4] << 8);
+            const fn = bytes[i + 6];
+            if (fn === 0x50) qrData = String.fromCharCode(...bytes.subarray(i + 8, i + 5 + length));
+            if (fn === 0x51) text += `[QR: ${qrData}]`;
+            i += 4 + length;
+        } else if (byte === GS && bytes[i + 1] === 0x56) {
+            text += '\n✂ - - - - - - - - - - - - - -\n';
+            i += bytes[i + 2] >= 0x41 ? 3 : 2; // function B takes a feed length
+        } else if (byte === GS) {
+            i += 2; // GS ! n
+        } else {
+            text += String.fromCharCode(byte);
+        }
+    }
+    return text;
+}
@@ -0,0 +1,142 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Late & Convenience Fees
+ *
+ * Two kinds of fee are charged on top of the amount paid towards
+ * a bill:
+ *   lateFee        - after the due date plus a grace period counted
+ *                    in working days (Sundays and gazetted holidays
+ *                    do not count; a due date on a holiday moves to
+ *                    the next working day). Goes to the utility.
+ *   convenienceFee - per payment method. Goes to the kiosk operator.
+ *
+ * A fee is { type, label, amount }; type doubles as an i18n key and
+ * label is the English text printed on receipts. A payment carrying
+ * fees has total = amount + fees, and total is what the tender
+ * collects. Shared by the kiosk and the local backend (server/).
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/** Gazetted holidays (YYYY-MM-DD) that do not count towards a grace period */
+export const HOLIDAYS = {
+    '2026-01-26': 'Republic Day',
+    '2026-03-04': 'Holi',
+    '2026-03-21': 'Id-ul-Fitr',
+    '2026-04-03': 'Good Friday',
+    '2026-04-14': 'Dr. B.R. Ambedkar Jayanti / Vaisakhi',
+    '2026-05-01': 'May Day',
+    '2026-08-15': 'Independence Day',
+    '2026-10-02': 'Gandhi Jayanti',
+    '2026-10-20': 'Dussehra',
+    '2026-11-08': 'Diwali',
+    '2026-11-24': 'Guru Nanak Jayanti',
+    '2026-12-25': 'Christmas',
+};
+
+/**
+ * Late payment surcharge per serviceType
+ *   graceDays - working days after the due date before the fee applies
+ *   rate      - share of the amount due
+ *   min, max  - bounds on the fee (₹)
+ */
+export const LATE_FEE_RULES = {
+    electricity: { graceDays: 3, rate: 0.02, min: 10, max: 500 },
+    water: { graceDays: 7, rate: 0.015, min: 10, max: 200 },
+    gas: { graceDays: 3, rate: 0.02, min: 10, max: 300 },
+};
+
+/** Convenience fee per payment method: flat ₹ plus rate × amount, at least min */
+export const CONVENIENCE_FEES = {
+    upi: { flat: 0, rate: 0, min: 0 },
+    cash: { flat: 5, rate: 0, min: 0 },
+    card: { flat: 0, rate: 0.01, min: 10 },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Local calendar date of a Date as YYYY-MM-DD */
+function isoDate(date) {
+    return [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+}
+
+/** YYYY-MM-DD as a local Date at midnight */
+function parseDate(value) {
+    const [y, m, d] = String(value).split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+/** Not a Sunday and not a gazetted holiday */
+export function isWorkingDay(date) {
+    return date.getDay() !== 0 && !HOLIDAYS[isoDate(date)];
+}
+
+/**
+ * Last day a bill can be paid without a late fee
+ * @param {string} dueDate - YYYY-MM-DD
+ * @param {number} graceDays - Working days of grace
+ * @returns {string} YYYY-MM-DD
+ */
+export function graceEndDate(dueDate, graceDays) {
+    const date = parseDate(dueDate);
+    while (!isWorkingDay(date)) date.setDate(date.getDate() + 1);
+    for (let left = graceDays; left > 0;) {
+        date.setDate(date.getDate() + 1);
+        if (isWorkingDay(date)) left -= 1;
+    }
+    return isoDate(date);
+}
+
+/**
+ * Late fee for paying a bill on a given day
+ * @param {object} bill - { service, amount, dueDate }; amount is the outstanding due
+ * @param {Date} [on] - Payment date (today)
+ * @returns {{ type: 'lateFee', label: string, amount: number, daysLate: number, graceUntil: string }|null}
+ *   null when nothing is due, the service has no rule, or the bill is within its grace period
+ */
+export function lateFee({ service, amount, dueDate }, on = new Date()) {
+    const rules = LATE_FEE_RULES[service];
+    if (!rules || !dueDate || !(amount > 0)) return null;
+    const graceUntil = graceEndDate(dueDate, rules.graceDays);
+    const today = isoDate(on);
+    if (today <= graceUntil) return null;
+    return {
+        type: 'lateFee',
+        label: 'Late Payment Fee',
+        amount: Math.min(rules.max, Math.max(rules.min, Math.round(amount * rules.rate))),
+        daysLate: Math.round((parseDate(today) - parseDate(dueDate)) / DAY_MS),
+        graceUntil,
+    };
+}
+
+/**
+ * Convenience fee for a payment method
+ * @param {string} method - upi | cash | card
+ * @param {number} amount - Amount being collected before this fee
+ * @returns {{ type: 'convenienceFee', label: string, amount: number, method: string }|null} null when free
+ */
+export function convenienceFee(method, amount) {
+    const rules = CONVENIENCE_FEES[method];
+    if (!rules) return null;
+    const fee = Math.max(rules.min, Math.round(rules.flat + amount * rules.rate));
+    return fee > 0 ? { type: 'convenienceFee', label: 'Convenience Fee', amount: fee, method } : null;
+}
+
+/** Sum of a list of fees (₹) */
+export function feeTotal(fees = []) {
+    return fees.reduce((sum, fee) => sum + fee.amount, 0);
+}
+
+/**
+ * Attach fees to a payment and set its total
+ * @param {object} payment - { amount, ... } where amount goes towards the bill(s)
+ * @param {Array<object>} fees
+ * @returns {object} Payment with fees and total
+ */
+export function withFees(payment, fees) {
+    return { ...payment, fees, total: payment.amount + feeTotal(fees) };
+}
+
+/** What the citizen is charged for a payment: its total, or the amount when it has no fees */
+export function amountCharged(payment) {
+    return payment.total ?? payment.amount;
+}
@@ -56,6 +56,174 @@ const translations = {
         scanQR: "Scan QR Code",
         typeConsumerId: "Type Consumer ID",
         billNotFound: "Bill not found. Please check your Consumer ID.",
+        billLookupFailed: "Could not reach the billing server. Please try again.",
+        duplicatePaymentWarning: "This bill appears to be already paid for the same amount.",
+        duplicatePaymentConfirm: "I want to pay again anyway",
+        paymentAuthorising: "Confirming your payment, please wait...",
+        paymentFailed: "Payment failed. No money has been charged.",
+        paymentCancelled: "Payment cancelled.",
+        paymentTimedOut: "Payment timed out. Please try again.",
+        paymentUnrecorded: "Your payment was received but could not be saved. Do not pay again — please call the operator and show this transaction ID.",
+        recordAgain: "Try saving again",
+        complaintUnsaved: "Your complaint could not be saved on this kiosk, so no ticket was issued. Please try again, or ask the operator for help.",
+        tryAgain: "Try Again",
+        qrExpiresIn: "QR expires in {time}",
+        amountToPay: "Amount to pay",
+        payFullAmount: "Pay full",
+        amountBelowMinimum: "The minimum payment is ₹{amount}",
+        amountAboveMaximum: "You can pay at most ₹{amount}",
+        amountNotRounded: "Amount must be a multiple of ₹{amount}",
+        balanceAfterPayment: "Balance after payment",
+        balanceOutstanding: "Balance outstanding",
+        advanceCredit: "Advance credited",
+        billBreakdown: "How this bill is calculated",
+        billedAmount: "Billed amount",
+        tariffMatch: "Matches tariff",
+        tariffMismatch: "Tariff gives ₹{amount}",
+        lateFee: "Late payment fee",
+        daysPastDue: "{days} days past due",
+        convenienceFee: "convenience fee",
+        noFee: "No fee",
+        tenderUnavailable: "Not available at this kiosk",
+        billAmountPaid: "Towards bill",
+        totalPayable: "Total payable",
+        scanBill: "Scan bill",
+        scanBillHint: "Hold the QR code or barcode on your bill in front of the camera",
+        scanStarting: "Starting camera...",
+        cameraUnavailable: "Camera not available",
+        scanTimedOut: "Could not read the bill",
+        scanUnrecognised: "This code is not a supported bill",
+        enterManually: "Enter manually",
+        scannedOtherService: "{id} is a bill for a different service",
+        scannedBillDiffers: "Your printed bill ({period}, ₹{amount}) is not the latest. Showing the current bill.",
+        idWrongUtility: "This screen takes {utility} consumer numbers",
+        idInvalidCharacters: "Consumer numbers contain digits only",
+        idTooShort: "{utility} consumer numbers have {digits} digits",
+        idTooLong: "Too many digits: {utility} consumer numbers have {digits}",
+        idChecksumFailed: "This number fails its check digit. Please check it against your bill",
+        idNotHeard: "No consumer number heard. Please say the digits",
+        confirmConsumerId: "I heard {id}. If that is right, press Fetch Bill",
+        receiptUnavailable: "The receipt could not be printed. Please note your transaction ID and ask the operator for help.",
+        receiptPaymentTitle: "Payment Receipt",
+        receiptCartTitle: "Consolidated Payment Receipt",
+        receiptComplaintTitle: "Complaint Receipt",
+        receiptTransactionDetails: "Transaction Details",
+        receiptComplaintDetails: "Complaint Details",
+        receiptDateTime: "Date & Time",
+        receiptService: "Service",
+        receiptBillPeriod: "Bill Period",
+        receiptAmountPaid: "Amount Paid",
+        receiptTotalCharged: "Total Charged",
+        receiptPaymentMethod: "Payment Method",
+        receiptAuthCode: "Auth Code",
+        receiptUtr: "UPI Ref (UTR)",
+        receiptStatus: "Status",
+        receiptConfirmed: "Confirmed",
+        receiptSubmitted: "Submitted",
+        receiptBillsPaid: "Bills Paid",
+        receiptTotalPaid: "Total Paid",
+        receiptRef: "Ref {id}",
+        receiptDescription: "Description",
+        receiptLocation: "Location",
+        receiptNotAvailable: "Not available",
+        receiptComputerGenerated: "This is a computer-generated receipt. No signature required.",
+        receiptHelpline: "For issues, contact: support@suvidha.gov.in | Helpline: 1800-XXX-XXXX",
+        receiptTrack: "Track your complaint at any SUVIDHA kiosk: Track Complaint, then scan this QR",
+        receiptPrinted: "Receipt sent to the printer. Please collect it from the printer slot.",
+        receiptScanToVerify: "Scan to verify this receipt",
+        receiptScanToTrack: "Scan to track this complaint",
+        verifyTitle: "Verify a Receipt",
+        verifySubtitle: "Check a receipt against the recorded payment",
+        verifyHint: "Scan the QR code on the receipt, or paste the text it contains.",
+        verifyCode: "Verification code",
+        verifyScan: "Scan QR",
+        verifySubmit: "Verify",
+        verifyChecking: "Checking...",
+        verifyAnother: "Verify another",
+        verifyAuthentic: "Genuine receipt. It matches the recorded payment.",
+        verifyMalformed: "This is not a SUVIDHA receipt code.",
+        verifyUnknownKiosk: "Kiosk {kioskId} is not known here, so this receipt cannot be checked.",
+        verifyForged: "The signature does not match. This receipt has been altered or is not genuine.",
+        verifyNotFound: "The signature is genuine, but payment {txnId} has not been received yet. Check again later.",
+        verifyMismatch: "The receipt shows ₹{amount} but ₹{recorded} was recorded for this payment.",
+        verifyFailed: "The receipt could not be checked. Please try again.",
+        verifyKiosk: "Kiosk",
+        receiptDuplicate: "Duplicate copy",
+        receiptReprinted: "Reprinted on",
+        reprintReceipt: "Reprint Receipt",
+        reprintSubtitle: "Lost or jammed receipt? Print it again",
+        reprintHint: "Enter the transaction ID or complaint ticket ID. It is on the payment screen, the SMS and the receipt.",
+        reprintId: "Transaction or ticket ID",
+        reprintFind: "Find receipt",
+        reprintSearching: "Searching...",
+        reprintNotFound: "No receipt found for {id}.",
+        reprintOffline: "Offline: only receipts from this kiosk can be found.",
+        reprintFailed: "The receipt could not be looked up. Please try again.",
+        reprintFromBackend: "Found in the utility records",
+        reprintDuplicateNote: "The reprint is marked DUPLICATE COPY.",
+        notifyPaymentSubject: "SUVIDHA Setu receipt {txnId}",
+        notifyPaymentText: "SUVIDHA Setu: ₹{amount} paid for {consumerId}. Transaction ID {txnId}. Keep this message as your receipt.",
+        notifyComplaintSubject: "Complaint {ticketId} registered",
+        notifyComplaintText: "SUVIDHA Setu: your complaint ({category}) is registered. Ticket ID {ticketId}. We will message you when its status changes.",
+        notifyStatusSubject: "Complaint {ticketId}: {status}",
+        notifyStatusText: "SUVIDHA Setu: your complaint {ticketId} is now {status}.",
+        notifyOtpSubject: "Your SUVIDHA Setu OTP",
+        notifyOtpText: "{code} is your SUVIDHA Setu OTP. It is valid for {minutes} minutes. Do not share it with anyone.",
+        complaintStatusSubmitted: "Submitted",
+        complaintStatusAssigned: "Assigned to an officer",
+        complaintStatusInProgress: "In progress",
+        complaintStatusResolved: "Resolved",
+        complaintStatusRejected: "Rejected",
+        complaintStatusReopened: "Reopened",
+        notifySendCopy: "Get a copy on your phone or email",
+        notifySms: "SMS",
+        notifyWhatsapp: "WhatsApp",
+        notifyEmail: "Email",
+        notifyMobile: "Mobile number",
+        notifyEmailAddress: "Email address",
+        notifySend: "Send",
+        notifySending: "Sending...",
+        notifyQueued: "Your copy is on its way to {to}.",
+        notifyQueuedOffline: "Your copy will be sent to {to} when the kiosk is back online.",
+        notifyLogged: "Demo mode: the copy for {to} was written to the console, not sent.",
+        notifyInvalidMobile: "Please enter a 10-digit mobile number.",
+        notifyInvalidEmail: "Please enter a valid email address.",
+        notifyFailed: "The message could not be sent. Please try again.",
+        otpSentTo: "OTP sent to {to}",
+        otpSendFailed: "The OTP could not be sent. Please try again or use another method.",
+        otpWrong: "Wrong OTP. {left} attempts left.",
+        otpExpired: "This OTP has expired. Please request a new one.",
+        otpLocked: "Too many wrong attempts. Please request a new OTP.",
+        otpResend: "Send a new OTP",
+        trackComplaint: "Track Complaint",
+        trackSubtitle: "Status and history of your complaint",
+        trackHint: "Type the ticket number from your complaint slip, or scan its QR code.",
+        trackTicketId: "Ticket number",
+        trackScan: "Scan QR",
+        trackFind: "Track",
+        trackSearching: "Searching...",
+        trackMalformed: "This is not a complaint ticket code.",
+        trackNotFound: "No complaint found for {id}.",
+        trackOffline: "Offline: only complaints filed at this kiosk can be found, without later updates.",
+        trackFailed: "The complaint could not be looked up. Please try again.",
+        trackCurrentStatus: "Current status",
+        trackTimeline: "History",
+        trackOfficer: "Officer",
+        trackFiledOn: "Filed on",
+        trackPendingNote: "Not yet sent to the department. It will be sent when the kiosk is back online.",
+        trackKioskOnly: "From this kiosk's records. Later updates need a connection.",
+        trackSpeakStatus: "Complaint {ticketId}: {status}.",
+        myComplaintsEmpty: "You have not filed any complaints yet.",
+        myComplaintsOffline: "Offline: showing only complaints filed at this kiosk.",
+        cart: "Bill Cart",
+        cartBills: "{count} bill(s) to pay",
+        cartEmpty: "Your cart is empty. Add a bill to pay several together.",
+        addToCart: "Add to cart",
+        addedToCart: "Bill added to cart",
+        removeFromCart: "Remove from cart",
+        payAllDue: "Pay all due bills together",
+        settlementSplit: "Paid to each utility",
+        cartTotal: "Total",
 
         // Complaint
         complaintCategory: "Complaint Category",
@@ -88,6 +256,21 @@ const translations = {
         revenueCollected: "Revenue Collected",
         complaintHeatmap: "Complaint Heatmap",
         activityLog: "Real-time Activity Log",
+        conflictQueue: "Duplicate Payments to Resolve",
+        noConflicts: "No duplicate payments awaiting review",
+        duplicateOf: "Duplicate of",
+        markRefund: "Refund",
+        markReconcile: "Reconcile",
+        interruptedPayments: "Interrupted Payments",
+        noInterruptedPayments: "No payments were interrupted",
+        settleReceived: "Money received",
+        settleNotReceived: "Nothing collected",
+        paidNotRecorded: "Paid, but not recorded",
+        signingKey: "Receipt Signing Key",
+        signingKeyHelp: "Register this kiosk's key with the backend so its receipts can be verified anywhere. Enter the backend's provisioning token; it is not stored on the kiosk.",
+        provisioningToken: "Provisioning token",
+        registerSigningKey: "Register key",
+        signingKeyRegistered: "Signing key registered",
         time: "Time",
         kioskId: "Kiosk ID",
         action: "Action",
@@ -151,6 +334,174 @@ const translations = {
         scanQR: "क्यूआर कोड स्कैन करें",
         typeConsumerId: "उपभोक्ता आईडी टाइप करें",
         billNotFound: "बिल नहीं मिला। कृपया अपनी उपभोक्ता आईडी जाँचें।",
+        billLookupFailed: "बिलिंग सर्वर से संपर्क नहीं हो सका। कृपया पुनः प्रयास करें।",
+        duplicatePaymentWarning: "लगता है इस बिल का इतनी ही राशि का भुगतान पहले हो चुका है।",
+        duplicatePaymentConfirm: "मैं फिर भी दोबारा भुगतान करना चाहता/चाहती हूँ",
+        paymentAuthorising: "आपके भुगतान की पुष्टि हो रही है, कृपया प्रतीक्षा करें...",
+        paymentFailed: "भुगतान विफल रहा। कोई राशि नहीं काटी गई।",
+        paymentCancelled: "भुगतान रद्द किया गया।",
+        paymentTimedOut: "भुगतान का समय समाप्त हो गया। कृपया पुनः प्रयास करें।",
+        paymentUnrecorded: "आपका भुगतान प्राप्त हुआ, पर सहेजा नहीं जा सका। दोबारा भुगतान न करें — कृपया ऑपरेटर को बुलाएँ और यह लेन-देन आईडी दिखाएँ।",
+        recordAgain: "फिर से सहेजें",
+        complaintUnsaved: "आपकी शिकायत इस कियोस्क पर सहेजी नहीं जा सकी, इसलिए कोई टिकट जारी नहीं हुआ। कृपया फिर से प्रयास करें, या ऑपरेटर से मदद लें।",
+        tryAgain: "पुनः प्रयास करें",
+        qrExpiresIn: "QR {time} में समाप्त होगा",
+        amountToPay: "भुगतान राशि",
+        payFullAmount: "पूरा भुगतान",
+        amountBelowMinimum: "न्यूनतम भुगतान ₹{amount} है",
+        amountAboveMaximum: "आप अधिकतम ₹{amount} का भुगतान कर सकते हैं",
+        amountNotRounded: "राशि ₹{amount} के गुणज में होनी चाहिए",
+        balanceAfterPayment: "भुगतान के बाद शेष",
+        balanceOutstanding: "बकाया राशि",
+        advanceCredit: "अग्रिम जमा",
+        billBreakdown: "यह बिल कैसे बना",
+        billedAmount: "बिल राशि",
+        tariffMatch: "टैरिफ के अनुसार",
+        tariffMismatch: "टैरिफ से ₹{amount} बनता है",
+        lateFee: "विलंब शुल्क",
+        daysPastDue: "अंतिम तिथि से {days} दिन बाद",
+        convenienceFee: "सुविधा शुल्क",
+        noFee: "कोई शुल्क नहीं",
+        tenderUnavailable: "इस कियोस्क पर उपलब्ध नहीं",
+        billAmountPaid: "बिल के लिए",
+        totalPayable: "कुल देय",
+        scanBill: "बिल स्कैन करें",
+        scanBillHint: "बिल पर छपा QR कोड या बारकोड कैमरे के सामने रखें",
+        scanStarting: "कैमरा चालू हो रहा है...",
+        cameraUnavailable: "कैमरा उपलब्ध नहीं है",
+        scanTimedOut: "बिल पढ़ा नहीं जा सका",
+        scanUnrecognised: "यह कोड समर्थित बिल नहीं है",
+        enterManually: "स्वयं दर्ज करें",
+        scannedOtherService: "{id} किसी दूसरी सेवा का बिल है",
+        scannedBillDiffers: "आपका छपा बिल ({period}, ₹{amount}) नवीनतम नहीं है। वर्तमान बिल दिखाया जा रहा है।",
+        idWrongUtility: "यहाँ केवल {utility} उपभोक्ता संख्या दर्ज करें",
+        idInvalidCharacters: "उपभोक्ता संख्या में केवल अंक होते हैं",
+        idTooShort: "{utility} उपभोक्ता संख्या में {digits} अंक होते हैं",
+        idTooLong: "अंक अधिक हैं: {utility} उपभोक्ता संख्या में {digits} अंक होते हैं",
+        idChecksumFailed: "यह संख्या जाँच अंक से मेल नहीं खाती। कृपया बिल से मिलाएँ",
+        idNotHeard: "उपभोक्ता संख्या सुनाई नहीं दी। कृपया अंक बोलें",
+        confirmConsumerId: "मैंने सुना {id}। सही है तो बिल प्राप्त करें दबाएँ",
+        receiptUnavailable: "रसीद प्रिंट नहीं हो सकी। कृपया अपनी लेन-देन आईडी नोट करें और ऑपरेटर से सहायता लें।",
+        receiptPaymentTitle: "भुगतान रसीद",
+        receiptCartTitle: "संयुक्त भुगतान रसीद",
+        receiptComplaintTitle: "शिकायत रसीद",
+        receiptTransactionDetails: "लेनदेन विवरण",
+        receiptComplaintDetails: "शिकायत विवरण",
+        receiptDateTime: "दिनांक और समय",
+        receiptService: "सेवा",
+        receiptBillPeriod: "बिल अवधि",
+        receiptAmountPaid: "भुगतान राशि",
+        receiptTotalCharged: "कुल वसूली",
+        receiptPaymentMethod: "भुगतान का तरीका",
+        receiptAuthCode: "स्वीकृति कोड",
+        receiptUtr: "यूपीआई संदर्भ (UTR)",
+        receiptStatus: "स्थिति",
+        receiptConfirmed: "पुष्ट",
+        receiptSubmitted: "दर्ज",
+        receiptBillsPaid: "भुगतान किए गए बिल",
+        receiptTotalPaid: "कुल भुगतान",
+        receiptRef: "संदर्भ {id}",
+        receiptDescription: "विवरण",
+        receiptLocation: "स्थान",
+        receiptNotAvailable: "उपलब्ध नहीं",
+        receiptComputerGenerated: "यह कंप्यूटर द्वारा बनाई गई रसीद है। हस्ताक्षर की आवश्यकता नहीं है।",
+        receiptHelpline: "सहायता के लिए: support@suvidha.gov.in | हेल्पलाइन: 1800-XXX-XXXX",
+        receiptTrack: "किसी भी सुविधा कियोस्क पर शिकायत देखें: शिकायत ट्रैक करें, फिर यह QR स्कैन करें",
+        receiptPrinted: "रसीद प्रिंटर को भेज दी गई है। कृपया प्रिंटर से ले लें।",
+        receiptScanToVerify: "इस रसीद की जाँच के लिए स्कैन करें",
+        receiptScanToTrack: "इस शिकायत को ट्रैक करने के लिए स्कैन करें",
+        verifyTitle: "रसीद सत्यापित करें",
+        verifySubtitle: "रसीद को दर्ज भुगतान से मिलाएँ",
+        verifyHint: "रसीद पर बना QR कोड स्कैन करें, या उसका टेक्स्ट चिपकाएँ।",
+        verifyCode: "सत्यापन कोड",
+        verifyScan: "QR स्कैन करें",
+        verifySubmit: "सत्यापित करें",
+        verifyChecking: "जाँच हो रही है...",
+        verifyAnother: "दूसरी रसीद जाँचें",
+        verifyAuthentic: "रसीद असली है। यह दर्ज भुगतान से मेल खाती है।",
+        verifyMalformed: "यह सुविधा रसीद का कोड नहीं है।",
+        verifyUnknownKiosk: "कियोस्क {kioskId} यहाँ ज्ञात नहीं है, इसलिए यह रसीद जाँची नहीं जा सकती।",
+        verifyForged: "हस्ताक्षर मेल नहीं खाता। यह रसीद बदली गई है या असली नहीं है।",
+        verifyNotFound: "हस्ताक्षर असली है, पर भुगतान {txnId} अभी प्राप्त नहीं हुआ है। बाद में फिर जाँचें।",
+        verifyMismatch: "रसीद पर ₹{amount} है, पर इस भुगतान के लिए ₹{recorded} दर्ज है।",
+        verifyFailed: "रसीद जाँची नहीं जा सकी। कृपया फिर से प्रयास करें।",
+        verifyKiosk: "कियोस्क",
+        receiptDuplicate: "दूसरी प्रति",
+        receiptReprinted: "पुनः मुद्रण",
+        reprintReceipt: "रसीद दोबारा प्रिंट करें",
+        reprintSubtitle: "रसीद खो गई या अटक गई? फिर से प्रिंट करें",
+        reprintHint: "लेन-देन आईडी या शिकायत टिकट आईडी दर्ज करें। यह भुगतान स्क्रीन, एसएमएस और रसीद पर है।",
+        reprintId: "लेन-देन या टिकट आईडी",
+        reprintFind: "रसीद खोजें",
+        reprintSearching: "खोज रहे हैं...",
+        reprintNotFound: "{id} की कोई रसीद नहीं मिली।",
+        reprintOffline: "ऑफ़लाइन: केवल इस कियोस्क की रसीदें मिल सकती हैं।",
+        reprintFailed: "रसीद नहीं खोजी जा सकी। कृपया पुनः प्रयास करें।",
+        reprintFromBackend: "विभाग के रिकॉर्ड में मिली",
+        reprintDuplicateNote: "दोबारा प्रिंट की गई रसीद पर दूसरी प्रति अंकित होगा।",
+        notifyPaymentSubject: "सुविधा सेतु रसीद {txnId}",
+        notifyPaymentText: "सुविधा सेतु: {consumerId} के लिए ₹{amount} का भुगतान हुआ। लेन-देन आईडी {txnId}। इस संदेश को अपनी रसीद के रूप में रखें।",
+        notifyComplaintSubject: "शिकायत {ticketId} दर्ज",
+        notifyComplaintText: "सुविधा सेतु: आपकी शिकायत ({category}) दर्ज हो गई है। टिकट आईडी {ticketId}। स्थिति बदलने पर हम आपको संदेश भेजेंगे।",
+        notifyStatusSubject: "शिकायत {ticketId}: {status}",
+        notifyStatusText: "सुविधा सेतु: आपकी शिकायत {ticketId} अब {status} है।",
+        notifyOtpSubject: "आपका सुविधा सेतु ओटीपी",
+        notifyOtpText: "{code} आपका सुविधा सेतु ओटीपी है। यह {minutes} मिनट तक मान्य है। इसे किसी के साथ साझा न करें।",
+        complaintStatusSubmitted: "दर्ज",
+        complaintStatusAssigned: "अधिकारी को सौंपी गई",
+        complaintStatusInProgress: "प्रगति पर",
+        complaintStatusResolved: "हल",
+        complaintStatusRejected: "अस्वीकृत",
+        complaintStatusReopened: "फिर से खोली गई",
+        notifySendCopy: "अपने फ़ोन या ईमेल पर प्रति पाएँ",
+        notifySms: "एसएमएस",
+        notifyWhatsapp: "व्हाट्सऐप",
+        notifyEmail: "ईमेल",
+        notifyMobile: "मोबाइल नंबर",
+        notifyEmailAddress: "ईमेल पता",
+        notifySend: "भेजें",
+        notifySending: "भेज रहे हैं...",
+        notifyQueued: "आपकी प्रति {to} पर भेजी जा रही है।",
+        notifyQueuedOffline: "कियोस्क के फिर से ऑनलाइन होने पर आपकी प्रति {to} पर भेजी जाएगी।",
+        notifyLogged: "डेमो मोड: {to} की प्रति भेजी नहीं गई, कंसोल में लिखी गई।",
+        notifyInvalidMobile: "कृपया 10 अंकों का मोबाइल नंबर दर्ज करें।",
+        notifyInvalidEmail: "कृपया सही ईमेल पता दर्ज करें।",
+        notifyFailed: "संदेश नहीं भेजा जा सका। कृपया पुनः प्रयास करें।",
+        otpSentTo: "ओटीपी {to} पर भेजा गया",
+        otpSendFailed: "ओटीपी नहीं भेजा जा सका। कृपया पुनः प्रयास करें या कोई दूसरा तरीका चुनें।",
+        otpWrong: "गलत ओटीपी। {left} प्रयास शेष।",
+        otpExpired: "इस ओटीपी की समय सीमा समाप्त हो गई है। कृपया नया ओटीपी मँगवाएँ।",
+        otpLocked: "बहुत अधिक गलत प्रयास। कृपया नया ओटीपी मँगवाएँ।",
+        otpResend: "नया ओटीपी भेजें",
+        trackComplaint: "शिकायत ट्रैक करें",
+        trackSubtitle: "आपकी शिकायत की स्थिति और इतिहास",
+        trackHint: "शिकायत पर्ची से टिकट नंबर लिखें, या उसका QR कोड स्कैन करें।",
+        trackTicketId: "टिकट नंबर",
+        trackScan: "QR स्कैन करें",
+        trackFind: "ट्रैक करें",
+        trackSearching: "खोज रहे हैं...",
+        trackMalformed: "यह शिकायत टिकट का कोड नहीं है।",
+        trackNotFound: "{id} के लिए कोई शिकायत नहीं मिली।",
+        trackOffline: "ऑफ़लाइन: केवल इस कियोस्क पर दर्ज शिकायतें मिल सकती हैं, बाद के अपडेट के बिना।",
+        trackFailed: "शिकायत नहीं खोजी जा सकी। कृपया फिर से प्रयास करें।",
+        trackCurrentStatus: "वर्तमान स्थिति",
+        trackTimeline: "इतिहास",
+        trackOfficer: "अधिकारी",
+        trackFiledOn: "दर्ज करने की तिथि",
+        trackPendingNote: "अभी विभाग को नहीं भेजी गई। कियोस्क के ऑनलाइन होने पर भेजी जाएगी।",
+        trackKioskOnly: "इस कियोस्क के रिकॉर्ड से। बाद के अपडेट के लिए कनेक्शन चाहिए।",
+        trackSpeakStatus: "शिकायत {ticketId}: {status}।",
+        myComplaintsEmpty: "आपने अभी तक कोई शिकायत दर्ज नहीं की है।",
+        myComplaintsOffline: "ऑफ़लाइन: केवल इस कियोस्क पर दर्ज शिकायतें दिखाई जा रही हैं।",
+        cart: "बिल कार्ट",
+        cartBills: "भुगतान के लिए {count} बिल",
+        cartEmpty: "आपका कार्ट खाली है। कई बिल एक साथ भरने के लिए बिल जोड़ें।",
+        addToCart: "कार्ट में जोड़ें",
+        addedToCart: "बिल कार्ट में जोड़ा गया",
+        removeFromCart: "कार्ट से हटाएँ",
+        payAllDue: "सभी बकाया बिल एक साथ भरें",
+        settlementSplit: "हर विभाग को भुगतान",
+        cartTotal: "कुल",
 
         complaintCategory: "शिकायत श्रेणी",
         brokenStreetlight: "टूटी स्ट्रीटलाइट",
@@ -181,6 +532,21 @@ const translations = {
         revenueCollected: "एकत्रित राजस्व",
         complaintHeatmap: "शिकायत हीटमैप",
         activityLog: "रीयल-टाइम गतिविधि लॉग",
+        conflictQueue: "निपटाने हेतु दोहरे भुगतान",
+        noConflicts: "समीक्षा हेतु कोई दोहरा भुगतान नहीं",
+        duplicateOf: "किसका दोहराव",
+        markRefund: "रिफ़ंड",
+        markReconcile: "मिलान",
+        interruptedPayments: "अधूरे भुगतान",
+        noInterruptedPayments: "कोई भुगतान अधूरा नहीं रहा",
+        settleReceived: "राशि प्राप्त हुई",
+        settleNotReceived: "कुछ प्राप्त नहीं हुआ",
+        paidNotRecorded: "भुगतान हुआ, पर दर्ज नहीं हुआ",
+        signingKey: "रसीद हस्ताक्षर कुंजी",
+        signingKeyHelp: "इस कियोस्क की कुंजी बैकएंड में दर्ज करें ताकि इसकी रसीदें कहीं भी सत्यापित हो सकें। बैकएंड का प्रोविज़निंग टोकन डालें; यह कियोस्क पर सहेजा नहीं जाता।",
+        provisioningToken: "प्रोविज़निंग टोकन",
+        registerSigningKey: "कुंजी दर्ज करें",
+        signingKeyRegistered: "हस्ताक्षर कुंजी दर्ज हो गई",
         time: "समय",
         kioskId: "कियोस्क आईडी",
         action: "कार्य",
@@ -242,6 +608,174 @@ const translations = {
         scanQR: "QR ਕੋਡ ਸਕੈਨ ਕਰੋ",
         typeConsumerId: "ਖਪਤਕਾਰ ਆਈਡੀ ਟਾਈਪ ਕਰੋ",
         billNotFound: "ਬਿੱਲ ਨਹੀਂ ਮਿਲਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਆਪਣੀ ਖਪਤਕਾਰ ਆਈਡੀ ਜਾਂਚੋ।",
+        billLookupFailed: "ਬਿਲਿੰਗ ਸਰਵਰ ਨਾਲ ਸੰਪਰਕ ਨਹੀਂ ਹੋ ਸਕਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+        duplicatePaymentWarning: "ਲੱਗਦਾ ਹੈ ਇਸ ਬਿੱਲ ਦਾ ਇੰਨੀ ਹੀ ਰਕਮ ਦਾ ਭੁਗਤਾਨ ਪਹਿਲਾਂ ਹੋ ਚੁੱਕਾ ਹੈ।",
+        duplicatePaymentConfirm: "ਮੈਂ ਫਿਰ ਵੀ ਦੁਬਾਰਾ ਭੁਗਤਾਨ ਕਰਨਾ ਚਾਹੁੰਦਾ/ਚਾਹੁੰਦੀ ਹਾਂ",
+        paymentAuthorising: "ਤੁਹਾਡੇ ਭੁਗਤਾਨ ਦੀ ਪੁਸ਼ਟੀ ਹੋ ਰਹੀ ਹੈ, ਕਿਰਪਾ ਕਰਕੇ ਉਡੀਕ ਕਰੋ...",
+        paymentFailed: "ਭੁਗਤਾਨ ਅਸਫਲ ਰਿਹਾ। ਕੋਈ ਰਕਮ ਨਹੀਂ ਕੱਟੀ ਗਈ।",
+        paymentCancelled: "ਭੁਗਤਾਨ ਰੱਦ ਕੀਤਾ ਗਿਆ।",
+        paymentTimedOut: "ਭੁਗਤਾਨ ਦਾ ਸਮਾਂ ਖਤਮ ਹੋ ਗਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+        paymentUnrecorded: "ਤੁਹਾਡਾ ਭੁਗਤਾਨ ਪ੍ਰਾਪਤ ਹੋਇਆ, ਪਰ ਸੰਭਾਲਿਆ ਨਹੀਂ ਜਾ ਸਕਿਆ। ਦੁਬਾਰਾ ਭੁਗਤਾਨ ਨਾ ਕਰੋ — ਕਿਰਪਾ ਕਰਕੇ ਆਪਰੇਟਰ ਨੂੰ ਬੁਲਾਓ ਅਤੇ ਇਹ ਲੈਣ-ਦੇਣ ਆਈਡੀ ਦਿਖਾਓ।",
+        recordAgain: "ਦੁਬਾਰਾ ਸੰਭਾਲੋ",
+        complaintUnsaved: "ਤੁਹਾਡੀ ਸ਼ਿਕਾਇਤ ਇਸ ਕਿਓਸਕ 'ਤੇ ਸੰਭਾਲੀ ਨਹੀਂ ਜਾ ਸਕੀ, ਇਸ ਲਈ ਕੋਈ ਟਿਕਟ ਜਾਰੀ ਨਹੀਂ ਹੋਈ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ, ਜਾਂ ਆਪਰੇਟਰ ਤੋਂ ਮਦਦ ਲਓ।",
+        tryAgain: "ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ",
+        qrExpiresIn: "QR {time} ਵਿੱਚ ਖਤਮ ਹੋਵੇਗਾ",
+        amountToPay: "ਭੁਗਤਾਨ ਰਕਮ",
+        payFullAmount: "ਪੂਰਾ ਭੁਗਤਾਨ",
+        amountBelowMinimum: "ਘੱਟੋ-ਘੱਟ ਭੁਗਤਾਨ ₹{amount} ਹੈ",
+        amountAboveMaximum: "ਤੁਸੀਂ ਵੱਧ ਤੋਂ ਵੱਧ ₹{amount} ਦਾ ਭੁਗਤਾਨ ਕਰ ਸਕਦੇ ਹੋ",
+        amountNotRounded: "ਰਕਮ ₹{amount} ਦੇ ਗੁਣਜ ਵਿੱਚ ਹੋਣੀ ਚਾਹੀਦੀ ਹੈ",
+        balanceAfterPayment: "ਭੁਗਤਾਨ ਤੋਂ ਬਾਅਦ ਬਕਾਇਆ",
+        balanceOutstanding: "ਬਕਾਇਆ ਰਕਮ",
+        advanceCredit: "ਅਗਾਊਂ ਜਮ੍ਹਾਂ",
+        billBreakdown: "ਇਹ ਬਿੱਲ ਕਿਵੇਂ ਬਣਿਆ",
+        billedAmount: "ਬਿੱਲ ਰਕਮ",
+        tariffMatch: "ਟੈਰਿਫ ਅਨੁਸਾਰ",
+        tariffMismatch: "ਟੈਰਿਫ ਨਾਲ ₹{amount} ਬਣਦਾ ਹੈ",
+        lateFee: "ਦੇਰੀ ਫ਼ੀਸ",
+        daysPastDue: "ਆਖ਼ਰੀ ਤਾਰੀਖ਼ ਤੋਂ {days} ਦਿਨ ਬਾਅਦ",
+        convenienceFee: "ਸੁਵਿਧਾ ਫ਼ੀਸ",
+        noFee: "ਕੋਈ ਫ਼ੀਸ ਨਹੀਂ",
+        tenderUnavailable: "ਇਸ ਕਿਓਸਕ ਉੱਤੇ ਉਪਲਬਧ ਨਹੀਂ",
+        billAmountPaid: "ਬਿੱਲ ਲਈ",
+        totalPayable: "ਕੁੱਲ ਭੁਗਤਾਨਯੋਗ",
+        scanBill: "ਬਿੱਲ ਸਕੈਨ ਕਰੋ",
+        scanBillHint: "ਬਿੱਲ 'ਤੇ ਛਪਿਆ QR ਕੋਡ ਜਾਂ ਬਾਰਕੋਡ ਕੈਮਰੇ ਦੇ ਸਾਹਮਣੇ ਰੱਖੋ",
+        scanStarting: "ਕੈਮਰਾ ਚਾਲੂ ਹੋ ਰਿਹਾ ਹੈ...",
+        cameraUnavailable: "ਕੈਮਰਾ ਉਪਲਬਧ ਨਹੀਂ ਹੈ",
+        scanTimedOut: "ਬਿੱਲ ਪੜ੍ਹਿਆ ਨਹੀਂ ਜਾ ਸਕਿਆ",
+        scanUnrecognised: "ਇਹ ਕੋਡ ਸਮਰਥਿਤ ਬਿੱਲ ਨਹੀਂ ਹੈ",
+        enterManually: "ਖ਼ੁਦ ਦਰਜ ਕਰੋ",
+        scannedOtherService: "{id} ਕਿਸੇ ਹੋਰ ਸੇਵਾ ਦਾ ਬਿੱਲ ਹੈ",
+        scannedBillDiffers: "ਤੁਹਾਡਾ ਛਪਿਆ ਬਿੱਲ ({period}, ₹{amount}) ਨਵੀਨਤਮ ਨਹੀਂ ਹੈ। ਮੌਜੂਦਾ ਬਿੱਲ ਦਿਖਾਇਆ ਜਾ ਰਿਹਾ ਹੈ।",
+        idWrongUtility: "ਇੱਥੇ ਸਿਰਫ਼ {utility} ਖਪਤਕਾਰ ਨੰਬਰ ਦਰਜ ਕਰੋ",
+        idInvalidCharacters: "ਖਪਤਕਾਰ ਨੰਬਰ ਵਿੱਚ ਸਿਰਫ਼ ਅੰਕ ਹੁੰਦੇ ਹਨ",
+        idTooShort: "{utility} ਖਪਤਕਾਰ ਨੰਬਰ ਵਿੱਚ {digits} ਅੰਕ ਹੁੰਦੇ ਹਨ",
+        idTooLong: "ਅੰਕ ਵੱਧ ਹਨ: {utility} ਖਪਤਕਾਰ ਨੰਬਰ ਵਿੱਚ {digits} ਅੰਕ ਹੁੰਦੇ ਹਨ",
+        idChecksumFailed: "ਇਹ ਨੰਬਰ ਜਾਂਚ ਅੰਕ ਨਾਲ ਮੇਲ ਨਹੀਂ ਖਾਂਦਾ। ਕਿਰਪਾ ਕਰਕੇ ਬਿੱਲ ਨਾਲ ਮਿਲਾਓ",
+        idNotHeard: "ਖਪਤਕਾਰ ਨੰਬਰ ਸੁਣਾਈ ਨਹੀਂ ਦਿੱਤਾ। ਕਿਰਪਾ ਕਰਕੇ ਅੰਕ ਬੋਲੋ",
+        confirmConsumerId: "ਮੈਂ ਸੁਣਿਆ {id}। ਸਹੀ ਹੈ ਤਾਂ ਬਿੱਲ ਲਿਆਓ ਦਬਾਓ",
+        receiptUnavailable: "ਰਸੀਦ ਪ੍ਰਿੰਟ ਨਹੀਂ ਹੋ ਸਕੀ। ਕਿਰਪਾ ਕਰਕੇ ਆਪਣੀ ਲੈਣ-ਦੇਣ ਆਈਡੀ ਨੋਟ ਕਰੋ ਅਤੇ ਆਪਰੇਟਰ ਤੋਂ ਮਦਦ ਲਓ।",
+        receiptPaymentTitle: "ਭੁਗਤਾਨ ਰਸੀਦ",
+        receiptCartTitle: "ਸੰਯੁਕਤ ਭੁਗਤਾਨ ਰਸੀਦ",
+        receiptComplaintTitle: "ਸ਼ਿਕਾਇਤ ਰਸੀਦ",
+        receiptTransactionDetails: "ਲੈਣ-ਦੇਣ ਵੇਰਵਾ",
+        receiptComplaintDetails: "ਸ਼ਿਕਾਇਤ ਵੇਰਵਾ",
+        receiptDateTime: "ਮਿਤੀ ਅਤੇ ਸਮਾਂ",
+        receiptService: "ਸੇਵਾ",
+        receiptBillPeriod: "ਬਿੱਲ ਮਿਆਦ",
+        receiptAmountPaid: "ਭੁਗਤਾਨ ਰਕਮ",
+        receiptTotalCharged: "ਕੁੱਲ ਵਸੂਲੀ",
+        receiptPaymentMethod: "ਭੁਗਤਾਨ ਦਾ ਤਰੀਕਾ",
+        receiptAuthCode: "ਮਨਜ਼ੂਰੀ ਕੋਡ",
+        receiptUtr: "ਯੂਪੀਆਈ ਹਵਾਲਾ (UTR)",
+        receiptStatus: "ਸਥਿਤੀ",
+        receiptConfirmed: "ਪੁਸ਼ਟ",
+        receiptSubmitted: "ਦਰਜ",
+        receiptBillsPaid: "ਭੁਗਤਾਨ ਕੀਤੇ ਬਿੱਲ",
+        receiptTotalPaid: "ਕੁੱਲ ਭੁਗਤਾਨ",
+        receiptRef: "ਹਵਾਲਾ {id}",
+        receiptDescription: "ਵੇਰਵਾ",
+        receiptLocation: "ਸਥਾਨ",
+        receiptNotAvailable: "ਉਪਲਬਧ ਨਹੀਂ",
+        receiptComputerGenerated: "ਇਹ ਕੰਪਿਊਟਰ ਦੁਆਰਾ ਬਣਾਈ ਗਈ ਰਸੀਦ ਹੈ। ਦਸਤਖ਼ਤ ਦੀ ਲੋੜ ਨਹੀਂ।",
+        receiptHelpline: "ਸਹਾਇਤਾ ਲਈ: support@suvidha.gov.in | ਹੈਲਪਲਾਈਨ: 1800-XXX-XXXX",
+        receiptTrack: "ਕਿਸੇ ਵੀ ਸੁਵਿਧਾ ਕਿਓਸਕ 'ਤੇ ਸ਼ਿਕਾਇਤ ਵੇਖੋ: ਸ਼ਿਕਾਇਤ ਟ੍ਰੈਕ ਕਰੋ, ਫਿਰ ਇਹ QR ਸਕੈਨ ਕਰੋ",
+        receiptPrinted: "ਰਸੀਦ ਪ੍ਰਿੰਟਰ ਨੂੰ ਭੇਜ ਦਿੱਤੀ ਗਈ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਪ੍ਰਿੰਟਰ ਤੋਂ ਲੈ ਲਓ।",
+        receiptScanToVerify: "ਇਸ ਰਸੀਦ ਦੀ ਜਾਂਚ ਲਈ ਸਕੈਨ ਕਰੋ",
+        receiptScanToTrack: "ਇਸ ਸ਼ਿਕਾਇਤ ਨੂੰ ਟ੍ਰੈਕ ਕਰਨ ਲਈ ਸਕੈਨ ਕਰੋ",
+        verifyTitle: "ਰਸੀਦ ਦੀ ਪੁਸ਼ਟੀ ਕਰੋ",
+        verifySubtitle: "ਰਸੀਦ ਨੂੰ ਦਰਜ ਭੁਗਤਾਨ ਨਾਲ ਮਿਲਾਓ",
+        verifyHint: "ਰਸੀਦ 'ਤੇ ਬਣਿਆ QR ਕੋਡ ਸਕੈਨ ਕਰੋ, ਜਾਂ ਉਸਦਾ ਟੈਕਸਟ ਚਿਪਕਾਓ।",
+        verifyCode: "ਪੁਸ਼ਟੀ ਕੋਡ",
+        verifyScan: "QR ਸਕੈਨ ਕਰੋ",
+        verifySubmit: "ਪੁਸ਼ਟੀ ਕਰੋ",
+        verifyChecking: "ਜਾਂਚ ਹੋ ਰਹੀ ਹੈ...",
+        verifyAnother: "ਹੋਰ ਰਸੀਦ ਜਾਂਚੋ",
+        verifyAuthentic: "ਰਸੀਦ ਅਸਲੀ ਹੈ। ਇਹ ਦਰਜ ਭੁਗਤਾਨ ਨਾਲ ਮੇਲ ਖਾਂਦੀ ਹੈ।",
+        verifyMalformed: "ਇਹ ਸੁਵਿਧਾ ਰਸੀਦ ਦਾ ਕੋਡ ਨਹੀਂ ਹੈ।",
+        verifyUnknownKiosk: "ਕਿਓਸਕ {kioskId} ਇੱਥੇ ਜਾਣਿਆ ਨਹੀਂ ਜਾਂਦਾ, ਇਸ ਲਈ ਇਹ ਰਸੀਦ ਜਾਂਚੀ ਨਹੀਂ ਜਾ ਸਕਦੀ।",
+        verifyForged: "ਦਸਤਖ਼ਤ ਮੇਲ ਨਹੀਂ ਖਾਂਦੇ। ਇਹ ਰਸੀਦ ਬਦਲੀ ਗਈ ਹੈ ਜਾਂ ਅਸਲੀ ਨਹੀਂ ਹੈ।",
+        verifyNotFound: "ਦਸਤਖ਼ਤ ਅਸਲੀ ਹਨ, ਪਰ ਭੁਗਤਾਨ {txnId} ਹਾਲੇ ਪ੍ਰਾਪਤ ਨਹੀਂ ਹੋਇਆ। ਬਾਅਦ ਵਿੱਚ ਫਿਰ ਜਾਂਚੋ।",
+        verifyMismatch: "ਰਸੀਦ 'ਤੇ ₹{amount} ਹੈ, ਪਰ ਇਸ ਭੁਗਤਾਨ ਲਈ ₹{recorded} ਦਰਜ ਹੈ।",
+        verifyFailed: "ਰਸੀਦ ਜਾਂਚੀ ਨਹੀਂ ਜਾ ਸਕੀ। ਕਿਰਪਾ ਕਰਕੇ ਫਿਰ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+        verifyKiosk: "ਕਿਓਸਕ",
+        receiptDuplicate: "ਦੂਜੀ ਕਾਪੀ",
+        receiptReprinted: "ਦੁਬਾਰਾ ਛਪਾਈ",
+        reprintReceipt: "ਰਸੀਦ ਦੁਬਾਰਾ ਪ੍ਰਿੰਟ ਕਰੋ",
+        reprintSubtitle: "ਰਸੀਦ ਗੁੰਮ ਗਈ ਜਾਂ ਫਸ ਗਈ? ਦੁਬਾਰਾ ਪ੍ਰਿੰਟ ਕਰੋ",
+        reprintHint: "ਲੈਣ-ਦੇਣ ਆਈਡੀ ਜਾਂ ਸ਼ਿਕਾਇਤ ਟਿਕਟ ਆਈਡੀ ਦਰਜ ਕਰੋ। ਇਹ ਭੁਗਤਾਨ ਸਕ੍ਰੀਨ, ਐਸਐਮਐਸ ਅਤੇ ਰਸੀਦ ਉੱਤੇ ਹੈ।",
+        reprintId: "ਲੈਣ-ਦੇਣ ਜਾਂ ਟਿਕਟ ਆਈਡੀ",
+        reprintFind: "ਰਸੀਦ ਲੱਭੋ",
+        reprintSearching: "ਲੱਭ ਰਹੇ ਹਾਂ...",
+        reprintNotFound: "{id} ਦੀ ਕੋਈ ਰਸੀਦ ਨਹੀਂ ਮਿਲੀ।",
+        reprintOffline: "ਆਫ਼ਲਾਈਨ: ਸਿਰਫ਼ ਇਸ ਕਿਓਸਕ ਦੀਆਂ ਰਸੀਦਾਂ ਲੱਭੀਆਂ ਜਾ ਸਕਦੀਆਂ ਹਨ।",
+        reprintFailed: "ਰਸੀਦ ਨਹੀਂ ਲੱਭੀ ਜਾ ਸਕੀ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+        reprintFromBackend: "ਵਿਭਾਗ ਦੇ ਰਿਕਾਰਡ ਵਿੱਚ ਮਿਲੀ",
+        reprintDuplicateNote: "ਦੁਬਾਰਾ ਪ੍ਰਿੰਟ ਕੀਤੀ ਰਸੀਦ ਉੱਤੇ ਦੂਜੀ ਕਾਪੀ ਲਿਖਿਆ ਹੋਵੇਗਾ।",
+        notifyPaymentSubject: "ਸੁਵਿਧਾ ਸੇਤੂ ਰਸੀਦ {txnId}",
+        notifyPaymentText: "ਸੁਵਿਧਾ ਸੇਤੂ: {consumerId} ਲਈ ₹{amount} ਦਾ ਭੁਗਤਾਨ ਹੋਇਆ। ਲੈਣ-ਦੇਣ ਆਈਡੀ {txnId}। ਇਸ ਸੁਨੇਹੇ ਨੂੰ ਆਪਣੀ ਰਸੀਦ ਵਜੋਂ ਰੱਖੋ।",
+        notifyComplaintSubject: "ਸ਼ਿਕਾਇਤ {ticketId} ਦਰਜ",
+        notifyComplaintText: "ਸੁਵਿਧਾ ਸੇਤੂ: ਤੁਹਾਡੀ ਸ਼ਿਕਾਇਤ ({category}) ਦਰਜ ਹੋ ਗਈ ਹੈ। ਟਿਕਟ ਆਈਡੀ {ticketId}। ਸਥਿਤੀ ਬਦਲਣ ਉੱਤੇ ਅਸੀਂ ਤੁਹਾਨੂੰ ਸੁਨੇਹਾ ਭੇਜਾਂਗੇ।",
+        notifyStatusSubject: "ਸ਼ਿਕਾਇਤ {ticketId}: {status}",
+        notifyStatusText: "ਸੁਵਿਧਾ ਸੇਤੂ: ਤੁਹਾਡੀ ਸ਼ਿਕਾਇਤ {ticketId} ਹੁਣ {status} ਹੈ।",
+        notifyOtpSubject: "ਤੁਹਾਡਾ ਸੁਵਿਧਾ ਸੇਤੂ ਓਟੀਪੀ",
+        notifyOtpText: "{code} ਤੁਹਾਡਾ ਸੁਵਿਧਾ ਸੇਤੂ ਓਟੀਪੀ ਹੈ। ਇਹ {minutes} ਮਿੰਟ ਲਈ ਵੈਧ ਹੈ। ਇਸਨੂੰ ਕਿਸੇ ਨਾਲ ਸਾਂਝਾ ਨਾ ਕਰੋ।",
+        complaintStatusSubmitted: "ਦਰਜ",
+        complaintStatusAssigned: "ਅਧਿਕਾਰੀ ਨੂੰ ਸੌਂਪੀ ਗਈ",
+        complaintStatusInProgress: "ਕਾਰਵਾਈ ਅਧੀਨ",
+        complaintStatusResolved: "ਹੱਲ",
+        complaintStatusRejected: "ਰੱਦ",
+        complaintStatusReopened: "ਮੁੜ ਖੋਲ੍ਹੀ ਗਈ",
+        notifySendCopy: "ਆਪਣੇ ਫ਼ੋਨ ਜਾਂ ਈਮੇਲ ਉੱਤੇ ਕਾਪੀ ਪ੍ਰਾਪਤ ਕਰੋ",
+        notifySms: "ਐਸਐਮਐਸ",
+        notifyWhatsapp: "ਵਟਸਐਪ",
+        notifyEmail: "ਈਮੇਲ",
+        notifyMobile: "ਮੋਬਾਈਲ ਨੰਬਰ",
+        notifyEmailAddress: "ਈਮੇਲ ਪਤਾ",
+        notifySend: "ਭੇਜੋ",
+        notifySending: "ਭੇਜ ਰਹੇ ਹਾਂ...",
+        notifyQueued: "ਤੁਹਾਡੀ ਕਾਪੀ {to} ਉੱਤੇ ਭੇਜੀ ਜਾ ਰਹੀ ਹੈ।",
+        notifyQueuedOffline: "ਕਿਓਸਕ ਦੇ ਦੁਬਾਰਾ ਔਨਲਾਈਨ ਹੋਣ ਉੱਤੇ ਤੁਹਾਡੀ ਕਾਪੀ {to} ਉੱਤੇ ਭੇਜੀ ਜਾਵੇਗੀ।",
+        notifyLogged: "ਡੈਮੋ ਮੋਡ: {to} ਦੀ ਕਾਪੀ ਭੇਜੀ ਨਹੀਂ ਗਈ, ਕੰਸੋਲ ਵਿੱਚ ਲਿਖੀ ਗਈ।",
+        notifyInvalidMobile: "ਕਿਰਪਾ ਕਰਕੇ 10 ਅੰਕਾਂ ਦਾ ਮੋਬਾਈਲ ਨੰਬਰ ਦਰਜ ਕਰੋ।",
+        notifyInvalidEmail: "ਕਿਰਪਾ ਕਰਕੇ ਸਹੀ ਈਮੇਲ ਪਤਾ ਦਰਜ ਕਰੋ।",
+        notifyFailed: "ਸੁਨੇਹਾ ਨਹੀਂ ਭੇਜਿਆ ਜਾ ਸਕਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+        otpSentTo: "ਓਟੀਪੀ {to} ਉੱਤੇ ਭੇਜਿਆ ਗਿਆ",
+        otpSendFailed: "ਓਟੀਪੀ ਨਹੀਂ ਭੇਜਿਆ ਜਾ ਸਕਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ ਜਾਂ ਕੋਈ ਹੋਰ ਤਰੀਕਾ ਵਰਤੋ।",
+        otpWrong: "ਗਲਤ ਓਟੀਪੀ। {left} ਕੋਸ਼ਿਸ਼ਾਂ ਬਾਕੀ।",
+        otpExpired: "ਇਸ ਓਟੀਪੀ ਦੀ ਮਿਆਦ ਖਤਮ ਹੋ ਗਈ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਨਵਾਂ ਓਟੀਪੀ ਮੰਗਵਾਓ।",
+        otpLocked: "ਬਹੁਤ ਵੱਧ ਗਲਤ ਕੋਸ਼ਿਸ਼ਾਂ। ਕਿਰਪਾ ਕਰਕੇ ਨਵਾਂ ਓਟੀਪੀ ਮੰਗਵਾਓ।",
+        otpResend: "ਨਵਾਂ ਓਟੀਪੀ ਭੇਜੋ",
+        trackComplaint: "ਸ਼ਿਕਾਇਤ ਟ੍ਰੈਕ ਕਰੋ",
+        trackSubtitle: "ਤੁਹਾਡੀ ਸ਼ਿਕਾਇਤ ਦੀ ਸਥਿਤੀ ਅਤੇ ਇਤਿਹਾਸ",
+        trackHint: "ਸ਼ਿਕਾਇਤ ਪਰਚੀ ਤੋਂ ਟਿਕਟ ਨੰਬਰ ਲਿਖੋ, ਜਾਂ ਇਸਦਾ QR ਕੋਡ ਸਕੈਨ ਕਰੋ।",
+        trackTicketId: "ਟਿਕਟ ਨੰਬਰ",
+        trackScan: "QR ਸਕੈਨ ਕਰੋ",
+        trackFind: "ਟ੍ਰੈਕ ਕਰੋ",
+        trackSearching: "ਖੋਜ ਰਹੇ ਹਾਂ...",
+        trackMalformed: "ਇਹ ਸ਼ਿਕਾਇਤ ਟਿਕਟ ਦਾ ਕੋਡ ਨਹੀਂ ਹੈ।",
+        trackNotFound: "{id} ਲਈ ਕੋਈ ਸ਼ਿਕਾਇਤ ਨਹੀਂ ਮਿਲੀ।",
+        trackOffline: "ਔਫਲਾਈਨ: ਸਿਰਫ਼ ਇਸ ਕਿਓਸਕ 'ਤੇ ਦਰਜ ਸ਼ਿਕਾਇਤਾਂ ਮਿਲ ਸਕਦੀਆਂ ਹਨ, ਬਾਅਦ ਦੇ ਅਪਡੇਟਾਂ ਤੋਂ ਬਿਨਾਂ।",
+        trackFailed: "ਸ਼ਿਕਾਇਤ ਨਹੀਂ ਲੱਭੀ ਜਾ ਸਕੀ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+        trackCurrentStatus: "ਮੌਜੂਦਾ ਸਥਿਤੀ",
+        trackTimeline: "ਇਤਿਹਾਸ",
+        trackOfficer: "ਅਧਿਕਾਰੀ",
+        trackFiledOn: "ਦਰਜ ਕਰਨ ਦੀ ਮਿਤੀ",
+        trackPendingNote: "ਅਜੇ ਵਿਭਾਗ ਨੂੰ ਨਹੀਂ ਭੇਜੀ ਗਈ। ਕਿਓਸਕ ਦੇ ਔਨਲਾਈਨ ਹੋਣ 'ਤੇ ਭੇਜੀ ਜਾਵੇਗੀ।",
+        trackKioskOnly: "ਇਸ ਕਿਓਸਕ ਦੇ ਰਿਕਾਰਡ ਤੋਂ। ਬਾਅਦ ਦੇ ਅਪਡੇਟਾਂ ਲਈ ਕਨੈਕਸ਼ਨ ਚਾਹੀਦਾ ਹੈ।",
+        trackSpeakStatus: "ਸ਼ਿਕਾਇਤ {ticketId}: {status}।",
+        myComplaintsEmpty: "ਤੁਸੀਂ ਅਜੇ ਤੱਕ ਕੋਈ ਸ਼ਿਕਾਇਤ ਦਰਜ ਨਹੀਂ ਕੀਤੀ।",
+        myComplaintsOffline: "ਔਫਲਾਈਨ: ਸਿਰਫ਼ ਇਸ ਕਿਓਸਕ 'ਤੇ ਦਰਜ ਸ਼ਿਕਾਇਤਾਂ ਦਿਖਾਈਆਂ ਜਾ ਰਹੀਆਂ ਹਨ।",
+        cart: "ਬਿੱਲ ਕਾਰਟ",
+        cartBills: "ਭੁਗਤਾਨ ਲਈ {count} ਬਿੱਲ",
+        cartEmpty: "ਤੁਹਾਡਾ ਕਾਰਟ ਖਾਲੀ ਹੈ। ਕਈ ਬਿੱਲ ਇਕੱਠੇ ਭਰਨ ਲਈ ਬਿੱਲ ਜੋੜੋ।",
+        addToCart: "ਕਾਰਟ ਵਿੱਚ ਜੋੜੋ",
+        addedToCart: "ਬਿੱਲ ਕਾਰਟ ਵਿੱਚ ਜੋੜਿਆ ਗਿਆ",
+        removeFromCart: "ਕਾਰਟ ਵਿੱਚੋਂ ਹਟਾਓ",
+        payAllDue: "ਸਾਰੇ ਬਕਾਇਆ ਬਿੱਲ ਇਕੱਠੇ ਭਰੋ",
+        settlementSplit: "ਹਰ ਵਿਭਾਗ ਨੂੰ ਭੁਗਤਾਨ",
+        cartTotal: "ਕੁੱਲ",
 
         complaintCategory: "ਸ਼ਿਕਾਇਤ ਸ਼੍ਰੇਣੀ",
         brokenStreetlight: "ਟੁੱਟੀ ਸਟ੍ਰੀਟਲਾਈਟ",
@@ -272,6 +806,21 @@ const translations = {
         revenueCollected: "ਇਕੱਤਰ ਕੀਤਾ ਮਾਲੀਆ",
         complaintHeatmap: "ਸ਼ਿਕਾਇਤ ਹੀਟਮੈਪ",
         activityLog: "ਰੀਅਲ-ਟਾਈਮ ਗਤੀਵਿਧੀ ਲੌਗ",
+        conflictQueue: "ਨਿਪਟਾਉਣ ਲਈ ਦੋਹਰੇ ਭੁਗਤਾਨ",
+        noConflicts: "ਸਮੀਖਿਆ ਲਈ ਕੋਈ ਦੋਹਰਾ ਭੁਗਤਾਨ ਨਹੀਂ",
+        duplicateOf: "ਕਿਸ ਦਾ ਦੋਹਰਾਅ",
+        markRefund: "ਰਿਫ਼ੰਡ",
+        markReconcile: "ਮਿਲਾਨ",
+        interruptedPayments: "ਅਧੂਰੇ ਭੁਗਤਾਨ",
+        noInterruptedPayments: "ਕੋਈ ਭੁਗਤਾਨ ਅਧੂਰਾ ਨਹੀਂ ਰਿਹਾ",
+        settleReceived: "ਰਕਮ ਪ੍ਰਾਪਤ ਹੋਈ",
+        settleNotReceived: "ਕੁਝ ਪ੍ਰਾਪਤ ਨਹੀਂ ਹੋਇਆ",
+        paidNotRecorded: "ਭੁਗਤਾਨ ਹੋਇਆ, ਪਰ ਦਰਜ ਨਹੀਂ ਹੋਇਆ",
+        signingKey: "ਰਸੀਦ ਦਸਤਖ਼ਤ ਕੁੰਜੀ",
+        signingKeyHelp: "ਇਸ ਕਿਓਸਕ ਦੀ ਕੁੰਜੀ ਬੈਕਐਂਡ ਵਿੱਚ ਦਰਜ ਕਰੋ ਤਾਂ ਜੋ ਇਸ ਦੀਆਂ ਰਸੀਦਾਂ ਕਿਤੇ ਵੀ ਤਸਦੀਕ ਹੋ ਸਕਣ। ਬੈਕਐਂਡ ਦਾ ਪ੍ਰੋਵਿਜ਼ਨਿੰਗ ਟੋਕਨ ਭਰੋ; ਇਹ ਕਿਓਸਕ 'ਤੇ ਸਾਂਭਿਆ ਨਹੀਂ ਜਾਂਦਾ।",
+        provisioningToken: "ਪ੍ਰੋਵਿਜ਼ਨਿੰਗ ਟੋਕਨ",
+        registerSigningKey: "ਕੁੰਜੀ ਦਰਜ ਕਰੋ",
+        signingKeyRegistered: "ਦਸਤਖ਼ਤ ਕੁੰਜੀ ਦਰਜ ਹੋ ਗਈ",
         time: "ਸਮਾਂ",
         kioskId: "ਕਿਓਸਕ ਆਈਡੀ",
         action: "ਕਾਰਵਾਈ",
@@ -15,6 +15,7 @@ export const mockBills = [
         amount: 450,
         units: 85,
         unitLabel: "kWh",
+        billPeriod: "2026-01",
         dueDate: "2026-02-28",
         lastPaymentDate: "2026-01-15",
         address: "H.No. 234, Sector 5, Ludhiana, Punjab",
@@ -28,6 +29,7 @@ export const mockBills = [
         amount: 280,
         units: 12,
         unitLabel: "KL",
+        billPeriod: "2026-02",
         dueDate: "2026-03-05",
         lastPaymentDate: "2026-01-20",
         address: "H.No. 567, Model Town, Ludhiana, Punjab",
@@ -41,6 +43,7 @@ export const mockBills = [
         amount: 620,
         units: 3,
         unitLabel: "Cylinders",
+        billPeriod: "2026-02",
         dueDate: "2026-03-10",
         lastPaymentDate: "2026-02-01",
         address: "H.No. 89, Civil Lines, Ludhiana, Punjab",
@@ -58,6 +61,29 @@ export const complaintCategories = [
     { value: "other", label: "Other Issue", icon: "📋", keywords: [] },
 ];
 
+/** Complaints the prototype citizen (CIT-4829) filed earlier; the mock backend starts with them */
+export const mockComplaints = [
+    {
+        ticketId: "COMP-2026-00909", citizenId: "CIT-4829", category: "Broken Streetlight", description: "Streetlight outside H.No 234 not working",
+        kioskId: "K-001", status: "resolved", officer: "JE Harpreet Singh", createdAt: "2026-01-28T10:15:00.000Z",
+        history: [
+            { status: "submitted", at: "2026-01-28T10:15:00.000Z", remark: "Complaint registered at kiosk", officer: null },
+            { status: "assigned", at: "2026-01-28T14:40:00.000Z", remark: "Assigned to the Sector 5 maintenance team", officer: "JE Harpreet Singh" },
+            { status: "in-progress", at: "2026-01-30T09:05:00.000Z", remark: "Replacement lamp ordered", officer: "JE Harpreet Singh" },
+            { status: "resolved", at: "2026-02-01T17:20:00.000Z", remark: "New LED lamp fitted and tested", officer: "JE Harpreet Singh" },
+        ],
+    },
+    {
+        ticketId: "COMP-2026-00915", citizenId: "CIT-4829", category: "Water Supply Issue", description: "Low pressure in the morning supply",
+        kioskId: "K-001", status: "in-progress", officer: "SDO Manpreet Kaur", createdAt: "2026-02-10T08:30:00.000Z",
+        history: [
+            { status: "submitted", at: "2026-02-10T08:30:00.000Z", remark: "Complaint registered at kiosk", officer: null },
+            { status: "assigned", at: "2026-02-10T12:00:00.000Z", remark: "Forwarded to PHED Ludhiana division", officer: "SDO Manpreet Kaur" },
+            { status: "in-progress", at: "2026-02-12T10:45:00.000Z", remark: "Valve inspection scheduled", officer: "SDO Manpreet Kaur" },
+        ],
+    },
+];
+
 /** Service icons and routes */
 export const services = [
     { key: "electricity", icon: "⚡", route: "/bill/electricity", color: "#FBBF24", bgColor: "#FEF3C7" },
@@ -66,6 +92,45 @@ export const services = [
     { key: "complaint", icon: "📝", route: "/complaint", color: "#8B5CF6", bgColor: "#EDE9FE" },
 ];
 
+/** Idle-screen government ad slides with public video URLs */
+export const govAds = [
+    {
+        title: 'Jal Jeevan Mission 💧',
+        subtitle: 'Har Ghar Nal Se Jal — Clean water for every household',
+        source: 'Government of India — Ministry of Jal Shakti',
+        gradient: 'linear-gradient(160deg, #064E3B, #065F46, #0D9488)',
+        video: 'https://cdn.pixabay.com/video/2020/05/25/39831-423375657_large.mp4',
+    },
+    {
+        title: 'Digital India 🇮🇳',
+        subtitle: 'Connecting 1.4 billion citizens to government services',
+        source: 'Government of India — Ministry of Electronics & IT',
+        gradient: 'linear-gradient(160deg, #1E3A5F, #1E40AF, #6366F1)',
+        video: 'https://cdn.pixabay.com/video/2021/04/04/69623-534500128_large.mp4',
+    },
+    {
+        title: 'Swachh Bharat Abhiyan 🌿',
+        subtitle: 'Clean India, Green India — A movement by every citizen',
+        source: 'Government of India — Ministry of Housing & Urban Affairs',
+        gradient: 'linear-gradient(160deg, #14532D, #15803D, #22C55E)',
+        video: 'https://cdn.pixabay.com/video/2019/11/08/28697-372261598_large.mp4',
+    },
+    {
+        title: 'Ayushman Bharat Yojana 🏥',
+        subtitle: 'Free healthcare for 50 crore citizens — PM-JAY',
+        source: 'Government of India — National Health Authority',
+        gradient: 'linear-gradient(160deg, #4C1D95, #6D28D9, #8B5CF6)',
+        video: null,
+    },
+    {
+        title: 'PM-KISAN Samman Nidhi 🌾',
+        subtitle: '₹6,000/year direct income support for farmers',
+        source: 'Government of India — Ministry of Agriculture',
+        gradient: 'linear-gradient(160deg, #78350F, #92400E, #D97706)',
+        video: null,
+    },
+];
+
 /** Admin mock data */
 export const adminMockData = {
     totalTransactions: 47,
@@ -0,0 +1,114 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Notification Templates
+ *
+ * Citizen messages sent by SMS, WhatsApp or email: payment
+ * receipts, complaint tickets, complaint status changes and OTPs.
+ * Wording comes from the i18n tables, so every message goes out in
+ * the language the citizen used at the kiosk. The kiosk and the
+ * backend's notification gateway (server/notifications.js) share
+ * this module.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+// Extensions spelled out: the backend imports this module under plain Node
+import { t } from './i18n.js';
+import { COMPLAINT_STATUS_KEYS } from './complaintStatus.js';
+
+/** Channels a citizen can be reached on */
+export const NOTIFICATION_CHANNELS = ['sms', 'whatsapp', 'email'];
+
+/**
+ * Each template's i18n keys and the parameters its wording needs.
+ * Email uses the subject; SMS and WhatsApp send the text alone.
+ */
+export const NOTIFICATION_TEMPLATES = {
+    paymentReceipt: { subject: 'notifyPaymentSubject', text: 'notifyPaymentText', params: ['txnId', 'amount', 'consumerId'] },
+    complaintRegistered: { subject: 'notifyComplaintSubject', text: 'notifyComplaintText', params: ['ticketId', 'category'] },
+    complaintStatus: { subject: 'notifyStatusSubject', text: 'notifyStatusText', params: ['ticketId', 'status'] },
+    otp: { subject: 'notifyOtpSubject', text: 'notifyOtpText', params: ['code', 'minutes'] },
+};
+
+/** A notification that cannot be sent as requested */
+export class NotificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotificationError';
+    }
+}
+
+/**
+ * Recipient in the form the channel's gateway expects: Indian
+ * mobile numbers as +91XXXXXXXXXX, email addresses in lower case
+ * @param {'sms'|'whatsapp'|'email'} channel
+ * @param {string} to - As typed
+ * @returns {string|null} null when it is not a valid address for the channel
+ */
+export function normaliseRecipient(channel, to) {
+    const text = String(to ?? '').trim();
+    if (channel === 'email') {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? text.toLowerCase() : null;
+    }
+    if (channel === 'sms' || channel === 'whatsapp') {
+        const digits = text.replace(/[\s()-]/g, '').replace(/^(\+91|0091|91|0)(?=\d{10}$)/, '');
+        return /^[6-9]\d{9}$/.test(digits) ? `+91${digits}` : null;
+    }
+    return null;
+}
+
+/**
+ * Recipient with most of it hidden, for screens and logs:
+ * +91 98XXX XX890, v•••@example.com
+ * @param {'sms'|'whatsapp'|'email'} channel
+ * @param {string} to - Normalised recipient
+ * @returns {string}
+ */
+export function maskRecipient(channel, to) {
+    if (channel === 'email') {
+        const [user, domain] = to.split('@');
+        return `${user.charAt(0)}•••@${domain}`;
+    }
+    const digits = to.replace(/^\+91/, '');
+    return `+91 ${digits.slice(0, 2)}XXX XX${digits.slice(7)}`;
+}
+
+/**
+ * Word a notification
+ * @param {string} template - Key of NOTIFICATION_TEMPLATES
+ * @param {object} [options]
+ * @param {string} [options.lang] - 'en' | 'hi' | 'pa'
+ * @param {object} [options.params] - Values for the template's placeholders
+ * @returns {{ subject: string, text: string }}
+ * @throws {NotificationError} On an unknown template or a missing parameter
+ */
+export function renderNotification(template, { lang = 'en', params = {} } = {}) {
+    const spec = NOTIFICATION_TEMPLATES[template];
+    if (!spec) throw new NotificationError(`Unknown notification template: ${template}`);
+    const missing = spec.params.filter(name => params[name] === undefined || params[name] === null || params[name] === '');
+    if (missing.length > 0) throw new NotificationError(`${template} notification needs ${missing.join(', ')}`);
+
+    const values = { ...params };
+    if (template === 'complaintStatus' && COMPLAINT_STATUS_KEYS[params.status]) {
+        values.status = t(lang, COMPLAINT_STATUS_KEYS[params.status]);
+    }
+    return { subject: t(lang, spec.subject, values), text: t(lang, spec.text, values) };
+}
+
+/**
+ * Check a notification request and normalise its recipient
+ * @param {object} request - { template, channel, to, lang?, params? }
+ * @returns {object} The request, with `to` normalised
+ * @throws {NotificationError}
+ */
+export function validateNotification(request) {
+    const { template, channel, to } = request || {};
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        throw new NotificationError(`channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+    }
+    const recipient = normaliseRecipient(channel, to);
+    if (!recipient) {
+        throw new NotificationError(channel === 'email' ? 'Not a valid email address' : 'Not a valid Indian mobile number');
+    }
+    renderNotification(template, request);
+    return { ...request, to: recipient };
+}
@@ -0,0 +1,117 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Citizen Notifications (kiosk side)
+ *
+ * Receipts and complaint tickets are sent through the backend's
+ * notification gateway (server/notifications.js), which holds the
+ * SMS, WhatsApp and email credentials and retries failed sends.
+ * The kiosk queues each request with the offline records
+ * (offlineSync.js), so one made offline goes out on reconnect.
+ *
+ * OTPs need the backend: it generates the code and checks it. With
+ * no backend configured nothing can be sent; demo mode writes the
+ * messages to the browser console instead, and issues OTPs locally.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { apiRequest } from './api';
+import { DEMO_MODE, isBackendConfigured } from './config';
+import { saveOfflineNotification, syncPendingData } from './offlineSync';
+import { maskRecipient, renderNotification, validateNotification } from './notificationTemplates';
+
+/** Development sink: what would have been sent, in the console */
+function logNotification({ template, channel, to, lang, params }) {
+    const { subject, text } = renderNotification(template, { lang, params });
+    console.info(`[notification → ${channel} ${to}] ${channel === 'email' ? `${subject}\n` : ''}${text}`);
+}
+
+/** Whether sendNotification can do anything: a gateway, or demo mode's console */
+export function canSendNotifications() {
+    return isBackendConfigured() || DEMO_MODE;
+}
+
+/**
+ * Send a citizen a notification
+ * @param {object} request
+ * @param {string} request.template - Key of notificationTemplates.NOTIFICATION_TEMPLATES
+ * @param {'sms'|'whatsapp'|'email'} request.channel
+ * @param {string} request.to - Mobile number or email address, as typed
+ * @param {string} [request.lang] - Language of the message
+ * @param {object} request.params - Values for the template
+ * @param {object} [options]
+ * @param {boolean} [options.isOnline] - Sync the queue straight away
+ * @returns {Promise<{ status: 'queued'|'queuedOffline'|'logged', to: string }>} to is masked;
+ *   'logged' means demo mode only wrote it to the console
+ * @throws {NotificationError} On an invalid recipient or missing template parameters
+ * @throws {Error} When there is no backend outside demo mode
+ */
+export async function sendNotification(request, { isOnline = true } = {}) {
+    const notification = validateNotification({ lang: 'en', ...request });
+    const to = maskRecipient(notification.channel, notification.to);
+
+    if (!isBackendConfigured()) {
+        if (!DEMO_MODE) throw new Error('Notifications need a backend (VITE_API_BASE_URL)');
+        logNotification(notification);
+        return { status: 'logged', to };
+    }
+    if (!(await saveOfflineNotification(notification))) throw new Error('Could not queue the notification');
+    if (!isOnline) return { status: 'queuedOffline', to };
+    syncPendingData().catch(err => console.error('Notification sync failed:', err));
+    return { status: 'queued', to };
+}
+
+/* ── OTP ─────────────────────────────────────── */
+
+/** Demo-mode OTPs, when there is no backend to issue them */
+const OTP_TTL_MS = 5 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const demoOtps = new Map();
+
+function randomOtp() {
+    return String(globalThis.crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0');
+}
+
+/**
+ * Send a one-time password to a citizen's registered number
+ * @param {object} request
+ * @param {string} request.to - Mobile number (or email address for channel 'email')
+ * @param {'sms'|'whatsapp'|'email'} [request.channel]
+ * @param {string} [request.lang]
+ * @returns {Promise<{ requestId: string, to: string, expiresAt: string, demoCode?: string }>}
+ *   to is masked; demoCode is only set for OTPs issued locally in demo mode
+ * @throws {ApiError|NotificationError|Error}
+ */
+export async function requestOtp({ to, channel = 'sms', lang = 'en' }) {
+    if (isBackendConfigured()) return apiRequest('/otp', { method: 'POST', body: { to, channel, lang } });
+    if (!DEMO_MODE) throw new Error('OTP login needs a backend (VITE_API_BASE_URL)');
+
+    const code = randomOtp();
+    const notification = validateNotification({ template: 'otp', channel, to, lang, params: { code, minutes: OTP_TTL_MS / 60000 } });
+    logNotification(notification);
+    const requestId = globalThis.crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + OTP_TTL_MS).toISOString();
+    demoOtps.set(requestId, { code, expiresAt, attempts: 0 });
+    return { requestId, to: maskRecipient(channel, notification.to), expiresAt, demoCode: code };
+}
+
+/**
+ * Check an OTP
+ * @param {string} requestId - From requestOtp
+ * @param {string} code - As typed by the citizen
+ * @returns {Promise<{ status: 'verified'|'invalid'|'expired'|'locked', attemptsLeft?: number }>}
+ */
+export async function verifyOtp(requestId, code) {
+    if (isBackendConfigured()) {
+        return (await apiRequest('/otp/verify', { method: 'POST', body: { requestId, code } })) || { status: 'expired' };
+    }
+    const otp = demoOtps.get(requestId);
+    if (!otp || Date.now() > Date.parse(otp.expiresAt)) return { status: 'expired' };
+    if (otp.attempts >= OTP_MAX_ATTEMPTS) return { status: 'locked' };
+    if (code === otp.code) {
+        demoOtps.delete(requestId);
+        return { status: 'verified' };
+    }
+    otp.attempts++;
+    const attemptsLeft = OTP_MAX_ATTEMPTS - otp.attempts;
+    return attemptsLeft > 0 ? { status: 'invalid', attemptsLeft } : { status: 'locked' };
+}
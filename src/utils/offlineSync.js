@@ -1,38 +1,109 @@
 /**
  * ═══════════════════════════════════════════════════════════
  * SUVIDHA Setu - Offline Sync Manager
- * Uses localforage (IndexedDB fallback) for offline storage
+ * Queued records live one-per-key in the indexed record store
+ * (recordStore.js); older localforage data is migrated on boot.
+ * Citizen data in queued records is encrypted at rest and only
+ * decrypted inside the sync path and for printing receipts from
+ * the stored record (see recordCrypto.js, receiptSchema.js).
+ * Transactions also carry a dedupeKey fingerprint so duplicate
+ * payments can be found without decrypting (duplicatePayments.js),
+ * and complaints a citizenKey fingerprint of who filed them.
+ * Citizen notifications (notifications.js) ride the same queue, so
+ * a receipt asked for offline is sent once the kiosk reconnects.
  * ═══════════════════════════════════════════════════════════
  */
 
 import localforage from 'localforage';
+import { apiRequest } from './api';
+import { DEMO_MODE, KIOSK_ID, SYNC_BATCH_SIZE, SYNC_URL } from './config';
+import { requestBackgroundSync } from './serviceWorker';
+import { fingerprint, openPayload, sealPayload } from './recordCrypto';
+import { findLocalDuplicates, paymentDedupeKey } from './duplicatePayments';
+import { countByIndex, deleteByIndex, getByIndex, getMeta, putRecord, setMeta, updateRecord } from './recordStore';
 
-// Configure localforage instances
-const txnStore = localforage.createInstance({
-    name: 'suvidha-neo',
-    storeName: 'offlineTransactions',
-    description: 'Pending payment transactions',
-});
+/** Retry policy for sync requests */
+const SYNC_MAX_RETRIES = 4;
+const SYNC_BASE_DELAY_MS = 1000;
+const SYNC_MAX_DELAY_MS = 30000;
 
-const complaintStore = localforage.createInstance({
-    name: 'suvidha-neo',
-    storeName: 'offlineComplaints',
-    description: 'Pending complaints',
-});
+/** A record that keeps failing transiently is given up after this many sync runs */
+const MAX_RECORD_ATTEMPTS = 10;
+
+/** Generate a unique idempotency key for a queued record */
+function newIdempotencyKey() {
+    if (globalThis.crypto?.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {object} [options]
+ * @param {number} [options.baseMs] - Delay for the first retry
+ * @param {number} [options.maxMs] - Upper bound on any delay
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(attempt, { baseMs = SYNC_BASE_DELAY_MS, maxMs = SYNC_MAX_DELAY_MS } = {}) {
+    const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+}
+
+/** Object store holding each kind of queued record */
+const KIND_STORES = { transaction: 'transactions', complaint: 'complaints', notification: 'notifications' };
+
+/** Sync summary counter for each kind of record */
+const SUMMARY_KEYS = { transaction: 'transactions', complaint: 'complaints', notification: 'notifications' };
+
+/** Current layout of a stored queue record */
+const RECORD_VERSION = 1;
+
+/**
+ * Build the stored form of a queued record. Only identifiers and sync
+ * bookkeeping stay in the clear; everything else is sealed.
+ * @param {object} data - Transaction or complaint data
+ * @param {string} syncStatus - Initial sync status
+ * @returns {Promise<object>}
+ */
+async function buildQueuedRecord(data, syncStatus) {
+    const { idempotencyKey = newIdempotencyKey(), ...payload } = data;
+    delete payload.syncStatus;
+    return {
+        ...(payload.txnId ? { txnId: payload.txnId } : {}),
+        ...(payload.ticketId ? { ticketId: payload.ticketId } : {}),
+        schemaVersion: RECORD_VERSION,
+        idempotencyKey,
+        syncStatus,
+        attempts: 0,
+        savedAt: new Date().toISOString(),
+        sealed: await sealPayload(payload, idempotencyKey),
+    };
+}
+
+/**
+ * Fingerprint finding a citizen's complaints without storing their ID
+ * @param {string} citizenId
+ * @returns {Promise<string>}
+ */
+function citizenKey(citizenId) {
+    return fingerprint(['citizen', citizenId]);
+}
 
 /**
  * Save a payment transaction for offline sync
- * @param {object} transaction - Transaction data
+ * @param {object} transaction - Transaction data; pass syncStatus 'synced'
+ *   when it was already posted to the provider, or 'conflict' (with
+ *   conflictWith) when the provider flagged it as a duplicate
  */
 export async function saveOfflineTransaction(transaction) {
     try {
-        const existing = (await txnStore.getItem('transactions')) || [];
-        existing.push({
-            ...transaction,
-            syncStatus: 'pending',
-            savedAt: new Date().toISOString(),
-        });
-        await txnStore.setItem('transactions', existing);
+        await runMigrations();
+        const { conflictWith, ...txn } = transaction;
+        const record = await buildQueuedRecord(txn, txn.syncStatus || 'pending');
+        record.dedupeKey = await paymentDedupeKey(txn);
+        if (conflictWith) record.conflictWith = conflictWith;
+        await putRecord(KIND_STORES.transaction, record);
+        if (record.syncStatus === 'pending') requestBackgroundSync();
         return true;
     } catch (err) {
         console.error('Error saving offline transaction:', err);
@@ -46,13 +117,11 @@ export async function saveOfflineTransaction(transaction) {
  */
 export async function saveOfflineComplaint(complaint) {
     try {
-        const existing = (await complaintStore.getItem('complaints')) || [];
-        existing.push({
-            ...complaint,
-            syncStatus: 'pending',
-            savedAt: new Date().toISOString(),
-        });
-        await complaintStore.setItem('complaints', existing);
+        await runMigrations();
+        const record = await buildQueuedRecord(complaint, 'pending');
+        if (complaint.citizenId) record.citizenKey = await citizenKey(complaint.citizenId);
+        await putRecord(KIND_STORES.complaint, record);
+        requestBackgroundSync();
         return true;
     } catch (err) {
         console.error('Error saving offline complaint:', err);
@@ -60,22 +129,75 @@ export async function saveOfflineComplaint(complaint) {
     }
 }
 
+/**
+ * Queue a citizen notification (receipt, ticket) for the backend's
+ * notification gateway. The recipient is sealed like the rest.
+ * @param {object} notification - { template, channel, to, lang, params }
+ */
+export async function saveOfflineNotification(notification) {
+    try {
+        await runMigrations();
+        const record = await buildQueuedRecord(notification, 'pending');
+        await putRecord(KIND_STORES.notification, record);
+        requestBackgroundSync();
+        return true;
+    } catch (err) {
+        console.error('Error saving offline notification:', err);
+        return false;
+    }
+}
+
+/**
+ * Get queued records of one kind by sync status, using the status index.
+ * Records are returned sealed; only the sync path decrypts them.
+ * @param {'transaction'|'complaint'|'notification'} kind
+ * @param {'pending'|'synced'|'failed'|'conflict'|'resolved'} status
+ * @returns {Promise<Array>}
+ */
+export async function getRecordsByStatus(kind, status) {
+    await runMigrations();
+    return getByIndex(KIND_STORES[kind], 'syncStatus', status);
+}
+
 /**
  * Get all pending (unsynced) transactions
  * @returns {Promise<Array>}
  */
-export async function getPendingTransactions() {
-    const all = (await txnStore.getItem('transactions')) || [];
-    return all.filter(t => t.syncStatus === 'pending');
+export function getPendingTransactions() {
+    return getRecordsByStatus('transaction', 'pending');
 }
 
 /**
  * Get all pending (unsynced) complaints
  * @returns {Promise<Array>}
  */
-export async function getPendingComplaints() {
-    const all = (await complaintStore.getItem('complaints')) || [];
-    return all.filter(c => c.syncStatus === 'pending');
+export function getPendingComplaints() {
+    return getRecordsByStatus('complaint', 'pending');
+}
+
+/**
+ * Get all pending (unsent) notifications
+ * @returns {Promise<Array>}
+ */
+export function getPendingNotifications() {
+    return getRecordsByStatus('notification', 'pending');
+}
+
+/**
+ * Get every record the server permanently rejected, with its failReason
+ * @returns {Promise<Array<{kind: string, record: object}>>}
+ */
+export async function getFailedRecords() {
+    const [txns, comps, notes] = await Promise.all([
+        getRecordsByStatus('transaction', 'failed'),
+        getRecordsByStatus('complaint', 'failed'),
+        getRecordsByStatus('notification', 'failed'),
+    ]);
+    return [
+        ...txns.map(record => ({ kind: 'transaction', record })),
+        ...comps.map(record => ({ kind: 'complaint', record })),
+        ...notes.map(record => ({ kind: 'notification', record })),
+    ];
 }
 
 /**
@@ -83,67 +205,375 @@ export async function getPendingComplaints() {
  * @returns {Promise<number>}
  */
 export async function getPendingCount() {
-    const txns = await getPendingTransactions();
-    const comps = await getPendingComplaints();
-    return txns.length + comps.length;
+    await runMigrations();
+    const [txns, comps, notes] = await Promise.all([
+        countByIndex(KIND_STORES.transaction, 'syncStatus', 'pending'),
+        countByIndex(KIND_STORES.complaint, 'syncStatus', 'pending'),
+        countByIndex(KIND_STORES.notification, 'syncStatus', 'pending'),
+    ]);
+    return txns + comps + notes;
+}
+
+/** Local bookkeeping fields that are never sent to the server */
+const LOCAL_FIELDS = [
+    'syncStatus', 'attempts', 'lastError', 'failReason', 'failedAt', 'syncedAt', 'sealed',
+    'dedupeKey', 'citizenKey', 'conflictWith', 'conflictReason', 'resolution',
+];
+
+/**
+ * Decrypt a stored record into the payload sent to the server.
+ * Records queued before encryption was introduced are sent as they are.
+ * The result must never be written back to the store.
+ */
+async function toWireData(record) {
+    const data = { ...record };
+    for (const field of LOCAL_FIELDS) delete data[field];
+    if (!record.sealed) return data;
+    return { ...data, ...(await openPayload(record.sealed, record.idempotencyKey)) };
+}
+
+/**
+ * Decrypt a stored record for printing its receipt (receiptSchema.js),
+ * keeping its syncStatus so the receipt can show whether it is pending
+ */
+async function openStoredRecord(record) {
+    if (!record) return null;
+    return { ...(await toWireData(record)), syncStatus: record.syncStatus };
+}
+
+/**
+ * Get a stored transaction, decrypted
+ * @param {string} txnId
+ * @returns {Promise<object|null>} With its syncStatus; null when not stored
+ */
+export async function getTransactionRecord(txnId) {
+    await runMigrations();
+    const [record] = await getByIndex(KIND_STORES.transaction, 'txnId', txnId);
+    return openStoredRecord(record);
+}
+
+/**
+ * Get the per-bill transactions a cart payment was split into, decrypted
+ * @param {string} cartTxnId - txnId of the cart payment
+ * @returns {Promise<Array<object>>} In bill order
+ */
+export async function getCartTransactionRecords(cartTxnId) {
+    await runMigrations();
+    const range = IDBKeyRange.bound(`${cartTxnId}-`, `${cartTxnId}-\uffff`);
+    const records = await getByIndex(KIND_STORES.transaction, 'txnId', range);
+    const opened = await Promise.all(records.map(openStoredRecord));
+    return opened
+        .filter(record => record.cartTxnId === cartTxnId)
+        .sort((a, b) => a.txnId.localeCompare(b.txnId, undefined, { numeric: true }));
+}
+
+/**
+ * Get a stored payment's transactions: the transaction itself, or
+ * the per-bill transactions of a cart payment
+ * @param {string} txnId - Transaction or cart payment ID
+ * @returns {Promise<Array<object>>} Empty when nothing is stored
+ */
+export async function getPaymentRecords(txnId) {
+    const record = await getTransactionRecord(txnId);
+    return record ? [record] : getCartTransactionRecords(txnId);
 }
 
 /**
- * Simulate syncing all pending data to server
- * Returns array of synced items
- * @param {function} onProgress - Callback with progress updates
- * @returns {Promise<{transactions: number, complaints: number}>}
+ * Get a stored complaint, decrypted
+ * @param {string} ticketId
+ * @returns {Promise<object|null>} With its syncStatus; null when not stored
  */
-export async function syncPendingData(onProgress) {
-    const pendingTxns = await getPendingTransactions();
-    const pendingComps = await getPendingComplaints();
+export async function getComplaintRecord(ticketId) {
+    await runMigrations();
+    const [record] = await getByIndex(KIND_STORES.complaint, 'ticketId', ticketId);
+    return openStoredRecord(record);
+}
 
-    const total = pendingTxns.length + pendingComps.length;
+/**
+ * Get the complaints a citizen filed at this kiosk that are still stored, decrypted
+ * @param {string} citizenId
+ * @returns {Promise<Array<object>>} Each with its syncStatus
+ */
+export async function getCitizenComplaintRecords(citizenId) {
+    await runMigrations();
+    const records = await getByIndex(KIND_STORES.complaint, 'citizenKey', await citizenKey(citizenId));
+    return Promise.all(records.map(openStoredRecord));
+}
+
+/**
+ * POST one batch to the sync endpoint, retrying transient failures
+ * with exponential backoff and jitter.
+ * @param {Array<{kind: string, record: object, data: object}>} batch - data is the decrypted payload
+ * @returns {Promise<Map<string, object>>} Result per idempotency key
+ */
+async function postBatch(batch) {
+    const body = {
+        kioskId: KIOSK_ID,
+        records: batch.map(({ kind, record, data }) => ({ kind, idempotencyKey: record.idempotencyKey, data })),
+    };
+
+    if (!SYNC_URL) {
+        // Demo mode without a backend: accept locally, flagging payments
+        // that repeat an earlier one queued on this kiosk
+        const results = new Map();
+        for (const { kind, record } of batch) {
+            const earlier = kind === 'transaction' && record.dedupeKey
+                ? (await findLocalDuplicates(record.dedupeKey, record.txnId)).find(d => d.at < record.savedAt)
+                : null;
+            results.set(record.idempotencyKey, earlier
+                ? { status: 'conflict', conflictWith: earlier.txnId, reason: 'Same bill and amount already paid at this kiosk' }
+                : { status: 'accepted' });
+        }
+        return results;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const res = await apiRequest('', { method: 'POST', baseUrl: SYNC_URL, body });
+            return new Map((res?.results || []).map(r => [r.idempotencyKey, r]));
+        } catch (err) {
+            if (!err.retryable || attempt >= SYNC_MAX_RETRIES) throw err;
+            await new Promise(r => setTimeout(r, backoffDelay(attempt)));
+        }
+    }
+}
+
+/**
+ * Apply the server's verdict to a stored record
+ * @param {object} record - Stored record (mutated)
+ * @param {object|undefined} result - { status, reason?, retryable?, conflictWith? }
+ * @returns {'synced'|'conflict'|'failed'|'pending'}
+ */
+function applyResult(record, result) {
+    const now = new Date().toISOString();
+    record.attempts = (record.attempts || 0) + 1;
+
+    if (result?.status === 'accepted' || result?.status === 'duplicate') {
+        record.syncStatus = 'synced';
+        record.syncedAt = now;
+        delete record.lastError;
+    } else if (result?.status === 'conflict') {
+        // Stored by the server, but it repeats an earlier payment: an admin decides
+        record.syncStatus = 'conflict';
+        record.syncedAt = now;
+        record.conflictWith = result.conflictWith || record.conflictWith || null;
+        record.conflictReason = result.reason || 'Possible duplicate payment';
+        delete record.lastError;
+    } else if (result?.status === 'rejected' && !result.retryable) {
+        record.syncStatus = 'failed';
+        record.failedAt = now;
+        record.failReason = result.reason || 'Rejected by server';
+    } else {
+        record.lastError = result?.reason || 'No result returned for record';
+        if (record.attempts >= MAX_RECORD_ATTEMPTS) {
+            record.syncStatus = 'failed';
+            record.failedAt = now;
+            record.failReason = `Gave up after ${record.attempts} attempts: ${record.lastError}`;
+        }
+    }
+    return record.syncStatus;
+}
+
+/**
+ * Apply a sync outcome to the stored copy of a record in one transaction
+ * @returns {Promise<string>} The record's new syncStatus
+ */
+async function recordOutcome(kind, key, result) {
+    const updated = await updateRecord(KIND_STORES[kind], key, (current) => {
+        applyResult(current, result);
+    });
+    return updated?.syncStatus;
+}
+
+let syncInFlight = null;
+
+/**
+ * Sync all pending data to the server.
+ *
+ * Records are POSTed in batches to the sync endpoint, each carrying its
+ * own idempotency key so a retried batch is never double-posted. Per-record
+ * results decide the outcome: accepted/duplicate → synced, conflict →
+ * held for admin resolution, rejected → failed (with reason), anything
+ * else stays pending for the next run. Concurrent calls share the same run.
+ *
+ * @param {function} onProgress - Callback with { synced, total, current }
+ * @returns {Promise<{transactions: number, complaints: number, notifications: number, conflicts: number,
+ *   failed: number, remaining: number}>}
+ */
+export function syncPendingData(onProgress) {
+    if (!syncInFlight) {
+        syncInFlight = runSync(onProgress).finally(() => { syncInFlight = null; });
+    }
+    return syncInFlight;
+}
+
+async function runSync(onProgress) {
+    const summary = { transactions: 0, complaints: 0, notifications: 0, conflicts: 0, failed: 0, remaining: 0 };
+    if (!SYNC_URL && !DEMO_MODE) {
+        summary.remaining = await getPendingCount();
+        return summary;
+    }
+
+    const queue = [
+        ...(await getPendingTransactions()).map(record => ({ kind: 'transaction', record })),
+        ...(await getPendingComplaints()).map(record => ({ kind: 'complaint', record })),
+        // After the records they are about, so a ticket exists before its contact
+        ...(await getPendingNotifications()).map(record => ({ kind: 'notification', record })),
+    ];
+    const total = queue.length;
     let synced = 0;
 
-    // Simulate syncing transactions
-    if (pendingTxns.length > 0) {
-        const allTxns = (await txnStore.getItem('transactions')) || [];
-        for (const txn of allTxns) {
-            if (txn.syncStatus === 'pending') {
-                // Simulate network delay
-                await new Promise(r => setTimeout(r, 800));
-                txn.syncStatus = 'synced';
-                txn.syncedAt = new Date().toISOString();
-                synced++;
-                onProgress?.({ synced, total, current: txn });
+    for (let i = 0; i < queue.length; i += SYNC_BATCH_SIZE) {
+        const batch = [];
+        for (const item of queue.slice(i, i + SYNC_BATCH_SIZE)) {
+            try {
+                batch.push({ ...item, data: await toWireData(item.record) });
+            } catch (err) {
+                // Unreadable (e.g. the kiosk key was wiped): keep it, but never retry
+                console.error('Cannot decrypt queued record:', err);
+                await recordOutcome(item.kind, item.record.idempotencyKey, { status: 'rejected', reason: `Cannot decrypt record: ${err.message}` });
+                item.record.syncStatus = 'failed';
+                summary.failed++;
             }
         }
-        await txnStore.setItem('transactions', allTxns);
-    }
+        if (batch.length === 0) continue;
+
+        let results;
+        try {
+            results = await postBatch(batch);
+        } catch (err) {
+            // Connectivity or server trouble: everything left stays pending
+            console.error('Sync batch failed:', err);
+            for (const { kind, record } of queue.slice(i)) {
+                if (record.syncStatus !== 'pending') continue;
+                await updateRecord(KIND_STORES[kind], record.idempotencyKey, (current) => { current.lastError = err.message; });
+                summary.remaining++;
+            }
+            break;
+        }
 
-    // Simulate syncing complaints
-    if (pendingComps.length > 0) {
-        const allComps = (await complaintStore.getItem('complaints')) || [];
-        for (const comp of allComps) {
-            if (comp.syncStatus === 'pending') {
-                await new Promise(r => setTimeout(r, 800));
-                comp.syncStatus = 'synced';
-                comp.syncedAt = new Date().toISOString();
+        for (const { kind, record } of batch) {
+            const status = await recordOutcome(kind, record.idempotencyKey, results.get(record.idempotencyKey));
+            if (status === 'synced' || status === 'conflict') {
                 synced++;
-                onProgress?.({ synced, total, current: comp });
+                summary[SUMMARY_KEYS[kind]]++;
+                if (status === 'conflict') summary.conflicts++;
+                onProgress?.({ synced, total, current: record });
+            } else if (status === 'failed') {
+                summary.failed++;
+            } else {
+                summary.remaining++;
             }
         }
-        await complaintStore.setItem('complaints', allComps);
     }
 
-    return { transactions: pendingTxns.length, complaints: pendingComps.length };
+    return summary;
 }
 
 /**
- * Clear all synced data (housekeeping)
+ * Clear all synced data (housekeeping). Pending, failed and unresolved
+ * conflict records are kept.
  */
 export async function clearSyncedData() {
-    const allTxns = (await txnStore.getItem('transactions')) || [];
-    const pendingTxns = allTxns.filter(t => t.syncStatus === 'pending');
-    await txnStore.setItem('transactions', pendingTxns);
+    await runMigrations();
+    await deleteByIndex(KIND_STORES.transaction, 'syncStatus', 'synced');
+    await deleteByIndex(KIND_STORES.transaction, 'syncStatus', 'resolved');
+    await deleteByIndex(KIND_STORES.complaint, 'syncStatus', 'synced');
+    await deleteByIndex(KIND_STORES.notification, 'syncStatus', 'synced');
+}
+
+/* ── Data migrations ─────────────────────────── */
 
-    const allComps = (await complaintStore.getItem('complaints')) || [];
-    const pendingComps = allComps.filter(c => c.syncStatus === 'pending');
-    await complaintStore.setItem('complaints', pendingComps);
+/** Pre-migration storage: one localforage array per kind in suvidha-neo */
+const LEGACY_STORES = [
+    { kind: 'transaction', storeName: 'offlineTransactions', key: 'transactions' },
+    { kind: 'complaint', storeName: 'offlineComplaints', key: 'complaints' },
+];
+
+/**
+ * v1: split the legacy suvidha-neo arrays into one record per key,
+ * sealing records that were queued before encryption existed.
+ * Idempotent, so a second tab running it concurrently is harmless.
+ */
+async function migrateLegacyArrays() {
+    for (const { kind, storeName, key } of LEGACY_STORES) {
+        const legacy = localforage.createInstance({ name: 'suvidha-neo', storeName });
+        const items = (await legacy.getItem(key)) || [];
+
+        for (const item of items) {
+            const bookkeeping = {
+                savedAt: item.savedAt || new Date().toISOString(),
+                attempts: item.attempts || 0,
+                ...(item.lastError ? { lastError: item.lastError } : {}),
+                ...(item.failReason ? { failReason: item.failReason, failedAt: item.failedAt } : {}),
+                ...(item.syncedAt ? { syncedAt: item.syncedAt } : {}),
+            };
+            let record;
+            if (item.sealed) {
+                record = { ...item, ...bookkeeping, schemaVersion: RECORD_VERSION };
+            } else {
+                const data = { ...item };
+                for (const field of [...LOCAL_FIELDS, 'savedAt', 'synced']) delete data[field];
+                data.idempotencyKey = item.idempotencyKey || `legacy-${kind}-${item.txnId || item.ticketId}-${bookkeeping.savedAt}`;
+                record = { ...(await buildQueuedRecord(data, item.syncStatus || 'pending')), ...bookkeeping };
+            }
+            await putRecord(KIND_STORES[kind], record);
+        }
+        await legacy.removeItem(key);
+    }
+}
+
+/**
+ * Index complaints stored before citizenKey existed, dropping any
+ * citizen ID kept in the clear. A complaint that cannot be decrypted
+ * is left unindexed rather than holding up the migration.
+ */
+async function backfillCitizenKeys() {
+    for (const record of await getByIndex(KIND_STORES.complaint, 'syncStatus')) {
+        if (record.citizenKey) continue;
+        let key = null;
+        try {
+            const { citizenId } = await toWireData(record);
+            if (citizenId) key = await citizenKey(citizenId);
+        } catch (err) {
+            // Unreadable (e.g. the kiosk key was wiped): sync reports it as failed
+            console.error(`Cannot index complaint ${record.idempotencyKey}:`, err);
+        }
+        await updateRecord(KIND_STORES.complaint, record.idempotencyKey, (current) => {
+            delete current.citizenId;
+            if (key) current.citizenKey = key;
+        });
+    }
+}
+
+/** Ordered data migrations; the applied version is kept in the meta store */
+const DATA_MIGRATIONS = [
+    { version: 1, run: migrateLegacyArrays },
+    { version: 2, run: backfillCitizenKeys },
+];
+
+let migrationPromise = null;
+
+/**
+ * Bring stored data up to the current record version. Safe to call
+ * repeatedly; runs once per page (or service worker) lifetime.
+ * @returns {Promise<number>} The data version now in place
+ */
+export function runMigrations() {
+    if (!migrationPromise) {
+        migrationPromise = (async () => {
+            let version = (await getMeta('dataVersion')) || 0;
+            for (const migration of DATA_MIGRATIONS) {
+                if (migration.version <= version) continue;
+                await migration.run();
+                version = migration.version;
+                await setMeta('dataVersion', version);
+            }
+            return version;
+        })().catch((err) => {
+            migrationPromise = null;
+            throw err;
+        });
+    }
+    return migrationPromise;
 }
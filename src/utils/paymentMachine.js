@@ -0,0 +1,290 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Payment State Machine
+ *
+ *   initiated → awaiting-tender → authorising → success
+ *                     │                 │      → failed
+ *                     │                 └────→ timed-out
+ *                     └→ cancelled | timed-out | failed
+ *
+ * The UPI, cash and card flows drive a session through these states.
+ * Every transition is written to the paymentSessions store before it
+ * takes effect in the UI, so a payment cut short by a crash or power
+ * loss is still there, in its last state, for the next operator to
+ * settle from the admin dashboard.
+ *
+ * A session reaches 'success' only once the payment is recorded. If
+ * recording fails, the session stays in 'authorising', marked
+ * unrecorded: it can only be recorded again, or settled by an operator.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { getBillProvider } from './billProviders';
+import { splitCartPayment } from './cart';
+import { amountCharged } from './fees';
+import { getCartTransactionRecords, getTransactionRecord, saveOfflineTransaction } from './offlineSync';
+import { signReceiptCode } from './receiptVerification';
+import { openPayload, sealPayload } from './recordCrypto';
+import { getByIndex, getRecord, putRecord } from './recordStore';
+
+const SESSION_STORE = 'paymentSessions';
+
+/** Allowed transitions; states with no entry are terminal */
+const TRANSITIONS = {
+    'initiated': ['awaiting-tender', 'cancelled', 'failed'],
+    'awaiting-tender': ['authorising', 'cancelled', 'timed-out', 'failed'],
+    'authorising': ['success', 'failed', 'timed-out'],
+};
+
+export const TERMINAL_STATES = ['success', 'failed', 'cancelled', 'timed-out'];
+
+/** How long a session may sit in a state before it times out */
+const STATE_TIMEOUTS_MS = {
+    'awaiting-tender': 3 * 60 * 1000,
+    'authorising': 90 * 1000,
+};
+
+/** Session details that track progress rather than describe the payment */
+const PROGRESS_DETAILS = ['reason', 'cashInserted', 'refunded', 'refundOwed', 'recoveredFrom', 'lateApproval', 'voided', 'unrecorded'];
+
+/**
+ * Tender outcome to store on the transaction (UTR, cash tendered, change, ...)
+ * @param {object} details - Session details
+ * @returns {object}
+ */
+export function tenderOutcome(details = {}) {
+    const outcome = { ...details };
+    for (const key of PROGRESS_DETAILS) delete outcome[key];
+    return outcome;
+}
+
+/** Identifies sessions owned by this page, as opposed to a crashed one */
+const PAGE_INSTANCE = globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random()}`;
+
+/**
+ * Start a payment session and persist it in the 'initiated' state
+ * @param {object} payment - { txnId, consumerId, amount, method, ... }
+ * @param {object} [options]
+ * @param {function} [options.onChange] - Called with the session snapshot after each transition
+ * @param {function} [options.onSuccess] - Records the paid payment; receives the session details.
+ *   The session moves to 'success' once it resolves
+ * @param {object} [options.timeouts] - Per-state timeouts in ms, overriding STATE_TIMEOUTS_MS
+ * @returns {Promise<object>} Session controller
+ */
+export async function createPaymentSession(payment, { onChange, onSuccess, timeouts: overrides = {} } = {}) {
+    const timeouts = { ...STATE_TIMEOUTS_MS, ...overrides };
+    const now = new Date().toISOString();
+    // Amount charged and method stay readable so an operator can settle the session
+    let record = {
+        txnId: payment.txnId,
+        method: payment.method,
+        amount: amountCharged(payment),
+        state: 'initiated',
+        owner: PAGE_INSTANCE,
+        createdAt: now,
+        updatedAt: now,
+        history: [{ state: 'initiated', at: now }],
+        sealed: await sealPayload(payment, payment.txnId),
+    };
+    await putRecord(SESSION_STORE, record);
+
+    let timer = null;
+    let queue = Promise.resolve();
+
+    const arm = () => {
+        clearTimeout(timer);
+        const ms = timeouts[record.state];
+        if (ms) timer = setTimeout(() => controller.transition('timed-out', { reason: `No progress in ${record.state}` }).catch(() => { }), ms);
+    };
+
+    const controller = {
+        txnId: payment.txnId,
+        payment,
+        get state() { return record.state; },
+        get isTerminal() { return TERMINAL_STATES.includes(record.state); },
+        snapshot: () => ({ ...record, details: record.details || {} }),
+
+        /**
+         * Move to a new state. Transitions are applied in call order;
+         * an illegal one (e.g. a late tender after a timeout) is rejected
+         * without changing anything. Money taken but not recorded can
+         * only move to 'success'.
+         * @param {string} to - Target state
+         * @param {object} [details] - Outcome data (reason, authCode, ...) merged into the session
+         * @throws {Error} On an illegal transition, or when onSuccess fails
+         */
+        transition(to, details = {}) {
+            const run = queue.then(async () => {
+                if (record.details?.unrecorded) {
+                    // An operator may have settled it meanwhile (settleInterruptedSession)
+                    const stored = await getRecord(SESSION_STORE, record.txnId);
+                    if (stored && TERMINAL_STATES.includes(stored.state)) {
+                        record = stored;
+                        onChange?.(controller.snapshot());
+                        return;
+                    }
+                }
+                if (!TRANSITIONS[record.state]?.includes(to) || (record.details?.unrecorded && to !== 'success')) {
+                    throw new Error(`Illegal payment transition ${record.state} → ${to}`);
+                }
+                const at = new Date().toISOString();
+                const merged = { ...record.details, ...details };
+                if (to === 'success' && onSuccess) {
+                    try {
+                        await onSuccess(merged);
+                    } catch (err) {
+                        // Paid but not recorded: no timeout may close it; keep it for a retry or the operator
+                        clearTimeout(timer);
+                        const held = { ...record, updatedAt: at, details: { ...merged, unrecorded: err.message } };
+                        await putRecord(SESSION_STORE, held);
+                        record = held;
+                        onChange?.(controller.snapshot());
+                        throw err;
+                    }
+                    delete merged.unrecorded;
+                }
+                const next = {
+                    ...record,
+                    state: to,
+                    updatedAt: at,
+                    details: merged,
+                    history: [...record.history, { state: to, at, ...(details.reason ? { reason: details.reason } : {}) }],
+                };
+                await putRecord(SESSION_STORE, next);
+                record = next;
+                if (controller.isTerminal) clearTimeout(timer);
+                else arm();
+                onChange?.(controller.snapshot());
+            });
+            queue = run.catch(() => { });
+            return run;
+        },
+
+        /**
+         * Persist progress without changing state, e.g. cash inserted so far,
+         * so an operator recovering a crashed session can see it
+         * @param {object} details - Merged into the session details
+         */
+        annotate(details) {
+            const run = queue.then(async () => {
+                const next = { ...record, updatedAt: new Date().toISOString(), details: { ...record.details, ...details } };
+                await putRecord(SESSION_STORE, next);
+                record = next;
+            });
+            queue = run.catch(() => { });
+            return run;
+        },
+
+        /** Abandon the session if it has not reached a terminal state */
+        cancel(reason = 'Cancelled by citizen') {
+            if (controller.isTerminal) return Promise.resolve();
+            return controller.transition('cancelled', { reason });
+        },
+
+        /** Stop timers; the persisted session is left as it is */
+        dispose() {
+            clearTimeout(timer);
+        },
+    };
+
+    onChange?.(controller.snapshot());
+    return controller;
+}
+
+/**
+ * Post a completed payment to its provider, or queue it for sync.
+ * A cart payment (with items) is recorded as one transaction per bill.
+ * The receipt's verification code is signed here, before anything is
+ * stored; a cart's bills all carry the code of the cart payment.
+ * Recording a cart again (after a failed save) skips the bills already
+ * stored and keeps their code.
+ * @param {object} payment - Payment data as stored on the transaction
+ * @param {object} [options]
+ * @param {boolean} [options.isOnline]
+ * @returns {Promise<'synced'|'pending'|'conflict'>} For a cart, the least settled outcome
+ * @throws {Error} When the transaction cannot be stored, or the receipt code signed
+ */
+export async function recordCompletedPayment(payment, { isOnline = false } = {}) {
+    if (payment.items) {
+        const stored = await getCartTransactionRecords(payment.txnId);
+        const verificationCode = payment.verificationCode || stored[0]?.verificationCode || await signReceiptCode(payment);
+        const outcomes = stored.map(record => record.syncStatus);
+        for (const txn of splitCartPayment({ ...payment, verificationCode })) {
+            if (!stored.some(record => record.txnId === txn.txnId)) outcomes.push(await recordCompletedPayment(txn, { isOnline }));
+        }
+        return ['conflict', 'pending'].find(status => outcomes.includes(status)) || 'synced';
+    }
+    if (!payment.verificationCode) payment = { ...payment, verificationCode: await signReceiptCode(payment) };
+
+    let result = null;
+    if (isOnline) {
+        try {
+            result = await getBillProvider(payment.consumerId, payment.service).postPayment(payment);
+        } catch (err) {
+            console.error('Posting payment failed, queueing for sync:', err);
+        }
+    }
+    const syncStatus = result?.status === 'conflict' ? 'conflict' : result ? 'synced' : 'pending';
+    const saved = await saveOfflineTransaction({
+        ...payment,
+        syncStatus,
+        ...(syncStatus === 'conflict' ? { conflictWith: result.conflictWith } : {}),
+    });
+    if (!saved) throw new Error(`Transaction ${payment.txnId} could not be stored`);
+    return syncStatus;
+}
+
+/* ── Crash recovery ──────────────────────────── */
+
+/**
+ * Sessions left in a non-terminal state by an earlier page (crash,
+ * reload or power loss). Sessions running in this page are excluded,
+ * unless they were paid but could not be recorded.
+ * @returns {Promise<Array<object>>} Newest first
+ */
+export async function getInterruptedSessions() {
+    const open = await Promise.all(Object.keys(TRANSITIONS).map(state => getByIndex(SESSION_STORE, 'state', state)));
+    return open.flat()
+        .filter(s => s.owner !== PAGE_INSTANCE || s.details?.unrecorded)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Settle an interrupted session after the operator has checked what happened.
+ * 'success' records the transaction as if the payment had completed,
+ * unless it was recorded before the session could be closed;
+ * 'cancelled' closes it with nothing recorded.
+ * @param {string} txnId
+ * @param {'success'|'cancelled'} outcome
+ * @param {object} [options]
+ * @param {string} [options.note] - Operator remark
+ * @param {boolean} [options.isOnline]
+ * @returns {Promise<object>} The settled session
+ */
+export async function settleInterruptedSession(txnId, outcome, { note = '', isOnline = false } = {}) {
+    if (!['success', 'cancelled'].includes(outcome)) throw new Error(`Cannot settle a session as ${outcome}`);
+    const session = await getRecord(SESSION_STORE, txnId);
+    if (!session || TERMINAL_STATES.includes(session.state)) throw new Error(`No interrupted payment ${txnId}`);
+
+    if (outcome === 'success') {
+        const payment = await openPayload(session.sealed, txnId);
+        // A crash between recording and persisting 'success' leaves it recorded already;
+        // a cart's stored bills are skipped by recordCompletedPayment itself
+        const recorded = !payment.items && await getTransactionRecord(txnId);
+        if (!recorded) {
+            await recordCompletedPayment({ ...payment, ...tenderOutcome(session.details), timestamp: new Date().toISOString() }, { isOnline });
+        }
+    }
+
+    const at = new Date().toISOString();
+    const { unrecorded: _unrecorded, ...details } = session.details || {};
+    const settled = {
+        ...session,
+        state: outcome,
+        updatedAt: at,
+        details: { ...details, recoveredFrom: session.state },
+        history: [...session.history, { state: outcome, at, reason: `Settled by operator${note ? `: ${note}` : ''}` }],
+    };
+    await putRecord(SESSION_STORE, settled);
+    return settled;
+}
@@ -0,0 +1,87 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Partial & Advance Payment Rules
+ *
+ * Citizens may pay less than the amount due (partial) or more
+ * (advance, held as credit on the account). Each utility sets:
+ *   minPayment - smallest payment accepted, unless less is due
+ *   maxAdvance - how far beyond the amount due a payment may go
+ *   roundTo    - payments are whole multiples of this (₹)
+ * Paying exactly the amount due is always allowed.
+ *
+ * Shared by the kiosk and the local backend (server/).
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/** Rules per serviceType */
+export const PAYMENT_RULES = {
+    electricity: { minPayment: 100, maxAdvance: 5000, roundTo: 1 },
+    water: { minPayment: 50, maxAdvance: 2000, roundTo: 10 },
+    gas: { minPayment: 100, maxAdvance: 3000, roundTo: 1 },
+};
+
+/** Used for services without rules of their own: full payment only */
+const FULL_PAYMENT_ONLY = { minPayment: Infinity, maxAdvance: 0, roundTo: 1 };
+
+/**
+ * Payment rules for a utility
+ * @param {string} service - serviceType
+ * @returns {{ minPayment: number, maxAdvance: number, roundTo: number }}
+ */
+export function getPaymentRules(service) {
+    return PAYMENT_RULES[service] || FULL_PAYMENT_ONLY;
+}
+
+/**
+ * Smallest and largest amount payable against a bill
+ * @param {object} bill - { service, amount } where amount is the outstanding due
+ * @returns {{ min: number, max: number, roundTo: number, due: number }}
+ */
+export function paymentLimits({ service, amount }) {
+    const rules = getPaymentRules(service);
+    const due = Math.max(0, Number(amount) || 0);
+    const min = due > 0 ? Math.min(due, rules.minPayment) : rules.minPayment;
+    const max = Math.max(due, Math.floor((due + rules.maxAdvance) / rules.roundTo) * rules.roundTo);
+    return { min, max, roundTo: rules.roundTo, due };
+}
+
+/**
+ * Round an entered amount to the utility's step (nearest multiple)
+ * @param {object} bill - { service, amount }
+ * @param {number} amount
+ * @returns {number}
+ */
+export function roundPayment(bill, amount) {
+    const { roundTo, due } = paymentLimits(bill);
+    const value = Number(amount) || 0;
+    if (value === due) return value;
+    return Math.round(value / roundTo) * roundTo;
+}
+
+/**
+ * Check an amount against the utility's rules
+ * @param {object} bill - { service, amount }
+ * @param {number} amount - Amount the citizen wants to pay
+ * @returns {{ error: 'amountBelowMinimum'|'amountAboveMaximum'|'amountNotRounded', limit: number }|null}
+ *   null when the amount is acceptable; error doubles as an i18n key
+ */
+export function validatePaymentAmount(bill, amount) {
+    const { min, max, roundTo, due } = paymentLimits(bill);
+    const value = Number(amount);
+    if (value === due && due > 0) return null;
+    if (!(value > 0) || value < min) return { error: 'amountBelowMinimum', limit: min };
+    if (value > max) return { error: 'amountAboveMaximum', limit: max };
+    if (value % roundTo !== 0) return { error: 'amountNotRounded', limit: roundTo };
+    return null;
+}
+
+/**
+ * What is left on the account after a payment
+ * @param {number} due - Outstanding amount before the payment
+ * @param {number} paid
+ * @returns {{ balance: number, advance: number }} Balance still due, and any advance credit
+ */
+export function balanceAfterPayment(due, paid) {
+    const diff = (Number(due) || 0) - (Number(paid) || 0);
+    return { balance: Math.max(0, diff), advance: Math.max(0, -diff) };
+}
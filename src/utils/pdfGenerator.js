@@ -1,198 +1,445 @@
 /**
  * ═══════════════════════════════════════════════════════════
  * SUVIDHA Setu - PDF Receipt Generator
- * Uses jsPDF to create payment & complaint receipts
+ * Uses jsPDF to create payment & complaint receipts. Receipt data
+ * follows receiptSchema.js and is validated before anything is drawn.
+ * Receipts print in the session language, with labels from the
+ * i18n tables and English alongside when RECEIPT_ENGLISH is on;
+ * Hindi and Punjabi text uses embedded Noto fonts (receiptFonts.js).
+ * Payment receipts carry a QR of their signed verification code
+ * (receiptSignature.js) in the header; complaint receipts, of the
+ * ticket ID, for tracking.
  * ═══════════════════════════════════════════════════════════
  */
 
 import { jsPDF } from 'jspdf';
+import { amountCharged } from './fees';
+import { validateReceipt } from './receiptSchema';
+import { embedScriptFonts, scriptFontFor, visualOrder } from './receiptFonts';
+import { RECEIPT_ENGLISH } from './config';
+import { t } from './i18n';
+
+/** Receipt timestamp (ISO) as printed */
+function printedDate(timestamp) {
+    return new Date(timestamp).toLocaleString('en-IN');
+}
 
 /**
- * Generate a PDF receipt for a bill payment
- * @param {object} data - Receipt data
- * @param {boolean} isPending - Whether transaction is pending sync
- * @returns {jsPDF} - PDF document instance (can save or download)
+ * A5 receipt with its fonts embedded, plus drawing helpers that pick
+ * the font each string's script needs and word the labels
+ * @param {object} data - Validated receipt data, scanned for scripts to embed
+ * @param {object} options
+ * @param {string} options.lang - Receipt language
+ * @param {boolean} options.english - Print English next to the receipt language
+ * @returns {Promise<object>} { doc, pageWidth, pageHeight, bilingual, write, wrap, label, local, english }
  */
-export function generatePaymentReceipt(data, isPending = false) {
+async function createReceipt(data, { lang, english }) {
     const doc = new jsPDF({ unit: 'mm', format: 'a5' });
-    const pageWidth = doc.internal.pageSize.getWidth();
+    const bilingual = english && lang !== 'en';
+    await embedScriptFonts(doc, `${JSON.stringify(data)} ${t(lang, 'receiptStatus')}`);
+
+    // Labels start with a capital, whatever their wording on screen ("convenience fee")
+    const word = (language, key, params) => {
+        const text = t(language, key, params);
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    };
+    const setFontFor = (text, style) => {
+        const font = scriptFontFor(text);
+        doc.setFont(font ? font.family : 'helvetica', style);
+        return font ? visualOrder(text) : text;
+    };
 
-    // Header bar
-    doc.setFillColor(30, 64, 175);
+    return {
+        doc,
+        pageWidth: doc.internal.pageSize.getWidth(),
+        pageHeight: doc.internal.pageSize.getHeight(),
+        bilingual,
+        /** Draw one string (or wrapped lines) in the font its script needs */
+        write(value, x, y, { style = 'normal', ...options } = {}) {
+            const lines = [].concat(value).map(line => setFontFor(String(line), style));
+            doc.text(lines.length === 1 ? lines[0] : lines, x, y, options);
+        },
+        /** Word-wrap a string as it will be drawn */
+        wrap(value, width, style = 'normal') {
+            setFontFor(String(value), style);
+            return doc.splitTextToSize(String(value), width);
+        },
+        /** Label for one line: "भुगतान रसीद / Payment Receipt" when bilingual */
+        label(key, params) {
+            const local = word(lang, key, params);
+            return bilingual ? `${local} / ${word('en', key, params)}` : local;
+        },
+        /** Label in the receipt language only */
+        local: (key, params) => word(lang, key, params),
+        /** English label, or null when English is not printed alongside */
+        english: (key, params) => (bilingual ? word('en', key, params) : null),
+    };
+}
+
+/** Coloured header bar with the tricolour accent */
+function drawHeader(receipt, titleKey, color) {
+    const { doc, pageWidth, write, local, english } = receipt;
+    doc.setFillColor(...color);
     doc.rect(0, 0, pageWidth, 28, 'F');
 
-    // Title
     doc.setTextColor(255, 255, 255);
     doc.setFontSize(18);
-    doc.setFont('helvetica', 'bold');
-    doc.text('SUVIDHA Setu', pageWidth / 2, 11, { align: 'center' });
+    write('SUVIDHA Setu', pageWidth / 2, 11, { style: 'bold', align: 'center' });
     doc.setFontSize(10);
-    doc.setFont('helvetica', 'normal');
-    doc.text('Smart Civic Kiosk — Payment Receipt', pageWidth / 2, 19, { align: 'center' });
+    write(`${local('tagline')} — ${local(titleKey)}`, pageWidth / 2, 19, { align: 'center' });
+    if (english(titleKey)) {
+        doc.setFontSize(7);
+        write(`${english('tagline')} — ${english(titleKey)}`, pageWidth / 2, 24, { align: 'center' });
+    }
 
     // Saffron + Green accent line (Indian flag)
     doc.setFillColor(255, 153, 51);
     doc.rect(0, 28, pageWidth / 2, 2, 'F');
     doc.setFillColor(19, 136, 8);
     doc.rect(pageWidth / 2, 28, pageWidth / 2, 2, 'F');
+    doc.setTextColor(0, 0, 0);
+}
 
-    let y = 38;
+/** Diagonal watermark: PENDING SYNC mid-page, DUPLICATE COPY further down */
+function drawWatermark(receipt, key = 'pendingSync', y = 100) {
+    const { doc, pageWidth, write, label } = receipt;
+    doc.setTextColor(200, 0, 0);
+    doc.setFontSize(30);
+    write(label(key).toUpperCase(), pageWidth / 2, y, {
+        style: 'bold',
+        align: 'center',
+        angle: 45,
+        renderingMode: 'stroke',
+    });
     doc.setTextColor(0, 0, 0);
+}
 
-    // Pending sync watermark
-    if (isPending) {
-        doc.setTextColor(200, 0, 0);
-        doc.setFontSize(30);
-        doc.setFont('helvetica', 'bold');
-        doc.text('PENDING SYNC', pageWidth / 2, 100, {
-            align: 'center',
-            angle: 45,
-            renderingMode: 'stroke',
-        });
-        doc.setTextColor(0, 0, 0);
+/** Section heading */
+function drawHeading(receipt, key, y) {
+    receipt.doc.setFontSize(12);
+    receipt.write(receipt.label(key), 10, y, { style: 'bold' });
+}
+
+/**
+ * Label / value rows. The label is an i18n key; its English wording
+ * goes underneath when bilingual. Long values wrap.
+ * @param {object} receipt
+ * @param {Array<[string, string|number]>} rows
+ * @param {number} y
+ * @returns {number} y after the rows
+ */
+function drawRows(receipt, rows, y) {
+    const { doc, pageWidth, pageHeight, write, wrap, local, english } = receipt;
+    doc.setFontSize(10);
+    for (const [key, value] of rows) {
+        const lines = wrap(value, pageWidth - 65);
+        const height = Math.max(lines.length * 5 + 2, english(key) ? 10 : 7);
+        if (y + height > pageHeight - 12) {
+            doc.addPage();
+            y = 20;
+        }
+        write(`${local(key)}:`, 12, y, { style: 'bold' });
+        write(lines, 55, y);
+        if (english(key)) {
+            doc.setFontSize(7);
+            doc.setTextColor(100, 100, 100);
+            write(english(key), 12, y + 3.5);
+            doc.setFontSize(10);
+            doc.setTextColor(0, 0, 0);
+        }
+        y += height;
+    }
+    return y;
+}
+
+/** Grey footer lines; each key adds its English wording when bilingual */
+function drawFooter(receipt, keys, y) {
+    const { doc, pageWidth, write, local, english } = receipt;
+    doc.setTextColor(100, 100, 100);
+    doc.setFontSize(8);
+    for (const key of keys) {
+        write(local(key), pageWidth / 2, y, { align: 'center' });
+        y += 5;
+        if (english(key)) {
+            doc.setFontSize(7);
+            write(english(key), pageWidth / 2, y - 1, { align: 'center' });
+            doc.setFontSize(8);
+            y += 4;
+        }
     }
+}
+
+/**
+ * Start a new page unless the closing total and footer fit on this one
+ * @returns {number} y to continue from
+ */
+function keepTogether(receipt, footerKeys, y) {
+    const height = 26 + footerKeys.length * (receipt.bilingual ? 9 : 5);
+    if (y + height <= receipt.pageHeight - 5) return y;
+    receipt.doc.addPage();
+    return 20;
+}
+
+/**
+ * QR on a white tile in the header's right corner, captioned under
+ * the accent line, so it never adds a page. The encoder comes from
+ * @zxing/library, loaded on first use.
+ * @param {object} receipt
+ * @param {string} code - Text of the QR
+ * @param {string} captionKey - i18n key of the caption
+ */
+async function drawHeaderQr(receipt, code, captionKey) {
+    const { doc, pageWidth, write, local, english } = receipt;
+    const { QRCodeEncoder, QRCodeDecoderErrorCorrectionLevel } = await import('@zxing/library');
+    const matrix = QRCodeEncoder.encode(code, QRCodeDecoderErrorCorrectionLevel.M).getMatrix();
+    const size = 22;
+    const quietZone = 2.5; // at least four modules of white around the code
+    const cell = size / matrix.getWidth();
+    const left = pageWidth - 4 - quietZone - size;
+    const y = 0.5 + quietZone;
+
+    doc.setFillColor(255, 255, 255);
+    doc.rect(left - quietZone, y - quietZone, size + 2 * quietZone, size + 2 * quietZone, 'F');
+    doc.setFillColor(0, 0, 0);
+    for (let row = 0; row < matrix.getHeight(); row++) {
+        // One rectangle per run of dark modules keeps the PDF small
+        for (let col = 0; col < matrix.getWidth(); col++) {
+            if (matrix.get(col, row) !== 1) continue;
+            const start = col;
+            while (col + 1 < matrix.getWidth() && matrix.get(col + 1, row) === 1) col++;
+            doc.rect(left + start * cell, y + row * cell, (col - start + 1) * cell, cell, 'F');
+        }
+    }
+
+    doc.setFontSize(7);
+    doc.setTextColor(100, 100, 100);
+    write(local(captionKey), pageWidth - 4, 33.5, { align: 'right' });
+    if (english(captionKey)) write(english(captionKey), pageWidth - 4, 36.5, { align: 'right' });
+    doc.setTextColor(0, 0, 0);
+}
+
+/** Draw the pending and duplicate watermarks; returns the reprint time row for a duplicate */
+function drawMarks(receipt, { isPending, duplicate }) {
+    if (isPending) drawWatermark(receipt);
+    if (duplicate) drawWatermark(receipt, 'receiptDuplicate', 165);
+    return duplicate ? [['receiptReprinted', printedDate(new Date().toISOString())]] : [];
+}
+
+/** Separator line */
+function drawRule(receipt, y) {
+    receipt.doc.setDrawColor(200, 200, 200);
+    receipt.doc.line(10, y, receipt.pageWidth - 10, y);
+}
+
+/**
+ * Generate a PDF receipt for a bill payment
+ * @param {object} data - Payment receipt (receiptSchema.paymentReceipt)
+ * @param {boolean} isPending - Whether transaction is pending sync
+ * @param {object} [options]
+ * @param {string} [options.lang] - Session language: 'en' | 'hi' | 'pa'
+ * @param {boolean} [options.english] - Print English next to the session language
+ * @param {boolean} [options.duplicate] - Reprint: marked DUPLICATE COPY, with the reprint time
+ * @returns {Promise<jsPDF>} - PDF document instance (can save or download)
+ * @throws {ReceiptValidationError} When data does not match the payment schema
+ */
+export async function generatePaymentReceipt(data, isPending = false, { lang = 'en', english = RECEIPT_ENGLISH, duplicate = false } = {}) {
+    validateReceipt('payment', data);
+    const receipt = await createReceipt(data, { lang, english });
+    const { doc, pageWidth, pageHeight, write, label } = receipt;
+
+    drawHeader(receipt, 'receiptPaymentTitle', [30, 64, 175]);
+    if (data.verificationCode) await drawHeaderQr(receipt, data.verificationCode, 'receiptScanToVerify');
+    const markRows = drawMarks(receipt, { isPending, duplicate });
 
     // Transaction Info
-    doc.setFontSize(12);
-    doc.setFont('helvetica', 'bold');
-    doc.text('Transaction Details', 10, y);
-    y += 8;
+    drawHeading(receipt, 'receiptTransactionDetails', 38);
+    let y = drawRows(receipt, [
+        ['transactionId', data.txnId],
+        ['receiptDateTime', printedDate(data.timestamp)],
+        ['receiptService', label(`${data.service}Bill`)],
+        ['consumerId', data.consumerId],
+        ...(data.name ? [['consumerName', data.name]] : []),
+        ...(data.billPeriod ? [['receiptBillPeriod', data.billPeriod]] : []),
+        ['billAmount', `Rs. ${data.billAmount ?? data.amount}`],
+        ['receiptAmountPaid', `Rs. ${data.amount}`],
+        ...(data.balance > 0 ? [['balanceOutstanding', `Rs. ${data.balance}`]] : []),
+        ...(data.advance > 0 ? [['advanceCredit', `Rs. ${data.advance}`]] : []),
+        ...(data.fees || []).map(fee => [fee.type, `Rs. ${fee.amount}`]),
+        ...(data.fees?.length ? [['receiptTotalCharged', `Rs. ${amountCharged(data)}`]] : []),
+        ['receiptPaymentMethod', label(data.method)],
+        ...(data.maskedPan ? [['card', `${data.cardScheme || ''} ${data.maskedPan}`.trim()]] : []),
+        ...(data.authCode ? [['receiptAuthCode', data.authCode]] : []),
+        ...(data.utr ? [['receiptUtr', data.utr]] : []),
+        ['receiptStatus', label(isPending ? 'pendingSync' : 'receiptConfirmed')],
+        ...markRows,
+    ], 46);
 
-    doc.setFontSize(10);
-    doc.setFont('helvetica', 'normal');
-
-    const fields = [
-        ['Transaction ID', data.transactionId || 'N/A'],
-        ['Date & Time', data.timestamp || new Date().toLocaleString('en-IN')],
-        ['Service', data.service || 'Electricity'],
-        ['Consumer ID', data.consumerId || 'N/A'],
-        ['Consumer Name', data.consumerName || 'N/A'],
-        ['Bill Amount', `Rs. ${data.amount || 0}`],
-        ['Payment Method', data.paymentMethod || 'Cash'],
-        ['Status', isPending ? 'Pending Sync' : 'Confirmed'],
-    ];
-
-    for (const [label, value] of fields) {
-        doc.setFont('helvetica', 'bold');
-        doc.text(`${label}:`, 12, y);
-        doc.setFont('helvetica', 'normal');
-        doc.text(value, 55, y);
-        y += 7;
+    // Tariff breakdown (tariffs.js computeBill), when the bill has one.
+    // Tariff line items are worded in English.
+    if (data.breakdown) {
+        y += 3;
+        drawHeading(receipt, 'billBreakdown', y);
+        y += 6;
+        doc.setFontSize(8);
+        doc.setTextColor(100, 100, 100);
+        write(data.breakdown.tariff, 12, y);
+        doc.setTextColor(0, 0, 0);
+        y += 5;
+        for (const line of data.breakdown.lines) {
+            if (y > pageHeight - 45) {
+                doc.addPage();
+                y = 20;
+            }
+            write(line.label.replace(/₹/g, 'Rs. '), 12, y);
+            write(`Rs. ${line.amount.toFixed(2)}`, pageWidth - 12, y, { align: 'right' });
+            y += 4.5;
+        }
+        write(label('billedAmount'), 12, y, { style: 'bold' });
+        write(`Rs. ${data.breakdown.total}`, pageWidth - 12, y, { style: 'bold', align: 'right' });
+        y += 4;
     }
 
-    // Separator line
-    y += 4;
-    doc.setDrawColor(200, 200, 200);
-    doc.line(10, y, pageWidth - 10, y);
+    const footer = ['receiptComputerGenerated', 'footerText', 'receiptHelpline'];
+    y = keepTogether(receipt, footer, y) + 4;
+    drawRule(receipt, y);
     y += 8;
 
-    // Amount paid (large)
+    // Amount paid (large); with fees, the total charged
     doc.setFontSize(16);
-    doc.setFont('helvetica', 'bold');
     doc.setTextColor(16, 185, 129); // green
-    doc.text(`Amount Paid: Rs. ${data.amount || 0}`, pageWidth / 2, y, { align: 'center' });
+    write(`${label(data.fees?.length ? 'receiptTotalCharged' : 'receiptAmountPaid')}: Rs. ${amountCharged(data)}`, pageWidth / 2, y, { style: 'bold', align: 'center' });
     y += 12;
 
-    // Footer
-    doc.setTextColor(100, 100, 100);
-    doc.setFontSize(8);
-    doc.setFont('helvetica', 'normal');
-    doc.text('This is a computer-generated receipt. No signature required.', pageWidth / 2, y, { align: 'center' });
-    y += 5;
-    doc.text('C-DAC SUVIDHA 2026 — Empowering Citizens Through Technology', pageWidth / 2, y, { align: 'center' });
-    y += 5;
-    doc.text('For issues, contact: support@suvidha.gov.in | Helpline: 1800-XXX-XXXX', pageWidth / 2, y, { align: 'center' });
-
+    drawFooter(receipt, footer, y);
     return doc;
 }
 
 /**
- * Generate a PDF receipt for a complaint
- * @param {object} data - Complaint data
- * @param {boolean} isPending - Whether complaint is pending sync
- * @returns {jsPDF}
+ * Generate one consolidated receipt for a multi-bill cart payment
+ * @param {object} data - Cart receipt (receiptSchema.cartReceipt)
+ * @param {boolean} isPending - Whether transaction is pending sync
+ * @param {object} [options] - { lang, english, duplicate }, as for generatePaymentReceipt
+ * @returns {Promise<jsPDF>}
+ * @throws {ReceiptValidationError} When data does not match the cart schema
  */
-export function generateComplaintReceipt(data, isPending = false) {
-    const doc = new jsPDF({ unit: 'mm', format: 'a5' });
-    const pageWidth = doc.internal.pageSize.getWidth();
+export async function generateCartReceipt(data, isPending = false, { lang = 'en', english = RECEIPT_ENGLISH, duplicate = false } = {}) {
+    validateReceipt('cart', data);
+    const receipt = await createReceipt(data, { lang, english });
+    const { doc, pageWidth, pageHeight, write, wrap, label, local } = receipt;
 
-    // Header bar
-    doc.setFillColor(139, 92, 246); // purple
-    doc.rect(0, 0, pageWidth, 28, 'F');
+    drawHeader(receipt, 'receiptCartTitle', [30, 64, 175]);
+    if (data.verificationCode) await drawHeaderQr(receipt, data.verificationCode, 'receiptScanToVerify');
+    const markRows = drawMarks(receipt, { isPending, duplicate });
 
-    doc.setTextColor(255, 255, 255);
-    doc.setFontSize(18);
-    doc.setFont('helvetica', 'bold');
-    doc.text('SUVIDHA Setu', pageWidth / 2, 11, { align: 'center' });
-    doc.setFontSize(10);
-    doc.setFont('helvetica', 'normal');
-    doc.text('Smart Civic Kiosk — Complaint Receipt', pageWidth / 2, 19, { align: 'center' });
+    drawHeading(receipt, 'receiptTransactionDetails', 38);
+    let y = drawRows(receipt, [
+        ['transactionId', data.txnId],
+        ['receiptDateTime', printedDate(data.timestamp)],
+        ['receiptPaymentMethod', label(data.method)],
+        ...(data.maskedPan ? [['card', `${data.cardScheme || ''} ${data.maskedPan}`.trim()]] : []),
+        ...(data.authCode ? [['receiptAuthCode', data.authCode]] : []),
+        ...(data.utr ? [['receiptUtr', data.utr]] : []),
+        ['receiptStatus', label(isPending ? 'pendingSync' : 'receiptConfirmed')],
+        ...markRows,
+    ], 46);
 
-    // Accent line
-    doc.setFillColor(255, 153, 51);
-    doc.rect(0, 28, pageWidth / 2, 2, 'F');
-    doc.setFillColor(19, 136, 8);
-    doc.rect(pageWidth / 2, 28, pageWidth / 2, 2, 'F');
-
-    let y = 38;
-    doc.setTextColor(0, 0, 0);
+    // Itemised bills, each with its own transaction reference
+    y += 3;
+    drawHeading(receipt, 'receiptBillsPaid', y);
+    y += 7;
+    doc.setFontSize(9);
+    for (const item of data.items) {
+        if (y > pageHeight - 60) {
+            doc.addPage();
+            y = 20;
+        }
+        write(item.consumerId, 12, y, { style: 'bold' });
+        write(`Rs. ${item.amount}`, pageWidth - 12, y, { style: 'bold', align: 'right' });
+        y += 5;
+        const detail = [
+            local(`${item.service}Bill`),
+            item.billPeriod,
+            local('receiptRef', { id: item.txnId }),
+            item.balance > 0 ? `${local('balanceOutstanding')} Rs. ${item.balance}` : null,
+            item.advance > 0 ? `${local('advanceCredit')} Rs. ${item.advance}` : null,
+            ...(item.fees || []).map(fee => `${local(fee.type)} Rs. ${fee.amount}`),
+        ].filter(Boolean).join('  |  ');
+        const lines = wrap(detail, pageWidth - 24);
+        write(lines, 12, y);
+        y += lines.length * 4 + 3;
+    }
 
-    if (isPending) {
-        doc.setTextColor(200, 0, 0);
-        doc.setFontSize(30);
-        doc.setFont('helvetica', 'bold');
-        doc.text('PENDING SYNC', pageWidth / 2, 100, {
-            align: 'center',
-            angle: 45,
-            renderingMode: 'stroke',
-        });
-        doc.setTextColor(0, 0, 0);
+    // Settlement split per utility
+    y += 2;
+    drawHeading(receipt, 'settlementSplit', y);
+    y += 7;
+    doc.setFontSize(9);
+    for (const share of data.settlement) {
+        write(`${share.name} (${share.provider})`, 12, y);
+        write(`Rs. ${share.amount}`, pageWidth - 12, y, { align: 'right' });
+        y += 6;
+    }
+    // Convenience fees stay with the kiosk operator
+    for (const fee of (data.fees || []).filter(f => f.type === 'convenienceFee')) {
+        write(label(fee.type), 12, y);
+        write(`Rs. ${fee.amount}`, pageWidth - 12, y, { align: 'right' });
+        y += 6;
     }
 
-    doc.setFontSize(12);
-    doc.setFont('helvetica', 'bold');
-    doc.text('Complaint Details', 10, y);
+    const footer = ['receiptComputerGenerated', 'footerText'];
+    y = keepTogether(receipt, footer, y) + 2;
+    drawRule(receipt, y);
     y += 8;
 
-    doc.setFontSize(10);
-    const fields = [
-        ['Ticket ID', data.ticketId || 'N/A'],
-        ['Date & Time', data.timestamp || new Date().toLocaleString('en-IN')],
-        ['Category', data.category || 'N/A'],
-        ['Description', data.description || 'N/A'],
-        ['Location', data.location || 'N/A'],
-        ['Status', isPending ? 'Pending Sync' : 'Submitted'],
-    ];
-
-    for (const [label, value] of fields) {
-        doc.setFont('helvetica', 'bold');
-        doc.text(`${label}:`, 12, y);
-        doc.setFont('helvetica', 'normal');
-        // Word-wrap long descriptions
-        const lines = doc.splitTextToSize(value, pageWidth - 65);
-        doc.text(lines, 55, y);
-        y += lines.length * 5 + 3;
-    }
+    doc.setFontSize(16);
+    doc.setTextColor(16, 185, 129); // green
+    write(`${label('receiptTotalPaid')}: Rs. ${amountCharged(data)}`, pageWidth / 2, y, { style: 'bold', align: 'center' });
+    y += 12;
+
+    drawFooter(receipt, footer, y);
+    return doc;
+}
 
-    y += 4;
-    doc.setDrawColor(200, 200, 200);
-    doc.line(10, y, pageWidth - 10, y);
+/**
+ * Generate a PDF receipt for a complaint
+ * @param {object} data - Complaint receipt (receiptSchema.complaintReceipt)
+ * @param {boolean} isPending - Whether complaint is pending sync
+ * @param {object} [options] - { lang, english, duplicate }, as for generatePaymentReceipt
+ * @returns {Promise<jsPDF>}
+ * @throws {ReceiptValidationError} When data does not match the complaint schema
+ */
+export async function generateComplaintReceipt(data, isPending = false, { lang = 'en', english = RECEIPT_ENGLISH, duplicate = false } = {}) {
+    validateReceipt('complaint', data);
+    const receipt = await createReceipt(data, { lang, english });
+    const { doc, pageWidth, write, label } = receipt;
+
+    drawHeader(receipt, 'receiptComplaintTitle', [139, 92, 246]); // purple
+    await drawHeaderQr(receipt, data.ticketId, 'receiptScanToTrack');
+    const markRows = drawMarks(receipt, { isPending, duplicate });
+
+    drawHeading(receipt, 'receiptComplaintDetails', 38);
+    let y = drawRows(receipt, [
+        ['ticketId', data.ticketId],
+        ['receiptDateTime', printedDate(data.timestamp)],
+        ['complaintCategory', data.category || label('receiptNotAvailable')],
+        ['receiptDescription', data.description || '—'],
+        ['receiptLocation', data.location ? `${data.location.lat}, ${data.location.lng}` : label('receiptNotAvailable')],
+        ['receiptStatus', label(isPending ? 'pendingSync' : 'receiptSubmitted')],
+        ...markRows,
+    ], 46);
+
+    const footer = ['receiptTrack', 'footerText'];
+    y = keepTogether(receipt, footer, y) + 4;
+    drawRule(receipt, y);
     y += 8;
 
     // Status badge
     doc.setFontSize(14);
-    doc.setFont('helvetica', 'bold');
     doc.setTextColor(245, 158, 11); // amber
-    doc.text('Status: SUBMITTED', pageWidth / 2, y, { align: 'center' });
+    write(label('receiptSubmitted').toUpperCase(), pageWidth / 2, y, { style: 'bold', align: 'center' });
     y += 12;
 
-    doc.setTextColor(100, 100, 100);
-    doc.setFontSize(8);
-    doc.setFont('helvetica', 'normal');
-    doc.text('Track your complaint at: suvidha.gov.in/track', pageWidth / 2, y, { align: 'center' });
-    y += 5;
-    doc.text('C-DAC SUVIDHA 2026 — Empowering Citizens Through Technology', pageWidth / 2, y, { align: 'center' });
-
+    drawFooter(receipt, footer, y);
     return doc;
 }
 
@@ -0,0 +1,199 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - POS Terminal (Card Payments)
+ *
+ * Every card terminal is driven through the same PosTerminal shape:
+ *
+ *   sale({ txnId, amount })  → Promise<SaleResult>
+ *   void({ txnId, authCode }) → Promise<{ voided }>
+ *   cancel()                  → abort the sale in progress
+ *   on('prompt', handler)     → unsubscribe
+ *
+ * SaleResult: { approved, authCode?, rrn?, maskedPan?, cardScheme?,
+ * declineReason? }. Prompts ({ step, message }) tell the kiosk what
+ * the terminal is asking of the citizen: present-card, enter-pin,
+ * processing, remove-card.
+ *
+ * startCardTender() runs a payment session against any terminal.
+ * The simulator can be told to approve, decline or time out; it only
+ * runs in demo mode, and otherwise a kiosk with no terminal driver
+ * takes no cards.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { DEMO_MODE, POS_SIMULATOR_MODE, POS_TERMINAL } from './config';
+import { amountCharged } from './fees';
+
+/** Simulator behaviours */
+export const POS_SIMULATOR_MODES = ['approve', 'decline', 'timeout'];
+
+const TEST_CARDS = [
+    { scheme: 'RuPay', pan: '6521********4242' },
+    { scheme: 'VISA', pan: '4111********1111' },
+    { scheme: 'Mastercard', pan: '5555********4444' },
+];
+
+/**
+ * Software stand-in for a card terminal
+ * @param {object} [options]
+ * @param {'approve'|'decline'|'timeout'} [options.mode] - Outcome of the next sales
+ * @param {number} [options.stepMs] - Delay between terminal prompts
+ * @returns {object} PosTerminal with setMode() added
+ */
+export function createPosSimulator({ mode = 'approve', stepMs = 1200 } = {}) {
+    const listeners = new Set();
+    let current = null;
+
+    const prompt = (step, message) => listeners.forEach(fn => fn({ step, message }));
+    const wait = ms => new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        current.abort = () => {
+            clearTimeout(timer);
+            reject(new Error('Sale cancelled at terminal'));
+        };
+    });
+
+    return {
+        id: 'pos-simulator',
+        simulated: true,
+
+        get mode() { return mode; },
+
+        setMode(next) {
+            if (!POS_SIMULATOR_MODES.includes(next)) throw new Error(`Unknown simulator mode: ${next}`);
+            mode = next;
+        },
+
+        on(event, handler) {
+            if (event !== 'prompt') return () => { };
+            listeners.add(handler);
+            return () => listeners.delete(handler);
+        },
+
+        async sale({ txnId, amount }) {
+            if (current) throw new Error('Terminal busy');
+            current = { txnId, abort: () => { } };
+            const card = TEST_CARDS[Math.floor(Math.random() * TEST_CARDS.length)];
+            try {
+                prompt('present-card', `Tap, insert or swipe card for ₹${amount}`);
+                await wait(stepMs);
+                prompt('enter-pin', 'Enter PIN on the terminal');
+                await wait(stepMs);
+                prompt('processing', 'Contacting bank...');
+                // Timeout mode: the host never answers; only cancel() ends the sale
+                await wait(mode === 'timeout' ? 2 ** 31 - 1 : stepMs);
+                prompt('remove-card', 'Remove card');
+                if (mode === 'decline') {
+                    return { approved: false, declineReason: 'Declined by issuer (51: insufficient funds)', maskedPan: card.pan, cardScheme: card.scheme };
+                }
+                return {
+                    approved: true,
+                    authCode: String(Math.floor(Math.random() * 900000) + 100000),
+                    rrn: String(Date.now()).slice(-12),
+                    maskedPan: card.pan,
+                    cardScheme: card.scheme,
+                };
+            } finally {
+                current = null;
+            }
+        },
+
+        async void({ authCode }) {
+            return { voided: Boolean(authCode) };
+        },
+
+        cancel() {
+            current?.abort();
+        },
+    };
+}
+
+/** Driver name (VITE_POS_TERMINAL) → factory; real terminal protocols register here */
+const DRIVERS = {
+    simulator: () => createPosSimulator({ mode: POS_SIMULATOR_MODE }),
+};
+
+let terminalInstance;
+
+function createTerminal() {
+    // A simulated approval must never pay a real bill
+    if (POS_TERMINAL === 'simulator' && !DEMO_MODE) return null;
+    const factory = DRIVERS[POS_TERMINAL];
+    if (!factory) {
+        console.error(`Unknown POS terminal driver: ${POS_TERMINAL}; card payments are disabled`);
+        return null;
+    }
+    return factory();
+}
+
+/**
+ * The kiosk's card terminal, created on first use
+ * @returns {object|null} PosTerminal; null when the kiosk takes no cards
+ *   (no terminal driver configured, and not in demo mode)
+ */
+export function getPosTerminal() {
+    if (terminalInstance === undefined) terminalInstance = createTerminal();
+    return terminalInstance;
+}
+
+/**
+ * Run the card tender for a payment session. The session moves to
+ * 'authorising' once the terminal goes online to the bank. An approval
+ * that arrives after the session ended (timed out or cancelled) is
+ * voided straight away so the citizen is not charged.
+ * @param {object} session - Payment session (paymentMachine.js) in 'awaiting-tender'
+ * @param {object} options
+ * @param {object} options.terminal - PosTerminal driver
+ * @param {function} [options.onPrompt] - Receives terminal prompts { step, message }
+ * @returns {function} Stop; cancels a sale still in progress
+ */
+export function startCardTender(session, { terminal, onPrompt }) {
+    const { txnId } = session.payment;
+    const amount = amountCharged(session.payment);
+    let finished = false;
+    let authorising = null;
+
+    // Prompts and the sale result can both move the session on; do it once
+    const toAuthorising = () => {
+        authorising ??= session.state === 'awaiting-tender' ? session.transition('authorising') : Promise.resolve();
+        return authorising;
+    };
+
+    const offPrompt = terminal.on('prompt', (prompt) => {
+        onPrompt?.(prompt);
+        if (prompt.step === 'processing') toAuthorising().catch(() => { });
+    });
+
+    terminal.sale({ txnId, amount })
+        .then(async (result) => {
+            finished = true;
+            if (session.isTerminal) {
+                if (result.approved) {
+                    const { voided } = await terminal.void({ txnId, authCode: result.authCode });
+                    await session.annotate({ lateApproval: result.authCode, voided });
+                }
+                return;
+            }
+            await toAuthorising();
+            if (result.approved) {
+                await session.transition('success', {
+                    authCode: result.authCode,
+                    rrn: result.rrn,
+                    maskedPan: result.maskedPan,
+                    cardScheme: result.cardScheme,
+                });
+            } else {
+                await session.transition('failed', { reason: result.declineReason || 'Card declined', maskedPan: result.maskedPan });
+            }
+        })
+        .catch((err) => {
+            finished = true;
+            if (!session.isTerminal) session.transition('failed', { reason: `Card terminal: ${err.message}` }).catch(() => { });
+        })
+        .finally(offPrompt);
+
+    // A sale already with the bank is left to finish; its outcome still lands in the session
+    return () => {
+        if (!finished && !['success', 'authorising'].includes(session.state)) terminal.cancel();
+    };
+}
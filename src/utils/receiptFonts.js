@@ -0,0 +1,106 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Receipt Fonts
+ *
+ * jsPDF's built-in Helvetica only covers Latin, so receipts in
+ * Hindi or Punjabi (and names or descriptions typed in those
+ * scripts) are drawn with embedded Noto Sans fonts. A font is
+ * fetched the first time a receipt needs it and embedded in that
+ * PDF; Latin text stays in Helvetica.
+ *
+ * jsPDF does not shape complex scripts, so text is put in visual
+ * order before drawing: the short-i vowel sign, which is typed
+ * after its consonant but drawn before it, is moved in front.
+ * Conjuncts print in their half-form (with a visible virama).
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import devanagariFontUrl from '@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf?url';
+import gurmukhiFontUrl from '@expo-google-fonts/noto-sans-gurmukhi/400Regular/NotoSansGurmukhi_400Regular.ttf?url';
+
+/**
+ * Embedded font per script. Each Noto font also covers Latin, digits
+ * and ₹, so a line mixing scripts is drawn in one font.
+ *   pattern - characters that need the font
+ *   preBase - [cluster followed by the short-i sign, replacement] for visual order
+ */
+export const SCRIPT_FONTS = [
+    {
+        family: 'NotoSansDevanagari',
+        file: 'NotoSansDevanagari-Regular.ttf',
+        url: devanagariFontUrl,
+        // The danda (।, ॥) is shared with Gurmukhi and in both fonts
+        pattern: /[\u0900-\u0963\u0966-\u097F]/,
+        preBase: [/((?:[\u0915-\u0939\u0958-\u095F\u0978-\u097F]\u093C?\u094D)*[\u0915-\u0939\u0958-\u095F\u0978-\u097F]\u093C?)\u093F/g, '\u093F$1'],
+    },
+    {
+        family: 'NotoSansGurmukhi',
+        file: 'NotoSansGurmukhi-Regular.ttf',
+        url: gurmukhiFontUrl,
+        pattern: /[\u0A00-\u0A7F]/,
+        preBase: [/((?:[\u0A15-\u0A39\u0A59-\u0A5E]\u0A3C?\u0A4D)*[\u0A15-\u0A39\u0A59-\u0A5E]\u0A3C?)\u0A3F/g, '\u0A3F$1'],
+    },
+];
+
+/** Base64 font data per family, fetched once per page */
+const fontData = new Map();
+
+/** ArrayBuffer as base64, in chunks so large fonts do not overflow the call stack */
+function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function loadFont(font) {
+    if (!fontData.has(font.family)) {
+        const loading = fetch(font.url)
+            .then((res) => {
+                if (!res.ok) throw new Error(`Font ${font.family} failed to load: ${res.status}`);
+                return res.arrayBuffer();
+            })
+            .then(toBase64)
+            .catch((err) => {
+                fontData.delete(font.family);
+                throw err;
+            });
+        fontData.set(font.family, loading);
+    }
+    return fontData.get(font.family);
+}
+
+/**
+ * Embed the fonts a receipt needs in a PDF
+ * @param {jsPDF} doc
+ * @param {string} text - Everything the receipt may print (labels and data)
+ * @returns {Promise<void>}
+ */
+export async function embedScriptFonts(doc, text) {
+    for (const font of SCRIPT_FONTS.filter(f => f.pattern.test(text))) {
+        doc.addFileToVFS(font.file, await loadFont(font));
+        // Only the regular weight is embedded; bold text in these scripts prints regular
+        doc.addFont(font.file, font.family, 'normal');
+        doc.addFont(font.file, font.family, 'bold');
+    }
+}
+
+/**
+ * Embedded font a string must be drawn in
+ * @param {string} text
+ * @returns {object|null} Entry of SCRIPT_FONTS, or null for Helvetica
+ */
+export function scriptFontFor(text) {
+    return SCRIPT_FONTS.find(font => font.pattern.test(text)) || null;
+}
+
+/**
+ * Text in the order its glyphs are drawn, for a PDF without shaping
+ * @param {string} text
+ * @returns {string}
+ */
+export function visualOrder(text) {
+    return SCRIPT_FONTS.reduce((out, { preBase: [pattern, replacement] }) => out.replace(pattern, replacement), text);
+}
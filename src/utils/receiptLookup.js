@@ -0,0 +1,85 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Receipt Lookup for Reprints
+ *
+ * Finds the record behind a lost or jammed receipt by transaction
+ * or complaint ticket ID: first in this kiosk's store, then, when
+ * online, in the backend, which has receipts from every kiosk. The
+ * receipt is rebuilt from the record (receiptSchema.js), exactly as
+ * it was first printed, and reprinted marked DUPLICATE COPY.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { apiRequest } from './api';
+import { isBackendConfigured } from './config';
+import { TICKET_ID } from './complaintStatus';
+import { getComplaintRecord, getPaymentRecords } from './offlineSync';
+import { cartReceipt, complaintReceipt, isPendingRecord, paymentReceipt } from './receiptSchema';
+
+/** Per-bill transactions of a cart payment are numbered after it */
+const byTxnId = (a, b) => a.txnId.localeCompare(b.txnId, undefined, { numeric: true });
+
+/**
+ * Payment receipt from a payment's transactions. A bill paid in a
+ * cart reprints the whole cart's receipt: the bills share its
+ * verification code.
+ * @param {string} txnId
+ * @param {function} getPayments - txnId → Promise<Array<object>>
+ * @returns {Promise<{ kind: string, data: object, isPending: boolean }|null>}
+ */
+async function paymentLookup(txnId, getPayments) {
+    let records = await getPayments(txnId);
+    const cartTxnId = records.length === 1 ? records[0].cartTxnId : null;
+    if (cartTxnId) records = await getPayments(cartTxnId);
+    if (records.length === 0) return null;
+
+    const isPending = records.some(isPendingRecord);
+    return records[0].cartTxnId
+        ? { kind: 'cart', data: cartReceipt([...records].sort(byTxnId)), isPending }
+        : { kind: 'payment', data: paymentReceipt(records[0]), isPending };
+}
+
+/** Receipt from this kiosk's store */
+async function findStored(id) {
+    if (!TICKET_ID.test(id)) return paymentLookup(id, getPaymentRecords);
+    const record = await getComplaintRecord(id);
+    return record && { kind: 'complaint', data: complaintReceipt(record), isPending: isPendingRecord(record) };
+}
+
+/** Whatever the backend holds has been synced */
+const synced = record => ({ ...record, syncStatus: 'synced' });
+
+/** Receipt from the backend's records */
+async function findOnBackend(id) {
+    if (!TICKET_ID.test(id)) {
+        return paymentLookup(id, async txnId => ((await apiRequest(`/transactions/${encodeURIComponent(txnId)}`)) || []).map(synced));
+    }
+    const record = await apiRequest(`/complaints/${encodeURIComponent(id)}`);
+    return record && {
+        kind: 'complaint',
+        data: complaintReceipt({ ...record, timestamp: record.timestamp || record.createdAt }),
+        isPending: false,
+    };
+}
+
+/**
+ * Find the receipt for a transaction, cart payment or complaint ticket
+ * @param {string} id - Transaction or ticket ID, as typed
+ * @param {object} [options]
+ * @param {boolean} [options.isOnline] - Whether to ask the backend when the kiosk has no record
+ * @returns {Promise<{ kind: 'payment'|'cart'|'complaint', data: object, isPending: boolean,
+ *   source: 'kiosk'|'backend' }|null>} null when no record is found
+ * @throws {ReceiptValidationError} When the record does not make a valid receipt
+ * @throws {ApiError} When the backend cannot be reached
+ */
+export async function findReceipt(id, { isOnline = true } = {}) {
+    const key = String(id ?? '').trim().toUpperCase();
+    if (!key) return null;
+
+    const stored = await findStored(key);
+    if (stored) return { ...stored, source: 'kiosk' };
+    if (!isOnline || !isBackendConfigured()) return null;
+
+    const remote = await findOnBackend(key);
+    return remote && { ...remote, source: 'backend' };
+}
@@ -0,0 +1,150 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Receipt Printer
+ *
+ * Every thermal printer is driven through the same ReceiptPrinter
+ * shape:
+ *
+ *   print(bytes, { name }) → Promise   send one ESC/POS job
+ *
+ * Drivers: 'virtual' keeps jobs in memory with a text preview
+ * (also logged to the console in development and demo mode),
+ * 'file' downloads each job as a .bin file (send it to a printer
+ * with `cat job.bin > /dev/usb/lp0`), and 'webusb' writes to a USB
+ * printer the kiosk browser has been given access to.
+ *
+ * printReceipt() renders a receipt (escpos.js) and prints it on the
+ * configured printer.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { DEMO_MODE, RECEIPT_PAPER_MM, RECEIPT_PRINTER } from './config';
+import { previewEscPos, renderEscPosReceipt } from './escpos';
+
+/** USB interface class of printers */
+const USB_PRINTER_CLASS = 7;
+
+/**
+ * Printer that keeps jobs in memory instead of printing them
+ * @returns {object} ReceiptPrinter with jobs and clear() added
+ */
+export function createVirtualPrinter() {
+    const jobs = [];
+    return {
+        id: 'virtual-printer',
+        simulated: true,
+
+        /** Printed jobs, oldest first: { name, bytes, preview, printedAt } */
+        jobs,
+
+        async print(bytes, { name = 'receipt' } = {}) {
+            const job = { name, bytes, preview: previewEscPos(bytes), printedAt: new Date().toISOString() };
+            jobs.push(job);
+            // Receipts carry citizen details: keep them out of production logs
+            if (import.meta.env.DEV || DEMO_MODE) console.info(`[virtual printer] ${name}\n${job.preview}`);
+        },
+
+        clear() {
+            jobs.length = 0;
+        },
+    };
+}
+
+/**
+ * Printer that saves each job as a raw ESC/POS file
+ * @returns {object} ReceiptPrinter
+ */
+export function createFilePrinter() {
+    return {
+        id: 'file-printer',
+        simulated: true,
+
+        async print(bytes, { name = 'receipt' } = {}) {
+            const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${name}.bin`;
+            link.click();
+            // Give the download a moment to start before releasing the data
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        },
+    };
+}
+
+/**
+ * USB printer through WebUSB. The first print asks for the printer
+ * unless the browser already has access (chrome://flags or a policy
+ * allow-list on a locked-down kiosk).
+ * @param {object} [options]
+ * @param {object} [options.usb] - WebUSB implementation
+ * @returns {object} ReceiptPrinter
+ */
+export function createWebUsbPrinter({ usb = globalThis.navigator?.usb } = {}) {
+    let device = null;
+    let endpointNumber = null;
+
+    async function connect() {
+        if (device?.opened) return;
+        if (!usb) throw new Error('WebUSB is not available in this browser');
+        device = (await usb.getDevices())[0]
+            || await usb.requestDevice({ filters: [{ classCode: USB_PRINTER_CLASS }] });
+        await device.open();
+        if (device.configuration === null) await device.selectConfiguration(1);
+
+        const iface = device.configuration.interfaces.find(i => i.alternate.interfaceClass === USB_PRINTER_CLASS)
+            || device.configuration.interfaces[0];
+        const endpoint = iface.alternate.endpoints.find(e => e.direction === 'out');
+        if (!endpoint) throw new Error(`USB printer ${device.productName || ''} has no output endpoint`);
+        await device.claimInterface(iface.interfaceNumber);
+        endpointNumber = endpoint.endpointNumber;
+    }
+
+    return {
+        id: 'webusb-printer',
+        simulated: false,
+
+        async print(bytes) {
+            await connect();
+            const result = await device.transferOut(endpointNumber, bytes);
+            if (result.status !== 'ok') throw new Error(`USB printer transfer failed: ${result.status}`);
+        },
+    };
+}
+
+/** Driver name (VITE_RECEIPT_PRINTER) → factory; other printer transports register here */
+const DRIVERS = {
+    virtual: createVirtualPrinter,
+    file: createFilePrinter,
+    webusb: createWebUsbPrinter,
+};
+
+let printerInstance = null;
+
+/**
+ * The kiosk's receipt printer, created on first use
+ * @returns {object} ReceiptPrinter
+ */
+export function getReceiptPrinter() {
+    if (!printerInstance) {
+        const factory = DRIVERS[RECEIPT_PRINTER];
+        if (!factory) throw new Error(`Unknown receipt printer driver: ${RECEIPT_PRINTER}`);
+        printerInstance = factory();
+    }
+    return printerInstance;
+}
+
+/**
+ * Print a receipt on the kiosk's thermal printer
+ * @param {'payment'|'cart'|'complaint'} kind
+ * @param {object} data - Receipt data (receiptSchema.js)
+ * @param {object} [options]
+ * @param {boolean} [options.isPending] - Whether the record is pending sync
+ * @param {boolean} [options.duplicate] - Reprint, marked DUPLICATE COPY
+ * @param {object} [options.printer] - ReceiptPrinter; defaults to the configured one
+ * @returns {Promise<void>}
+ * @throws {ReceiptValidationError} When data does not match the schema
+ */
+export async function printReceipt(kind, data, { isPending = false, duplicate = false, printer = getReceiptPrinter() } = {}) {
+    const bytes = renderEscPosReceipt(kind, data, { isPending, duplicate, paper: RECEIPT_PAPER_MM });
+    await printer.print(bytes, { name: `${kind}-${data.txnId || data.ticketId}` });
+}
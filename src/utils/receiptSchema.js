@@ -0,0 +1,188 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Receipt Schema
+ *
+ * The data contract between stored records and pdfGenerator.js.
+ * Receipts are built from the transaction or complaint record as
+ * stored by offlineSync.js, never from component state, and are
+ * checked against the schema before printing. A receipt with a
+ * missing, mistyped or misnamed field throws ReceiptValidationError
+ * instead of printing "N/A".
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { amountCharged } from './fees';
+import { settlementSplit } from './cart';
+
+/**
+ * Fields of each kind of receipt and their types:
+ * string, number, date (ISO string), array or object; '?' marks optional
+ */
+export const RECEIPT_SCHEMAS = {
+    payment: {
+        txnId: 'string',
+        consumerId: 'string',
+        service: 'string',
+        name: 'string?',
+        billPeriod: 'string?',
+        billAmount: 'number?',
+        amount: 'number',
+        balance: 'number?',
+        advance: 'number?',
+        fees: 'array?',
+        total: 'number?',
+        method: 'string',
+        cardScheme: 'string?',
+        maskedPan: 'string?',
+        authCode: 'string?',
+        utr: 'string?',
+        timestamp: 'date',
+        breakdown: 'object?',
+        verificationCode: 'string?',
+    },
+    cart: {
+        txnId: 'string',
+        method: 'string',
+        cardScheme: 'string?',
+        maskedPan: 'string?',
+        authCode: 'string?',
+        utr: 'string?',
+        timestamp: 'date',
+        items: 'array',
+        settlement: 'array',
+        amount: 'number',
+        fees: 'array?',
+        total: 'number?',
+        verificationCode: 'string?',
+    },
+    complaint: {
+        ticketId: 'string',
+        category: 'string?',
+        description: 'string?',
+        location: 'object?',
+        timestamp: 'date',
+    },
+};
+
+/** Type checks for the schema's field types */
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    date: value => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+    array: value => Array.isArray(value),
+    object: value => typeof value === 'object' && !Array.isArray(value),
+};
+
+/** Receipt data that does not match its schema */
+export class ReceiptValidationError extends Error {
+    constructor(message, { kind = null, issues = [] } = {}) {
+        super(message);
+        this.name = 'ReceiptValidationError';
+        this.kind = kind;
+        this.issues = issues;
+    }
+}
+
+/**
+ * Check receipt data against its schema
+ * @param {'payment'|'cart'|'complaint'} kind
+ * @param {object} data
+ * @returns {object} data, unchanged
+ * @throws {ReceiptValidationError} On a missing required field, a wrong type or an unknown field
+ */
+export function validateReceipt(kind, data) {
+    const schema = RECEIPT_SCHEMAS[kind];
+    if (!schema) throw new ReceiptValidationError(`Unknown receipt kind: ${kind}`, { kind });
+    if (!data || typeof data !== 'object') throw new ReceiptValidationError(`No ${kind} receipt data`, { kind });
+
+    const issues = [];
+    for (const [field, spec] of Object.entries(schema)) {
+        const value = data[field];
+        if (value === undefined || value === null || value === '') {
+            if (!spec.endsWith('?')) issues.push(`${field} is missing`);
+        } else if (!TYPE_CHECKS[spec.replace('?', '')](value)) {
+            issues.push(`${field} should be ${spec.replace('?', '')}`);
+        }
+    }
+    for (const field of Object.keys(data)) {
+        if (!schema[field]) issues.push(`${field} is not a ${kind} receipt field`);
+    }
+
+    if (issues.length > 0) {
+        throw new ReceiptValidationError(`Invalid ${kind} receipt: ${issues.join('; ')}`, { kind, issues });
+    }
+    return data;
+}
+
+/** The schema's fields of a record, leaving out empty ones */
+function pick(kind, record) {
+    const data = {};
+    for (const field of Object.keys(RECEIPT_SCHEMAS[kind])) {
+        if (record[field] !== undefined && record[field] !== null) data[field] = record[field];
+    }
+    return data;
+}
+
+/**
+ * Whether a stored record's receipt is marked PENDING SYNC. Records
+ * the provider has (including flagged duplicates) are confirmed.
+ * @param {object} record - Stored record with its syncStatus
+ * @returns {boolean}
+ */
+export function isPendingRecord(record) {
+    return !['synced', 'conflict', 'resolved'].includes(record.syncStatus);
+}
+
+/**
+ * Payment receipt for a stored transaction
+ * @param {object} record - Decrypted transaction record (offlineSync.getTransactionRecord)
+ * @returns {object}
+ * @throws {ReceiptValidationError}
+ */
+export function paymentReceipt(record) {
+    return validateReceipt('payment', pick('payment', record || {}));
+}
+
+/**
+ * Consolidated receipt for a cart payment, rebuilt from the
+ * per-bill transactions it was split into (cart.splitCartPayment)
+ * @param {Array<object>} records - Decrypted transactions sharing a cartTxnId, in order
+ * @returns {object}
+ * @throws {ReceiptValidationError}
+ */
+export function cartReceipt(records) {
+    const [first] = records;
+    if (!first?.cartTxnId || records.some(r => r.cartTxnId !== first.cartTxnId)) {
+        throw new ReceiptValidationError('Cart receipt needs the transactions of one cart payment', { kind: 'cart' });
+    }
+    // The convenience fee rides on the first bill but belongs to the cart
+    const items = records.map(record => ({
+        txnId: record.txnId,
+        consumerId: record.consumerId,
+        service: record.service,
+        provider: record.provider,
+        billPeriod: record.billPeriod,
+        amount: record.amount,
+        balance: record.balance,
+        advance: record.advance,
+        fees: (record.fees || []).filter(fee => fee.type !== 'convenienceFee'),
+    }));
+    return validateReceipt('cart', {
+        ...pick('cart', { ...first, txnId: first.cartTxnId }),
+        items,
+        settlement: settlementSplit(items),
+        amount: records.reduce((sum, r) => sum + r.amount, 0),
+        fees: records.flatMap(r => r.fees || []),
+        total: records.reduce((sum, r) => sum + amountCharged(r), 0),
+    });
+}
+
+/**
+ * Complaint receipt for a stored complaint
+ * @param {object} record - Decrypted complaint record (offlineSync.getComplaintRecord)
+ * @returns {object}
+ * @throws {ReceiptValidationError}
+ */
+export function complaintReceipt(record) {
+    return validateReceipt('complaint', pick('complaint', record || {}));
+}
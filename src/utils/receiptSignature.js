@@ -0,0 +1,104 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Receipt Verification Codes
+ *
+ * Every payment receipt carries a QR of a verification code signed
+ * with the kiosk's ECDSA P-256 key (recordCrypto.js):
+ *
+ *   SVR1|<kioskId>|<txnId>|<amount charged>|<signature, base64url>
+ *
+ * The signature covers everything before it. verifyReceiptCode()
+ * checks the signature against the kiosk's public key and the
+ * amount against the stored transaction. It only needs WebCrypto,
+ * so the kiosk's /verify screen and the backend share it.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+// Extension spelled out: the backend imports this module under plain Node
+import { amountCharged } from './fees.js';
+
+/** Version tag opening every verification code */
+export const RECEIPT_CODE_PREFIX = 'SVR1';
+
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+
+/**
+ * The text a kiosk signs for a receipt
+ * @param {object} receipt
+ * @param {string} receipt.kioskId
+ * @param {string} receipt.txnId - Transaction, or cart payment, ID
+ * @param {number} receipt.amount - Amount charged, fees included (₹)
+ * @returns {string}
+ */
+export function receiptSigningMessage({ kioskId, txnId, amount }) {
+    return [RECEIPT_CODE_PREFIX, kioskId, txnId, Number(amount).toFixed(2)].join('|');
+}
+
+/**
+ * Read a verification code
+ * @param {string} code - Text scanned from the receipt QR
+ * @returns {{ kioskId: string, txnId: string, amount: number, message: string, signature: string }|null}
+ *   null when the text is not a verification code
+ */
+export function parseReceiptCode(code) {
+    const parts = String(code ?? '').trim().split('|');
+    if (parts.length !== 5 || parts[0] !== RECEIPT_CODE_PREFIX) return null;
+    const [, kioskId, txnId, amountText, signature] = parts;
+    const amount = Number(amountText);
+    if (!kioskId || !txnId || !/^\d+\.\d{2}$/.test(amountText) || !/^[A-Za-z0-9_-]+$/.test(signature)) return null;
+    return { kioskId, txnId, amount, message: parts.slice(0, 4).join('|'), signature };
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4)), c => c.charCodeAt(0));
+}
+
+/**
+ * Check a receipt's verification code.
+ *
+ * Statuses: 'authentic'; 'malformed' (not a verification code);
+ * 'unknownKiosk' (no public key for the kiosk); 'forged' (signature
+ * does not match); 'notFound' (signed, but no such transaction is
+ * stored); 'mismatch' (stored transaction has a different amount).
+ * @param {string} code
+ * @param {object} lookups
+ * @param {function} lookups.getPublicKey - kioskId → Promise<JWK|Array<JWK>|null>: the
+ *   kiosk's key, or every key it has signed with
+ * @param {function} lookups.getTransactions - txnId → Promise<Array<object>>: the
+ *   transaction, or the per-bill transactions of a cart payment; empty when unknown
+ * @returns {Promise<{ status: string, kioskId?: string, txnId?: string, amount?: number,
+ *   recordedAmount?: number, transactions?: Array<object> }>}
+ */
+export async function verifyReceiptCode(code, { getPublicKey, getTransactions }) {
+    const parsed = parseReceiptCode(code);
+    if (!parsed) return { status: 'malformed' };
+    const { kioskId, txnId, amount, message, signature } = parsed;
+    const claim = { kioskId, txnId, amount };
+
+    let signatureBytes;
+    try {
+        signatureBytes = fromBase64Url(signature);
+    } catch {
+        return { status: 'malformed' };
+    }
+
+    const jwks = [].concat((await getPublicKey(kioskId)) || []);
+    if (jwks.length === 0) return { status: 'unknownKiosk', ...claim };
+    let valid = false;
+    for (const jwk of jwks) {
+        const key = await globalThis.crypto.subtle.importKey('jwk', jwk, KEY_ALGORITHM, false, ['verify']);
+        valid = await globalThis.crypto.subtle.verify(SIGNATURE_ALGORITHM, key, signatureBytes, new TextEncoder().encode(message));
+        if (valid) break;
+    }
+    if (!valid) return { status: 'forged', ...claim };
+
+    const transactions = await getTransactions(txnId);
+    if (transactions.length === 0) return { status: 'notFound', ...claim };
+    const recordedAmount = transactions.reduce((sum, txn) => sum + amountCharged(txn), 0);
+    if (recordedAmount.toFixed(2) !== amount.toFixed(2)) {
+        return { status: 'mismatch', ...claim, recordedAmount, transactions };
+    }
+    return { status: 'authentic', ...claim, recordedAmount, transactions };
+}
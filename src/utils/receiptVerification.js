@@ -0,0 +1,67 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Receipt Signing & Verification (kiosk side)
+ *
+ * Payments are signed once, when they are recorded, so the code on
+ * a reprinted receipt is the same as on the first one. The kiosk's
+ * public key is registered with the backend by an operator, from the
+ * admin dashboard, and the backend verifies codes for receipts from
+ * any kiosk. Without a backend the /verify screen can
+ * only check receipts this kiosk printed, against its own records.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { ApiError, apiRequest } from './api';
+import { isBackendConfigured, KIOSK_ID } from './config';
+import { amountCharged } from './fees';
+import { getPaymentRecords } from './offlineSync';
+import { getSigningPublicKey, signText } from './recordCrypto';
+import { receiptSigningMessage, verifyReceiptCode } from './receiptSignature';
+
+/**
+ * Signed verification code for a payment's receipt
+ * @param {object} payment - Payment, or cart payment, being recorded
+ * @returns {Promise<string>}
+ */
+export async function signReceiptCode(payment) {
+    const message = receiptSigningMessage({ kioskId: KIOSK_ID, txnId: payment.txnId, amount: amountCharged(payment) });
+    return `${message}|${await signText(message)}`;
+}
+
+/**
+ * Register the kiosk's public key with the backend. The backend only
+ * accepts it with its provisioning token, which the operator types in
+ * when setting the kiosk up; it is sent once and never stored. A new
+ * key replaces the kiosk's earlier one, which still verifies old receipts.
+ * @param {string} provisioningToken - The backend's PROVISIONING_TOKEN
+ * @returns {Promise<object>} { status: 'accepted'|'unchanged'|'rotated' }
+ * @throws {ApiError} On a wrong token, or when no backend is reachable
+ */
+export async function publishSigningKey(provisioningToken) {
+    if (!isBackendConfigured()) throw new Error('No backend is configured to register the signing key with');
+    const publicKey = await getSigningPublicKey();
+    return apiRequest(`/kiosks/${encodeURIComponent(KIOSK_ID)}/signing-key`, {
+        method: 'POST',
+        body: { publicKey },
+        headers: { 'X-Provisioning-Token': provisioningToken },
+    });
+}
+
+/**
+ * Check a scanned or typed receipt verification code
+ * @param {string} code
+ * @returns {Promise<object>} Outcome of receiptSignature.verifyReceiptCode
+ */
+export async function verifyReceipt(code) {
+    if (isBackendConfigured()) {
+        // The backend answers 400 to text that is not a verification code
+        return apiRequest('/receipts/verify', { method: 'POST', body: { code } }).catch((err) => {
+            if (err instanceof ApiError && err.status === 400) return { status: 'malformed' };
+            throw err;
+        });
+    }
+    return verifyReceiptCode(code, {
+        getPublicKey: async kioskId => (kioskId === KIOSK_ID ? getSigningPublicKey() : null),
+        getTransactions: getPaymentRecords,
+    });
+}
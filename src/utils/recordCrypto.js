@@ -0,0 +1,143 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - At-rest Encryption for Queued Records
+ *
+ * Citizen data in the offline queue is sealed with AES-GCM using a
+ * per-kiosk key. The key is a non-extractable CryptoKey kept in its
+ * own IndexedDB database (suvidha-keystore), apart from the records,
+ * so a copied record store cannot be read and the raw key bytes can
+ * never be exported from the browser.
+ *
+ * A second (HMAC) key produces fingerprints, so records can be
+ * matched on citizen data without storing that data in the clear.
+ * A third (ECDSA P-256) key pair signs receipt verification codes
+ * (receiptSignature.js); only its public half ever leaves the kiosk.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import localforage from 'localforage';
+
+const KEY_ID = 'record-key-v1';
+const FINGERPRINT_KEY_ID = 'fingerprint-key-v1';
+const SIGNING_KEY_ID = 'receipt-signing-key-v1';
+
+/** Key id → how to generate it on first use */
+const KEY_SPECS = {
+    [KEY_ID]: { algorithm: { name: 'AES-GCM', length: 256 }, usages: ['encrypt', 'decrypt'] },
+    [FINGERPRINT_KEY_ID]: { algorithm: { name: 'HMAC', hash: 'SHA-256' }, usages: ['sign'] },
+    // Generates a { privateKey, publicKey } pair; public keys stay exportable
+    [SIGNING_KEY_ID]: { algorithm: { name: 'ECDSA', namedCurve: 'P-256' }, usages: ['sign', 'verify'] },
+};
+
+const keyStore = localforage.createInstance({
+    name: 'suvidha-keystore',
+    storeName: 'keys',
+    description: 'Per-kiosk encryption keys',
+    // CryptoKey objects can only be persisted through IndexedDB structured clone
+    driver: localforage.INDEXEDDB,
+});
+
+const keyPromises = new Map();
+
+function subtle() {
+    const s = globalThis.crypto?.subtle;
+    if (!s) throw new Error('WebCrypto is unavailable (kiosk must be served over HTTPS or localhost)');
+    return s;
+}
+
+/** Load a kiosk key, generating it on first use */
+function getKey(keyId) {
+    if (!keyPromises.has(keyId)) {
+        keyPromises.set(keyId, (async () => {
+            const existing = await keyStore.getItem(keyId);
+            if (existing) return existing;
+            const { algorithm, usages } = KEY_SPECS[keyId];
+            const key = await subtle().generateKey(algorithm, false, usages);
+            await keyStore.setItem(keyId, key);
+            return key;
+        })().catch((err) => {
+            keyPromises.delete(keyId);
+            throw err;
+        }));
+    }
+    return keyPromises.get(keyId);
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (const b of new Uint8Array(bytes)) binary += String.fromCharCode(b);
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Encrypt a payload for storage
+ * @param {object} payload - JSON-serialisable citizen data
+ * @param {string} boundTo - Record identifier authenticated alongside the
+ *   ciphertext, so sealed payloads cannot be swapped between records
+ * @returns {Promise<{alg: string, keyId: string, iv: string, data: string}>}
+ */
+export async function sealPayload(payload, boundTo) {
+    const key = await getKey(KEY_ID);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(payload));
+    const ciphertext = await subtle().encrypt(
+        { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(boundTo) },
+        key,
+        plaintext,
+    );
+    return { alg: 'AES-GCM', keyId: KEY_ID, iv: toBase64(iv), data: toBase64(ciphertext) };
+}
+
+/**
+ * Decrypt a sealed payload
+ * @param {object} sealed - Output of sealPayload
+ * @param {string} boundTo - Same identifier used when sealing
+ * @returns {Promise<object>}
+ */
+export async function openPayload(sealed, boundTo) {
+    if (sealed?.keyId !== KEY_ID) throw new Error(`Unknown record key: ${sealed?.keyId}`);
+    const key = await getKey(KEY_ID);
+    const plaintext = await subtle().decrypt(
+        { name: 'AES-GCM', iv: fromBase64(sealed.iv), additionalData: new TextEncoder().encode(boundTo) },
+        key,
+        fromBase64(sealed.data),
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Keyed fingerprint of some values, for matching without storing them.
+ * Equal inputs give equal fingerprints on the same kiosk only.
+ * @param {Array<string|number>} parts - Values to fingerprint, in order
+ * @returns {Promise<string>} Hex digest
+ */
+export async function fingerprint(parts) {
+    const key = await getKey(FINGERPRINT_KEY_ID);
+    const data = new TextEncoder().encode(parts.map(p => String(p ?? '').trim().toUpperCase()).join('|'));
+    const mac = await subtle().sign('HMAC', key, data);
+    return Array.from(new Uint8Array(mac), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Sign text with the kiosk's receipt key (ECDSA P-256 over SHA-256)
+ * @param {string} text
+ * @returns {Promise<string>} Signature, base64url without padding
+ */
+export async function signText(text) {
+    const { privateKey } = await getKey(SIGNING_KEY_ID);
+    const signature = await subtle().sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, new TextEncoder().encode(text));
+    return toBase64(signature).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Public half of the receipt signing key, for whoever verifies receipts
+ * @returns {Promise<object>} JWK
+ */
+export async function getSigningPublicKey() {
+    const { publicKey } = await getKey(SIGNING_KEY_ID);
+    return subtle().exportKey('jwk', publicKey);
+}
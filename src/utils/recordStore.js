@@ -0,0 +1,205 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Indexed Record Store
+ *
+ * One IndexedDB record per queued item, with indexes for the
+ * fields the kiosk queries on. Every write runs in its own
+ * readwrite transaction, so saves from several tabs, the service
+ * worker and an in-progress sync can no longer overwrite each other.
+ *
+ * Structural changes go in SCHEMA as a new version; IndexedDB runs
+ * each pending upgrade in order when the database is opened.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const DB_NAME = 'suvidha-records';
+
+/** Ordered structural migrations; the last version is the current schema */
+const SCHEMA = [
+    {
+        version: 1,
+        upgrade(db) {
+            const txns = db.createObjectStore('transactions', { keyPath: 'idempotencyKey' });
+            txns.createIndex('syncStatus', 'syncStatus');
+            txns.createIndex('txnId', 'txnId');
+
+            const comps = db.createObjectStore('complaints', { keyPath: 'idempotencyKey' });
+            comps.createIndex('syncStatus', 'syncStatus');
+            comps.createIndex('ticketId', 'ticketId');
+
+            db.createObjectStore('meta');
+        },
+    },
+    {
+        // Duplicate-payment lookups (see duplicatePayments.js)
+        version: 2,
+        upgrade(db, tx) {
+            tx.objectStore('transactions').createIndex('dedupeKey', 'dedupeKey');
+        },
+    },
+    {
+        // In-progress payments, for crash recovery (see paymentMachine.js)
+        version: 3,
+        upgrade(db) {
+            const sessions = db.createObjectStore('paymentSessions', { keyPath: 'txnId' });
+            sessions.createIndex('state', 'state');
+        },
+    },
+    {
+        // Queued citizen notifications (see notifications.js)
+        version: 4,
+        upgrade(db) {
+            const notes = db.createObjectStore('notifications', { keyPath: 'idempotencyKey' });
+            notes.createIndex('syncStatus', 'syncStatus');
+        },
+    },
+    {
+        // A signed-in citizen's complaints (see complaintTracking.js)
+        version: 5,
+        upgrade(db, tx) {
+            tx.objectStore('complaints').createIndex('citizenId', 'citizenId');
+        },
+    },
+    {
+        // Complaints by keyed fingerprint of the citizen ID instead (see offlineSync.js)
+        version: 6,
+        upgrade(db, tx) {
+            // Builds that shipped version 5 with either index exist
+            const comps = tx.objectStore('complaints');
+            if (!comps.indexNames.contains('citizenKey')) comps.createIndex('citizenKey', 'citizenKey');
+            if (comps.indexNames.contains('citizenId')) comps.deleteIndex('citizenId');
+        },
+    },
+];
+
+export const SCHEMA_VERSION = SCHEMA[SCHEMA.length - 1].version;
+
+let dbPromise = null;
+
+/** Wrap an IDBRequest in a promise */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open the database, running any pending schema upgrades
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openRecordDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (const step of SCHEMA) {
+                    if (step.version > event.oldVersion) step.upgrade(db, request.transaction);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab deployed a newer schema: let it upgrade, reopen on next use
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('Record store upgrade blocked by another open tab');
+        }).catch((err) => {
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run fn inside a transaction and resolve once it has committed
+ * @param {string|string[]} stores - Object store name(s)
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(IDBTransaction): any} fn - May return a promise
+ */
+async function withTransaction(stores, mode, fn) {
+    const db = await openRecordDb();
+    const tx = db.transaction(stores, mode);
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+    const result = await fn(tx);
+    await done;
+    return result;
+}
+
+/** Insert or replace a record */
+export function putRecord(storeName, record) {
+    return withTransaction(storeName, 'readwrite', tx => promisify(tx.objectStore(storeName).put(record)));
+}
+
+/** Get a record by primary key */
+export function getRecord(storeName, key) {
+    return withTransaction(storeName, 'readonly', tx => promisify(tx.objectStore(storeName).get(key)));
+}
+
+/** Get all records whose index matches value */
+export function getByIndex(storeName, indexName, value) {
+    return withTransaction(storeName, 'readonly', tx => promisify(tx.objectStore(storeName).index(indexName).getAll(value)));
+}
+
+/** Count records whose index matches value, without loading them */
+export function countByIndex(storeName, indexName, value) {
+    return withTransaction(storeName, 'readonly', tx => promisify(tx.objectStore(storeName).index(indexName).count(value)));
+}
+
+/**
+ * Atomically read, modify and write back one record
+ * @param {string} storeName
+ * @param {any} key - Primary key
+ * @param {function(object): object|void} mutate - Receives the current record;
+ *   return a replacement or mutate in place
+ * @returns {Promise<object|null>} Updated record, or null if it does not exist
+ */
+export function updateRecord(storeName, key, mutate) {
+    return withTransaction(storeName, 'readwrite', async (tx) => {
+        const store = tx.objectStore(storeName);
+        const current = await promisify(store.get(key));
+        if (!current) return null;
+        const next = mutate(current) || current;
+        store.put(next);
+        return next;
+    });
+}
+
+/**
+ * Delete every record whose index matches value
+ * @returns {Promise<number>} Number of records deleted
+ */
+export function deleteByIndex(storeName, indexName, value) {
+    return withTransaction(storeName, 'readwrite', tx => new Promise((resolve, reject) => {
+        let deleted = 0;
+        const request = tx.objectStore(storeName).index(indexName).openCursor(value);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve(deleted);
+            cursor.delete();
+            deleted++;
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+/** Read a value from the meta store */
+export function getMeta(key) {
+    return withTransaction('meta', 'readonly', tx => promisify(tx.objectStore('meta').get(key)));
+}
+
+/** Write a value to the meta store */
+export function setMeta(key, value) {
+    return withTransaction('meta', 'readwrite', tx => promisify(tx.objectStore('meta').put(value, key)));
+}
@@ -0,0 +1,60 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Service Worker Registration
+ * Registers /sw.js in production builds and requests
+ * Background Sync for the offline queue
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/** Background Sync tag used to flush the offline queue */
+export const SYNC_TAG = 'suvidha-offline-sync';
+
+function isSupported() {
+    return typeof window !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+/**
+ * Register the service worker (production builds only)
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+    if (!isSupported() || !import.meta.env.PROD) return null;
+    try {
+        return await navigator.serviceWorker.register('/sw.js', { type: 'module', scope: '/' });
+    } catch (err) {
+        console.error('Service worker registration failed:', err);
+        return null;
+    }
+}
+
+/**
+ * Ask the browser to flush the offline queue when connectivity returns,
+ * even if no kiosk page is open by then.
+ * @returns {Promise<boolean>} Whether a background sync was registered
+ */
+export async function requestBackgroundSync() {
+    if (!isSupported()) return false;
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration?.sync) return false;
+        await registration.sync.register(SYNC_TAG);
+        return true;
+    } catch (err) {
+        console.warn('Background sync unavailable:', err);
+        return false;
+    }
+}
+
+/**
+ * Subscribe to sync results posted by the service worker
+ * @param {function} callback - Called with { summary } after each background sync
+ * @returns {function} Unsubscribe
+ */
+export function onBackgroundSync(callback) {
+    if (!isSupported()) return () => { };
+    const handler = (event) => {
+        if (event.data?.type === 'sync-complete') callback(event.data);
+    };
+    navigator.serviceWorker.addEventListener('message', handler);
+    return () => navigator.serviceWorker.removeEventListener('message', handler);
+}
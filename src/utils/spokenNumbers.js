@@ -0,0 +1,149 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Spoken Number Parsing
+ *
+ * Turns number words in a speech transcript into digits, so a
+ * consumer number read aloud can be extracted:
+ *   "four five six, one two three"  → "456123"
+ *   "char paanch chhe"              → "456"
+ *   "double five" / "teen baar saat" → "55" / "777"
+ * and reads an ID back digit by digit, in groups of three, in the
+ * citizen's language.
+ *
+ * Each language has a table below; English words are understood
+ * in every language, since citizens mix them in. To add a language,
+ * add its table (romanised and native-script words).
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * Per-language number words
+ *   digits  - word → number (0–9; English also has 10–19)
+ *   tens    - word → multiple of ten, combined with a following digit ("forty five")
+ *   repeats - word → how many times the next digit repeats ("double five")
+ *   times   - words for "times", as in "<count> times <digit>" ("teen baar saat")
+ *   words   - digit words 0–9 used when reading an ID back
+ */
+export const SPOKEN_NUMBERS = {
+    en: {
+        digits: {
+            zero: 0, oh: 0, nil: 0, one: 1, two: 2, three: 3, four: 4, five: 5,
+            six: 6, seven: 7, eight: 8, nine: 9,
+            ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+            sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+        },
+        tens: { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 },
+        repeats: { double: 2, triple: 3 },
+        times: ['times'],
+        words: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'],
+    },
+    hi: {
+        digits: {
+            shunya: 0, shoonya: 0, sunya: 0, ek: 1, do: 2, teen: 3, tin: 3, char: 4, chaar: 4,
+            paanch: 5, panch: 5, chhe: 6, chhah: 6, chah: 6, che: 6, saat: 7, sat: 7,
+            aath: 8, aat: 8, nau: 9, nao: 9,
+            'शून्य': 0, 'ज़ीरो': 0, 'जीरो': 0, 'एक': 1, 'दो': 2, 'तीन': 3, 'चार': 4, 'पांच': 5, 'पाँच': 5,
+            'छह': 6, 'छः': 6, 'छे': 6, 'सात': 7, 'आठ': 8, 'नौ': 9,
+        },
+        repeats: { dabal: 2, 'डबल': 2, tripal: 3, 'ट्रिपल': 3 },
+        times: ['baar', 'bar', 'बार'],
+        words: ['शून्य', 'एक', 'दो', 'तीन', 'चार', 'पाँच', 'छह', 'सात', 'आठ', 'नौ'],
+    },
+    pa: {
+        digits: {
+            sifar: 0, ikk: 1, ik: 1, do: 2, tinn: 3, tin: 3, char: 4, chaar: 4, panj: 5,
+            chhe: 6, che: 6, satt: 7, sat: 7, athh: 8, ath: 8, naun: 9, nau: 9,
+            'ਸਿਫ਼ਰ': 0, 'ਸਿਫਰ': 0, 'ਜ਼ੀਰੋ': 0, 'ਜੀਰੋ': 0, 'ਇੱਕ': 1, 'ਇਕ': 1, 'ਦੋ': 2, 'ਤਿੰਨ': 3, 'ਚਾਰ': 4,
+            'ਪੰਜ': 5, 'ਛੇ': 6, 'ਸੱਤ': 7, 'ਅੱਠ': 8, 'ਨੌਂ': 9, 'ਨੌ': 9,
+        },
+        repeats: { dabal: 2, 'ਡਬਲ': 2, tripal: 3, 'ਟ੍ਰਿਪਲ': 3 },
+        times: ['vaari', 'vaar', 'baar', 'ਵਾਰੀ', 'ਵਾਰ'],
+        words: ['ਸਿਫ਼ਰ', 'ਇੱਕ', 'ਦੋ', 'ਤਿੰਨ', 'ਚਾਰ', 'ਪੰਜ', 'ਛੇ', 'ਸੱਤ', 'ਅੱਠ', 'ਨੌਂ'],
+    },
+};
+
+/** Zero of each native digit block (Devanagari ०, Gurmukhi ੦) */
+const NATIVE_DIGIT_ZEROS = [0x0966, 0x0a66];
+
+/** Native-script digits as ASCII digits */
+function asciiDigits(text) {
+    return text.replace(/[०-९੦-੯]/g, (ch) => {
+        const code = ch.charCodeAt(0);
+        return String(code - NATIVE_DIGIT_ZEROS.find(zero => code >= zero && code <= zero + 9));
+    });
+}
+
+/**
+ * Replace number words in a transcript with digits. Runs of digits
+ * are joined ("four five six" → "456"); other words are kept,
+ * lower-cased, so a spoken utility prefix survives.
+ * @param {string} transcript
+ * @param {string} [lang] - 'en' | 'hi' | 'pa'; English words are always understood
+ * @returns {string} e.g. "pseb 456123"
+ */
+export function spokenToDigits(transcript, lang = 'en') {
+    const tables = [...new Set([SPOKEN_NUMBERS[lang], SPOKEN_NUMBERS.en].filter(Boolean))];
+    const find = (kind, word) => tables.map(table => table[kind]?.[word]).find(value => value !== undefined);
+    const isTimes = word => tables.some(table => table.times.includes(word));
+    const digitOf = word => (/^\d+$/.test(word || '') ? word : find('digits', word)?.toString());
+
+    const tokens = asciiDigits(String(transcript || '')).toLowerCase().split(/[\s,.;:!?।]+/).filter(Boolean);
+    const parts = [];
+    let repeat = 1;
+    for (let i = 0; i < tokens.length; i++) {
+        const word = tokens[i];
+        if (find('repeats', word)) {
+            repeat = find('repeats', word);
+            continue;
+        }
+
+        let digits = digitOf(word);
+        const tens = find('tens', word);
+        if (digits === undefined && tens !== undefined) {
+            const unit = find('digits', tokens[i + 1]);
+            if (unit > 0 && unit < 10) i++;
+            digits = String(tens + (unit > 0 && unit < 10 ? unit : 0));
+        }
+        if (digits === undefined) {
+            parts.push({ text: word });
+            repeat = 1;
+            continue;
+        }
+
+        // "<count> times <digit>": "teen baar saat" → 777
+        const repeated = digitOf(tokens[i + 2]);
+        if (digits.length === 1 && isTimes(tokens[i + 1]) && repeated?.length === 1) {
+            parts.push({ digits: repeated.repeat(Number(digits)) });
+            i += 2;
+        } else {
+            parts.push({ digits: digits[0].repeat(repeat) + digits.slice(1) });
+        }
+        repeat = 1;
+    }
+
+    return parts
+        .reduce((out, part) => {
+            const last = out[out.length - 1];
+            if (part.digits && last?.digits !== undefined) last.digits += part.digits;
+            else out.push({ ...part });
+            return out;
+        }, [])
+        .map(part => part.digits ?? part.text)
+        .join(' ');
+}
+
+/**
+ * How to read an ID back to the citizen: letters spelled out, then
+ * the digits as words in groups of three
+ * @param {string} id - e.g. "PSEB-456123"
+ * @param {string} [lang]
+ * @returns {string} e.g. "P S E B, four five six, one two three"
+ */
+export function readBackId(id, lang = 'en') {
+    const { words } = SPOKEN_NUMBERS[lang] || SPOKEN_NUMBERS.en;
+    const value = String(id || '').toUpperCase();
+    const letters = [...value.replace(/[^A-Z]/g, '')].join(' ');
+    const groups = (value.replace(/\D/g, '').match(/\d{1,3}/g) || [])
+        .map(group => [...group].map(d => words[d]).join(' '));
+    return [letters, ...groups].filter(Boolean).join(', ');
+}
@@ -0,0 +1,164 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - Tariff Slab Engine
+ *
+ * Computes electricity and water bills from units consumed, per
+ * state and consumer category, using telescopic slabs (each slab's
+ * rate applies only to the units that fall inside it):
+ *
+ *   energy/water charges  Σ slab units × slab rate
+ *   fixed charge          flat per billing month
+ *   duties                % of the slab charges (electricity duty,
+ *                         infrastructure fund, sewerage cess, ...)
+ *   subsidy               ₹ per unit off, up to a unit cap, for
+ *                         eligible consumers
+ *
+ * The total is rounded to the rupee. verifyBillAmount() checks a
+ * provider's amount against the same calculation.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/** Largest difference (₹) still treated as a match, for provider-side rounding */
+const MATCH_TOLERANCE = 1;
+
+/** state → service → category → tariff */
+export const TARIFFS = {
+    PB: {
+        electricity: {
+            domestic: {
+                name: 'PSERC Domestic Supply (DS) 2025-26',
+                slabs: [
+                    { upTo: 100, rate: 4.18 },
+                    { upTo: 300, rate: 6.64 },
+                    { upTo: 500, rate: 7.50 },
+                    { upTo: Infinity, rate: 7.75 },
+                ],
+                fixedCharge: 70,
+                duties: [
+                    { label: 'Electricity Duty', rate: 0.05 },
+                    { label: 'Infrastructure Development Fund', rate: 0.02 },
+                ],
+                subsidy: { label: 'State subsidy (SC/BPL)', perUnit: 4.18, maxUnits: 200 },
+            },
+            commercial: {
+                name: 'PSERC Non-Residential Supply (NRS) 2025-26',
+                slabs: [
+                    { upTo: 100, rate: 6.35 },
+                    { upTo: 500, rate: 7.15 },
+                    { upTo: Infinity, rate: 7.75 },
+                ],
+                fixedCharge: 150,
+                duties: [
+                    { label: 'Electricity Duty', rate: 0.13 },
+                    { label: 'Infrastructure Development Fund', rate: 0.02 },
+                ],
+            },
+        },
+        water: {
+            domestic: {
+                name: 'PHED Domestic Water Supply 2025-26',
+                slabs: [
+                    { upTo: 15, rate: 15 },
+                    { upTo: 30, rate: 22 },
+                    { upTo: Infinity, rate: 30 },
+                ],
+                fixedCharge: 55,
+                duties: [{ label: 'Sewerage Cess', rate: 0.25 }],
+            },
+            commercial: {
+                name: 'PHED Commercial Water Supply 2025-26',
+                slabs: [{ upTo: Infinity, rate: 35 }],
+                fixedCharge: 150,
+                duties: [{ label: 'Sewerage Cess', rate: 0.25 }],
+            },
+        },
+    },
+    HR: {
+        electricity: {
+            domestic: {
+                name: 'HERC Domestic 2025-26',
+                slabs: [
+                    { upTo: 50, rate: 2.00 },
+                    { upTo: 100, rate: 2.50 },
+                    { upTo: 300, rate: 5.25 },
+                    { upTo: Infinity, rate: 7.10 },
+                ],
+                fixedCharge: 0,
+                duties: [{ label: 'Municipal Tax', rate: 0.02 }],
+            },
+            commercial: {
+                name: 'HERC Non-Domestic 2025-26',
+                slabs: [{ upTo: Infinity, rate: 7.00 }],
+                fixedCharge: 125,
+                duties: [{ label: 'Municipal Tax', rate: 0.02 }],
+            },
+        },
+    },
+};
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Tariff applying to a bill, or null when none is published
+ * @param {object} bill - { state, service, category }
+ * @returns {object|null}
+ */
+export function getTariff({ state, service, category = 'domestic' }) {
+    return TARIFFS[state]?.[service]?.[category] || null;
+}
+
+/**
+ * Compute a bill from units consumed
+ * @param {object} bill - { state, service, category?, units, unitLabel?, subsidyEligible? }
+ * @returns {{ tariff: string, lines: Array<{ label: string, amount: number }>, total: number }|null}
+ *   null when there is no tariff or no meter reading
+ */
+export function computeBill(bill) {
+    const tariff = getTariff(bill);
+    const units = Number(bill.units);
+    if (!tariff || !(units >= 0) || bill.units === null) return null;
+
+    const unitLabel = bill.unitLabel || 'units';
+    const lines = [];
+    let from = 0;
+    let slabCharges = 0;
+    for (const { upTo, rate } of tariff.slabs) {
+        if (units <= from) break;
+        const inSlab = Math.min(units, upTo) - from;
+        const amount = round2(inSlab * rate);
+        const range = upTo === Infinity ? `above ${from}` : `${from + 1}–${upTo}`;
+        lines.push({ label: `${range} ${unitLabel}: ${inSlab} × ₹${rate.toFixed(2)}`, amount });
+        slabCharges += amount;
+        from = upTo;
+    }
+    if (tariff.fixedCharge) lines.push({ label: 'Fixed charge', amount: tariff.fixedCharge });
+    for (const { label, rate } of tariff.duties || []) {
+        lines.push({ label: `${label} @ ${round2(rate * 100)}%`, amount: round2(slabCharges * rate) });
+    }
+    if (tariff.subsidy && bill.subsidyEligible) {
+        const { label, perUnit, maxUnits } = tariff.subsidy;
+        lines.push({ label, amount: -round2(Math.min(units, maxUnits) * perUnit) });
+    }
+
+    const exact = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+    const total = Math.max(0, Math.round(exact));
+    if (total !== exact) lines.push({ label: 'Rounding off', amount: round2(total - exact) });
+    return { tariff: tariff.name, lines, total };
+}
+
+/**
+ * Check a provider's billed amount against the tariff
+ * @param {object} bill - Normalised bill; billedAmount (or amount) is checked
+ * @returns {{ status: 'match'|'mismatch'|'unavailable', expected?: number, difference?: number }}
+ */
+export function verifyBillAmount(bill) {
+    const computed = computeBill(bill);
+    if (!computed) return { status: 'unavailable' };
+    const billed = Number(bill.billedAmount ?? bill.amount);
+    const difference = round2(billed - computed.total);
+    return {
+        status: Math.abs(difference) <= MATCH_TOLERANCE ? 'match' : 'mismatch',
+        expected: computed.total,
+        difference,
+    };
+}
@@ -0,0 +1,198 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SUVIDHA Setu - UPI Dynamic QR Payments
+ *
+ * Every payment gets its own QR in the NPCI UPI deep-link format:
+ * payee VPA and name, merchant category code, a transaction
+ * reference (tr) derived from the txnId, and the exact amount. The
+ * intent is registered with the backend together with its expiry,
+ * and the kiosk polls its status until the PSP reports an outcome
+ * or the QR expires.
+ *
+ * Without a backend a local stub stands in for the PSP. In demo
+ * mode the stub marks the payment paid after a few seconds.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+import { apiRequest } from './api';
+import { DEMO_MODE, UPI_PAYEE, UPI_QR_TTL_MS, isBackendConfigured } from './config';
+import { amountCharged } from './fees';
+
+const POLL_INTERVAL_MS = 3000;
+const DEMO_PAYMENT_DELAY_MS = 8000;
+
+/** Time the payment machine waits for a UPI tender: the QR lifetime plus a last poll */
+export const UPI_TENDER_TIMEOUT_MS = UPI_QR_TTL_MS + 2 * POLL_INTERVAL_MS;
+
+/**
+ * UPI transaction reference for a txnId (alphanumeric, at most 35 chars)
+ * @param {string} txnId
+ * @returns {string}
+ */
+export function upiTransactionRef(txnId) {
+    return txnId.replace(/[^A-Za-z0-9]/g, '').slice(0, 35);
+}
+
+/**
+ * Build the upi://pay URI encoded in the QR
+ * @param {object} payment - { txnId, amount, note? }
+ * @returns {string}
+ */
+export function buildUpiUri({ txnId, amount, note }) {
+    const params = [
+        ['pa', UPI_PAYEE.vpa],
+        ['pn', UPI_PAYEE.name],
+        ['mc', UPI_PAYEE.mcc],
+        ['tr', upiTransactionRef(txnId)],
+        ['tn', note?.slice(0, 50)],
+        ['am', Number(amount).toFixed(2)],
+        ['cu', 'INR'],
+    ];
+    // '@' stays literal: several UPI apps do not decode it in the VPA
+    const encode = v => encodeURIComponent(v).replace(/%40/g, '@');
+    return `upi://pay?${params.filter(([, v]) => v).map(([k, v]) => `${k}=${encode(v)}`).join('&')}`;
+}
+
+/* ── Intent backends ─────────────────────────── */
+
+const localIntents = new Map();
+
+/** In-browser stand-in for the PSP when no backend is configured */
+const localStub = {
+    async create(intent) {
+        localIntents.set(intent.txnId, { ...intent, status: 'pending' });
+        if (DEMO_MODE) setTimeout(() => simulateUpiPayment(intent.txnId, 'success'), DEMO_PAYMENT_DELAY_MS);
+        return { status: 'pending' };
+    },
+    async status(txnId) {
+        const intent = localIntents.get(txnId);
+        if (!intent) return null;
+        if (intent.status === 'pending' && Date.now() > Date.parse(intent.expiresAt)) intent.status = 'expired';
+        return { ...intent };
+    },
+    async cancel(txnId) {
+        const intent = localIntents.get(txnId);
+        if (intent?.status === 'pending') intent.status = 'cancelled';
+    },
+};
+
+const httpBackend = {
+    create: intent => apiRequest('/upi/intents', { method: 'POST', body: intent }),
+    status: txnId => apiRequest(`/upi/intents/${encodeURIComponent(txnId)}`),
+    cancel: txnId => apiRequest(`/upi/intents/${encodeURIComponent(txnId)}/cancel`, { method: 'POST' }),
+};
+
+function intentBackend() {
+    return isBackendConfigured() ? httpBackend : localStub;
+}
+
+/**
+ * Settle a pending intent in the local stub, as a PSP callback would.
+ * Has no effect when a backend is configured (use its /upi/callback).
+ * @param {string} txnId
+ * @param {'success'|'failed'} outcome
+ */
+export function simulateUpiPayment(txnId, outcome = 'success') {
+    const intent = localIntents.get(txnId);
+    if (intent?.status !== 'pending') return;
+    intent.status = outcome;
+    if (outcome === 'success') intent.utr = String(Math.floor(Math.random() * 9e11) + 1e11);
+    else intent.reason = 'Declined by payer bank';
+}
+
+/**
+ * Create and register a dynamic QR intent for a payment
+ * @param {object} payment - { txnId, amount, total?, consumerId, note? }; the QR asks for the total
+ * @returns {Promise<{txnId: string, tr: string, amount: number, uri: string, expiresAt: string, status: string}>}
+ */
+export async function createUpiIntent(payment) {
+    const amount = amountCharged(payment);
+    const intent = {
+        txnId: payment.txnId,
+        tr: upiTransactionRef(payment.txnId),
+        amount,
+        consumerId: payment.consumerId,
+        expiresAt: new Date(Date.now() + UPI_QR_TTL_MS).toISOString(),
+        uri: buildUpiUri({ txnId: payment.txnId, amount, note: payment.note || `Bill ${payment.consumerId}` }),
+    };
+    return { ...intent, ...(await intentBackend().create(intent)) };
+}
+
+/** Move the payment session along according to a reported intent status */
+async function applyStatus(session, report) {
+    switch (report?.status) {
+        case 'processing':
+            if (session.state === 'awaiting-tender') await session.transition('authorising');
+            break;
+        case 'success':
+            if (session.state === 'awaiting-tender') await session.transition('authorising');
+            await session.transition('success', { utr: report.utr, payerVpa: report.payerVpa });
+            break;
+        case 'failed':
+            await session.transition('failed', { reason: report.reason || 'UPI payment failed' });
+            break;
+        case 'expired':
+            await session.transition('timed-out', { reason: 'UPI QR expired' });
+            break;
+        default:
+            // pending, or no answer this round: keep waiting
+    }
+}
+
+/**
+ * Run the UPI tender for a payment session: register the QR, then
+ * poll until the session ends. Transient status errors are retried
+ * on the next poll.
+ * @param {object} session - Payment session (paymentMachine.js) in 'awaiting-tender'
+ * @param {object} [options]
+ * @param {function} [options.onIntent] - Receives the intent (uri, expiresAt) to display
+ * @param {number} [options.intervalMs] - Poll interval
+ * @returns {function} Stop polling; cancels the intent unless the payment went through
+ */
+export function startUpiTender(session, { onIntent, intervalMs = POLL_INTERVAL_MS } = {}) {
+    const { txnId } = session.payment;
+    let stopped = false;
+    let registered = false;
+    let timer = null;
+
+    // Withdraw the QR so a late payment is flagged for refund rather than lost
+    const withdraw = () => {
+        if (registered && ['awaiting-tender', 'cancelled', 'timed-out'].includes(session.state)) {
+            intentBackend().cancel(txnId).catch(err => console.warn('Could not cancel UPI intent:', err));
+        }
+    };
+
+    const stop = () => {
+        if (stopped) return;
+        stopped = true;
+        clearTimeout(timer);
+        withdraw();
+    };
+
+    const poll = async () => {
+        if (stopped) return;
+        if (session.isTerminal) return stop();
+        try {
+            await applyStatus(session, await intentBackend().status(txnId));
+        } catch (err) {
+            console.warn('UPI status check failed:', err);
+        }
+        if (session.isTerminal) return stop();
+        timer = setTimeout(poll, intervalMs);
+    };
+
+    (async () => {
+        try {
+            const intent = await createUpiIntent(session.payment);
+            registered = true;
+            if (stopped) return withdraw();
+            onIntent?.(intent);
+            timer = setTimeout(poll, intervalMs);
+        } catch (err) {
+            console.error('Could not create UPI intent:', err);
+            if (!stopped) session.transition('failed', { reason: `UPI unavailable: ${err.message}` }).catch(() => { });
+        }
+    })();
+
+    return stop;
+}
@@ -6,6 +6,8 @@
  */
 
 import { speechLangCodes, voiceLangCodes } from './i18n';
+import { formatConsumerId, getIdRules, serviceForId } from './consumerIds';
+import { spokenToDigits } from './spokenNumbers';
 
 /** Voice command to route mapping (English + Hindi) */
 const voiceRoutes = {
@@ -24,6 +26,10 @@ const voiceRoutes = {
     "gas bill": "/bill/gas",
     "gas": "/bill/gas",
     "gas ka bill": "/bill/gas",
+    // Before "complaint", which they contain
+    "track complaint": "/track",
+    "complaint status": "/track",
+    "shikayat ki sthiti": "/track",
     "file complaint": "/complaint",
     "complaint": "/complaint",
     "shikayat": "/complaint",
@@ -74,27 +80,30 @@ export function processVoiceCommand(transcript) {
 }
 
 /**
- * Extract consumer ID from voice transcript
- * E.g., "My consumer ID is 1234567890" -> "1234567890"
- * Also handles: "PSEB-123456", "PHED 789012"
+ * Extract consumer ID from voice transcript, laid out on the
+ * utility's mask (consumerIds.js); checking it is left to the caller
+ * E.g., "My consumer ID is 123456" -> "PSEB-123456" on the electricity screen
+ * Also handles: "PSEB-123456", "PHED 789012", and number words
+ * ("four five six...", "char paanch chhe...", "double five") via spokenNumbers.js
+ * @param {string} transcript
+ * @param {string} [serviceType] - Utility whose mask applies when no prefix is spoken
+ * @param {string} [lang] - Language the transcript is in
+ * @returns {string|null} null when no digits were spoken
  */
-export function extractConsumerId(transcript) {
-    const normalized = transcript.trim();
-
-    // Try to match PSEB/PHED/GPL format
-    const prefixPattern = /(PSEB|PHED|GPL)[\s-]*(\d+)/i;
-    const prefixMatch = normalized.match(prefixPattern);
-    if (prefixMatch) {
-        return `${prefixMatch[1].toUpperCase()}-${prefixMatch[2]}`;
+export function extractConsumerId(transcript, serviceType, lang = 'en') {
+    const normalized = spokenToDigits(transcript, lang);
+
+    // A spoken utility prefix (PSEB/PHED/GPL) picks the mask
+    const prefixMatch = normalized.match(/\b([A-Za-z]{3,4})[\s-]*(\d[\d\s]*)/);
+    const spokenService = prefixMatch && serviceForId(prefixMatch[1]);
+    if (spokenService) {
+        return formatConsumerId(spokenService, prefixMatch[2].replace(/\D/g, ''));
     }
 
-    // Try to extract just digits from phrases like "my ID is 123456"
+    // Otherwise just the digits, from phrases like "my ID is 123456"
     const digitsOnly = normalized.replace(/[^\d]/g, '');
-    if (digitsOnly.length >= 5) {
-        return digitsOnly;
-    }
-
-    return normalized;
+    if (!digitsOnly) return null;
+    return getIdRules(serviceType) ? formatConsumerId(serviceType, digitsOnly) : digitsOnly;
 }
 
 /**
@@ -1,8 +1,43 @@
+import { createHash } from 'node:crypto'
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+/**
+ * Builds src/sw.js as /sw.js and injects the precache manifest:
+ * every emitted file plus a cache version derived from their
+ * (content-hashed) names, so each deploy gets a fresh cache.
+ */
+function serviceWorker() {
+  return {
+    name: 'suvidha-service-worker',
+    apply: 'build',
+    generateBundle(_, bundle) {
+      const sw = bundle['sw.js']
+      if (!sw) return
+      const files = Object.keys(bundle).filter((name) => name !== 'sw.js' && !name.endsWith('.map')).sort()
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+      // index.html is emitted after this hook runs; its content follows from the hashed names
+      const urls = ['/index.html', ...files.filter((name) => name !== 'index.html').map((name) => `/${name}`)]
+      const manifest = { version, urls }
+      sw.code = sw.code.replace('self.__SUVIDHA_PRECACHE__', JSON.stringify(manifest))
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), serviceWorker()],
+  build: {
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        sw: fileURLToPath(new URL('./src/sw.js', import.meta.url)),
+      },
+      output: {
+        entryFileNames: (chunk) => (chunk.name === 'sw' ? 'sw.js' : 'assets/[name]-[hash].js'),
+      },
+    },
+  },
 })